@@ -1,140 +1,334 @@
 #!/usr/bin/env node
 
-import { execSync } from "child_process";
-import { existsSync, readFileSync, writeFileSync } from "fs";
-import { resolve } from "path";
+import { existsSync, readFileSync, realpathSync, writeFileSync } from "fs";
+import { dirname, resolve } from "path";
 import { program } from "commander";
-import os from "os";
 import chalk from "chalk";
 import ora from "ora";
-import Groq from "groq-sdk";
-
-const log = console.log;
-
-// Configuration management
-const AVAILABLE_MODELS = {
-  "llama-3.3-70b-versatile": {
-    description: "Llama 3.3 70B - Best overall performance (Recommended)",
-    tokenLimit: 8192,
-  },
-  "llama-3.1-70b-instruct": {
-    description: "Llama 3.1 70B - Great for complex tasks",
-    tokenLimit: 8192,
-  },
-  "llama-3.1-8b-instruct": {
-    description: "Llama 3.1 8B - Fast and efficient",
-    tokenLimit: 4096,
-  },
-  "deepseek-r1-distill-llama-70b": {
-    description: "DeepSeek R1 70B - Advanced reasoning",
-    tokenLimit: 8192,
-  },
-  "deepseek-r1-distill-qwen-32b": {
-    description: "DeepSeek R1 32B - Good reasoning, faster",
-    tokenLimit: 4096,
-  },
-  "qwen-2.5-coder-32b": {
-    description: "Qwen Coder 32B - Optimized for code understanding",
-    tokenLimit: 8192,
-  },
-  "qwen-2.5-32b": {
-    description: "Qwen 2.5 32B - Well-rounded performance",
-    tokenLimit: 8192,
-  },
-  "mixtral-8x7b-32768": {
-    description: "Mixtral 8x7B - Good balance of speed/quality",
-    tokenLimit: 32768,
-  },
-  "llama-3.2-90b-text-preview": {
-    description: "Llama 3.2 90B - Large context, preview",
-    tokenLimit: 16384,
-  },
-  "llama-3.2-11b-text-preview": {
-    description: "Llama 3.2 11B - Medium size, preview",
-    tokenLimit: 8192,
-  },
-  "llama-3.2-3b-preview": {
-    description: "Llama 3.2 3B - Lightweight, preview",
-    tokenLimit: 4096,
-  },
-  "llama-3.2-1b-preview": {
-    description: "Llama 3.2 1B - Ultra-fast, preview",
-    tokenLimit: 2048,
-  },
-  "gemma2-9b-it": {
-    description: "Gemma2 9B - Google model",
-    tokenLimit: 8192,
-  },
-  "qwen-qwq-32b": {
-    description: "Qwen QwQ 32B - Question-answering focused",
-    tokenLimit: 8192,
-  },
-  "llama3-70b-8192": {
-    description: "Llama3 70B - Legacy, reliable",
-    tokenLimit: 8192,
-  },
-  "llama3-8b-8192": {
-    description: "Llama3 8B - Legacy, fast",
-    tokenLimit: 8192,
-  },
-
-  "gpt-oss-120b": {
-    description: "OpenAI GPT-OSS 120B – open-weight, 128 K context",
-    tokenLimit: 131072,
-  },
-  "gpt-oss-20b": {
-    description: "OpenAI GPT-OSS 20B – lightweight open-weight, 128 K context",
-    tokenLimit: 131072,
-  },
+import { PROVIDERS, getProvider } from "../src/providers.js";
+import {
+  buildCatalog,
+  checkModel,
+  getCachedModels,
+  isAvailableModel,
+  loadModelCatalog,
+} from "../src/models.js";
+import {
+  PROJECT_CONFIG_FILE,
+  SETTINGS,
+  configEntries,
+  findSetting,
+  getConfigValue,
+  getPath,
+  globalConfigPath,
+  loadConfig,
+  parseOverrides,
+  parseValue,
+  projectConfigPath,
+  readConfigFile,
+  setConfigValue,
+  settingKeys,
+  unsetConfigValue,
+  validateConfig,
+  writeConfigFile,
+} from "../src/config.js";
+import { checkProvider, generateAICommitMessage } from "../src/generate.js";
+import {
+  CREDENTIALS_FILE,
+  PASSPHRASE_ENV,
+  credentialAccount,
+  openCredentialStore,
+  readPassphrase,
+} from "../src/credentials.js";
+import { lintCommitMessage, loadLintConfig } from "../src/lint.js";
+import {
+  canPrompt,
+  chooseIntegration,
+  confirm,
+  pickFiles,
+  printFindings,
+  printRewordPlan,
+  printSplitPlan,
+  resolveConflictHunks,
+  reviewCommitMessage,
+  reviewSplitPlan,
+} from "../src/prompts.js";
+import {
+  getRepoRoot,
+  git,
+  isGitRepository,
+  refExists,
+  runGit,
+  tryGit,
+} from "../src/git.js";
+import {
+  getStatus,
+  getUnstagedFiles,
+  hasStagedChanges,
+} from "../src/staging.js";
+import {
+  applySplitPlan,
+  collectUnits,
+  findUnitSecrets,
+  generateSplitPlan,
+  undoSplit,
+} from "../src/split.js";
+import {
+  collectBranchChanges,
+  detectBaseBranch,
+  findPrTemplate,
+  formatPrDescription,
+  generatePrDescription,
+} from "../src/pr.js";
+import { copyToClipboard } from "../src/clipboard.js";
+import {
+  collectCommits,
+  currentVersion,
+  formatChangelog,
+  groupEntries,
+  nextVersion,
+  notableEntries,
+  parseEntry,
+  parseVersion,
+  prependChangelog,
+  readChangelog,
+  resolveRange,
+  rewriteReleaseNotes,
+  suggestBump,
+} from "../src/changelog.js";
+import {
+  SEVERITIES,
+  blockingFindings,
+  formatReviewJson,
+  formatReviewSarif,
+  getStagedDiff,
+  parseSeverity,
+  reviewChanges,
+} from "../src/code-review.js";
+import {
+  ALLOW_COMMENT,
+  compileSecretOptions,
+  maskSecret,
+} from "../src/secrets.js";
+import {
+  applyResolutions,
+  conflictSides,
+  continueOperation,
+  explainConflicts,
+  getConflictState,
+  getHunks,
+  markResolved,
+  parseConflicts,
+  summarizeHunks,
+} from "../src/conflicts.js";
+import { getConflictedFiles, getUpstream } from "../src/remote.js";
+import { push } from "../src/push.js";
+import { pull } from "../src/pull.js";
+import {
+  HOOK_NAME,
+  getHookStatus,
+  getSkipReason,
+  installHook,
+  uninstallHook,
+  writeHookMessage,
+} from "../src/hook.js";
+import {
+  describeFormat,
+  detectCommitStyle,
+  readCommitSubjects,
+} from "../src/style.js";
+import { checkSource, parseRange } from "../src/changes.js";
+import { errorCategory, exitCode, formatResult } from "../src/output.js";
+import { providerSettings, secretSettings } from "../src/settings.js";
+import {
+  findPoorCommits,
+  findSharedRefs,
+  generateRewords,
+  readRangeCommits,
+  resolveRewordRange,
+  rewriteHistory,
+  undoReword,
+} from "../src/reword.js";
+
+// Commands that can print their result as JSON
+const JSON_COMMANDS = [
+  "push",
+  "pull",
+  "commit-msg",
+  "split",
+  "review",
+  "pr-description",
+  "changelog",
+  "reword",
+  "config get",
+  "config list",
+];
+
+// Output modes from the global --json and --quiet options, the running
+// command and what it did so far for the --json result
+const output = {
+  json: false,
+  quiet: false,
+  command: null,
+  result: {},
+  spinner: null,
 };
 
-const DEFAULT_MODEL = "llama-3.3-70b-versatile";
+// Progress, hints and results for people; --quiet and --json silence them.
+// Errors go through fail() and are always shown.
+function log(...args) {
+  if (!output.quiet && !output.json) {
+    console.log(...args);
+  }
+}
 
-function getConfigPath() {
-  // Try to find git root directory first
-  try {
-    const gitRoot = execSync("git rev-parse --show-toplevel", {
-      encoding: "utf8",
-      stdio: "pipe",
-    }).trim();
-    return resolve(gitRoot, ".git-helper-config.json");
-  } catch {
-    // Fallback to current working directory if not in git repo
-    return resolve(process.cwd(), ".git-helper-config.json");
+// Results a command exists to print, e.g. a setting's value; --quiet keeps
+// them
+function print(...args) {
+  if (!output.json) {
+    console.log(...args);
+  }
+}
+
+// Progress on stderr, for commands whose stdout is piped; --quiet silences
+// it
+function info(...args) {
+  if (!output.quiet) {
+    console.error(...args);
   }
 }
 
-const CONFIG_FILE = getConfigPath();
+// Spinners are silent with --quiet and --json
+function startSpinner(text) {
+  output.spinner = ora({ text, isSilent: output.quiet || output.json });
+  return output.spinner.start();
+}
 
-function loadConfig() {
-  try {
-    if (existsSync(CONFIG_FILE)) {
-      return JSON.parse(readFileSync(CONFIG_FILE, "utf8"));
+// Add `fields` to the --json result
+function report(fields) {
+  Object.assign(output.result, fields);
+}
+
+function printResult(error = null) {
+  console.log(formatResult(output.command, output.result, error));
+}
+
+// End the command with an error: the message on stderr (with `hints` below
+// it unless --quiet is given), or the --json result with the error. The exit
+// code is the one of `category`, see src/output.js.
+function fail(message, category = "error", hints = []) {
+  if (output.spinner?.isSpinning) {
+    output.spinner.stop();
+  }
+  if (output.json) {
+    printResult({ category, message });
+  } else {
+    console.error(chalk.red(`❌ ${message}`));
+    if (!output.quiet) {
+      hints.forEach((hint) => console.error(hint));
     }
-  } catch (error) {
-    log(
-      chalk.yellow(`⚠️  Warning: Could not load config file: ${error.message}`)
-    );
   }
-  return {};
+  process.exit(exitCode(category));
+}
+
+// Configuration management: see src/config.js for the layers and their order
+
+// Settings given with `-c key=value` before the command
+let configOverrides = {};
+let config;
+const reportedSettings = new Set();
+
+function getConfig() {
+  if (!config) {
+    config = loadConfig({
+      overrides: configOverrides,
+      secretStore: getCredentialStore,
+    });
+    Object.values(config.files)
+      .filter((file) => file.error)
+      .forEach((file) =>
+        console.error(
+          chalk.yellow(
+            `⚠️  Warning: Could not load config file ${file.path}: ${file.error}`
+          )
+        )
+      );
+  }
+  return config;
+}
+
+let credentialStore;
+
+// Where API keys are saved; null keeps them in the config files
+function getCredentialStore() {
+  if (credentialStore === undefined) {
+    credentialStore = openCredentialStore({
+      name: getSetting("credentials.store"),
+      helper: getSetting("credentials.helper"),
+      passphrase: (isNew) =>
+        process.env[PASSPHRASE_ENV] || askPassphrase(isNew),
+    });
+  }
+  return credentialStore;
+}
+
+function askPassphrase(isNew) {
+  const prompt = `Passphrase for ${CREDENTIALS_FILE}: `;
+  const passphrase = readPassphrase(isNew ? `New p${prompt.slice(1)}` : prompt);
+  if (isNew && readPassphrase("Repeat the passphrase: ") !== passphrase) {
+    throw new Error("The passphrases do not match");
+  }
+  return passphrase;
+}
+
+// How the credential store is named in messages
+function describeStore(store) {
+  if (store.name === "file") return `encrypted file ${store.path}`;
+  if (store.name === "helper") {
+    return `credential helper "${getSetting("credentials.helper")}"`;
+  }
+  return "keychain";
+}
+
+// The effective value of a setting. Invalid values are skipped with a
+// warning, once per run.
+function getSetting(key) {
+  const { value, rejected } = getConfig().resolve(key);
+  rejected.forEach(({ source, message }) => {
+    if (!reportedSettings.has(`${key} ${source}`)) {
+      reportedSettings.add(`${key} ${source}`);
+      console.error(
+        chalk.yellow(`⚠️  Warning: Ignoring ${key} from ${source}: ${message}`)
+      );
+    }
+  });
+  return value;
 }
 
-function saveConfig(config) {
+// Change the project or global config file. Returns the path written.
+function updateConfigFile(global, update) {
+  const path = global ? globalConfigPath() : projectConfigPath();
   try {
-    writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    const { data, error } = readConfigFile(path);
+    if (error) {
+      throw new Error(`${path} is not valid JSON (${error})`);
+    }
+    writeConfigFile(path, update(data));
+  } catch (error) {
+    fail(`Failed to save config: ${error.message}`);
+  }
+  if (!global) {
     // Add to .gitignore if we're in a git repo
     addToGitignore();
-    return true;
-  } catch (error) {
-    log(chalk.red(`❌ Failed to save config: ${error.message}`));
-    return false;
   }
+  config = null;
+  return path;
 }
 
 function addToGitignore() {
   try {
-    const gitignorePath = resolve(process.cwd(), ".gitignore");
-    const configFileName = ".git-helper-config.json";
+    const gitignorePath = resolve(dirname(projectConfigPath()), ".gitignore");
+    const configFileName = PROJECT_CONFIG_FILE;
 
     let gitignoreContent = "";
     if (existsSync(gitignorePath)) {
@@ -162,728 +356,2652 @@ function addToGitignore() {
   }
 }
 
-function getGroqApiKey() {
-  // Priority order: environment variable -> config file -> global config -> prompt user
-  if (process.env.GROQ_API_KEY) {
-    return process.env.GROQ_API_KEY;
+function getProviderName() {
+  return getSetting("provider");
+}
+
+function getBaseUrl(providerName = getProviderName()) {
+  return getSetting(`providers.${providerName}.baseUrl`) || null;
+}
+
+let secretOptions;
+
+function getSecretSettings() {
+  if (!secretOptions) {
+    secretOptions = secretSettings(getSetting);
+    secretOptions.warnings.forEach((warning) =>
+      console.error(chalk.yellow(`⚠️  ${warning}`))
+    );
   }
+  return secretOptions;
+}
+
+// Everything needed to talk to the active provider
+function getProviderSettings(providerName = getProviderName()) {
+  return providerSettings(getSetting, providerName, getSecretSettings());
+}
+
+// Severity from which review findings block a push
+function getReviewFailOn() {
+  return getSetting("reviewFailOn");
+}
 
-  // Try project-specific config first
-  const config = loadConfig();
-  if (config.groqApiKey) {
-    return config.groqApiKey;
+function hasRequiredApiKey(settings) {
+  return !getProvider(settings.provider).requiresApiKey || !!settings.apiKey;
+}
+
+function requireRepository() {
+  if (!isGitRepository()) {
+    fail("Not a git repository", "repository");
   }
+}
 
-  // Fallback to global config in home directory
-  try {
-    const globalConfigPath = resolve(os.homedir(), ".git-helper-global.json");
-    if (existsSync(globalConfigPath)) {
-      const globalConfig = JSON.parse(readFileSync(globalConfigPath, "utf8"));
-      if (globalConfig.groqApiKey) {
-        return globalConfig.groqApiKey;
-      }
-    }
-  } catch {
-    // Ignore global config errors
+// Fail unless the provider of `settings` has the API key it needs
+function requireApiKey(
+  settings,
+  hints = [
+    chalk.yellow("Set it using: git-helper config --set-key YOUR_API_KEY"),
+  ]
+) {
+  if (!hasRequiredApiKey(settings)) {
+    fail(
+      `${getProvider(settings.provider).label} API key not found!`,
+      "provider",
+      hints
+    );
   }
+}
 
-  return null;
+// Utility functions
+function hasChangesToCommit() {
+  // Check for any changes (staged, unstaged, or untracked)
+  return Boolean(tryGit(["status", "--porcelain"]));
 }
 
-function getSelectedModel() {
-  const config = loadConfig();
-  if (config.model && AVAILABLE_MODELS[config.model]) {
-    return {
-      model: config.model,
-      tokenLimit: AVAILABLE_MODELS[config.model].tokenLimit,
-    };
+function formatFileList(paths, max = 10) {
+  const shown = paths.slice(0, max).join(", ");
+  return paths.length > max ? `${shown} and ${paths.length - max} more` : shown;
+}
+
+// Stop because of possible secrets in changes about to be committed, and
+// tell how to let them through when they are not secrets
+function failWithSecrets(secrets, hints = []) {
+  report({
+    secrets: secrets.map(({ file, line, description }) => ({
+      file,
+      line,
+      description,
+    })),
+  });
+  fail(
+    `Found ${secrets.length} possible secret${
+      secrets.length === 1 ? "" : "s"
+    } in the changes:`,
+    "blocked",
+    [
+      ...secrets.map((secret) =>
+        chalk.gray(
+          `   ${secret.file}:${secret.line}  ${secret.description} (${
+            secret.masked || maskSecret(secret.value)
+          })`
+        )
+      ),
+      chalk.yellow("If these are not secrets:"),
+      chalk.gray(`  - add a "${ALLOW_COMMENT}" comment to the line`),
+      chalk.gray('  - git-helper config --allow-secret "<pattern>"'),
+      chalk.gray("  - or run again with --allow-secrets"),
+      ...hints,
+    ]
+  );
+}
+
+// Tell the user which files the AI only saw as a stat line, or not at all,
+// and whether another model or the offline generator wrote the message
+function reportDiffCoverage(result, write = log) {
+  if (result.fallback) {
+    write(chalk.yellow(`⚠️  AI unavailable: ${result.fallback}`));
+    write(
+      chalk.yellow(
+        "⚠️  Message built from the changed files instead, check it before pushing"
+      )
+    );
+  } else if (result.fallbackModel) {
+    write(chalk.gray(`ℹ️  Generated with fallback model ${result.model}`));
+  }
+  if (result.redactedSecrets) {
+    write(
+      chalk.yellow(
+        `🔒 ${result.redactedSecrets} possible secret${
+          result.redactedSecrets === 1 ? " was" : "s were"
+        } redacted before sending the diff to the AI`
+      )
+    );
+  }
+  if (result.chunks > 1) {
+    write(chalk.gray(`ℹ️  Large diff summarized in ${result.chunks} parts`));
+  }
+  if (result.collapsedFiles.length) {
+    write(
+      chalk.gray(
+        `📦 Collapsed to a stat line: ${formatFileList(
+          result.collapsedFiles.map((file) => file.path)
+        )}`
+      )
+    );
   }
+  if (result.truncatedFiles.length) {
+    write(
+      chalk.yellow(
+        `⚠️  Only partly seen by the AI: ${formatFileList(
+          result.truncatedFiles
+        )}`
+      )
+    );
+  }
+  if (result.omittedFiles.length) {
+    write(
+      chalk.yellow(
+        `⚠️  Not seen by the AI (diff too large): ${formatFileList(
+          result.omittedFiles
+        )}`
+      )
+    );
+  }
+}
 
-  // Try global config
-  try {
-    const globalConfigPath = resolve(os.homedir(), ".git-helper-global.json");
-    if (existsSync(globalConfigPath)) {
-      const globalConfig = JSON.parse(readFileSync(globalConfigPath, "utf8"));
-      if (globalConfig.model && AVAILABLE_MODELS[globalConfig.model]) {
-        return {
-          model: globalConfig.model,
-          tokenLimit: AVAILABLE_MODELS[globalConfig.model].tokenLimit,
-        };
-      }
-    }
-  } catch {
-    // Ignore global config errors
+// What the --json result tells about a generated message
+function generationResult(result, settings) {
+  return {
+    message: result.message,
+    provider: result.fallback ? "offline" : settings.provider,
+    model: result.model,
+    usage: result.usage,
+    fallback: result.fallback,
+    fallbackModel: result.fallbackModel,
+    lint: { valid: result.lint.valid, errors: result.lint.errors },
+  };
+}
+
+// What the --json result tells about a split plan: each commit's message and
+// the changes in it
+function splitPlanResult(plan, units) {
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+  return plan.map((group) => ({
+    message: group.message,
+    changes: group.units.map((id) => byId.get(id).stat),
+  }));
+}
+
+// `generate` callback for the review prompt
+function reportLint({ lint }, write = log) {
+  lint.configWarnings.forEach((warning) =>
+    write(chalk.yellow(`⚠️  ${warning}`))
+  );
+  if (!lint.valid) {
+    write(
+      chalk.yellow(
+        `⚠️  Message breaks the commit rules: ${lint.errors
+          .map((error) => error.message)
+          .join("; ")}`
+      )
+    );
+  } else if (lint.retries || lint.repaired) {
+    write(
+      chalk.gray(
+        `ℹ️  Message adjusted to pass ${
+          lint.configPath
+            ? "the project's commitlint rules"
+            : "the commit rules"
+        }`
+      )
+    );
   }
+}
+
+// Problems with a message the user edited during review
+function lintChecker({ lint }) {
+  return (message) =>
+    lintCommitMessage(message, lint.rules).errors.map((error) => error.message);
+}
+
+function messageGenerator(settings, defaults) {
+  return async (generateOptions) =>
+    (
+      await generateAICommitMessage(settings, {
+        ...defaults,
+        ...generateOptions,
+      })
+    ).message;
+}
+
+// Commander collector for repeatable options
+function collect(value, previous) {
+  return previous.concat([value]);
+}
 
+// Generation options shared by push and commit-msg
+function messageOptions(options) {
   return {
-    model: DEFAULT_MODEL,
-    tokenLimit: AVAILABLE_MODELS[DEFAULT_MODEL].tokenLimit,
+    body: options.body,
+    coAuthors: options.coAuthor,
+    learnStyle: getSetting("learnStyle"),
   };
 }
 
-// Utility functions
-function isGitRepository() {
-  try {
-    execSync("git rev-parse --git-dir", { stdio: "ignore" });
-    return true;
-  } catch {
-    return false;
+// The changes commit-msg describes, or null when its options contradict
+// each other
+function sourceFromOptions(options) {
+  const sources = [
+    options.staged && { type: "staged" },
+    (options.worktree || options.untracked) && {
+      type: "worktree",
+      untracked: Boolean(options.untracked),
+    },
+    options.commit && { type: "commit", rev: options.commit },
+    options.amend && { type: "commit", rev: "HEAD" },
+    options.range && { type: "range", rev: options.range },
+  ].filter(Boolean);
+  return sources.length > 1 ? null : sources[0] || { type: "auto" };
+}
+
+// Commands that use a message generated for `source`
+function usageHints(source, message, options) {
+  const quoted = JSON.stringify(message);
+  if (source.type === "commit") {
+    const sha = tryGit(["rev-parse", "--short", source.rev]);
+    if (tryGit(["rev-parse", source.rev]) === tryGit(["rev-parse", "HEAD"])) {
+      return [
+        options.body ? "git commit --amend" : `git commit --amend -m ${quoted}`,
+      ];
+    }
+    return [`git rebase -i ${sha}^   # mark ${sha} as "reword"`];
   }
+  if (source.type === "range") {
+    const { from, to } = parseRange(source.rev);
+    return to === "HEAD"
+      ? [
+          `git reset --soft ${from} && git commit${
+            options.body ? "" : ` -m ${quoted}`
+          }   # squash the range into one commit`,
+        ]
+      : [];
+  }
+  if (options.body) {
+    return ["git-helper push --ai --body"];
+  }
+  return [`git-helper push ${quoted}`, "or", "git-helper push --ai"];
 }
 
-function hasChangesToCommit() {
-  try {
-    // Check for any changes (staged, unstaged, or untracked)
-    const result = execSync("git status --porcelain", { encoding: "utf8" });
-    return result.trim().length > 0;
-  } catch {
-    return false;
+function parseCandidates(value) {
+  const count = Number.parseInt(value, 10);
+  return count > 0 ? count : 3;
+}
+
+// Prompts need a terminal, and would end up in the --json result
+function canAsk() {
+  return canPrompt() && !output.json;
+}
+
+// The files push stages when no paths are given: the ones picked
+// interactively, or none when changes are already staged. Returns them as
+// pathspecs for push().
+async function pickFilesToStage(options) {
+  if (!options.interactive && hasStagedChanges()) {
+    return [];
+  }
+  if (!canAsk()) {
+    fail("Nothing staged to commit", "no_changes", [
+      chalk.gray("  Stage files first with: git add <files>"),
+      chalk.gray('  or pass paths: git-helper push "message" src/'),
+      chalk.gray("  or stage everything: git-helper push --all"),
+    ]);
+  }
+  const picked = await pickFiles(getStatus(getRepoRoot()), { write: print });
+  if (!picked) {
+    fail("Commit aborted", "aborted");
+  }
+  return picked
+    .filter((entry) => entry.unstaged)
+    .map((entry) => `:(top,literal)${entry.path}`);
+}
+
+// Once push staged the changes: tell what was staged despite looking unsafe
+// and what was left out, then review them with --review. Failing here stops
+// the push before a message is generated.
+async function checkStagedChanges({ risky }, options) {
+  if (risky.length) {
+    log(
+      chalk.yellow(
+        `⚠️  Staging anyway (--force-stage): ${formatFileList(
+          risky.map((file) => file.path)
+        )}`
+      )
+    );
+  }
+  if (options.dryRun) {
+    return;
+  }
+  const leftOut = getUnstagedFiles().length;
+  if (leftOut) {
+    log(
+      chalk.gray(
+        `ℹ️  ${leftOut} changed file${
+          leftOut === 1 ? " is" : "s are"
+        } not part of this commit (use --all to include ${
+          leftOut === 1 ? "it" : "them"
+        })`
+      )
+    );
+  }
+
+  if (options.review) {
+    const failOn = getReviewFailOn();
+    const { findings, blocking } = await reviewStagedChanges({ failOn });
+    printFindings(findings, { blocking, write: log });
+    report({ findings });
+    if (blocking.length) {
+      fail(
+        `${blocking.length} finding${
+          blocking.length === 1 ? "" : "s"
+        } of severity ${failOn} or higher, push aborted`,
+        "blocked",
+        [
+          chalk.yellow("⚠️  Changes stay staged, fix them and push again"),
+          chalk.gray(
+            "  or change the threshold: git-helper config --set-review-fail-on <severity>"
+          ),
+        ]
+      );
+    }
+  }
+}
+
+// End push with what stopped it and how to go on from there
+function failPush(error, options) {
+  if (error.commit) {
+    report({ commit: error.commit, files: error.files });
+  }
+  if (error.push) {
+    reportPushChecks(error.push, output.spinner);
+    report({ push: error.push, conflicts: error.conflicts });
+    fail(
+      error.message,
+      errorCategory(error),
+      pushHints(error, error.push.remote, error.push.remoteBranch, options)
+    );
+  }
+  if (error.risky) {
+    fail(
+      `Refusing to stage files that look unsafe to commit: ${formatFileList(
+        error.risky.map((file) => `${file.path} (${file.reason})`)
+      )}`,
+      "blocked",
+      [
+        chalk.yellow(
+          "💡 Add them to .gitignore, or use --force-stage to stage them anyway"
+        ),
+      ]
+    );
+  }
+  if (error.secrets) {
+    failWithSecrets(error.secrets, [
+      chalk.yellow(
+        error.unstaged.length
+          ? `⚠️  Commit aborted, ${formatFileList(
+              error.unstaged
+            )} left unstaged`
+          : "⚠️  Commit aborted, changes stay staged"
+      ),
+    ]);
+  }
+  if (error.reason === "generate") {
+    fail(
+      `Failed to generate AI message: ${error.message}`,
+      errorCategory(error),
+      [chalk.yellow("Please provide a manual commit message")]
+    );
+  }
+  fail(error.message, errorCategory(error), targetHints(error.reason));
+}
+
+// What pushing found out on the way: a failed fetch, how far the branch is
+// from the remote one and what was done about it
+function reportPushChecks(pushed, spinner) {
+  const remoteName = `${pushed.remote}/${pushed.remoteBranch}`;
+  if (pushed.fetchError) {
+    spinner.warn(
+      chalk.yellow(`⚠️  Could not fetch ${pushed.remote}: ${pushed.fetchError}`)
+    );
+  }
+  if (pushed.ahead !== null) {
+    spinner.info(
+      chalk.gray(`${pushed.ahead} ahead, ${pushed.behind} behind ${remoteName}`)
+    );
+  }
+  if (pushed.overwritten) {
+    log(
+      chalk.yellow(
+        `⚠️  Overwriting ${pushed.overwritten} commit${
+          pushed.overwritten === 1 ? "" : "s"
+        } on ${remoteName}`
+      )
+    );
+  }
+  if (pushed.integrated) {
+    log(
+      chalk.green(
+        pushed.integrated === "rebase"
+          ? `✔ Rebased onto ${remoteName}`
+          : `✔ Merged ${remoteName}`
+      )
+    );
+  }
+}
+
+function pushHints(error, remote, branch, options) {
+  if (error.conflicts) {
+    const rebase = error.strategy === "rebase";
+    return [
+      ...error.conflicts.map((path) => chalk.gray(`   ${path}`)),
+      chalk.yellow("Resolve them, git add the files, then run:"),
+      chalk.gray(
+        rebase
+          ? "  git rebase --continue && git push"
+          : "  git commit --no-edit && git push"
+      ),
+      chalk.gray(
+        `  or give up with: git ${rebase ? "rebase" : "merge"} --abort`
+      ),
+    ];
+  }
+  if (error.reason === "behind") {
+    return [
+      chalk.yellow("Your commit is saved locally. Bring them in with:"),
+      chalk.gray(`  git pull --rebase ${remote} ${branch} && git push`),
+      chalk.gray("  or pass --rebase or --merge to push next time"),
+    ];
+  }
+  if (error.reason === "rejected") {
+    return [
+      chalk.yellow("Your commit is saved locally. Fetch and try again:"),
+      chalk.gray(`  git pull --rebase ${remote} ${branch} && git push`),
+    ];
   }
+  return [];
 }
 
-function sanitizeCommitMessage(message) {
-  // Escape double quotes and prevent command injection
-  return message
-    .replace(/"/g, '\\"')
-    .replace(/`/g, "\\`")
-    .replace(/\$/g, "\\$");
+// Hints for the reasons resolvePushTarget() refuses a branch or remote
+function targetHints(reason) {
+  switch (reason) {
+    case "detached":
+      return [chalk.yellow("Pass the branch to push with --branch <name>")];
+    case "protected":
+      return [
+        chalk.yellow("Create a branch for your changes:"),
+        chalk.gray("  git switch -c <new-branch>"),
+      ];
+    case "unknown-remote":
+      return [chalk.yellow("Add it with: git remote add <name> <url>")];
+    default:
+      return [];
+  }
 }
 
-function executeCommand(command, errorMessage) {
+// Review the staged changes. Resolves to { findings, blocking }; exits when
+// the review cannot run.
+async function reviewStagedChanges({ failOn, hint }, write = log) {
+  const settings = getProviderSettings();
+  requireApiKey(settings);
+
+  const diff = getStagedDiff();
+  if (!diff.trim()) {
+    write(chalk.yellow("⚠️  Nothing staged to review"));
+    return { findings: [], blocking: [] };
+  }
+
+  const spinner = startSpinner("Reviewing changes...");
+  let result;
   try {
-    execSync(command, { stdio: "pipe" });
-    return { success: true };
+    result = await reviewChanges(settings, diff, {
+      hint,
+      onProgress: (text) => (spinner.text = text),
+    });
+    spinner.stop();
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      stderr: error.stderr?.toString() || "",
-    };
+    fail(`Failed to review changes: ${error.message}`, errorCategory(error));
+  }
+
+  const { prepared } = result;
+  if (prepared.collapsed.length) {
+    write(
+      chalk.gray(
+        `📦 Not reviewed (lockfile, generated or binary): ${formatFileList(
+          prepared.collapsed.map((file) => file.path)
+        )}`
+      )
+    );
+  }
+  if (prepared.truncated.length || prepared.omitted.length) {
+    write(
+      chalk.yellow(
+        `⚠️  Diff too large, not fully reviewed: ${formatFileList([
+          ...prepared.truncated,
+          ...prepared.omitted,
+        ])}`
+      )
+    );
   }
+
+  return {
+    findings: result.findings,
+    blocking: blockingFindings(result.findings, failOn),
+  };
 }
 
-// Define the CLI
-program
-  .name("git-helper")
-  .description(
-    "A CLI tool to simplify Git operations with AI-powered commit messages"
-  )
-  .version("1.0.0");
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
 
-// Command: Configure API key
-program
-  .command("config")
-  .description("Configure git-helper settings")
-  .option("--set-key <key>", "Set Groq API key for this project")
-  .option("--set-global-key <key>", "Set Groq API key globally")
-  .option("--set-model <model>", "Set AI model for this project")
-  .option("--set-global-model <model>", "Set AI model globally")
-  .option("--list-models", "List all available free AI models")
-  .option("--show", "Show current configuration")
-  .option("--reset", "Reset project configuration")
-  .option("--reset-global", "Reset global configuration")
-  .action((options) => {
-    if (options.listModels) {
-      log(chalk.cyan("🤖 Available Free AI Models:"));
-      log("");
-      Object.entries(AVAILABLE_MODELS).forEach(([model, { description }]) => {
-        const isDefault = model === DEFAULT_MODEL;
-        const prefix = isDefault ? chalk.green("⭐") : "  ";
-        log(`${prefix} ${chalk.yellow(model)}`);
-        log(`     ${chalk.gray(description)}`);
-        log("");
-      });
-      log(
-        chalk.gray("💡 Tip: Use --set-model <model-name> to change the model")
-      );
+// Conflicted files with what each side contributes, e.g. before resolving
+function printConflictSummary(files, sides) {
+  const root = getRepoRoot();
+  log(
+    chalk.yellow(
+      `⚠️  Conflicts in ${files.length} file${
+        files.length === 1 ? "" : "s"
+      } (ours = ${sides.ours}, theirs = ${sides.theirs}):`
+    )
+  );
+  files.forEach((path) => {
+    const full = resolve(root, path);
+    const hunks = existsSync(full)
+      ? getHunks(parseConflicts(readFileSync(full, "utf8")))
+      : [];
+    if (!hunks.length) {
+      log(chalk.gray(`   ${path}: no conflict markers, resolve it by hand`));
       return;
     }
+    const { ours, theirs } = summarizeHunks(hunks);
+    log(
+      chalk.gray(
+        `   ${path}: ${hunks.length} conflict${
+          hunks.length === 1 ? "" : "s"
+        } (lines: ours ${ours}, theirs ${theirs})`
+      )
+    );
+  });
+}
 
-    if (options.setModel) {
-      if (!AVAILABLE_MODELS[options.setModel]) {
-        log(chalk.red(`❌ Invalid model: ${options.setModel}`));
-        log(chalk.yellow("Use --list-models to see available options"));
-        return;
-      }
-      const config = loadConfig();
-      config.model = options.setModel;
-      if (saveConfig(config)) {
-        log(chalk.green("✅ AI model updated for this project!"));
-        log(chalk.gray(`Model: ${options.setModel}`));
-        log(chalk.gray(`Description: ${AVAILABLE_MODELS[options.setModel]}`));
-      }
-    } else if (options.setGlobalModel) {
-      if (!AVAILABLE_MODELS[options.setGlobalModel]) {
-        log(chalk.red(`❌ Invalid model: ${options.setGlobalModel}`));
-        log(chalk.yellow("Use --list-models to see available options"));
-        return;
-      }
-      try {
-        const globalConfigPath = resolve(
-          require("os").homedir(),
-          ".git-helper-global.json"
-        );
-        const globalConfig = existsSync(globalConfigPath)
-          ? JSON.parse(readFileSync(globalConfigPath, "utf8"))
-          : {};
-        globalConfig.model = options.setGlobalModel;
-        writeFileSync(globalConfigPath, JSON.stringify(globalConfig, null, 2));
-        log(chalk.green("✅ AI model updated globally!"));
-        log(chalk.gray(`Model: ${options.setGlobalModel}`));
-        log(
-          chalk.gray(`Description: ${AVAILABLE_MODELS[options.setGlobalModel]}`)
-        );
-      } catch (error) {
-        log(chalk.red(`❌ Failed to save global model: ${error.message}`));
-      }
-    } else if (options.setKey) {
-      const config = loadConfig();
-      config.groqApiKey = options.setKey;
-      if (saveConfig(config)) {
-        log(chalk.green("✅ Groq API key saved for this project!"));
-        log(chalk.gray(`Config saved to: ${CONFIG_FILE}`));
-      }
-    } else if (options.setGlobalKey) {
-      try {
-        const globalConfigPath = resolve(
-          os.homedir(),
-          ".git-helper-global.json"
-        );
-
-        const globalConfig = existsSync(globalConfigPath)
-          ? JSON.parse(readFileSync(globalConfigPath, "utf8"))
-          : {};
-        globalConfig.groqApiKey = options.setGlobalKey;
-        writeFileSync(globalConfigPath, JSON.stringify(globalConfig, null, 2));
-        log(chalk.green("✅ Groq API key saved globally!"));
-        log(chalk.gray(`Global config: ${globalConfigPath}`));
-      } catch (error) {
-        log(chalk.red(`❌ Failed to save global config: ${error.message}`));
-      }
-    } else if (options.show) {
-      const config = loadConfig();
-      const currentKey = getGroqApiKey();
-      const currentModel = getSelectedModel();
-
-      log(chalk.cyan("📋 Current Configuration:"));
-      log("");
+function conflictedMessage(files) {
+  return `${files.length} file${
+    files.length === 1 ? "" : "s"
+  } still conflicted: ${formatFileList(files)}`;
+}
 
-      // Project settings
-      log(chalk.yellow("🏠 Project Settings:"));
-      log(chalk.gray(`   Config file: ${CONFIG_FILE}`));
+// Walk the user through the conflicts of a merge or rebase and continue it
+// once everything is resolved. A rebase can stop again on a later commit.
+async function resolveAndContinue(state, options) {
+  report({ state });
+  const sides = conflictSides(state);
+  const root = getRepoRoot();
+  let settings = null;
+  if (options.ai) {
+    settings = getProviderSettings();
+    if (!hasRequiredApiKey(settings)) {
       log(
-        chalk.gray(
-          `   API key: ${
-            config.groqApiKey ? "***" + config.groqApiKey.slice(-4) : "Not set"
-          }`
+        chalk.yellow(
+          `⚠️  ${
+            getProvider(settings.provider).label
+          } API key not found, continuing without AI`
         )
       );
-      log(chalk.gray(`   Model: ${config.model || "Not set"}`));
-      log("");
+      settings = null;
+    }
+  }
 
-      // Global settings
-      log(chalk.yellow("🌐 Global Settings:"));
-      try {
-        const globalConfigPath = resolve(
-          require("os").homedir(),
-          ".git-helper-global.json"
-        );
-        const globalConfig = existsSync(globalConfigPath)
-          ? JSON.parse(readFileSync(globalConfigPath, "utf8"))
-          : {};
-        log(
-          chalk.gray(
-            `   API key: ${
-              globalConfig.groqApiKey
-                ? "***" + globalConfig.groqApiKey.slice(-4)
-                : "Not set"
-            }`
-          )
-        );
-        log(chalk.gray(`   Model: ${globalConfig.model || "Not set"}`));
-      } catch {
-        log(chalk.gray(`   API key: Not set`));
-        log(chalk.gray(`   Model: Not set`));
+  for (;;) {
+    const files = getConflictedFiles();
+    if (files.length) {
+      printConflictSummary(files, sides);
+    }
+    if (files.length && !canAsk()) {
+      report({ conflicts: files });
+      fail(conflictedMessage(files), "conflict", [
+        chalk.yellow("Resolve them, git add the files, then run:"),
+        chalk.gray("  git-helper pull --continue"),
+      ]);
+    }
+
+    for (const path of files) {
+      const full = resolve(root, path);
+      const segments = existsSync(full)
+        ? parseConflicts(readFileSync(full, "utf8"))
+        : [];
+      const hunks = getHunks(segments);
+      if (!hunks.length) {
+        continue;
       }
-      log("");
 
-      // Environment & active settings
-      log(chalk.yellow("🔧 Environment & Currently Active:"));
-      log(
-        chalk.gray(
-          `   Environment API key: ${
-            process.env.GROQ_API_KEY ? "Set" : "Not set"
-          }`
-        )
-      );
-      log(
-        chalk.green(
-          `   ✅ Using API key: ${
-            currentKey ? "***" + currentKey.slice(-4) : "None"
-          }`
-        )
-      );
-      log(chalk.green(`   ✅ Using model: ${currentModel.model}`));
-      log(
-        chalk.gray(
-          `   Model description: ${AVAILABLE_MODELS[currentModel.model]}`
-        )
-      );
-    } else if (options.reset) {
-      if (existsSync(CONFIG_FILE)) {
+      let advice = [];
+      if (settings) {
+        const spinner = startSpinner(`Explaining conflicts in ${path}...`);
         try {
-          writeFileSync(CONFIG_FILE, "{}");
-          log(chalk.green("✅ Project configuration reset!"));
+          ({ advice } = await explainConflicts(settings, path, segments, {
+            sides,
+          }));
+          spinner.stop();
         } catch (error) {
-          log(chalk.red(`❌ Failed to reset config: ${error.message}`));
+          spinner.warn(
+            chalk.yellow(`Could not explain conflicts: ${error.message}`)
+          );
         }
+      }
+
+      const resolutions = await resolveConflictHunks(path, hunks, {
+        sides,
+        advice,
+        write: print,
+      });
+      if (!resolutions) {
+        fail("Stopped resolving conflicts", "aborted", [
+          chalk.yellow("Continue later with:"),
+          chalk.gray("  git-helper pull --continue"),
+        ]);
+      }
+      writeFileSync(full, applyResolutions(segments, resolutions));
+      if (resolutions.every(Boolean)) {
+        markResolved(path);
+        log(chalk.green(`✅ ${path} resolved`));
       } else {
-        log(chalk.yellow("⚠️  No project configuration file found"));
+        log(chalk.yellow(`⚠️  ${path} still has conflicts`));
       }
-    } else if (options.resetGlobal) {
-      try {
-        const globalConfigPath = resolve(
-          require("os").homedir(),
-          ".git-helper-global.json"
+    }
+
+    const remaining = getConflictedFiles();
+    if (remaining.length) {
+      report({ conflicts: remaining });
+      fail(conflictedMessage(remaining), "conflict", [
+        chalk.yellow("Resolve them, git add the files, then run:"),
+        chalk.gray("  git-helper pull --continue"),
+      ]);
+    }
+
+    const spinner = startSpinner(`Continuing the ${state}...`);
+    const result = continueOperation(state);
+    if (result.ok && !getConflictState()) {
+      report({ conflicts: [], continued: true });
+      spinner.succeed(chalk.green(`✅ ${capitalize(state)} complete`));
+      return;
+    }
+    if (!getConflictedFiles().length) {
+      fail(
+        `Failed to continue the ${state}: ${
+          result.stderr.trim() || result.stdout.trim()
+        }`,
+        "git"
+      );
+    }
+    spinner.warn(chalk.yellow("The next commit has conflicts too"));
+  }
+}
+
+// Define the CLI
+program
+  .name("git-helper")
+  .description(
+    "A CLI tool to simplify Git operations with AI-powered commit messages"
+  )
+  .version("1.0.0")
+  .option(
+    "-c, --config <key=value>",
+    "Override a setting for this run, e.g. -c provider=offline (repeatable)",
+    (pair, pairs) => [...pairs, pair],
+    []
+  )
+  .enablePositionalOptions()
+  .exitOverride()
+  .hook("preAction", (_, command) => {
+    // The output options go before or after the command name
+    const options = [program.opts(), command.opts()];
+    output.json = options.some((opts) => opts.json);
+    output.quiet = options.some((opts) => opts.quiet);
+    if (options.some((opts) => opts.color === false) || process.env.NO_COLOR) {
+      chalk.level = 0;
+    }
+    output.command = commandName(command);
+
+    if (output.json && !JSON_COMMANDS.includes(output.command)) {
+      output.json = false;
+      fail(`--json is not supported by ${output.command}`, "usage", [
+        chalk.gray(`  Commands with JSON output: ${JSON_COMMANDS.join(", ")}`),
+      ]);
+    }
+    try {
+      configOverrides = parseOverrides(program.opts().config);
+    } catch (error) {
+      fail(error.message, "usage");
+    }
+  });
+addOutputOptions(program);
+
+// A command's name with the names of its parents, e.g. "config list"
+function commandName(command) {
+  return command.parent === program
+    ? command.name()
+    : `${commandName(command.parent)} ${command.name()}`;
+}
+
+// The global output options, also accepted after a command's name; --json
+// only after the commands in JSON_COMMANDS
+function addOutputOptions(command, json = true) {
+  if (json) {
+    command.option(
+      "--json",
+      command === program
+        ? `Print the result as JSON (${JSON_COMMANDS.join(", ")})`
+        : "Print the result as JSON"
+    );
+  }
+  return command
+    .option("-q, --quiet", "Only print results and errors")
+    .option("--no-color", "Print without colors");
+}
+
+// A setting's value in the --json result; API keys are masked
+function jsonSetting(key, value) {
+  return findSetting(key)?.setting.secret ? formatSetting(key, value) : value;
+}
+
+// A setting's value as shown to the user; API keys are masked
+function formatSetting(key, value) {
+  if (value === undefined || value === null || value === "") {
+    return "Not set";
+  }
+  if (findSetting(key)?.setting.secret) {
+    return `***${String(value).slice(-4)}`;
+  }
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item === "string")
+      ? value.join(", ") || "None"
+      : JSON.stringify(value);
+  }
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function reportUnknownSetting(key) {
+  fail(`Unknown setting: ${key}`, "usage", [
+    chalk.yellow(
+      `Settings: ${Object.keys(SETTINGS)
+        .map((name) => name.replace("*", "<provider>"))
+        .join(", ")}`
+    ),
+  ]);
+}
+
+// Save a setting given as text on the command line to the project or global
+// config
+function setSetting(key, text, { global = false, label = key } = {}) {
+  if (!findSetting(key)) {
+    reportUnknownSetting(key);
+  }
+  if (!global && findSetting(key).setting.globalOnly) {
+    fail(`${key} can only be set globally`, "usage", [
+      chalk.gray(`   git-helper config set --global ${key} <value>`),
+    ]);
+  }
+
+  let value;
+  try {
+    value = parseValue(key, text);
+  } catch (error) {
+    fail(error.message, "usage", [
+      ...(key === "provider"
+        ? [chalk.yellow("Use --list-providers to see available options")]
+        : []),
+      ...(key.endsWith(".model")
+        ? [chalk.yellow("Use --list-models to see available options")]
+        : []),
+    ]);
+  }
+
+  if (
+    findSetting(key).setting.secret &&
+    saveSecret(key, value, { global, label })
+  ) {
+    return;
+  }
+
+  const path = updateConfigFile(global, (data) =>
+    setConfigValue(data, key, value)
+  );
+  log(
+    chalk.green(
+      `✅ ${label} updated ${global ? "globally" : "for this project"}!`
+    )
+  );
+  log(chalk.gray(`${key}: ${formatSetting(key, value)}`));
+  log(chalk.gray(`Config saved to: ${path}`));
+  if (!global && findSetting(key).setting.sendsKey) {
+    const refused = getConfig()
+      .resolve(key)
+      .rejected.find(({ source }) => source === "project");
+    if (refused) {
+      info(chalk.yellow(`⚠️  The project value is ${refused.message}`));
+    }
+  }
+}
+
+// The credential store account of an API key setting
+function secretAccount(key, global) {
+  return credentialAccount(
+    findSetting(key).provider,
+    global ? null : dirname(projectConfigPath())
+  );
+}
+
+function removePlaintextSecret(key, global) {
+  const path = global ? globalConfigPath() : projectConfigPath();
+  if (getConfigValue(readConfigFile(path).data, key)) {
+    updateConfigFile(global, (data) => unsetConfigValue(data, key));
+  }
+}
+
+// Save an API key to the credential store instead of the config file.
+// Returns false when keys are kept in the config files.
+function saveSecret(key, value, { global, label }) {
+  let store;
+  try {
+    store = getCredentialStore();
+    if (!store) {
+      if (getSetting("credentials.store") === "auto") {
+        log(
+          chalk.yellow(
+            "⚠️  No keychain found, the key is saved in plain text. To encrypt it:"
+          )
+        );
+        log(
+          chalk.gray("   git-helper config set --global credentials.store file")
+        );
+      }
+      return false;
+    }
+    store.set(secretAccount(key, global), value);
+  } catch (error) {
+    fail(`Failed to save the key: ${error.message}`);
+  }
+  removePlaintextSecret(key, global);
+  log(
+    chalk.green(
+      `✅ ${label} saved to the ${describeStore(store)}${
+        global ? "" : " for this project"
+      }!`
+    )
+  );
+  return true;
+}
+
+// A model missing from the bundled and cached lists may be new: fetch the
+// provider's list before refusing it
+async function refreshModels(key, model) {
+  const found = findSetting(key);
+  if (
+    !key.endsWith(".model") ||
+    !found ||
+    isAvailableModel(found.provider, model)
+  ) {
+    return;
+  }
+  const spinner = startSpinner(
+    `Fetching the ${getProvider(found.provider).label} model list...`
+  );
+  const catalog = await loadModelCatalog(getProviderSettings(found.provider), {
+    refresh: true,
+  });
+  if (catalog.error) {
+    spinner.warn(
+      chalk.yellow(`Could not fetch the model list: ${catalog.error.message}`)
+    );
+  } else {
+    spinner.stop();
+  }
+}
+
+// The catalog known without network: the cached list, else the bundled one
+function getKnownModels(providerName) {
+  const cached = getCachedModels(providerName, {
+    baseUrl: getBaseUrl(providerName),
+  });
+  return {
+    models: buildCatalog(providerName, cached?.models),
+    source: cached ? "cache" : "bundled",
+  };
+}
+
+// Warn when the configured model is deprecated or no longer offered
+function reportModelProblem(providerName, model, catalog, options = {}) {
+  const problem = checkModel(providerName, model, catalog);
+  if (!problem) {
+    return;
+  }
+  log(
+    chalk.yellow(
+      `⚠️  ${model} ${
+        problem.reason === "deprecated"
+          ? "is deprecated"
+          : `is not offered by ${getProvider(providerName).label}`
+      }`
+    )
+  );
+  if (problem.replacement) {
+    log(
+      chalk.gray(
+        `   Switch with: git-helper config${
+          options.provider ? ` -p ${providerName}` : ""
+        } --set-model ${problem.replacement}`
+      )
+    );
+  }
+}
+
+function formatTokenCount(tokens) {
+  return tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : String(tokens);
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.round(minutes / 60)} h`;
+}
+
+// Suggest moving an API key read from a config file to the credential store
+function reportPlaintextKey(source) {
+  if (
+    ["project", "global"].includes(source) &&
+    getSetting("credentials.store") !== "config"
+  ) {
+    log(
+      chalk.yellow(
+        `🔓 The API key is stored in plain text in the ${source} config. Move it with:`
+      )
+    );
+    log(chalk.gray("   git-helper config --migrate-keys"));
+  }
+}
+
+// Command: Configure git-helper
+const configCommand = program
+  .command("config")
+  .description(
+    "Configure git-helper settings (see also config get/set/unset/list)"
+  )
+  .enablePositionalOptions()
+  .option(
+    "-p, --provider <name>",
+    "Provider the key/model/base URL options apply to (default: active provider)"
+  )
+  .option("--set-provider <name>", "Set AI provider for this project")
+  .option("--set-global-provider <name>", "Set AI provider globally")
+  .option("--set-key <key>", "Set provider API key for this project")
+  .option("--set-global-key <key>", "Set provider API key globally")
+  .option("--set-base-url <url>", "Set provider base URL for this project")
+  .option("--set-global-base-url <url>", "Set provider base URL globally")
+  .option("--set-model <model>", "Set AI model for this project")
+  .option("--set-global-model <model>", "Set AI model globally")
+  .option("--set-remote <name>", "Set the remote push uses for this project")
+  .option("--set-global-remote <name>", "Set the remote push uses globally")
+  .option(
+    "--set-protected-branches <list>",
+    'Branches push refuses to push to, e.g. "main,release/*" ("" to clear)'
+  )
+  .option(
+    "--set-global-protected-branches <list>",
+    "Set protected branches globally"
+  )
+  .option(
+    "--set-review-fail-on <severity>",
+    `Severity from which review findings block a push (${SEVERITIES.join(
+      ", "
+    )})`
+  )
+  .option(
+    "--set-global-review-fail-on <severity>",
+    "Set the review severity threshold globally"
+  )
+  .option(
+    "--allow-secret <pattern>",
+    "Never report values matching this pattern as secrets in this project"
+  )
+  .option(
+    "--allow-global-secret <pattern>",
+    "Never report values matching this pattern as secrets"
+  )
+  .option(
+    "--migrate-keys",
+    "Move API keys from the config files to the credential store"
+  )
+  .option(
+    "--check-key",
+    "Check the provider accepts the API key, without printing it"
+  )
+  .option("--list-providers", "List all supported AI providers")
+  .option("--list-models", "List the models the provider offers")
+  .option("--refresh", "Fetch the model list again instead of using the cache")
+  .option("--show", "Show every setting and where its value comes from")
+  .option("--reset", "Reset project configuration")
+  .option("--reset-global", "Reset global configuration")
+  .action(async (options) => {
+    if (options.provider && !PROVIDERS[options.provider]) {
+      fail(`Invalid provider: ${options.provider}`, "usage", [
+        chalk.yellow("Use --list-providers to see available options"),
+      ]);
+    }
+    const providerName = options.provider || getProviderName();
+    const provider = getProvider(providerName);
+
+    if (options.listProviders) {
+      log(chalk.cyan("🔌 Available AI Providers:"));
+      log("");
+      Object.entries(PROVIDERS).forEach(([name, { description }]) => {
+        const isActive = name === getProviderName();
+        const prefix = isActive ? chalk.green("⭐") : "  ";
+        print(`${prefix} ${chalk.yellow(name)}`);
+        print(`     ${chalk.gray(description)}`);
+        log("");
+      });
+      log(
+        chalk.gray("💡 Tip: Use --set-provider <name> to change the provider")
+      );
+      return;
+    }
+
+    if (options.listModels) {
+      const settings = getProviderSettings(providerName);
+      const spinner = startSpinner(
+        `Fetching the ${provider.label} model list...`
+      );
+      const catalog = await loadModelCatalog(settings, {
+        refresh: options.refresh,
+      });
+      spinner.stop();
+
+      log(chalk.cyan(`🤖 Available ${provider.label} Models:`));
+      log("");
+      const entries = Object.entries(catalog.models);
+      entries
+        .filter(([, { deprecated }]) => !deprecated)
+        .forEach(([model, { description, tokenLimit }]) => {
+          const isDefault = model === provider.defaultModel;
+          const prefix = isDefault ? chalk.green("⭐") : "  ";
+          print(
+            `${prefix} ${chalk.yellow(model)}${
+              tokenLimit
+                ? chalk.gray(` (${formatTokenCount(tokenLimit)} context)`)
+                : ""
+            }${model === settings.model ? chalk.green(" ← in use") : ""}`
+          );
+          if (description) {
+            print(`     ${chalk.gray(description)}`);
+          }
+          log("");
+        });
+      const deprecated = entries
+        .filter(([, entry]) => entry.deprecated)
+        .map(([model]) => model);
+      if (deprecated.length) {
+        log(chalk.gray(`🗄️  Deprecated: ${deprecated.join(", ")}`));
+        log("");
+      }
+
+      if (catalog.error) {
+        log(
+          chalk.yellow(
+            `⚠️  Could not fetch the model list (${catalog.error.message}), showing the ${catalog.source} list`
+          )
+        );
+      } else if (catalog.source === "live") {
+        log(chalk.gray(`📡 Fetched from ${settings.baseUrl}`));
+      } else if (catalog.source === "cache") {
+        log(
+          chalk.gray(
+            `📦 Cached ${formatAge(
+              Date.now() - catalog.fetchedAt
+            )} ago, use --refresh to fetch it again`
+          )
+        );
+      }
+      reportModelProblem(providerName, settings.model, catalog, options);
+      if (provider.customModels) {
+        log(
+          chalk.gray(
+            `💡 Any model served by your ${provider.label} endpoint can be used`
+          )
+        );
+      }
+      log(
+        chalk.gray("💡 Tip: Use --set-model <model-name> to change the model")
+      );
+      return;
+    }
+
+    // --set-<name> and --set-global-<name> options and the settings they change
+    const [change] = [
+      ["Provider", "provider", "AI provider"],
+      ["Key", `providers.${providerName}.apiKey`, `${provider.label} API key`],
+      [
+        "BaseUrl",
+        `providers.${providerName}.baseUrl`,
+        `${provider.label} base URL`,
+      ],
+      ["Model", `providers.${providerName}.model`, "AI model"],
+      ["Remote", "remote", "Push remote"],
+      ["ProtectedBranches", "protectedBranches", "Protected branches"],
+      ["ReviewFailOn", "reviewFailOn", "Review threshold"],
+    ].flatMap(([name, key, label]) =>
+      [false, true]
+        .map((global) => ({
+          key,
+          label,
+          global,
+          text: options[`set${global ? "Global" : ""}${name}`],
+        }))
+        .filter(({ text }) => text !== undefined)
+    );
+
+    if (change) {
+      await refreshModels(change.key, change.text);
+      setSetting(change.key, change.text, change);
+    } else if (options.allowSecret || options.allowGlobalSecret) {
+      const pattern = options.allowSecret || options.allowGlobalSecret;
+      const { warnings } = compileSecretOptions({ allowlist: [pattern] });
+      if (warnings.length) {
+        fail(`Invalid pattern: ${pattern}`, "usage");
+      }
+      const global = !options.allowSecret;
+      updateConfigFile(global, (data) =>
+        setConfigValue(data, "secrets.allowlist", [
+          ...new Set([...(getPath(data, "secrets.allowlist") || []), pattern]),
+        ])
+      );
+      log(
+        chalk.green(
+          `✅ Secret allowlist updated ${
+            global ? "globally" : "for this project"
+          }!`
+        )
+      );
+      log(chalk.gray(`Allowed: ${pattern}`));
+    } else if (options.show) {
+      const { files, resolve: resolveSetting } = getConfig();
+      const keys = settingKeys().filter(
+        (key) =>
+          !key.startsWith("providers.") ||
+          key.startsWith(`providers.${providerName}.`)
+      );
+      const width = Math.max(...keys.map((key) => key.length));
+      const problems = [];
+
+      log(chalk.cyan("📋 Current Configuration:"));
+      log(chalk.gray(`   Project config: ${files.project.path}`));
+      log(chalk.gray(`   Global config: ${files.global.path}`));
+      log(
+        chalk.gray(
+          "   Precedence: -c option > environment > project > global > default"
+        )
+      );
+      log("");
+
+      keys.forEach((key) => {
+        const { value, source, rejected } = resolveSetting(key);
+        print(
+          `   ${chalk.yellow(key.padEnd(width))}  ${formatSetting(key, value)}${
+            source ? chalk.gray(` (${source})`) : ""
+          }`
+        );
+        rejected.forEach((entry) =>
+          problems.push(`${key} from ${entry.source}: ${entry.message}`)
+        );
+      });
+      ["project", "global"].forEach((layer) =>
+        validateConfig(files[layer].data)
+          .filter(({ message }) => message === "unknown setting")
+          .forEach(({ key }) =>
+            problems.push(`${key} in the ${layer} config: unknown setting`)
+          )
+      );
+
+      log("");
+      log(
+        chalk.gray(
+          `   Model description: ${
+            provider.models[
+              resolveSetting(`providers.${providerName}.model`).value
+            ]?.description || "Custom model"
+          }`
+        )
+      );
+      if (problems.length) {
+        log("");
+        log(chalk.yellow("⚠️  Ignored settings:"));
+        problems.forEach((problem) => log(chalk.gray(`   ${problem}`)));
+      }
+      reportModelProblem(
+        providerName,
+        resolveSetting(`providers.${providerName}.model`).value,
+        getKnownModels(providerName),
+        options
+      );
+      reportPlaintextKey(
+        resolveSetting(`providers.${providerName}.apiKey`).source
+      );
+    } else if (options.migrateKeys) {
+      let store;
+      try {
+        store = getCredentialStore();
+      } catch (error) {
+        fail(error.message);
+      }
+      if (!store) {
+        fail("API keys are kept in the config files", "usage", [
+          chalk.yellow(
+            "Choose a credential store first: git-helper config set --global credentials.store keychain|file|helper"
+          ),
+        ]);
+      }
+
+      let moved = 0;
+      for (const global of [false, true]) {
+        const { data } = readConfigFile(
+          global ? globalConfigPath() : projectConfigPath()
+        );
+        const keys = Object.keys(PROVIDERS)
+          .map((name) => `providers.${name}.apiKey`)
+          .filter((key) => getConfigValue(data, key));
+        try {
+          keys.forEach((key) =>
+            store.set(secretAccount(key, global), getConfigValue(data, key))
+          );
+        } catch (error) {
+          fail(`Failed to save the key: ${error.message}`);
+        }
+        if (
+          keys.length &&
+          updateConfigFile(global, (current) =>
+            keys.reduce(unsetConfigValue, current)
+          )
+        ) {
+          moved += keys.length;
+        }
+      }
+      if (moved) {
+        log(
+          chalk.green(
+            `✅ Moved ${moved} API key${
+              moved === 1 ? "" : "s"
+            } to the ${describeStore(store)}`
+          )
+        );
+      } else {
+        log(chalk.gray("No API keys in plain text found"));
+      }
+    } else if (options.checkKey) {
+      if (!provider.usesPrompt) {
+        log(chalk.gray(`${provider.label} needs no API key`));
+        return;
+      }
+      const { source } = getConfig().resolve(
+        `providers.${providerName}.apiKey`
+      );
+      const settings = getProviderSettings(providerName);
+      if (!hasRequiredApiKey(settings)) {
+        fail(`No ${provider.label} API key set`, "provider", [
+          chalk.yellow(
+            "Set one with: git-helper config --set-global-key <key>"
+          ),
+        ]);
+      }
+
+      const spinner = startSpinner(
+        `Checking ${settings.apiKey ? "the API key for " : ""}${
+          settings.baseUrl
+        }...`
+      );
+      try {
+        await checkProvider(settings);
+        spinner.succeed(
+          chalk.green(
+            settings.apiKey
+              ? `✅ ${provider.label} API key works (from ${source})`
+              : `✅ ${provider.label} endpoint works`
+          )
+        );
+      } catch (error) {
+        fail(error.message, errorCategory(error));
+      }
+      reportPlaintextKey(source);
+    } else if (options.reset || options.resetGlobal) {
+      const global = !options.reset;
+      const path = global ? globalConfigPath() : projectConfigPath();
+      if (!existsSync(path)) {
+        log(
+          chalk.yellow(
+            `⚠️  No ${global ? "global" : "project"} configuration file found`
+          )
+        );
+        return;
+      }
+      try {
+        writeConfigFile(path, {});
+        log(
+          chalk.green(
+            `✅ ${global ? "Global" : "Project"} configuration reset!`
+          )
+        );
+      } catch (error) {
+        fail(`Failed to reset config: ${error.message}`);
+      }
+    } else {
+      log(
+        chalk.yellow(
+          "Please specify an option. Use --help for more information."
+        )
+      );
+      log("");
+      log(chalk.cyan("Quick start:"));
+      log(chalk.gray("  1. git-helper config --list-providers"));
+      log(chalk.gray("  2. git-helper config --set-provider <provider-name>"));
+      log(chalk.gray("  3. git-helper config --list-models"));
+      log(chalk.gray("  4. git-helper config --set-model <model-name>"));
+      log(chalk.gray("  5. git-helper config --set-key <your-api-key>"));
+      log(chalk.gray("  6. git-helper config --set-global-key <your-api-key>"));
+      log("");
+      log(chalk.cyan("Any setting:"));
+      log(chalk.gray("  git-helper config list"));
+      log(chalk.gray("  git-helper config get <key>"));
+      log(chalk.gray("  git-helper config set [--global] <key> <value>"));
+      log(chalk.gray("  git-helper config unset [--global] <key>"));
+    }
+  });
+
+configCommand
+  .command("get")
+  .description("Print the effective value of a setting")
+  .argument("<key>", "Setting, e.g. provider or providers.openai.model")
+  .option("--global", "Read the global config only")
+  .action((key, options) => {
+    if (!findSetting(key)) {
+      reportUnknownSetting(key);
+    }
+    let value = options.global
+      ? getConfigValue(readConfigFile(globalConfigPath()).data, key)
+      : getSetting(key);
+    if (options.global && !value && findSetting(key).setting.secret) {
+      try {
+        value = getCredentialStore()?.get(secretAccount(key, true));
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+    // Like `git config --get`, an unset value exits with 1 and prints nothing
+    if (value === undefined || value === null || value === "") {
+      if (output.json) {
+        fail(`${key} is not set`);
+      }
+      process.exit(exitCode("error"));
+    }
+    report({ key, value });
+    print(typeof value === "string" ? value : JSON.stringify(value));
+  });
+
+configCommand
+  .command("set")
+  .description("Save a setting to the project config (lists: a,b or JSON)")
+  .argument("<key>", "Setting, e.g. provider or providers.openai.model")
+  .argument("<value>", "Value")
+  .option("--global", "Save to the global config instead")
+  .action(async (key, value, options) => {
+    await refreshModels(key, value);
+    setSetting(key, value, { global: options.global });
+  });
+
+configCommand
+  .command("unset")
+  .description("Remove a setting from the project config")
+  .argument("<key>", "Setting")
+  .option("--global", "Remove it from the global config instead")
+  .action((key, options) => {
+    const global = Boolean(options.global);
+    const { data } = readConfigFile(
+      global ? globalConfigPath() : projectConfigPath()
+    );
+    let stored = false;
+    if (findSetting(key)?.setting.secret) {
+      try {
+        stored = Boolean(
+          getCredentialStore()?.delete(secretAccount(key, global))
+        );
+      } catch (error) {
+        fail(`Failed to remove the key: ${error.message}`);
+      }
+    }
+    const inFile =
+      getPath(data, key) !== undefined || Boolean(getConfigValue(data, key));
+    if (!inFile && !stored) {
+      fail(
+        `${key} is not set in the ${global ? "global" : "project"} config`,
+        "usage"
+      );
+    }
+    if (
+      !inFile ||
+      updateConfigFile(global, (current) => unsetConfigValue(current, key))
+    ) {
+      log(
+        chalk.green(
+          `✅ ${key} removed ${global ? "globally" : "for this project"}!`
+        )
+      );
+    }
+  });
+
+configCommand
+  .command("list")
+  .description(
+    "List the effective settings and their source, or the content of one file"
+  )
+  .option("--global", "List the settings in the global config")
+  .option("--project", "List the settings in the project config")
+  .action((options) => {
+    if (options.global || options.project) {
+      const { data } = readConfigFile(
+        options.global ? globalConfigPath() : projectConfigPath()
+      );
+      const entries = configEntries(data);
+      report({
+        settings: Object.fromEntries(
+          entries.map(([key, value]) => [key, jsonSetting(key, value)])
+        ),
+      });
+      entries.forEach(([key, value]) =>
+        print(`${key}=${formatSetting(key, value)}`)
+      );
+      return;
+    }
+    const settings = {};
+    settingKeys().forEach((key) => {
+      const { value, source } = getConfig().resolve(key);
+      if (source && source !== "default") {
+        settings[key] = { value: jsonSetting(key, value), source };
+        print(
+          `${key}=${formatSetting(key, value)} ${chalk.gray(`(${source})`)}`
         );
-        if (existsSync(globalConfigPath)) {
-          writeFileSync(globalConfigPath, "{}");
-          log(chalk.green("✅ Global configuration reset!"));
-        } else {
-          log(chalk.yellow("⚠️  No global configuration file found"));
+      }
+    });
+    report({ settings });
+  });
+
+// Command: Commit and Push with optional AI commit message generation
+program
+  .command("push")
+  .description("Stage, commit, and push changes")
+  .argument("[message]", "Commit message (optional if using --ai)")
+  .argument(
+    "[pathspec...]",
+    "Stage only these paths (with --ai every argument is a path)"
+  )
+  .option("-b, --branch <branch>", "Branch name (default: current branch)")
+  .option(
+    "-r, --remote <name>",
+    "Remote to push to (default: upstream, config or origin)"
+  )
+  .option("-a, --all", "Stage all changes, including untracked files")
+  .option("-i, --interactive", "Pick the files to stage")
+  .option(
+    "--force-stage",
+    "Stage files that look like secrets or are very large"
+  )
+  .option("--ai", "Generate commit message using AI based on changes")
+  .option("--body", "Add a body and footers to the AI message")
+  .option(
+    "--co-author <author>",
+    'Add a "Co-authored-by: <author>" footer (with --body, repeatable)',
+    collect,
+    []
+  )
+  .option("-y, --yes", "Use the AI message without reviewing it")
+  .option(
+    "--candidates <n>",
+    "Number of alternatives offered when reviewing the AI message",
+    "3"
+  )
+  .option("--rebase", "Rebase onto the remote branch when it has new commits")
+  .option("--merge", "Merge the remote branch when it has new commits")
+  .option(
+    "--force-with-lease",
+    "Overwrite the remote branch unless it changed since the last fetch"
+  )
+  .option(
+    "--allow-secrets",
+    "Commit even if the changes look like they contain secrets"
+  )
+  .option(
+    "--review",
+    "Review the staged changes first and stop on serious findings"
+  )
+  .option("--dry-run", "Show what would be done without executing")
+  .action(async (message, pathspecs, options) => {
+    // Validation
+    requireRepository();
+
+    if (!hasChangesToCommit()) {
+      fail("No changes to commit", "no_changes");
+    }
+
+    if (options.rebase && options.merge) {
+      fail("Use either --rebase or --merge", "usage");
+    }
+
+    // The AI writes the message, so every argument names a path
+    if (options.ai && message) {
+      pathspecs = [message, ...pathspecs];
+      message = undefined;
+    }
+    if (!message && !options.ai) {
+      fail("Commit message is required", "usage");
+    }
+
+    let settings;
+    if (options.ai) {
+      settings = getProviderSettings();
+      const provider = getProvider(settings.provider);
+      requireApiKey(settings, [
+        chalk.yellow("Set it using one of these methods:"),
+        chalk.gray(
+          "  1. git-helper config --set-key YOUR_API_KEY (project-specific)"
+        ),
+        chalk.gray(
+          "  2. git-helper config --set-global-key YOUR_API_KEY (global)"
+        ),
+        chalk.gray(`  3. export ${provider.apiKeyEnv}=YOUR_API_KEY`),
+        chalk.gray(`  4. Get your key at: ${provider.keyUrl}`),
+        "",
+        chalk.cyan("💡 Quick setup:"),
+        chalk.gray(
+          "  git-helper config --list-models    # See available models"
+        ),
+        chalk.gray("  git-helper config --set-model MODEL_NAME"),
+        chalk.gray("  git-helper config --set-key YOUR_KEY"),
+        chalk.gray(
+          "  git-helper config --set-provider offline    # No key needed"
+        ),
+      ]);
+    }
+
+    if (!options.all && !pathspecs.length) {
+      pathspecs = await pickFilesToStage(options);
+    }
+
+    // One spinner for each stretch without prompts
+    let spinner = null;
+    const progress = (text) => {
+      if (spinner) {
+        spinner.text = text;
+      } else {
+        spinner = startSpinner(text);
+      }
+    };
+
+    let result;
+    try {
+      result = await push({
+        config: { get: getSetting },
+        secrets: getSecretSettings(),
+        settings,
+        message,
+        paths: pathspecs,
+        all: options.all,
+        forceStage: options.forceStage,
+        allowSecrets: options.allowSecrets,
+        dryRun: options.dryRun,
+        body: options.body,
+        coAuthors: options.coAuthor,
+        branch: options.branch,
+        remote: options.remote,
+        rebase: options.rebase,
+        merge: options.merge,
+        forceWithLease: options.forceWithLease,
+        onStaged: (staged) => checkStagedChanges(staged, options),
+        reviewMessage: async (generated) => {
+          report(generationResult(generated, settings));
+          spinner.succeed(
+            chalk.blue(`AI generated message: "${generated.message}"`)
+          );
+          spinner = null;
+          reportDiffCoverage(generated);
+          reportLint(generated);
+          if (options.yes || output.json) {
+            return generated.message;
+          }
+          return reviewCommitMessage(generated.message, {
+            generate: messageGenerator(settings, {
+              ...messageOptions(options),
+              // A dry run stages nothing, so it describes the working tree
+              source: { type: options.dryRun ? "auto" : "staged" },
+            }),
+            candidates: parseCandidates(options.candidates),
+            check: lintChecker(generated),
+            write: print,
+          });
+        },
+        chooseIntegration: canAsk()
+          ? async (name, counts) => {
+              spinner.stop();
+              const strategy = await chooseIntegration(name, counts, {
+                write: print,
+              });
+              spinner.start();
+              return strategy;
+            }
+          : null,
+        onProgress: progress,
+      });
+    } catch (error) {
+      failPush(error, options);
+    }
+
+    const { branch, remote } = result.target;
+    report({
+      message: result.message,
+      files: result.files,
+      dryRun: Boolean(options.dryRun),
+    });
+
+    if (options.dryRun) {
+      log(chalk.cyan("Dry run - would execute:"));
+      if (result.staged.length) {
+        log(`  git add -- ${formatFileList(result.staged)}`);
+      }
+      if (options.review) {
+        log(
+          `  git-helper review --fail-on ${getReviewFailOn()} (staged changes)`
+        );
+      }
+      log(`  git commit -m ${JSON.stringify(result.message)}`);
+      const upstream = getUpstream(branch);
+      log(
+        `  git push${upstream ? "" : " --set-upstream"}${
+          options.forceWithLease ? " --force-with-lease" : ""
+        } ${remote} ${
+          upstream?.remote === remote && upstream.branch !== branch
+            ? `${branch}:${upstream.branch}`
+            : branch
+        }`
+      );
+      return;
+    }
+
+    const pushed = result.push;
+    report({ commit: result.commit, push: pushed });
+    reportPushChecks(pushed, spinner);
+    spinner.succeed(chalk.green("✅ Changes pushed successfully!"));
+    if (pushed.setUpstream) {
+      log(
+        chalk.gray(`🔗 ${branch} now tracks ${remote}/${pushed.remoteBranch}`)
+      );
+    }
+  });
+
+// Command: Pull Changes
+program
+  .command("pull")
+  .description("Pull changes from a branch, with help resolving conflicts")
+  .option("-b, --branch <branch>", "Branch name (default: current branch)")
+  .option(
+    "-r, --remote <name>",
+    "Remote to pull from (default: upstream, config or origin)"
+  )
+  .option("--rebase", "Rebase your commits onto the pulled ones")
+  .option("--autostash", "Stash local changes while pulling")
+  .option("--ai", "Explain conflicts and suggest resolutions with AI")
+  .option("--continue", "Resolve remaining conflicts and continue")
+  .option("--abort", "Abort the merge or rebase in progress")
+  .action(async (options) => {
+    requireRepository();
+
+    const inProgress = getConflictState();
+    if (options.continue || options.abort) {
+      if (!inProgress) {
+        report({ state: null });
+        log(chalk.yellow("⚠️  No merge or rebase in progress"));
+        return;
+      }
+      if (options.abort) {
+        report({ state: inProgress });
+        const result = runGit([inProgress, "--abort"]);
+        if (!result.ok) {
+          fail(`Failed to abort: ${result.stderr.trim()}`, "git");
         }
+        report({ aborted: true });
+        log(chalk.green(`✅ ${capitalize(inProgress)} aborted`));
+        return;
+      }
+      await resolveAndContinue(inProgress, options);
+      return;
+    }
+    if (inProgress) {
+      report({ state: inProgress });
+      fail(`A ${inProgress} is in progress`, "repository", [
+        chalk.yellow("Finish it with: git-helper pull --continue"),
+        chalk.gray("  or give up with: git-helper pull --abort"),
+      ]);
+    }
+
+    const spinner = startSpinner("Pulling changes...");
+    try {
+      const { remote, branch, pulled } = await pull({
+        config: { get: getSetting },
+        branch: options.branch,
+        remote: options.remote,
+        rebase: options.rebase,
+        autostash: options.autostash,
+        onProgress: (text) => (spinner.text = text),
+      });
+      report({ remote, branch, pulled });
+      spinner.succeed(
+        chalk.green(
+          pulled
+            ? `✅ Pulled ${pulled} commit${
+                pulled === 1 ? "" : "s"
+              } from ${remote}/${branch}`
+            : "✅ Already up to date"
+        )
+      );
+    } catch (error) {
+      if (error.category !== "conflict") {
+        fail(error.message, errorCategory(error));
+      }
+      report({ remote: error.remote, branch: error.branch });
+      spinner.warn(chalk.yellow(error.message));
+      await resolveAndContinue(error.state, options);
+    }
+  });
+
+// Command: Generate AI commit message
+program
+  .command("commit-msg")
+  .description("Generate an AI-powered commit message based on changes")
+  .option("--staged", "Only analyze staged changes")
+  .option("--worktree", "Analyze all uncommitted changes to tracked files")
+  .option("--untracked", "Also analyze untracked files (implies --worktree)")
+  .option("--commit <rev>", "Write a new message for an existing commit")
+  .option("--amend", "Write a new message for the last commit")
+  .option("--range <range>", "Describe everything a range changed, e.g. main..")
+  .option("--body", "Add a body and footers to the AI message")
+  .option(
+    "--co-author <author>",
+    'Add a "Co-authored-by: <author>" footer (with --body, repeatable)',
+    collect,
+    []
+  )
+  .option("-y, --yes", "Print the AI message without reviewing it")
+  .option(
+    "--candidates <n>",
+    "Number of alternatives offered when reviewing the AI message",
+    "3"
+  )
+  .action(async (options) => {
+    requireRepository();
+
+    const source = sourceFromOptions(options);
+    const problem = source && checkSource(source);
+    if (!source || problem) {
+      fail(
+        problem ||
+          "Use only one of --staged, --worktree/--untracked, --commit, --amend and --range",
+        "usage"
+      );
+    }
+    if (source.type === "auto" && !hasChangesToCommit()) {
+      fail("No changes found to analyze", "no_changes", [
+        chalk.gray("Make some changes to your files first"),
+      ]);
+    }
+    const generateOptions = { ...messageOptions(options), source };
+
+    const settings = getProviderSettings();
+    requireApiKey(settings);
+
+    const spinner = startSpinner(
+      "Analyzing changes and generating commit message..."
+    );
+    let result;
+    try {
+      result = await generateAICommitMessage(settings, {
+        ...generateOptions,
+        onProgress: (text) => (spinner.text = text),
+      });
+    } catch (error) {
+      fail(
+        `Failed to generate message: ${error.message}`,
+        errorCategory(error),
+        error.category === "no_changes"
+          ? [chalk.yellow("💡 Make some changes to your files first")]
+          : []
+      );
+    }
+    let { message } = result;
+    report({ ...generationResult(result, settings), source: result.source });
+    spinner.succeed(chalk.green("Generated commit message:"));
+    reportDiffCoverage(result);
+    reportLint(result);
+
+    if (!options.yes && canAsk()) {
+      message = await reviewCommitMessage(message, {
+        generate: messageGenerator(settings, generateOptions),
+        candidates: parseCandidates(options.candidates),
+        check: lintChecker(result),
+        write: print,
+      });
+      if (!message) {
+        fail("Aborted", "aborted");
+      }
+      report({ message });
+    }
+
+    // Quiet runs print the bare message, e.g. for git commit -m "$(...)"
+    if (output.quiet) {
+      print(message);
+      return;
+    }
+    log(chalk.cyan(`"${message}"`));
+    log("");
+    log(chalk.gray("💡 Use this message with:"));
+    usageHints(result.source, message, options).forEach((hint) =>
+      log(chalk.gray(`   ${hint}`))
+    );
+  });
+
+// Command: Split the changes into several commits
+program
+  .command("split")
+  .description("Split the uncommitted changes into several AI-grouped commits")
+  .option("-y, --yes", "Create the commits without reviewing the plan")
+  .option("--dry-run", "Only show the proposed commits")
+  .option(
+    "--force-stage",
+    "Include untracked files that look like secrets or are very large"
+  )
+  .option(
+    "--allow-secrets",
+    "Commit even if the changes look like they contain secrets"
+  )
+  .option("--undo", "Undo the last split, keeping its changes")
+  .action(async (options) => {
+    requireRepository();
+
+    if (options.undo) {
+      try {
+        const { count, head } = undoSplit();
+        report({ undone: count, head });
+        log(
+          chalk.green(
+            `✅ Undid ${count} commit${
+              count === 1 ? "" : "s"
+            }, back at ${head.slice(0, 7)} with all changes kept`
+          )
+        );
       } catch (error) {
-        log(chalk.red(`❌ Failed to reset global config: ${error.message}`));
+        fail(error.message, "repository");
+      }
+      return;
+    }
+
+    if (!hasChangesToCommit()) {
+      fail("No changes to split", "no_changes");
+    }
+    if (!refExists("HEAD")) {
+      fail("split needs an existing commit to build on", "repository", [
+        chalk.gray('  Create the first commit with: git-helper push "..."'),
+      ]);
+    }
+
+    const settings = getProviderSettings();
+    requireApiKey(settings);
+
+    const { units, skipped } = collectUnits(getRepoRoot(), {
+      forceStage: options.forceStage,
+    });
+    report({ skipped: skipped.map((file) => file.path) });
+    if (skipped.length) {
+      log(
+        chalk.yellow(
+          `⚠️  Left out (use --force-stage to include): ${formatFileList(
+            skipped.map((file) => `${file.path} (${file.reason})`)
+          )}`
+        )
+      );
+    }
+    if (!units.length) {
+      fail("No changes to split", "no_changes");
+    }
+    if (!options.allowSecrets) {
+      const secrets = findUnitSecrets(
+        units,
+        getRepoRoot(),
+        getSecretSettings()
+      );
+      if (secrets.length) {
+        failWithSecrets(secrets);
+      }
+    }
+
+    const generate = (generateOptions = {}) =>
+      generateSplitPlan(settings, units, generateOptions);
+
+    let plan;
+    const spinner = startSpinner("Grouping changes...");
+    try {
+      plan = await generate({ onProgress: (text) => (spinner.text = text) });
+      spinner.stop();
+    } catch (error) {
+      fail(`Failed to plan commits: ${error.message}`, errorCategory(error));
+    }
+
+    if (options.dryRun || options.yes || !canAsk()) {
+      printSplitPlan(plan, units, { write: log });
+    }
+    report({
+      plan: splitPlanResult(plan, units),
+      dryRun: Boolean(options.dryRun),
+    });
+    if (options.dryRun) {
+      return;
+    }
+    if (!options.yes && canAsk()) {
+      plan = await reviewSplitPlan(plan, {
+        units,
+        generate,
+        write: print,
+      });
+      if (!plan) {
+        fail("Split aborted, nothing was committed", "aborted");
       }
-    } else {
-      log(
-        chalk.yellow(
-          "Please specify an option. Use --help for more information."
+      report({ plan: splitPlanResult(plan, units) });
+    }
+
+    const progress = startSpinner("Creating commits...");
+    try {
+      const { commits } = applySplitPlan(plan, units, {
+        onCommit: (commit, index) =>
+          (progress.text = `Created ${index + 1} of ${plan.length}: ${
+            commit.message
+          }`),
+      });
+      report({ commits });
+      progress.succeed(
+        chalk.green(
+          `✅ Created ${commits.length} commit${
+            commits.length === 1 ? "" : "s"
+          }`
         )
       );
-      log("");
-      log(chalk.cyan("Quick start:"));
-      log(chalk.gray("  1. git-helper config --list-models"));
-      log(chalk.gray("  2. git-helper config --set-model <model-name>"));
-      log(chalk.gray("  3. git-helper config --set-key <your-groq-api-key>"));
-      log(
-        chalk.gray(
-          "  4. git-helper config --set-global-key <your-groq-api-key>"
-        )
+      commits.forEach((commit) =>
+        log(`   ${chalk.gray(commit.sha)} ${commit.message}`)
+      );
+      log(chalk.gray("💡 Undo them with: git-helper split --undo"));
+    } catch (error) {
+      fail(
+        `Failed to create commits: ${
+          error.stderr?.toString().trim() || error.message
+        }`,
+        "git",
+        [
+          chalk.yellow(
+            "💡 Undo the commits made so far with: git-helper split --undo"
+          ),
+        ]
       );
     }
   });
 
-// Command: Commit and Push with optional AI commit message generation
+// Command: Generate a pull request title and description
+// Command: Review staged changes
 program
-  .command("push")
-  .description("Stage, commit, and push changes")
-  .argument("[message]", "Commit message (optional if using --ai)")
-  .option("-b, --branch <branch>", "Branch name (default: current branch)")
-  .option("--ai", "Generate commit message using AI based on changes")
-  .option("--dry-run", "Show what would be done without executing")
-  .action(async (message, options) => {
-    // Validation
-    if (!isGitRepository()) {
-      log(chalk.red("❌ Not a git repository"));
-      process.exit(1);
+  .command("review")
+  .description(
+    "Review staged changes for likely bugs, debug code, missing tests and security smells"
+  )
+  .option("-f, --format <format>", "Output format: text, json or sarif", "text")
+  .option("-o, --output <file>", "Write the findings to a file")
+  .option(
+    "--fail-on <severity>",
+    `Exit with an error on findings of this severity or higher (${SEVERITIES.join(
+      ", "
+    )})`
+  )
+  .option("--hint <text>", "Extra instructions for the AI")
+  .action(async (options) => {
+    // Progress goes to stderr (info) so JSON and SARIF can be piped
+    requireRepository();
+    const format = options.format.toLowerCase();
+    if (!["text", "json", "sarif"].includes(format)) {
+      fail(`Unknown format: ${options.format}`, "usage", [
+        chalk.yellow("Use text, json or sarif"),
+      ]);
     }
-
-    if (!hasChangesToCommit()) {
-      log(chalk.yellow("⚠️  No changes to commit"));
-      return;
+    const failOn = options.failOn
+      ? parseSeverity(options.failOn)
+      : getReviewFailOn();
+    if (!failOn) {
+      fail(`Unknown severity: ${options.failOn}`, "usage", [
+        chalk.yellow(`Use one of: ${SEVERITIES.join(", ")}`),
+      ]);
     }
 
-    // Get current branch if not specified
-    let branch = options.branch;
-    if (!branch) {
-      try {
-        branch = execSync("git branch --show-current", {
-          encoding: "utf8",
-        }).trim();
-      } catch {
-        branch = "main";
-      }
-    }
+    const { findings, blocking } = await reviewStagedChanges(
+      { failOn, hint: options.hint },
+      info
+    );
+    report({ failOn, findings, blocking: blocking.length });
 
-    // Generate AI commit message if requested
-    if (options.ai && !message) {
-      const apiKey = getGroqApiKey();
-      if (!apiKey) {
-        log(chalk.red("❌ Groq API key not found!"));
-        log(chalk.yellow("Set it using one of these methods:"));
-        log(
-          chalk.gray(
-            "  1. git-helper config --set-key YOUR_API_KEY (project-specific)"
-          )
-        );
-        log(
-          chalk.gray(
-            "  2. git-helper config --set-global-key YOUR_API_KEY (global)"
-          )
-        );
-        log(chalk.gray("  3. export GROQ_API_KEY=YOUR_API_KEY"));
-        log(chalk.gray("  4. Get your free key at: https://console.groq.com/"));
-        log("");
-        log(chalk.cyan("💡 Quick setup:"));
-        log(
-          chalk.gray(
-            "  git-helper config --list-models    # See available models"
-          )
-        );
-        log(chalk.gray("  git-helper config --set-model MODEL_NAME"));
-        log(chalk.gray("  git-helper config --set-key YOUR_KEY"));
-        process.exit(1);
+    if (format === "text" && !options.output) {
+      printFindings(findings, { blocking, write: print });
+    } else {
+      let text;
+      if (format === "sarif") {
+        text = formatReviewSarif(findings, { version: program.version() });
+      } else if (format === "json") {
+        text = formatReviewJson(findings, failOn);
+      } else {
+        const lines = [];
+        printFindings(findings, {
+          blocking,
+          write: (line) => lines.push(line),
+        });
+        // Plain text in files
+        text = `${lines.join("\n").replace(/\x1b\[[0-9;]*m/g, "")}\n`;
       }
 
-      const spinner = ora("Generating AI commit message...").start();
-      try {
-        message = await generateAICommitMessage(apiKey);
-        spinner.succeed(chalk.blue(`AI generated message: "${message}"`));
-      } catch (error) {
-        spinner.fail(chalk.red("Failed to generate AI message"));
-        log(chalk.yellow("Please provide a manual commit message"));
-        process.exit(1);
+      if (options.output) {
+        try {
+          writeFileSync(options.output, text);
+          report({ output: options.output });
+          info(chalk.green(`✅ Findings written to ${options.output}`));
+        } catch (error) {
+          fail(`Failed to write file: ${error.message}`);
+        }
+      } else if (!output.json) {
+        process.stdout.write(text);
       }
     }
 
-    if (!message) {
-      log(chalk.red("❌ Commit message is required"));
-      process.exit(1);
+    if (blocking.length) {
+      fail(
+        `${blocking.length} finding${
+          blocking.length === 1 ? "" : "s"
+        } of severity ${failOn} or higher`,
+        "blocked"
+      );
     }
+  });
 
-    const sanitizedMessage = sanitizeCommitMessage(message);
-
-    if (options.dryRun) {
-      log(chalk.cyan("Dry run - would execute:"));
-      log(`  git add .`);
-      log(`  git commit -m "${sanitizedMessage}"`);
-      log(`  git push origin ${branch}`);
-      return;
-    }
+program
+  .command("pr-description")
+  .description(
+    "Generate a pull request title and description from the branch history"
+  )
+  .option("-b, --base <branch>", "Base branch (default: auto-detected)")
+  .option("-o, --output <file>", "Write the description to a file")
+  .option("-c, --copy", "Copy the description to the clipboard")
+  .option("--no-template", "Ignore the repository's pull request template")
+  .option("--hint <text>", "Extra instructions for the AI")
+  .action(async (options) => {
+    // Progress goes to stderr (info) so the description can be piped
+    requireRepository();
 
-    const spinner = ora("Staging changes...").start();
+    const settings = getProviderSettings();
+    requireApiKey(settings);
 
-    // Stage changes
-    let result = executeCommand("git add .", "Failed to stage changes");
-    if (!result.success) {
-      spinner.fail(chalk.red(`❌ Failed to stage: ${result.error}`));
-      return;
+    let changes;
+    try {
+      changes = collectBranchChanges(options.base || detectBaseBranch());
+    } catch (error) {
+      fail(error.message, errorCategory(error));
     }
-
-    // Commit changes
-    spinner.text = "Committing changes...";
-    result = executeCommand(
-      `git commit -m "${sanitizedMessage}"`,
-      "Failed to commit"
+    info(
+      chalk.gray(
+        `ℹ️  ${changes.commits.length} commit${
+          changes.commits.length === 1 ? "" : "s"
+        } ahead of ${changes.base}`
+      )
     );
-    if (!result.success) {
-      spinner.fail(chalk.red(`❌ Failed to commit: ${result.error}`));
-      return;
+    if (hasChangesToCommit()) {
+      info(chalk.yellow("⚠️  Uncommitted changes are not included"));
     }
 
-    // Push changes
-    spinner.text = `Pushing to branch: ${branch}`;
-    result = executeCommand(`git push origin ${branch}`, "Failed to push");
-    if (!result.success) {
-      spinner.fail(chalk.red(`❌ Failed to push: ${result.error}`));
-      return;
+    const template = options.template && findPrTemplate(getRepoRoot());
+    if (template) {
+      info(chalk.gray(`📄 Using template ${template.path}`));
     }
 
-    spinner.succeed(chalk.green("✅ Changes pushed successfully!"));
+    const spinner = startSpinner("Analyzing branch...");
+    let description;
+    try {
+      description = await generatePrDescription(settings, changes, {
+        template: template?.content,
+        hint: options.hint,
+        onProgress: (text) => (spinner.text = text),
+      });
+      spinner.stop();
+    } catch (error) {
+      fail(
+        `Failed to generate description: ${error.message}`,
+        errorCategory(error)
+      );
+    }
+
+    const markdown = formatPrDescription(description);
+    report({
+      base: changes.base,
+      commits: changes.commits.length,
+      title: description.title,
+      body: description.body,
+      usage: description.usage,
+    });
+    if (options.output) {
+      try {
+        writeFileSync(options.output, markdown);
+        report({ output: options.output });
+        info(chalk.green(`✅ Description written to ${options.output}`));
+      } catch (error) {
+        fail(`Failed to write file: ${error.message}`);
+      }
+    }
+    if (options.copy) {
+      try {
+        copyToClipboard(markdown);
+        report({ copied: true });
+        info(chalk.green("✅ Description copied to the clipboard"));
+      } catch (error) {
+        fail(`Failed to copy: ${error.message}`);
+      }
+    }
+    if (!options.output && !options.copy && !output.json) {
+      process.stdout.write(markdown);
+    }
   });
 
-// Command: Pull Changes
+// Command: Generate a changelog from conventional commits
 program
-  .command("pull")
-  .description("Pull changes from a branch")
-  .option("-b, --branch <branch>", "Branch name (default: current branch)")
-  .action((options) => {
-    if (!isGitRepository()) {
-      log(chalk.red("❌ Not a git repository"));
-      process.exit(1);
+  .command("changelog")
+  .description("Generate a changelog section from conventional commits")
+  .option("--from <ref>", "Start of the range (default: latest tag)")
+  .option("--to <ref>", "End of the range", "HEAD")
+  .option("-w, --write [file]", "Prepend the section to a changelog file")
+  .option("--release-as <version>", "Version for the heading")
+  .option("--all", "Include chores, tests, CI and other internal changes")
+  .option("--ai", "Rewrite commit subjects into user-facing release notes")
+  .option("--hint <text>", "Extra instructions for the AI")
+  .action(async (options) => {
+    // Progress goes to stderr (info) so the changelog can be piped
+    requireRepository();
+    if (options.releaseAs && !parseVersion(options.releaseAs)) {
+      fail(`Not a semantic version: ${options.releaseAs}`, "usage");
+    }
+
+    let range;
+    let entries;
+    try {
+      range = resolveRange({ from: options.from, to: options.to });
+      entries = collectCommits(range.from, range.to).map(parseEntry);
+    } catch (error) {
+      fail(error.message, "usage");
+    }
+    info(
+      chalk.gray(
+        `ℹ️  ${entries.length} commit${entries.length === 1 ? "" : "s"} in ${
+          range.from ? `${range.from}..${range.to}` : range.to
+        }`
+      )
+    );
+
+    // The heading is the release tag, the given version or the next version
+    // the changes call for
+    const version = currentVersion(range.from, getRepoRoot());
+    const bump = suggestBump(entries, version);
+    const next = nextVersion(version, bump);
+    if (bump && !range.release) {
+      const breaking = entries.filter((entry) => entry.breaking).length;
+      const features = entries.filter((entry) => entry.type === "feat").length;
+      const details = [
+        breaking && `${breaking} breaking`,
+        features && `${features} feature${features === 1 ? "" : "s"}`,
+      ].filter(Boolean);
+      info(
+        chalk.cyan(
+          `📦 Suggested bump: ${bump}${next ? ` → ${next}` : ""}${
+            details.length ? ` (${details.join(", ")})` : ""
+          }`
+        )
+      );
     }
 
-    let branch = options.branch;
-    if (!branch) {
+    entries = notableEntries(entries, { all: options.all });
+    if (options.ai) {
+      const settings = getProviderSettings();
+      requireApiKey(settings);
+
+      const spinner = startSpinner("Writing release notes...");
       try {
-        branch = execSync("git branch --show-current", {
-          encoding: "utf8",
-        }).trim();
-      } catch {
-        branch = "main";
+        ({ entries } = await rewriteReleaseNotes(settings, entries, {
+          hint: options.hint,
+          onProgress: (text) => (spinner.text = text),
+        }));
+        spinner.stop();
+      } catch (error) {
+        spinner.warn(
+          chalk.yellow(
+            `⚠️  Failed to rewrite release notes, using commit subjects: ${error.message}`
+          )
+        );
       }
     }
 
-    const spinner = ora(`Pulling changes from ${branch}...`).start();
+    const sections = groupEntries(entries);
+    const section = formatChangelog({
+      version: options.releaseAs || range.release || next,
+      date: range.date,
+      sections,
+    });
+    report({
+      from: range.from,
+      to: range.to,
+      version: options.releaseAs || range.release || next,
+      bump: range.release ? null : bump,
+      sections,
+      changelog: section,
+    });
 
-    const result = executeCommand(
-      `git pull origin ${branch}`,
-      "Failed to pull"
-    );
-    if (!result.success) {
-      spinner.fail(chalk.red(`❌ Failed to pull: ${result.error}`));
+    if (!options.write) {
+      if (!output.json) {
+        process.stdout.write(section);
+      }
       return;
     }
 
-    spinner.succeed(chalk.green("✅ Changes pulled successfully!"));
+    const file =
+      options.write === true
+        ? resolve(getRepoRoot(), "CHANGELOG.md")
+        : options.write;
+    try {
+      writeFileSync(file, prependChangelog(readChangelog(file), section));
+      report({ file });
+      info(chalk.green(`✅ Changelog written to ${file}`));
+    } catch (error) {
+      fail(`Failed to write changelog: ${error.message}`);
+    }
   });
 
-// Command: Generate AI commit message
+// Command: Show the learned commit style
 program
-  .command("commit-msg")
-  .description("Generate an AI-powered commit message based on changes")
-  .option("--staged", "Only analyze staged changes")
-  .action(async (options) => {
-    if (!isGitRepository()) {
-      log(chalk.red("❌ Not a git repository"));
-      process.exit(1);
-    }
-
-    if (!hasChangesToCommit()) {
-      log(chalk.yellow("⚠️  No changes found to analyze"));
-      log(chalk.gray("Make some changes to your files first"));
+  .command("style")
+  .description("Show the commit style learned from the repository's history")
+  .action(() => {
+    requireRepository();
+
+    const subjects = readCommitSubjects();
+    const style = detectCommitStyle(subjects);
+    if (!style) {
+      log(
+        chalk.yellow(
+          `⚠️  Only ${subjects.length} commit${
+            subjects.length === 1 ? "" : "s"
+          }, too few to learn a style from`
+        )
+      );
+      log(chalk.gray("   Conventional commits are used until there are more"));
       return;
     }
 
-    const apiKey = getGroqApiKey();
-    if (!apiKey) {
-      log(chalk.red("❌ Groq API key not found!"));
+    log(chalk.cyan(`🎨 Style of the last ${subjects.length} commits:`));
+    log(`   Format:   ${chalk.yellow(describeFormat(style))}`);
+    if (style.types.length) {
+      log(`   Types:    ${style.types.join(", ")}`);
+    }
+    log(`   Scopes:   ${style.scopes.join(", ") || chalk.gray("none")}`);
+    if (style.emojis.length) {
+      log(`   Emojis:   ${style.emojis.join(" ")}`);
+    }
+    log(
+      `   Casing:   ${
+        style.casing === "capitalized" ? "Capitalized" : "lowercase"
+      }`
+    );
+    log(`   Language: ${style.language || chalk.gray("unknown")}`);
+    if (style.examples.length) {
+      log("");
+      log(chalk.cyan("📝 Examples shown to the AI:"));
+      style.examples.forEach((example) => log(chalk.gray(`   ${example}`)));
+    }
+    if (getSetting("learnStyle") === false) {
+      log("");
       log(
-        chalk.yellow("Set it using: git-helper config --set-key YOUR_API_KEY")
+        chalk.yellow(
+          "⚠️  learnStyle is off, enable it with: git-helper config set learnStyle true"
+        )
       );
-      process.exit(1);
+    }
+  });
+
+// Command: Regenerate poor commit messages in a range
+program
+  .command("reword [range]")
+  .description(
+    "Regenerate commit subjects that break the commit rules (default range: <base>..HEAD)"
+  )
+  .option("-y, --yes", "Rewrite without asking for confirmation")
+  .option("--dry-run", "Only show the proposed subjects")
+  .option(
+    "--force",
+    "Rewrite commits that were pushed or are on other branches, also with --undo"
+  )
+  .option("--hint <text>", "Extra instructions for the AI")
+  .option("--undo", "Restore the commits of the last reword")
+  .action(async (range, options) => {
+    requireRepository();
+
+    if (options.undo) {
+      try {
+        const { branch, head } = undoReword({ force: options.force });
+        report({ branch, head, undone: true });
+        log(chalk.green(`✅ ${branch} is back at ${head.slice(0, 7)}`));
+      } catch (error) {
+        fail(
+          error.message,
+          error.category || "repository",
+          error.shared
+            ? [
+                chalk.gray(
+                  "   Undo it anyway with: git-helper reword --undo --force"
+                ),
+              ]
+            : []
+        );
+      }
+      return;
     }
 
-    const spinner = ora(
-      "Analyzing changes and generating commit message..."
-    ).start();
+    let target;
+    let candidates;
     try {
-      const message = await generateAICommitMessage(apiKey);
-      spinner.succeed(chalk.green("Generated commit message:"));
-      log(chalk.cyan(`"${message}"`));
-      log("");
-      log(chalk.gray("💡 Use this message with:"));
-      log(chalk.gray(`   git-helper push "${message}"`));
-      log(chalk.gray("   or"));
-      log(chalk.gray("   git-helper push --ai"));
+      target = resolveRewordRange(range);
+      const { rules } = await loadLintConfig(getRepoRoot());
+      candidates = findPoorCommits(readRangeCommits(target.from), rules);
     } catch (error) {
-      spinner.fail(
-        chalk.red(`❌ Failed to generate message: ${error.message}`)
+      fail(error.message, errorCategory(error));
+    }
+    report({ from: target.from, branch: target.branch, rewords: [] });
+    if (!candidates.length) {
+      log(
+        chalk.green(`✅ Every commit in ${target.from}..HEAD follows the rules`)
       );
+      return;
+    }
+
+    // Rewording a commit rewrites every commit after it as well
+    const shared = findSharedRefs(
+      candidates.map((commit) => commit.sha),
+      target.branch
+    );
+    if (shared.length && !options.force && !options.dryRun) {
+      fail(
+        `These commits are already on ${formatFileList(
+          shared
+        )}, rewording them would rewrite shared history`,
+        "blocked",
+        [chalk.gray("   Rewrite them anyway with: git-helper reword --force")]
+      );
+    }
 
-      // Provide helpful suggestions based on error
-      if (error.message.includes("untracked files")) {
-        log(chalk.yellow("💡 Try: git add . (to stage all changes)"));
-      } else if (error.message.includes("No changes found")) {
-        log(chalk.yellow("💡 Make some changes to your files first"));
+    const settings = getProviderSettings();
+    requireApiKey(settings);
+
+    const spinner = startSpinner("Rewording commits...");
+    const rewords = await generateRewords(settings, candidates, {
+      hint: options.hint,
+      onProgress: (text) => (spinner.text = text),
+    });
+    spinner.stop();
+
+    report({
+      rewords: rewords.map(({ sha, subject, reworded, reason, fallback }) => ({
+        sha,
+        subject,
+        reworded: reworded || null,
+        reason: reason || null,
+        fallback: Boolean(fallback),
+      })),
+      shared,
+      dryRun: Boolean(options.dryRun),
+    });
+    printRewordPlan(rewords, { write: log });
+    if (rewords.some((reword) => reword.fallback)) {
+      log(
+        chalk.yellow(
+          "⚠️  The AI failed for some commits, their subjects come from the offline generator"
+        )
+      );
+    }
+    const changed = rewords.filter((reword) => reword.reworded);
+    if (!changed.length) {
+      log(chalk.yellow("⚠️  No better subjects found, nothing to rewrite"));
+      return;
+    }
+    if (shared.length) {
+      log(
+        chalk.yellow(
+          `⚠️  This rewrites commits that are on ${formatFileList(shared)}`
+        )
+      );
+    }
+    if (options.dryRun) {
+      return;
+    }
+    if (!options.yes) {
+      if (!canAsk()) {
+        fail("Pass --yes to rewrite history without a prompt", "usage");
+      }
+      if (!(await confirm(`Rewrite ${target.branch}?`))) {
+        fail("Reword aborted, nothing was changed", "aborted");
       }
     }
-  });
 
-// AI commit message generation function
-async function generateAICommitMessage(apiKey) {
-  try {
-    // First check if there are any changes at all
-    const allChanges = execSync("git status --porcelain", { encoding: "utf8" });
-    if (!allChanges.trim()) {
-      throw new Error("No changes found in repository");
+    try {
+      const { head, backup, rewritten } = rewriteHistory(
+        target,
+        new Map(changed.map((reword) => [reword.sha, reword.reworded]))
+      );
+      report({ head, backup, rewritten });
+      log(
+        chalk.green(
+          `✅ Reworded ${changed.length} commit${
+            changed.length === 1 ? "" : "s"
+          } (${rewritten} rewritten), ${target.branch} is now at ${head.slice(
+            0,
+            7
+          )}`
+        )
+      );
+      log(
+        chalk.gray(
+          `💡 The old commits are kept at ${backup.slice(
+            0,
+            7
+          )}, restore them with: git-helper reword --undo`
+        )
+      );
+    } catch (error) {
+      fail(`Failed to rewrite ${target.branch}: ${error.message}`, "git");
     }
+  });
 
-    // Check for staged changes first
-    let diff = execSync("git diff --cached --no-color", { encoding: "utf8" });
-    let status = execSync("git diff --name-status --cached", {
-      encoding: "utf8",
-    });
+// Command: Manage the prepare-commit-msg hook
+const hookCommand = program
+  .command("hook")
+  .description(
+    `Manage the ${HOOK_NAME} hook that fills in AI commit messages on git commit`
+  );
 
-    // If no staged changes, check unstaged changes
-    if (!diff.trim()) {
-      diff = execSync("git diff --no-color", { encoding: "utf8" });
-      status = execSync("git diff --name-status", { encoding: "utf8" });
+hookCommand
+  .command("install")
+  .description(`Install the ${HOOK_NAME} hook in this repository`)
+  .option("--body", "Generate messages with a body and footers")
+  .action((options) => {
+    requireRepository();
 
-      if (!diff.trim()) {
-        // Check for untracked files
-        const untrackedFiles = execSync(
-          "git ls-files --others --exclude-standard",
-          { encoding: "utf8" }
+    try {
+      const status = installHook({
+        nodePath: process.execPath,
+        cliPath: realpathSync(process.argv[1]),
+        args: options.body ? ["--body"] : [],
+      });
+      log(chalk.green(`✅ ${HOOK_NAME} hook installed!`));
+      log(chalk.gray(`Hook: ${status.hookPath}`));
+      if (status.chained) {
+        log(
+          chalk.gray(
+            "Your existing hook is kept and still runs before git-helper"
+          )
+        );
+      }
+      if (status.husky) {
+        log(
+          chalk.gray(
+            "The hook is committed with .husky/, so it runs git-helper from the PATH (node_modules/.bin with husky)"
+          )
         );
-        if (untrackedFiles.trim()) {
-          throw new Error(
-            "Found untracked files. Please stage your changes first with 'git add .'"
-          );
-        } else {
-          throw new Error("No changes found to analyze");
-        }
       }
+      log(
+        chalk.gray(
+          "💡 Run plain `git commit` and the message will be filled in for you"
+        )
+      );
+    } catch (error) {
+      fail(`Failed to install hook: ${error.message}`);
     }
+  });
 
-    const { model: selectedModel, tokenLimit } = getSelectedModel();
-    const maxDiffLength = tokenLimit * 4; // Approx. 4 characters per token
-    const truncatedDiff = diff.slice(0, maxDiffLength);
-
-    // Initialize Groq client
-    const groq = new Groq({
-      apiKey: apiKey,
-    });
+hookCommand
+  .command("uninstall")
+  .description(`Remove the ${HOOK_NAME} hook from this repository`)
+  .action(() => {
+    requireRepository();
 
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: `You are a Git commit message generator. Your task is to create ONE conventional commit message from the provided git diff and file status.
-
-STRICT OUTPUT FORMAT:
-<type>(<scope>): <description>
-
-RULES:
-1. MANDATORY: Use exactly one of these types:
-   - feat: new feature
-   - fix: bug fix
-   - docs: documentation changes
-   - style: formatting, missing semicolons (no code change)
-   - refactor: code change that neither fixes bug nor adds feature
-   - test: adding/correcting tests
-   - chore: updating build tasks, package manager configs
-   - perf: performance improvements
-   - ci: continuous integration changes
-   - build: build system or external dependencies
-
-2. SCOPE: Use the main affected component/module/file (optional but recommended)
-
-3. DESCRIPTION: 
-   - Start with lowercase verb (add, fix, update, remove, etc.)
-   - Max 50 characters total for first line
-   - Be specific about WHAT changed
-   - No period at end
-
-4. ANALYSIS PRIORITY:
-   - New files/functions = feat
-   - Bug fixes/error handling = fix
-   - Changed existing functionality = refactor
-   - Documentation only = docs
-   - Tests only = test
-   - Config/build files = chore
-
-EXAMPLES:
-feat(auth): add OAuth2 login system
-fix(api): handle null user in getUserById
-docs(readme): add Docker setup instructions
-refactor(utils): extract validation functions
-test(user): add edge cases for signup
-chore(deps): update React to v18.2.0
-
-OUTPUT: Return ONLY the commit message, nothing else.`,
-        },
-        {
-          role: "user",
-          content: `Analyze this git change and generate ONE commit message:
+    try {
+      const status = uninstallHook();
+      if (!status.removed) {
+        log(chalk.yellow("⚠️  git-helper hook is not installed"));
+        return;
+      }
+      log(chalk.green(`✅ ${HOOK_NAME} hook removed!`));
+      if (status.restored) {
+        log(chalk.gray(`Restored your previous hook: ${status.hookPath}`));
+      }
+    } catch (error) {
+      fail(`Failed to remove hook: ${error.message}`);
+    }
+  });
 
-FILE STATUS:
-${status}
+hookCommand
+  .command("status")
+  .description(`Show whether the ${HOOK_NAME} hook is installed`)
+  .action(() => {
+    requireRepository();
+
+    const status = getHookStatus();
+    log(chalk.cyan(`🪝 ${HOOK_NAME} hook:`));
+    log(chalk.gray(`   Hooks directory: ${status.hooksDir}`));
+    if (status.hooksPath) {
+      log(chalk.gray(`   core.hooksPath: ${status.hooksPath}`));
+    }
+    if (status.installed) {
+      log(chalk.green("   ✅ Installed"));
+      log(chalk.gray(`   Chained hook: ${status.chained ? "Yes" : "None"}`));
+    } else if (status.foreignHook) {
+      log(chalk.yellow("   ⚠️  Another hook is installed (not git-helper)"));
+      log(chalk.gray("   `git-helper hook install` will chain to it"));
+    } else {
+      log(chalk.gray("   Not installed"));
+    }
+  });
 
-GIT DIFF (truncated if needed):
-${truncatedDiff.slice(0, 8000)}
+// Invoked by the installed hook: git-helper hook run <file> [source] [sha]
+hookCommand
+  .command("run", { hidden: true })
+  .argument("<message-file>", "File holding the commit message")
+  .argument("[source]", "Source of the commit message")
+  .argument("[sha]", "Commit object name for --amend/-c/-C")
+  .option("--body", "Generate a message with a body and footers")
+  .action(async (messageFile, source, sha, options) => {
+    // Fail open: never exit non-zero, git would abort the commit
+    const warn = (text) =>
+      console.error(chalk.yellow(`⚠️  git-helper: ${text}`));
 
-${
-  truncatedDiff.length > 8000
-    ? "\n[DIFF TRUNCATED - Original was " +
-      truncatedDiff.length +
-      " characters]"
-    : ""
-}
+    try {
+      if (getSkipReason({ messageFile, source })) {
+        return;
+      }
 
-Generate the commit message now:`,
-        },
-      ],
-      model: selectedModel,
-      max_tokens: 150,
-      temperature: 0.1,
-      top_p: 0.9,
-      frequency_penalty: 0.1,
-      presence_penalty: 0.1,
-      stop: ["\n\n", "```", "---"],
-    });
+      const settings = getProviderSettings();
+      if (!hasRequiredApiKey(settings)) {
+        warn(
+          `${getProvider(settings.provider).label} API key not found, ` +
+            "write the commit message yourself"
+        );
+        return;
+      }
 
-    // Enhanced response processing for robustness
-    // function extractCommitMessage(response) {
-    //   let message = response.choices[0]?.message?.content?.trim() || "";
-
-    //   // Remove common unwanted prefixes/suffixes
-    //   message = message
-    //     .replace(
-    //       /^(Here's the commit message:|Commit message:|Generated commit message:)/i,
-    //       ""
-    //     )
-    //     .replace(/^```\w*\n?/, "")
-    //     .replace(/\n?```$/, "")
-    //     .replace(/^\*\*.*?\*\*:?\s*/, "")
-    //     .replace(/^[-•]\s*/, "")
-    //     .trim();
-
-    //   // Extract first line if multiple lines
-    //   const firstLine = message.split("\n")[0].trim();
-
-    //   // Validate format and length
-    //   const conventionalRegex =
-    //     /^(feat|fix|docs|style|refactor|test|chore|perf|ci|build)(\([^)]+\))?: .{1,50}$/;
-
-    //   if (conventionalRegex.test(firstLine)) {
-    //     return firstLine;
-    //   }
-
-    //   // Fallback: try to fix common issues
-    //   if (firstLine.length > 0) {
-    //     // Ensure it starts with a valid type
-    //     if (
-    //       !/^(feat|fix|docs|style|refactor|test|chore|perf|ci|build)/.test(
-    //         firstLine
-    //       )
-    //     ) {
-    //       // Try to infer type from content
-    //       if (
-    //         firstLine.toLowerCase().includes("add") ||
-    //         firstLine.toLowerCase().includes("implement")
-    //       ) {
-    //         return `feat: ${firstLine.toLowerCase()}`;
-    //       } else if (
-    //         firstLine.toLowerCase().includes("fix") ||
-    //         firstLine.toLowerCase().includes("resolve")
-    //       ) {
-    //         return `fix: ${firstLine.toLowerCase()}`;
-    //       } else {
-    //         return `chore: ${firstLine.toLowerCase()}`;
-    //       }
-    //     }
-    //     return firstLine.slice(0, 72); // Truncate if too long
-    //   }
-
-    //   return "chore: update files"; // Ultimate fallback
-    // }
-
-    const message = chatCompletion.choices[0]?.message?.content?.trim();
-    if (!message) {
-      throw new Error("No response from AI model");
-    }
-
-    return message;
-  } catch (error) {
-    // Handle specific Groq SDK errors
-    if (error.error?.type === "invalid_request_error") {
-      throw new Error(`Invalid request: ${error.error.message}`);
-    } else if (error.error?.type === "authentication_error") {
-      throw new Error(`Authentication failed: Check your API key`);
-    } else if (error.error?.type === "rate_limit_error") {
-      throw new Error(`Rate limit exceeded: Please try again later`);
-    } else if (error.error?.type === "api_error") {
-      throw new Error(`Groq API error: ${error.error.message}`);
-    } else {
-      throw new Error(`AI generation failed: ${error.message}`);
+      const spinner = ora("git-helper: generating commit message...").start();
+      try {
+        const result = await generateAICommitMessage(settings, {
+          body: options.body,
+          learnStyle: getSetting("learnStyle"),
+          source: { type: "staged" },
+        });
+        writeHookMessage(messageFile, result.message);
+        spinner.succeed(chalk.green("git-helper: commit message generated"));
+        reportDiffCoverage(result, console.error);
+        reportLint(result, console.error);
+      } catch (error) {
+        spinner.fail(chalk.yellow(`git-helper: ${error.message}`));
+      }
+    } catch (error) {
+      warn(error.message);
     }
+  });
+
+// Every command with an action takes the output options, `config` as well as
+// its subcommands; groups like `hook` only show their help
+function addToCommands(command) {
+  if (command._actionHandler) {
+    addOutputOptions(command, JSON_COMMANDS.includes(commandName(command)));
   }
+  command.commands.forEach(addToCommands);
+}
+program.commands.forEach(addToCommands);
+
+// Parse CLI Arguments. Commander reports its own errors (unknown options,
+// missing arguments) before throwing them here.
+try {
+  await program.parseAsync(process.argv);
+} catch (error) {
+  if (error.code?.startsWith("commander.")) {
+    process.exit(error.exitCode === 0 ? 0 : exitCode("usage"));
+  }
+  fail(error.message, errorCategory(error));
+}
+if (output.json) {
+  printResult();
 }
-
-// Parse CLI Arguments
-program.parse(process.argv);
 
 // Show help menu if no arguments are provided
 if (!process.argv.slice(2).length) {
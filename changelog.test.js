@@ -0,0 +1,172 @@
+const { execSync } = require("child_process");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  collectCommits,
+  formatChangelog,
+  groupEntries,
+  nextVersion,
+  notableEntries,
+  parseEntry,
+  parseReleaseNotes,
+  prependChangelog,
+  resolveRange,
+  suggestBump,
+} = require("./src/changelog.js");
+
+const entry = (message, sha = "abc1234") => parseEntry({ sha, message });
+
+describe("parseEntry", () => {
+  test("reads type, scope and subject", () => {
+    expect(entry("feat(auth): add login")).toMatchObject({
+      type: "feat",
+      scope: "auth",
+      text: "add login",
+      breaking: false,
+    });
+  });
+
+  test("flags breaking changes and keeps their notes", () => {
+    expect(entry("feat(api)!: drop v1")).toMatchObject({ breaking: true });
+    expect(
+      entry("refactor: rename\n\nBREAKING CHANGE: `run` is now\n`start`")
+    ).toMatchObject({ breaking: true, notes: ["`run` is now `start`"] });
+  });
+
+  test("keeps commits that are not conventional", () => {
+    expect(entry("Update stuff")).toMatchObject({
+      type: null,
+      text: "Update stuff",
+    });
+  });
+});
+
+test("groups entries by type and scope and hides chores", () => {
+  const entries = notableEntries([
+    entry("fix(ui): b", "1"),
+    entry("chore: bump", "2"),
+    entry("fix: a", "3"),
+    entry("feat!: c", "4"),
+    entry("Update stuff", "5"),
+  ]);
+
+  expect(
+    formatChangelog({
+      version: "v2.0.0",
+      date: "2024-01-02",
+      sections: groupEntries(entries),
+    })
+  ).toBe(
+    `## 2.0.0 (2024-01-02)
+
+### ⚠ BREAKING CHANGES
+
+- c (4)
+
+### Features
+
+- c (4)
+
+### Bug Fixes
+
+- a (3)
+- **ui:** b (1)
+
+### Other Changes
+
+- Update stuff (5)
+`
+  );
+});
+
+test.each([
+  [["fix: a"], "1.2.3", "patch", "1.2.4"],
+  [["fix: a", "feat: b"], "v1.2.3", "minor", "1.3.0"],
+  [["feat!: b"], "1.2.3", "major", "2.0.0"],
+  [["feat!: b"], "0.4.1", "minor", "0.5.0"],
+  [["feat: b"], null, "minor", null],
+  [[], "1.0.0", null, null],
+])("suggestBump(%j, %s)", (messages, version, bump, next) => {
+  expect(
+    suggestBump(
+      messages.map((m) => entry(m)),
+      version
+    )
+  ).toBe(bump);
+  expect(nextVersion(version, bump)).toBe(next);
+});
+
+describe("prependChangelog", () => {
+  const section = "## 1.1.0 (2024-02-01)\n\n### Features\n\n- b (2)\n";
+
+  test("creates a changelog", () => {
+    expect(prependChangelog("", section)).toBe(`# Changelog\n\n${section}`);
+  });
+
+  test("inserts above the newest release", () => {
+    expect(
+      prependChangelog("# Changelog\n\nIntro.\n\n## 1.0.0\n\n- a\n", section)
+    ).toBe(`# Changelog\n\nIntro.\n\n${section}\n## 1.0.0\n\n- a\n`);
+  });
+
+  test("refuses to add a release twice", () => {
+    expect(() =>
+      prependChangelog("# Changelog\n\n## 1.1.0 (2024-01-01)\n", section)
+    ).toThrow("The changelog already has an entry for 1.1.0");
+  });
+});
+
+test("parseReleaseNotes keeps valid entries only", () => {
+  const notes = parseReleaseNotes(
+    'Sure:\n```json\n{"1": "Sign in with GitHub.", "2": "", "9": "x"}\n```',
+    2
+  );
+  expect([...notes]).toEqual([[1, "Sign in with GitHub"]]);
+  expect(() => parseReleaseNotes("no json", 2)).toThrow(
+    "The AI did not return valid release notes"
+  );
+});
+
+describe("in a repository", () => {
+  let repo;
+  const commit = (message) => {
+    writeFileSync(join(repo, "file.txt"), message);
+    execSync(
+      `git add . && git -c user.name=t -c user.email=t@t commit -qm "${message}"`,
+      { cwd: repo }
+    );
+  };
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "git-helper-changelog-"));
+    execSync("git init -q", { cwd: repo });
+    commit("chore: init");
+    execSync("git tag v1.0.0", { cwd: repo });
+    commit("feat: add b");
+    commit("fix: fix c");
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test("starts at the latest tag", () => {
+    const range = resolveRange({}, repo);
+    expect(range).toMatchObject({ from: "v1.0.0", to: "HEAD", release: null });
+    expect(
+      collectCommits(range.from, range.to, repo).map((c) => c.message)
+    ).toEqual(["fix: fix c", "feat: add b"]);
+  });
+
+  test("describes a tagged release", () => {
+    execSync("git tag v1.1.0", { cwd: repo });
+    expect(resolveRange({ to: "v1.1.0" }, repo)).toMatchObject({
+      from: "v1.0.0",
+      release: "v1.1.0",
+    });
+    expect(() => resolveRange({ from: "nope" }, repo)).toThrow(
+      "Unknown revision: nope"
+    );
+  });
+});
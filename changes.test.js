@@ -0,0 +1,124 @@
+const { execSync } = require("child_process");
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { checkSource, getChanges, parseRange } = require("./src/changes.js");
+
+let repo;
+
+const run = (command) => execSync(command, { cwd: repo, encoding: "utf8" });
+const commit = (message) =>
+  run(
+    `git add -A && git -c user.name=t -c user.email=t@t commit -qm "${message}"`
+  );
+
+beforeEach(() => {
+  repo = mkdtempSync(join(tmpdir(), "git-helper-changes-"));
+  run("git init -q");
+});
+
+afterEach(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+test("parseRange reads two- and three-dot ranges", () => {
+  expect(parseRange("main..feature")).toEqual({
+    from: "main",
+    to: "feature",
+    dots: "..",
+  });
+  expect(parseRange("v1.2...")).toEqual({
+    from: "v1.2",
+    to: "HEAD",
+    dots: "...",
+  });
+  expect(parseRange("main")).toBeNull();
+});
+
+test("auto prefers staged changes and falls back to the working tree", () => {
+  writeFileSync(join(repo, "a.js"), "a\n");
+  commit("init");
+  writeFileSync(join(repo, "a.js"), "b\n");
+  writeFileSync(join(repo, "new.js"), "new\n");
+
+  const worktree = getChanges(undefined, repo);
+  expect(worktree.source).toEqual({ type: "worktree", untracked: true });
+  expect(worktree.status).toBe("M\ta.js\nA\tnew.js\n");
+  expect(worktree.diff).toContain("+new");
+
+  run("git add a.js");
+  expect(getChanges({ type: "auto" }, repo)).toMatchObject({
+    source: { type: "staged" },
+    status: "M\ta.js\n",
+  });
+});
+
+test("staged and worktree sources only read what they name", () => {
+  writeFileSync(join(repo, "a.js"), "a\n");
+  commit("init");
+  mkdirSync(join(repo, "src"));
+  writeFileSync(join(repo, "src", "untracked.js"), "u\n");
+
+  expect(() => getChanges({ type: "staged" }, repo)).toThrow(
+    expect.objectContaining({
+      message: expect.stringContaining("No staged changes found"),
+      category: "no_changes",
+    })
+  );
+  expect(() => getChanges({ type: "worktree" }, repo)).toThrow(
+    "Use --untracked to include them"
+  );
+  // Untracked files are found from subdirectories too
+  expect(
+    getChanges({ type: "worktree", untracked: true }, join(repo, "src")).status
+  ).toBe("A\tsrc/untracked.js\n");
+
+  writeFileSync(join(repo, "a.js"), "staged\n");
+  run("git add a.js");
+  writeFileSync(join(repo, "a.js"), "unstaged\n");
+  expect(getChanges({ type: "staged" }, repo).diff).toContain("+staged");
+  expect(getChanges({ type: "worktree" }, repo).diff).toContain("+unstaged");
+});
+
+test("the working tree of a repository without commits", () => {
+  writeFileSync(join(repo, "a.js"), "a\n");
+  run("git add a.js");
+  writeFileSync(join(repo, "a.js"), "b\n");
+
+  expect(getChanges({ type: "worktree" }, repo).status).toBe(
+    "A\ta.js\nM\ta.js\n"
+  );
+});
+
+test("commit and range sources describe history", () => {
+  writeFileSync(join(repo, "a.js"), "a\n");
+  commit("init");
+  writeFileSync(join(repo, "b.js"), "b\n");
+  commit("add b");
+  writeFileSync(join(repo, "a.js"), "changed\n");
+  commit("change a");
+
+  expect(getChanges({ type: "commit", rev: "HEAD~2" }, repo).status).toBe(
+    "A\ta.js\n"
+  );
+  expect(getChanges({ type: "commit", rev: "HEAD~1" }, repo)).toMatchObject({
+    status: "A\tb.js\n",
+    diff: expect.stringContaining("+b"),
+  });
+  expect(getChanges({ type: "range", rev: "HEAD~2.." }, repo).status).toBe(
+    "M\ta.js\nA\tb.js\n"
+  );
+
+  expect(checkSource({ type: "commit", rev: "--output=x" }, repo)).toBe(
+    "Unknown commit: --output=x"
+  );
+  expect(checkSource({ type: "range", rev: "nope..HEAD" }, repo)).toBe(
+    "Unknown revision: nope"
+  );
+  expect(checkSource({ type: "range", rev: "HEAD" }, repo)).toMatch(
+    "Not a range"
+  );
+  expect(() => getChanges({ type: "commit", rev: "nope" }, repo)).toThrow(
+    expect.objectContaining({ category: "usage" })
+  );
+});
@@ -0,0 +1,165 @@
+const {
+  blockingFindings,
+  formatReviewJson,
+  formatReviewSarif,
+  numberDiffLines,
+  offlineReview,
+  parseFindings,
+  parseSeverity,
+} = require("./src/code-review.js");
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,5 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
++console.log(b);
++debugger;
+ const c = 4;
+diff --git a/README.md b/README.md
+--- a/README.md
++++ b/README.md
+@@ -10,1 +10,2 @@
+ # Title
++TODO: write docs
+`;
+
+const finding = (severity, extra = {}) => ({
+  file: "src/app.js",
+  line: 1,
+  severity,
+  category: "bug",
+  message: "m",
+  suggestion: null,
+  ...extra,
+});
+
+test("numberDiffLines prefixes lines with their new line number", () => {
+  const lines = numberDiffLines(DIFF).split("\n");
+  expect(lines).toContain("    1  const a = 1;");
+  expect(lines).toContain("      -const b = 2;");
+  expect(lines).toContain("    3 +console.log(b);");
+  expect(lines).toContain("    5  const c = 4;");
+  expect(lines).toContain("   11 +TODO: write docs");
+  expect(lines).toContain("--- a/README.md");
+});
+
+test("offlineReview flags debug code and missing tests", () => {
+  expect(
+    offlineReview(DIFF).map(({ line, severity, category }) => [
+      line,
+      severity,
+      category,
+    ])
+  ).toEqual([
+    [4, "medium", "debug"],
+    [null, "low", "tests"],
+    [3, "low", "debug"],
+    [11, "info", "other"],
+  ]);
+
+  const withTest = `${DIFF}diff --git a/app.test.js b/app.test.js
+--- /dev/null
++++ b/app.test.js
+@@ -0,0 +1 @@
++test("b", () => {});
+`;
+  expect(offlineReview(withTest).some((f) => f.category === "tests")).toBe(
+    false
+  );
+});
+
+test("parseFindings normalizes the model's findings", () => {
+  const content = `Here you go:
+\`\`\`json
+{"findings": [
+  {"file": "b/src/app.js", "line": 3, "severity": "HIGH", "category": "debug", "message": "Remove the log.", "suggestion": "Delete line 3."},
+  {"file": "src/other.js", "line": 1, "severity": "critical", "message": "Not in the diff"},
+  {"line": "x", "severity": "urgent", "category": "style", "message": "General remark"},
+  {"file": "src/app.js", "message": ""}
+]}
+\`\`\``;
+
+  expect(parseFindings(content, ["src/app.js", "README.md"])).toEqual([
+    {
+      file: "src/app.js",
+      line: 3,
+      severity: "high",
+      category: "debug",
+      message: "Remove the log.",
+      suggestion: "Delete line 3.",
+    },
+    {
+      file: null,
+      line: null,
+      severity: "medium",
+      category: "other",
+      message: "General remark",
+      suggestion: null,
+    },
+  ]);
+  expect(() => parseFindings("Looks good to me!", [])).toThrow(
+    "The AI did not return a valid review"
+  );
+});
+
+test("blockingFindings applies the severity threshold", () => {
+  const findings = ["info", "medium", "high", "critical"].map((severity) =>
+    finding(severity)
+  );
+  expect(blockingFindings(findings).map((f) => f.severity)).toEqual([
+    "high",
+    "critical",
+  ]);
+  expect(blockingFindings(findings, "info")).toHaveLength(4);
+  expect(parseSeverity(" Medium ")).toBe("medium");
+  expect(parseSeverity("urgent")).toBeNull();
+});
+
+test("formatReviewJson reports the blocking count", () => {
+  expect(
+    JSON.parse(formatReviewJson([finding("low"), finding("high")], "medium"))
+  ).toMatchObject({ failOn: "medium", blocking: 1 });
+});
+
+test("formatReviewSarif maps findings to SARIF results", () => {
+  const sarif = JSON.parse(
+    formatReviewSarif(
+      [
+        finding("critical", { suggestion: "Fix it." }),
+        finding("medium", { line: null }),
+        finding("low", { file: null, line: null, category: "tests" }),
+      ],
+      { version: "1.2.3" }
+    )
+  );
+
+  expect(sarif.version).toBe("2.1.0");
+  const [run] = sarif.runs;
+  expect(run.tool.driver).toMatchObject({
+    name: "git-helper",
+    version: "1.2.3",
+  });
+  expect(run.tool.driver.rules.map((rule) => rule.id)).toContain("tests");
+  expect(run.results[0]).toEqual({
+    ruleId: "bug",
+    level: "error",
+    message: { text: "m Fix it." },
+    properties: { severity: "critical" },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: "src/app.js" },
+          region: { startLine: 1 },
+        },
+      },
+    ],
+  });
+  expect(run.results[1].level).toBe("warning");
+  expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+  expect(run.results[2]).not.toHaveProperty("locations");
+  expect(run.results[2].level).toBe("note");
+});
@@ -0,0 +1,284 @@
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  configEntries,
+  loadConfig,
+  parseOverrides,
+  parseValue,
+  setConfigValue,
+  unsetConfigValue,
+  validateConfig,
+  writeConfigFile,
+} = require("./src/config.js");
+
+let home;
+let project;
+
+const write = (dir, data) =>
+  writeFileSync(
+    join(
+      dir,
+      dir === home ? ".git-helper-global.json" : ".git-helper-config.json"
+    ),
+    JSON.stringify(data)
+  );
+const load = (options = {}) =>
+  loadConfig({ cwd: project, home, env: {}, ...options });
+
+beforeEach(() => {
+  home = mkdtempSync(join(tmpdir(), "git-helper-home-"));
+  project = mkdtempSync(join(tmpdir(), "git-helper-project-"));
+});
+
+afterEach(() => {
+  rmSync(home, { recursive: true, force: true });
+  rmSync(project, { recursive: true, force: true });
+});
+
+test("defaults apply without config files", () => {
+  const config = load();
+  expect(config.resolve("provider")).toEqual({
+    value: "groq",
+    source: "default",
+    rejected: [],
+  });
+  expect(config.get("reviewFailOn")).toBe("high");
+  expect(config.resolve("remote")).toMatchObject({
+    value: undefined,
+    source: null,
+  });
+});
+
+test("layers override each other in order", () => {
+  write(home, { provider: "openai", remote: "global", reviewFailOn: "low" });
+  write(project, { provider: "ollama", remote: "project" });
+
+  const config = load({
+    env: { GIT_HELPER_PROVIDER: "offline" },
+    overrides: parseOverrides(["remote=cli"]),
+  });
+  expect(config.resolve("provider")).toMatchObject({
+    value: "offline",
+    source: "env GIT_HELPER_PROVIDER",
+  });
+  expect(config.resolve("remote")).toMatchObject({
+    value: "cli",
+    source: "cli",
+  });
+  expect(config.resolve("reviewFailOn")).toMatchObject({
+    value: "low",
+    source: "global",
+  });
+});
+
+test("invalid values fall through to the next layer", () => {
+  write(home, { providers: { groq: { model: "llama3-8b-8192" } } });
+  write(project, { providers: { groq: { model: "no-such-model" } } });
+
+  const config = load({ env: { GIT_HELPER_REVIEW_FAIL_ON: "urgent" } });
+  expect(config.resolve("providers.groq.model")).toEqual({
+    value: "llama3-8b-8192",
+    source: "global",
+    rejected: [
+      {
+        source: "project",
+        value: "no-such-model",
+        message: "unknown Groq model",
+      },
+    ],
+  });
+  expect(config.resolve("reviewFailOn")).toMatchObject({
+    value: "high",
+    source: "default",
+  });
+});
+
+test("provider settings come from environment variables", () => {
+  const config = load({
+    env: {
+      OPENAI_API_KEY: "sk-env",
+      GIT_HELPER_PROTECTED_BRANCHES: "main,dev",
+    },
+  });
+  expect(config.resolve("providers.openai.apiKey")).toMatchObject({
+    value: "sk-env",
+    source: "env OPENAI_API_KEY",
+  });
+  expect(config.get("protectedBranches")).toEqual(["main", "dev"]);
+});
+
+test("legacy Groq keys are read and replaced on write", () => {
+  write(home, { groqApiKey: "gsk_old", model: "llama3-8b-8192" });
+
+  const config = load();
+  expect(config.get("providers.groq.apiKey")).toBe("gsk_old");
+  expect(config.get("providers.groq.model")).toBe("llama3-8b-8192");
+
+  const data = JSON.parse(
+    readFileSync(join(home, ".git-helper-global.json"), "utf8")
+  );
+  expect(configEntries(data)).toEqual([
+    ["providers.groq.apiKey", "gsk_old"],
+    ["providers.groq.model", "llama3-8b-8192"],
+  ]);
+  expect(setConfigValue(data, "providers.groq.apiKey", "gsk_new")).toEqual({
+    model: "llama3-8b-8192",
+    providers: { groq: { apiKey: "gsk_new" } },
+  });
+  expect(unsetConfigValue(data, "providers.groq.model")).toEqual({
+    groqApiKey: "gsk_old",
+  });
+});
+
+test("API keys are looked up in the credential store after each file", () => {
+  write(home, { groqApiKey: "gsk_plain" });
+  const stored = { [`openai@${project}`]: "sk-project", groq: "gsk_stored" };
+  const secretStore = jest.fn(() => ({
+    name: "keychain",
+    get: (account) => stored[account],
+  }));
+
+  const config = load({ secretStore });
+  expect(config.resolve("providers.openai.apiKey")).toMatchObject({
+    value: "sk-project",
+    source: "project keychain",
+  });
+  expect(config.resolve("providers.groq.apiKey")).toMatchObject({
+    value: "gsk_plain",
+    source: "global",
+  });
+  expect(config.get("remote")).toBeUndefined();
+  expect(secretStore).toHaveBeenCalledTimes(1);
+
+  const failing = load({
+    env: { GROQ_API_KEY: "gsk_env" },
+    secretStore: () => {
+      throw new Error("locked");
+    },
+  });
+  expect(failing.get("providers.groq.apiKey")).toBe("gsk_env");
+  expect(failing.resolve("providers.openai.apiKey")).toMatchObject({
+    value: undefined,
+    rejected: [{ source: "project", message: "locked" }],
+  });
+});
+
+test("the credential store is not read from the project config", () => {
+  write(project, {
+    credentials: { store: "helper", helper: "!touch pwned; true" },
+  });
+
+  const config = load();
+  expect(config.resolve("credentials.helper")).toMatchObject({
+    value: undefined,
+    rejected: [{ source: "project", value: "!touch pwned; true" }],
+  });
+  expect(config.get("credentials.store")).toBe("auto");
+
+  write(home, { credentials: { store: "helper", helper: "store" } });
+  expect(
+    load({ overrides: { credentials: { store: "config" } } }).resolve(
+      "credentials.store"
+    )
+  ).toMatchObject({ value: "config", source: "cli" });
+  expect(load().resolve("credentials.helper")).toMatchObject({
+    value: "store",
+    source: "global",
+  });
+});
+
+test("a project base URL is not sent an API key from another layer", () => {
+  const url = "https://attacker.example";
+  write(project, { providers: { groq: { baseUrl: url } } });
+  write(home, { providers: { groq: { apiKey: "gsk_global" } } });
+
+  expect(load().resolve("providers.groq.baseUrl")).toMatchObject({
+    value: "https://api.groq.com",
+    source: "default",
+    rejected: [{ source: "project", value: url }],
+  });
+  expect(
+    load({ env: { GROQ_API_KEY: "gsk_env" } }).resolve("providers.groq.baseUrl")
+      .rejected[0].message
+  ).toMatch(/API key from env GROQ_API_KEY/);
+
+  write(project, { providers: { groq: { baseUrl: url, apiKey: "gsk_mine" } } });
+  expect(load().get("providers.groq.baseUrl")).toBe(url);
+
+  // Without a key nothing is sent, e.g. to a local Ollama
+  write(project, { providers: { ollama: { baseUrl: "http://gpu:11434" } } });
+  expect(load().get("providers.ollama.baseUrl")).toBe("http://gpu:11434");
+});
+
+test("secret lists are merged across layers", () => {
+  write(home, { secrets: { allowlist: ["global-.*"] } });
+  write(project, { secrets: { allowlist: ["project-.*", "global-.*"] } });
+
+  expect(load().resolve("secrets.allowlist")).toMatchObject({
+    value: ["project-.*", "global-.*"],
+    source: "project+global",
+  });
+});
+
+test("parseValue parses lists and rejects invalid values", () => {
+  expect(parseValue("protectedBranches", " main, release/* ")).toEqual([
+    "main",
+    "release/*",
+  ]);
+  expect(parseValue("protectedBranches", '["a"]')).toEqual(["a"]);
+  expect(parseValue("protectedBranches", "")).toEqual([]);
+  expect(
+    parseValue("secrets.rules", '[{"id": "x", "pattern": "x-\\\\d+"}]')
+  ).toEqual([{ id: "x", pattern: "x-\\d+" }]);
+
+  expect(parseValue("ai.timeout", "2.5")).toBe(2.5);
+  expect(parseValue("ai.offlineFallback", "off")).toBe(false);
+  expect(parseValue("ai.offlineFallback", "Yes")).toBe(true);
+  expect(() => parseValue("ai.retries", "1.5")).toThrow(
+    "must be a whole number"
+  );
+  expect(() => parseValue("ai.timeout", "soon")).toThrow("must be a number");
+  expect(() => parseValue("ai.offlineFallback", "maybe")).toThrow(
+    "must be true or false"
+  );
+  expect(() =>
+    parseValue("providers.groq.fallbackModels", "llama-3.1-8b-instant,nope")
+  ).toThrow("unknown Groq model: nope");
+  expect(() => parseValue("provider", "nope")).toThrow(
+    "Invalid value for provider: must be one of"
+  );
+  expect(() => parseValue("secrets.rules", "x")).toThrow("must be a JSON list");
+  expect(() => parseValue("providers.openai.baseUrl", "localhost")).toThrow(
+    "must be a URL"
+  );
+  expect(() => parseValue("providers.nope.model", "x")).toThrow(
+    "Unknown setting: providers.nope.model"
+  );
+  expect(() => parseOverrides(["provider"])).toThrow("Expected key=value");
+});
+
+test("validateConfig reports unknown keys and invalid values", () => {
+  expect(
+    validateConfig({
+      groqApiKey: "gsk_x",
+      provider: "nope",
+      protectedBranches: "main",
+      colour: "red",
+      providers: { openai: { baseUrl: "https://example.com" } },
+    })
+  ).toEqual([
+    { key: "provider", message: expect.stringMatching(/^must be one of/) },
+    { key: "protectedBranches", message: "must be a list of strings" },
+    { key: "colour", message: "unknown setting" },
+  ]);
+});
+
+test("unreadable config files are reported and ignored", () => {
+  writeFileSync(join(project, ".git-helper-config.json"), "{oops");
+  writeConfigFile(join(home, ".git-helper-global.json"), { remote: "up" });
+
+  const config = load();
+  expect(config.files.project.error).toBeTruthy();
+  expect(config.get("remote")).toBe("up");
+});
@@ -0,0 +1,151 @@
+const { execSync } = require("child_process");
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  applyResolutions,
+  conflictSides,
+  continueOperation,
+  getConflictState,
+  getHunks,
+  hasConflictMarkers,
+  markResolved,
+  parseConflictAdvice,
+  parseConflicts,
+  resolveHunk,
+  summarizeHunks,
+  toLines,
+} = require("./src/conflicts.js");
+
+const CONFLICTED = `const a = 1;
+<<<<<<< HEAD
+const b = 2;
+=======
+const b = 3;
+const c = 4;
+>>>>>>> feature
+const d = 5;
+`;
+
+test("parseConflicts splits text and conflict hunks", () => {
+  const segments = parseConflicts(CONFLICTED);
+  expect(segments.map((segment) => segment.type)).toEqual([
+    "text",
+    "conflict",
+    "text",
+  ]);
+  expect(getHunks(segments)[0]).toMatchObject({
+    ours: ["const b = 2;"],
+    base: null,
+    theirs: ["const b = 3;", "const c = 4;"],
+  });
+  expect(summarizeHunks(getHunks(segments))).toEqual({ ours: 1, theirs: 2 });
+});
+
+test("parseConflicts reads diff3 base lines", () => {
+  const [hunk] = getHunks(
+    parseConflicts(
+      "<<<<<<< ours\nx = 2\n||||||| base\nx = 1\n=======\nx = 3\n>>>>>>> theirs"
+    )
+  );
+  expect(hunk).toMatchObject({
+    ours: ["x = 2"],
+    base: ["x = 1"],
+    theirs: ["x = 3"],
+  });
+});
+
+test("unterminated markers are kept as text", () => {
+  const text = "a\n<<<<<<< HEAD\nb\n";
+  expect(hasConflictMarkers(text)).toBe(false);
+  expect(applyResolutions(parseConflicts(text), [])).toBe(text);
+});
+
+test("applyResolutions replaces resolved hunks and keeps the others", () => {
+  const segments = parseConflicts(CONFLICTED);
+  const [hunk] = getHunks(segments);
+
+  expect(applyResolutions(segments, [null])).toBe(CONFLICTED);
+  expect(applyResolutions(segments, [resolveHunk(hunk, "both")])).toBe(
+    "const a = 1;\nconst b = 2;\nconst b = 3;\nconst c = 4;\nconst d = 5;\n"
+  );
+  expect(applyResolutions(segments, [[]])).toBe("const a = 1;\nconst d = 5;\n");
+});
+
+test("conflictSides names the sides of a rebase", () => {
+  expect(conflictSides("rebase")).toEqual({
+    ours: "upstream",
+    theirs: "your commit",
+  });
+  expect(conflictSides("merge").theirs).toBe("incoming");
+});
+
+test("toLines drops the trailing newline", () => {
+  expect(toLines("a\nb\n")).toEqual(["a", "b"]);
+  expect(toLines("")).toEqual([]);
+});
+
+test("parseConflictAdvice maps advice to hunks", () => {
+  const advice = parseConflictAdvice(
+    'Sure:\n```json\n{"hunks": [{"id": 2, "explanation": "Both renamed x.", "resolution": "x = 4\\n"}, {"id": 1, "explanation": "Unclear.", "resolution": "<<<<<<< a\\n=======\\n>>>>>>> b"}, {"id": 9}]}\n```',
+    2
+  );
+  expect(advice).toEqual([
+    { explanation: "Unclear.", resolution: null },
+    { explanation: "Both renamed x.", resolution: ["x = 4"] },
+  ]);
+  expect(() => parseConflictAdvice("no idea", 1)).toThrow(
+    "The AI did not return valid conflict advice"
+  );
+});
+
+describe("in a repository", () => {
+  let repo;
+  const run = (command) =>
+    execSync(command, { cwd: repo, encoding: "utf8", stdio: "pipe" });
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "git-helper-conflicts-"));
+    run(
+      "git init -q -b main && git config user.name t && git config user.email t@t"
+    );
+    writeFileSync(join(repo, "f.txt"), "one\ntwo\n");
+    run("git add . && git commit -qm init && git checkout -qb feature");
+    writeFileSync(join(repo, "f.txt"), "one\nfeature\n");
+    run("git commit -qam feature && git checkout -q main");
+    writeFileSync(join(repo, "f.txt"), "one\nmain\n");
+    run("git commit -qam main");
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test("resolves a merge conflict and continues the merge", () => {
+    expect(getConflictState(repo)).toBeNull();
+    expect(() => run("git merge -q feature")).toThrow();
+    expect(getConflictState(repo)).toBe("merge");
+
+    const file = join(repo, "f.txt");
+    const segments = parseConflicts(readFileSync(file, "utf8"));
+    const [hunk] = getHunks(segments);
+    expect(hunk).toMatchObject({ ours: ["main"], theirs: ["feature"] });
+
+    writeFileSync(
+      file,
+      applyResolutions(segments, [resolveHunk(hunk, "theirs")])
+    );
+    markResolved("f.txt", repo);
+    expect(continueOperation("merge", repo).ok).toBe(true);
+
+    expect(getConflictState(repo)).toBeNull();
+    expect(run("git show HEAD:f.txt")).toBe("one\nfeature\n");
+    expect(run("git rev-list --count HEAD").trim()).toBe("4");
+  });
+
+  test("detects a rebase stopped on conflicts", () => {
+    run("git checkout -q feature");
+    expect(() => run("git rebase main")).toThrow();
+    expect(getConflictState(repo)).toBe("rebase");
+  });
+});
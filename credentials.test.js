@@ -0,0 +1,114 @@
+const {
+  closeSync,
+  mkdtempSync,
+  openSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  credentialAccount,
+  decrypt,
+  encrypt,
+  fileStore,
+  helperCommand,
+  helperStore,
+  openCredentialStore,
+  parseCredential,
+  readLine,
+} = require("./src/credentials.js");
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "git-helper-credentials-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("encrypt and decrypt round-trip with the right passphrase only", () => {
+  const payload = encrypt("gsk_secret", "correct horse");
+  expect(JSON.stringify(payload)).not.toContain("gsk_secret");
+  expect(decrypt(payload, "correct horse")).toBe("gsk_secret");
+  expect(() => decrypt(payload, "wrong")).toThrow("Wrong passphrase");
+});
+
+test("readLine decodes characters that take several bytes", () => {
+  const path = join(dir, "input");
+  writeFileSync(path, "pässwört\r\npösswärt\n");
+  const fd = openSync(path, "r");
+  try {
+    expect(readLine(fd)).toBe("pässwört");
+    expect(readLine(fd)).toBe("pösswärt");
+    expect(readLine(fd)).toBe("");
+  } finally {
+    closeSync(fd);
+  }
+});
+
+test("fileStore keeps keys encrypted and asks for the passphrase once", () => {
+  const path = join(dir, "credentials");
+  const passphrase = jest.fn(() => "pw");
+  const store = fileStore({ path, passphrase });
+
+  store.set("groq", "gsk_one");
+  store.set("openai@/repo", "sk-two");
+  expect(store.get("groq")).toBe("gsk_one");
+  expect(passphrase).toHaveBeenCalledTimes(1);
+  expect(passphrase).toHaveBeenCalledWith(true);
+  expect(readFileSync(path, "utf8")).not.toContain("gsk_one");
+  expect(statSync(path).mode & 0o777).toBe(0o600);
+
+  const reopened = fileStore({ path, passphrase: () => "pw" });
+  expect(reopened.get("openai@/repo")).toBe("sk-two");
+  expect(reopened.delete("groq")).toBe(true);
+  expect(reopened.delete("groq")).toBe(false);
+  expect(fileStore({ path, passphrase: () => "pw" }).get("groq")).toBe(
+    undefined
+  );
+  expect(() => fileStore({ path, passphrase: () => "" }).get("x")).toThrow(
+    "A passphrase is needed"
+  );
+});
+
+test("helperStore speaks the git credential protocol", () => {
+  const file = join(dir, "git-credentials");
+  const store = helperStore(`store --file ${file}`);
+
+  store.set(credentialAccount("groq"), "gsk_helper");
+  store.set(credentialAccount("openai", "/work/repo"), "sk-project");
+  expect(store.get("groq")).toBe("gsk_helper");
+  expect(store.get("openai@/work/repo")).toBe("sk-project");
+  expect(store.get("ollama")).toBeUndefined();
+
+  store.delete("groq");
+  expect(store.get("groq")).toBeUndefined();
+});
+
+test("helperCommand follows git's naming rules", () => {
+  expect(helperCommand("store --file x")).toBe("git credential-store --file x");
+  expect(helperCommand("/usr/bin/helper")).toBe("/usr/bin/helper");
+  expect(helperCommand("!pass show git-helper")).toBe("pass show git-helper");
+  expect(parseCredential("username=a\npassword=b=c\n\n")).toEqual({
+    username: "a",
+    password: "b=c",
+  });
+});
+
+test("openCredentialStore picks the configured store", () => {
+  expect(openCredentialStore({ name: "config" })).toBeNull();
+  expect(openCredentialStore({ name: "helper", helper: "store" }).name).toBe(
+    "helper"
+  );
+  expect(() => openCredentialStore({ name: "helper" })).toThrow(
+    "Set credentials.helper"
+  );
+  expect(openCredentialStore({ name: "file", file: join(dir, "c") }).name).toBe(
+    "file"
+  );
+});
@@ -0,0 +1,147 @@
+const {
+  chunkFiles,
+  collapseReason,
+  diffStatus,
+  prepareDiff,
+  splitDiff,
+} = require("./src/diff.js");
+
+function fileDiff(path, hunks) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    "index 1111111..2222222 100644",
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    ...hunks.flatMap((lines, index) => [
+      `@@ -${index * 10 + 1},1 +${index * 10 + 1},${lines.length} @@`,
+      ...lines,
+    ]),
+  ].join("\n");
+}
+
+const binaryDiff = [
+  "diff --git a/logo.png b/logo.png",
+  "new file mode 100644",
+  "index 0000000..3333333",
+  "Binary files /dev/null and b/logo.png differ",
+].join("\n");
+
+describe("splitDiff", () => {
+  test("splits files and hunks and counts lines", () => {
+    const files = splitDiff(
+      `${fileDiff("src/a.js", [
+        ["-old", "+new", "+more"],
+        [" ctx", "-gone"],
+      ])}\n${binaryDiff}\n`
+    );
+
+    expect(files).toHaveLength(2);
+    expect(files[0]).toMatchObject({
+      path: "src/a.js",
+      binary: false,
+      additions: 2,
+      deletions: 2,
+    });
+    expect(files[0].hunks).toHaveLength(2);
+    expect(files[1]).toMatchObject({ path: "logo.png", binary: true });
+  });
+});
+
+test("diffStatus lists added, deleted and modified files", () => {
+  const deleted = [
+    "diff --git a/old.js b/old.js",
+    "deleted file mode 100644",
+    "--- a/old.js",
+    "+++ /dev/null",
+    "@@ -1 +0,0 @@",
+    "-x",
+  ].join("\n");
+  expect(diffStatus(`${fileDiff("src/a.js", [["+new"]])}\n${deleted}\n`)).toBe(
+    "M\tsrc/a.js\nD\told.js\n"
+  );
+  expect(diffStatus(binaryDiff)).toBe("A\tlogo.png\n");
+});
+
+describe("collapseReason", () => {
+  test.each([
+    ["package-lock.json", "lockfile"],
+    ["services/api/go.sum", "lockfile"],
+    ["dist/bundle.js", "generated"],
+    ["public/app.min.js", "generated"],
+    ["src/__snapshots__/a.test.js.snap", "generated"],
+    ["src/index.js", null],
+  ])("%s -> %s", (path, reason) => {
+    const [file] = splitDiff(fileDiff(path, [["+x"]]));
+    expect(collapseReason(file)).toBe(reason);
+  });
+
+  test("detects generated markers and binary files", () => {
+    const [generated] = splitDiff(
+      fileDiff("src/schema.ts", [["+// @generated by codegen", "+x"]])
+    );
+    const [binary] = splitDiff(binaryDiff);
+
+    expect(collapseReason(generated)).toBe("generated");
+    expect(collapseReason(binary)).toBe("binary");
+  });
+});
+
+describe("chunkFiles", () => {
+  test("packs small files together", () => {
+    const files = splitDiff(
+      `${fileDiff("a.js", [["+a"]])}\n${fileDiff("b.js", [["+b"]])}`
+    );
+    const { chunks } = chunkFiles(files, 1000);
+
+    expect(chunks).toHaveLength(1);
+    expect([...chunks[0].paths]).toEqual(["a.js", "b.js"]);
+  });
+
+  test("splits large files per hunk and repeats the header", () => {
+    const big = Array.from({ length: 20 }, (_, i) => `+line ${i}`);
+    const files = splitDiff(fileDiff("big.js", [big, big]));
+    const { chunks, truncated } = chunkFiles(files, 300);
+
+    expect(chunks).toHaveLength(2);
+    chunks.forEach((chunk) => {
+      expect(chunk.text).toContain("+++ b/big.js");
+      expect(chunk.text.length).toBeLessThanOrEqual(300);
+    });
+    expect(truncated).toEqual([]);
+  });
+
+  test("cuts hunks that do not fit on their own", () => {
+    const huge = Array.from({ length: 100 }, (_, i) => `+line ${i}`);
+    const files = splitDiff(fileDiff("huge.js", [huge]));
+    const { chunks, truncated } = chunkFiles(files, 300);
+
+    expect(chunks[0].text).toContain("[HUNK TRUNCATED]");
+    expect(truncated).toEqual(["huge.js"]);
+  });
+});
+
+describe("prepareDiff", () => {
+  test("collapses noise and reports files beyond the chunk limit", () => {
+    const body = Array.from({ length: 10 }, (_, i) => `+line ${i}`);
+    const diff = [
+      fileDiff("package-lock.json", [["+{}"]]),
+      fileDiff("a.js", [body]),
+      fileDiff("b.js", [body]),
+      fileDiff("c.js", [body]),
+      binaryDiff,
+    ].join("\n");
+
+    const prepared = prepareDiff(diff, { maxChars: 200, maxChunks: 2 });
+
+    expect(prepared.chunks).toHaveLength(2);
+    expect(prepared.collapsed).toEqual([
+      {
+        path: "package-lock.json",
+        reason: "lockfile",
+        stat: "package-lock.json | +1 -0",
+      },
+      { path: "logo.png", reason: "binary", stat: "logo.png | binary" },
+    ]);
+    expect(prepared.omitted).toEqual(["c.js"]);
+  });
+});
@@ -0,0 +1,227 @@
+// End-to-end test harness: temporary repositories with a bare remote, a mock
+// of the Groq API and a runner for the real CLI. Everything stays on this
+// machine and in temporary directories, and the environment of the CLI is
+// built from scratch so the results do not depend on who runs the tests.
+import { execFile, execFileSync } from "child_process";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { dirname, join, resolve } from "path";
+
+const CLI = resolve("bin/git-helper.js");
+
+// Variables of the machine the CLI gets to see; everything else is set here
+const INHERITED_ENV = ["PATH", "SYSTEMROOT", "TMPDIR", "TEMP", "TMP"];
+
+// A fixed identity and clock, so commit ids are the same on every run
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_AUTHOR_DATE: "2024-01-02T03:04:05Z",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+  GIT_COMMITTER_DATE: "2024-01-02T03:04:05Z",
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_TERMINAL_PROMPT: "0",
+};
+
+function completion(model, content, usage) {
+  return {
+    id: "chatcmpl-mock",
+    object: "chat.completion",
+    created: 1704164645,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content },
+        finish_reason: "stop",
+      },
+    ],
+    usage: usage || {
+      prompt_tokens: 100,
+      completion_tokens: 10,
+      total_tokens: 110,
+    },
+  };
+}
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+// A stand-in for the Groq API on a free local port. Chat completions answer
+// with the replies queued through `reply()` and `fail()` in order, then with
+// `defaultContent`. Every request is kept in `requests` as
+// { method, path, headers, body }.
+export async function startMockAI({
+  defaultContent = "feat: add mock change",
+  models = [{ id: "llama-3.3-70b-versatile", context_window: 131072 }],
+} = {}) {
+  const queue = [];
+  const requests = [];
+
+  const server = createServer(async (request, response) => {
+    const body = await readBody(request);
+    requests.push({
+      method: request.method,
+      path: request.url,
+      headers: request.headers,
+      body,
+    });
+    const send = (status, data, headers = {}) => {
+      response.writeHead(status, {
+        "content-type": "application/json",
+        ...headers,
+      });
+      response.end(JSON.stringify(data));
+    };
+
+    if (request.method === "GET" && request.url === "/openai/v1/models") {
+      send(200, { object: "list", data: models });
+    } else if (
+      request.method === "POST" &&
+      request.url === "/openai/v1/chat/completions"
+    ) {
+      const next = queue.shift() || { content: defaultContent };
+      if (next.status) {
+        send(
+          next.status,
+          { error: { message: next.message, type: next.type } },
+          next.headers
+        );
+      } else {
+        send(200, completion(body.model, next.content, next.usage));
+      }
+    } else {
+      send(404, { error: { message: `No mock for ${request.url}` } });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Chat completion requests, with the prompt of each
+    get completions() {
+      return requests.filter((request) => request.body?.messages);
+    },
+    reply(content, usage) {
+      queue.push({ content, usage });
+    },
+    // Fail the next `times` completions with `status`, e.g. 429 with a
+    // retry-after header
+    fail(status, message, { times = 1, headers = {}, type } = {}) {
+      for (let i = 0; i < times; i++) {
+        queue.push({ status, message, headers, type });
+      }
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// A repository cloned from a bare remote with one pushed commit, and a home
+// directory of its own for the global config. `ai` is the mock the CLI
+// talks to. Remove it all with cleanup().
+export function createRepo({ ai, branch = "main" } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "git-helper-e2e-"));
+  const home = join(dir, "home");
+  const remote = join(dir, "remote.git");
+  const path = join(dir, "work");
+  mkdirSync(home);
+
+  const env = {
+    ...Object.fromEntries(
+      INHERITED_ENV.filter((name) => process.env[name]).map((name) => [
+        name,
+        process.env[name],
+      ])
+    ),
+    ...GIT_ENV,
+    HOME: home,
+    NO_COLOR: "1",
+    // Keys go to the config files, not the keychain of the machine
+    GIT_HELPER_CREDENTIAL_STORE: "config",
+    GIT_HELPER_TIMEOUT: "5",
+    ...(ai && {
+      GIT_HELPER_PROVIDER: "groq",
+      GROQ_API_KEY: "gsk_test",
+      GROQ_BASE_URL: ai.url,
+    }),
+  };
+
+  // git with the harness's identity, in the working copy by default
+  const git = (args, cwd = path) =>
+    execFileSync("git", args, {
+      cwd,
+      env,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+    }).trim();
+  git(["init", "-q", "--bare", "-b", branch, remote], dir);
+  git(["clone", "-q", remote, path], dir);
+
+  const repo = {
+    dir,
+    home,
+    remote,
+    path,
+    env,
+    git,
+    write(file, content) {
+      const full = join(path, file);
+      mkdirSync(dirname(full), { recursive: true });
+      writeFileSync(full, content);
+    },
+    // Commit `files` ({ path: content }) with `message`
+    commit(message, files = {}) {
+      Object.entries(files).forEach(([file, content]) =>
+        repo.write(file, content)
+      );
+      repo.git(["add", "-A"]);
+      repo.git(["commit", "-q", "-m", message]);
+      return repo.git(["rev-parse", "HEAD"]);
+    },
+    // A second clone of the remote, e.g. for someone else's commits
+    clone(name = "other") {
+      const other = join(dir, name);
+      repo.git(["clone", "-q", remote, other], dir);
+      return other;
+    },
+    // Run the CLI. Resolves to { code, stdout, stderr } and, when stdout is
+    // JSON, `json`.
+    cli(args, { env: extraEnv = {}, cwd = path, timeout = 30000 } = {}) {
+      return new Promise((resolve) => {
+        const child = execFile(
+          process.execPath,
+          [CLI, ...args],
+          { cwd, env: { ...env, ...extraEnv }, timeout },
+          (error, stdout, stderr) => {
+            let json;
+            try {
+              json = JSON.parse(stdout);
+            } catch {
+              json = undefined;
+            }
+            resolve({
+              code: error ? error.code ?? 1 : 0,
+              stdout,
+              stderr,
+              json,
+            });
+          }
+        );
+        child.stdin.end();
+      });
+    },
+    cleanup: () => rmSync(dir, { recursive: true, force: true }),
+  };
+
+  repo.commit("chore: initial commit", { "README.md": "# test\n" });
+  repo.git(["push", "-q", "-u", "origin", branch]);
+  return repo;
+}
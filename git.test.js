@@ -0,0 +1,80 @@
+const { execSync } = require("child_process");
+const { existsSync, mkdtempSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  git,
+  isValidBranchName,
+  refExists,
+  runGit,
+  tryGit,
+} = require("./src/git.js");
+
+let repo;
+
+beforeEach(() => {
+  repo = mkdtempSync(join(tmpdir(), "git-helper-git-"));
+  execSync("git init -q", { cwd: repo });
+});
+
+afterEach(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+test("runGit returns exit code and output", () => {
+  expect(runGit(["rev-parse", "--is-inside-work-tree"], { cwd: repo })).toEqual(
+    { ok: true, code: 0, stdout: "true\n", stderr: "" }
+  );
+  expect(
+    runGit(["rev-parse", "--verify", "nope"], { cwd: repo })
+  ).toMatchObject({
+    ok: false,
+    code: 128,
+    stderr: "fatal: Needed a single revision\n",
+  });
+});
+
+test("git throws with git's error output", () => {
+  expect(() => git(["checkout", "nope"], repo)).toThrow(
+    expect.objectContaining({
+      status: 1,
+      message: expect.stringContaining("nope"),
+    })
+  );
+  expect(tryGit(["rev-parse", "--verify", "nope"], repo)).toBeNull();
+});
+
+test("commit messages are passed through stdin untouched", () => {
+  const message = 'fix: handle "$(touch pwned)" and `id`; rm -rf \\ $HOME';
+  git(
+    [
+      "-c",
+      "user.name=t",
+      "-c",
+      "user.email=t@t",
+      "commit",
+      "--allow-empty",
+      "-q",
+      "-F",
+      "-",
+    ],
+    repo,
+    message
+  );
+
+  expect(git(["log", "-1", "--format=%B"], repo).trim()).toBe(message);
+  expect(existsSync(join(repo, "pwned"))).toBe(false);
+  expect(refExists("HEAD", repo)).toBe(true);
+  expect(refExists("--all", repo)).toBe(false);
+});
+
+test.each([
+  ["feature/login", true],
+  ["fix;rm", true],
+  ["fix;rm -rf", false],
+  ["--upload-pack=touch x", false],
+  ["-b", false],
+  ["a..b", false],
+])("isValidBranchName(%j)", (name, expected) => {
+  expect(isValidBranchName(name, repo)).toBe(expected);
+});
@@ -0,0 +1,156 @@
+const { execSync } = require("child_process");
+const {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  getHookStatus,
+  getSkipReason,
+  installHook,
+  uninstallHook,
+  writeHookMessage,
+} = require("./src/hook.js");
+
+let repo;
+
+beforeEach(() => {
+  repo = mkdtempSync(join(tmpdir(), "git-helper-hook-"));
+  execSync("git init -q", { cwd: repo });
+});
+
+afterEach(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+const hookPath = () => join(repo, ".git", "hooks", "prepare-commit-msg");
+const install = () =>
+  installHook({ nodePath: "/usr/bin/node", cliPath: "/cli.js", cwd: repo });
+
+test("installs and removes the hook", () => {
+  expect(getHookStatus(repo).installed).toBe(false);
+
+  install();
+  expect(getHookStatus(repo)).toMatchObject({
+    installed: true,
+    chained: false,
+  });
+  expect(readFileSync(hookPath(), "utf8")).toContain(
+    "'/usr/bin/node' '/cli.js' hook run \"$@\" || true"
+  );
+
+  expect(uninstallHook(repo)).toMatchObject({
+    removed: true,
+    restored: false,
+  });
+  expect(existsSync(hookPath())).toBe(false);
+});
+
+test("chains to an existing hook and restores it on uninstall", () => {
+  writeFileSync(hookPath(), "#!/bin/sh\necho husky\n", { mode: 0o755 });
+
+  expect(install()).toMatchObject({ installed: true, chained: true });
+  expect(readFileSync(`${hookPath()}.git-helper-chained`, "utf8")).toContain(
+    "echo husky"
+  );
+
+  // Reinstalling only refreshes our own hook
+  expect(install()).toMatchObject({ chained: true });
+
+  expect(uninstallHook(repo)).toMatchObject({ restored: true });
+  expect(readFileSync(hookPath(), "utf8")).toContain("echo husky");
+});
+
+test("runs a chained husky script that is not executable", () => {
+  execSync("mkdir -p .husky/_ && git config core.hooksPath .husky/_", {
+    cwd: repo,
+  });
+  const husky = join(repo, ".husky", "prepare-commit-msg");
+  writeFileSync(husky, 'echo "$1" > ran\n', { mode: 0o644 });
+
+  expect(install()).toMatchObject({ husky: true, chained: true });
+  // .husky/ is committed, so the hook names no paths of this machine
+  const script = readFileSync(husky, "utf8");
+  expect(script).not.toContain("/cli.js");
+  expect(script).not.toContain("/usr/bin/node");
+
+  // Like husky's wrapper, without git-helper on the PATH
+  execSync(`sh -e ${husky} MSG`, {
+    cwd: repo,
+    env: { PATH: "/usr/bin:/bin" },
+  });
+  expect(readFileSync(join(repo, "ran"), "utf8")).toBe("MSG\n");
+});
+
+test("leaves a foreign hook alone when nothing is installed", () => {
+  writeFileSync(hookPath(), "#!/bin/sh\n", { mode: 0o755 });
+
+  expect(uninstallHook(repo).removed).toBe(false);
+  expect(getHookStatus(repo).foreignHook).toBe(true);
+});
+
+describe("getSkipReason", () => {
+  let messageFile;
+
+  beforeEach(() => {
+    messageFile = join(repo, ".git", "COMMIT_EDITMSG");
+    writeFileSync(messageFile, "\n# Please enter the commit message\n");
+  });
+
+  test("generates for plain commits", () => {
+    expect(getSkipReason({ messageFile }, repo)).toBeNull();
+    expect(getSkipReason({ messageFile, source: "template" }, repo)).toBeNull();
+  });
+
+  test.each(["message", "merge", "squash", "commit"])(
+    "skips commits with source %s",
+    (source) => {
+      expect(getSkipReason({ messageFile, source }, repo)).toMatch(source);
+    }
+  );
+
+  test("skips while a rebase is in progress", () => {
+    execSync("mkdir .git/rebase-merge", { cwd: repo });
+    expect(getSkipReason({ messageFile }, repo)).toBe(
+      "rebase-merge in progress"
+    );
+  });
+
+  test("skips when the message file already has content", () => {
+    writeFileSync(messageFile, "WIP\n# comment\n");
+    expect(getSkipReason({ messageFile }, repo)).toMatch("content");
+  });
+
+  test("ignores the diff of verbose commits below the scissors line", () => {
+    writeFileSync(
+      messageFile,
+      [
+        "",
+        "# Please enter the commit message",
+        "# ------------------------ >8 ------------------------",
+        "# Do not modify or remove the line above.",
+        "diff --git a/a.js b/a.js",
+        "+const a = 1;",
+        "",
+      ].join("\n")
+    );
+    expect(getSkipReason({ messageFile }, repo)).toBeNull();
+
+    writeFileSync(
+      messageFile,
+      "WIP\n# ------------------------ >8 ------------------------\n"
+    );
+    expect(getSkipReason({ messageFile }, repo)).toMatch("content");
+  });
+
+  test("writes the message above git's comments", () => {
+    writeHookMessage(messageFile, "feat: add thing");
+    expect(readFileSync(messageFile, "utf8")).toBe(
+      "feat: add thing\n\n# Please enter the commit message\n"
+    );
+  });
+});
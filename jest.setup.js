@@ -0,0 +1,9 @@
+// Keep git config injected through the environment (GIT_CONFIG_COUNT/KEY/VALUE,
+// GIT_CONFIG_PARAMETERS) and the system config out of the temporary
+// repositories the tests create, so e.g. a global core.hooksPath does not leak in
+export default function setup() {
+  Object.keys(process.env)
+    .filter((key) => /^GIT_CONFIG_(COUNT|KEY_|VALUE_|PARAMETERS)/.test(key))
+    .forEach((key) => delete process.env[key]);
+  process.env.GIT_CONFIG_NOSYSTEM = "1";
+}
@@ -0,0 +1,209 @@
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  DEFAULT_RULES,
+  extractCommitMessage,
+  lintCommitMessage,
+  loadLintConfig,
+  parseCommitMessage,
+  repairCommitMessage,
+} = require("./src/lint.js");
+
+const rulesOf = (message, rules) =>
+  lintCommitMessage(message, rules).errors.map((error) => error.rule);
+
+describe("extractCommitMessage", () => {
+  test.each([
+    ["feat(auth): add login", "feat(auth): add login"],
+    ["Here's the commit message: fix: handle null", "fix: handle null"],
+    ["Commit message:\nfix: handle null", "fix: handle null"],
+    ["```\nfeat: add thing\n```", "feat: add thing"],
+    ["**Commit message:** docs: fix typo", "docs: fix typo"],
+    ['"chore: bump deps"', "chore: bump deps"],
+    ["- test: cover signup", "test: cover signup"],
+    ["<think>hmm, a feature</think>\nfeat: add x", "feat: add x"],
+    ["Here is the commit message:", ""],
+  ])("%j", (raw, expected) => {
+    expect(extractCommitMessage(raw)).toBe(expected);
+  });
+
+  test("keeps the body when asked to", () => {
+    expect(
+      extractCommitMessage("```text\nfeat: add x\n\nBecause y.\n```", {
+        body: true,
+      })
+    ).toBe("feat: add x\n\nBecause y.");
+  });
+});
+
+test("parseCommitMessage separates body and footer", () => {
+  expect(
+    parseCommitMessage("feat(api)!: drop v1\n\nOld clients.\n\nRefs: #1")
+  ).toMatchObject({
+    type: "feat",
+    scope: "api",
+    subject: "drop v1",
+    breaking: true,
+    body: "Old clients.",
+    footer: "Refs: #1",
+  });
+});
+
+describe("lintCommitMessage", () => {
+  test("accepts a conventional message", () => {
+    expect(lintCommitMessage("fix(api): handle null user")).toMatchObject({
+      valid: true,
+      errors: [],
+    });
+  });
+
+  test.each([
+    ["update the readme", ["subject-empty", "type-empty"]],
+    ["Feat: add login", ["type-enum", "type-case"]],
+    ["feature: add login", ["type-enum"]],
+    ["fix: Handle null user.", ["subject-full-stop", "subject-case"]],
+    [`feat: ${"x".repeat(80)}`, ["header-max-length"]],
+  ])("%j breaks %j", (message, rules) => {
+    expect(rulesOf(message).sort()).toEqual(rules.sort());
+  });
+
+  test("reports disabled-by-level and warning rules separately", () => {
+    const result = lintCommitMessage("feat: add x\nno blank line", {
+      ...DEFAULT_RULES,
+      "header-max-length": [0, "always", 5],
+    });
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map((warning) => warning.rule)).toEqual([
+      "body-leading-blank",
+    ]);
+  });
+
+  test("describes violations for the model", () => {
+    expect(lintCommitMessage("feature: x").errors[0].message).toBe(
+      "type must be one of [feat, fix, docs, style, refactor, test, chore, perf, ci, build]"
+    );
+  });
+
+  test("supports scope rules", () => {
+    const rules = {
+      "scope-enum": [2, "always", ["api", "ui"]],
+      "scope-empty": [2, "never"],
+    };
+    expect(rulesOf("feat(api,ui): add x", rules)).toEqual([]);
+    expect(rulesOf("feat(db): add x", rules)).toEqual(["scope-enum"]);
+    expect(rulesOf("feat: add x", rules)).toEqual(["scope-empty"]);
+  });
+});
+
+describe("repairCommitMessage", () => {
+  test.each([
+    ["Feat: Add login page.", "feat: add login page"],
+    ["Add login page", "feat: add login page"],
+    ["Resolve crash on start", "fix: resolve crash on start"],
+    [
+      `refactor(core): ${"split the very long module ".repeat(4)}`,
+      "refactor(core): split the very long module split the very long module",
+    ],
+  ])("%j -> %j", (message, expected) => {
+    const repaired = repairCommitMessage(message);
+    expect(repaired).toBe(expected);
+    expect(lintCommitMessage(repaired).valid).toBe(true);
+  });
+
+  test("leaves acronyms alone", () => {
+    expect(repairCommitMessage("fix: API returns 500")).toBe(
+      "fix: API returns 500"
+    );
+  });
+
+  test("keeps the body", () => {
+    expect(repairCommitMessage("feat: Add x.\n\nBody.")).toBe(
+      "feat: add x\n\nBody."
+    );
+  });
+});
+
+describe("loadLintConfig", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "git-helper-lint-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("falls back to the default rules", async () => {
+    expect(await loadLintConfig(dir)).toEqual({
+      rules: DEFAULT_RULES,
+      path: null,
+      warnings: [],
+    });
+  });
+
+  test("reads .commitlintrc.json and the built-in conventional preset", async () => {
+    writeFileSync(
+      join(dir, ".commitlintrc.json"),
+      JSON.stringify({
+        extends: ["@commitlint/config-conventional"],
+        rules: { "scope-enum": [2, "always", ["api"]] },
+      })
+    );
+
+    const config = await loadLintConfig(dir);
+    expect(config.path).toBe(join(dir, ".commitlintrc.json"));
+    expect(config.rules["header-max-length"]).toEqual([2, "always", 100]);
+    expect(config.rules["type-enum"][2]).toContain("revert");
+    expect(rulesOf("feat(ui): add x", config.rules)).toEqual(["scope-enum"]);
+  });
+
+  test("resolves relative extends from the config that declares them", async () => {
+    mkdirSync(join(dir, "config"));
+    writeFileSync(
+      join(dir, ".commitlintrc.json"),
+      JSON.stringify({ extends: ["./config/commitlint.base.json"] })
+    );
+    writeFileSync(
+      join(dir, "config", "commitlint.base.json"),
+      JSON.stringify({
+        extends: ["./rules.json"],
+        rules: { "header-max-length": [2, "always", 30] },
+      })
+    );
+    writeFileSync(
+      join(dir, "config", "rules.json"),
+      JSON.stringify({ rules: { "scope-enum": [2, "always", ["api"]] } })
+    );
+
+    const config = await loadLintConfig(dir);
+    expect(config.warnings).toEqual([]);
+    expect(config.rules).toEqual({
+      "scope-enum": [2, "always", ["api"]],
+      "header-max-length": [2, "always", 30],
+    });
+  });
+
+  test("reads the commitlint key of package.json", async () => {
+    writeFileSync(
+      join(dir, "package.json"),
+      JSON.stringify({
+        commitlint: { rules: { "header-max-length": [2, "always", 20] } },
+      })
+    );
+
+    const config = await loadLintConfig(dir);
+    expect(rulesOf("feat: add a long subject", config.rules)).toEqual([
+      "header-max-length",
+    ]);
+  });
+
+  test("warns about configs it cannot read", async () => {
+    writeFileSync(join(dir, ".commitlintrc"), "extends: x\n");
+
+    const config = await loadLintConfig(dir);
+    expect(config.rules).toBe(DEFAULT_RULES);
+    expect(config.warnings[0]).toMatch("YAML configs are not supported");
+  });
+});
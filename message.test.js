@@ -0,0 +1,110 @@
+const {
+  buildFooters,
+  composeMessage,
+  detectBreakingChanges,
+  issueRefsFromBranch,
+  wrapBody,
+} = require("./src/message.js");
+
+describe("detectBreakingChanges", () => {
+  const diff = (path, lines) =>
+    [`diff --git a/${path} b/${path}`, `--- a/${path}`, `+++ b/${path}`]
+      .concat("@@ -1,3 +1,3 @@", lines)
+      .join("\n");
+
+  test("reports exports that are removed and not re-added", () => {
+    const changes = detectBreakingChanges(
+      [
+        diff("src/api.js", [
+          "-export function oldApi(a) {",
+          "-export async function moved() {",
+          "+export async function moved(options) {",
+          "-export { helper, internal as publicName };",
+          "+export { helper };",
+        ]),
+        diff("pkg/client.go", ["-func (c *Client) Fetch(url string) {"]),
+      ].join("\n")
+    );
+
+    expect(changes).toEqual([
+      { path: "src/api.js", name: "oldApi" },
+      { path: "src/api.js", name: "publicName" },
+      { path: "pkg/client.go", name: "Fetch" },
+    ]);
+  });
+
+  test("ignores tests and private declarations", () => {
+    expect(
+      detectBreakingChanges(
+        [
+          diff("src/api.test.js", ["-export function fixture() {}"]),
+          diff("src/util.js", ["-function local() {}"]),
+          diff("pkg/a.go", ["-func helper() {"]),
+        ].join("\n")
+      )
+    ).toEqual([]);
+  });
+});
+
+describe("issueRefsFromBranch", () => {
+  test.each([
+    ["feature/123-login", ["#123"]],
+    ["fix/gh-45", ["#45"]],
+    ["issue-7-crash", ["#7"]],
+    ["feature/ABC-123-signup", ["ABC-123"]],
+    ["release/1.2", []],
+    ["main", []],
+    ["", []],
+  ])("%s -> %j", (branch, refs) => {
+    expect(issueRefsFromBranch(branch)).toEqual(refs);
+  });
+});
+
+test("buildFooters formats the derived footers", () => {
+  expect(
+    buildFooters({
+      breaking: [{ path: "src/api.js", name: "oldApi" }],
+      refs: ["#12", "ABC-3"],
+      coAuthors: ["Jane Doe <jane@example.com>"],
+    })
+  ).toEqual([
+    "BREAKING CHANGE: `oldApi` (src/api.js) is no longer exported",
+    "Refs: #12, ABC-3",
+    "Co-authored-by: Jane Doe <jane@example.com>",
+  ]);
+});
+
+test("wrapBody wraps paragraphs and bullets at 72 columns", () => {
+  const wrapped = wrapBody(
+    `${"word ".repeat(30)}\n\n- ${"item ".repeat(20)}\n- short`
+  );
+
+  wrapped.split("\n").forEach((line) => {
+    expect(line.length).toBeLessThanOrEqual(72);
+  });
+  expect(wrapped).toContain("\n\n- item");
+  expect(wrapped).toMatch(/\n {2}item/);
+  expect(wrapped.endsWith("\n- short")).toBe(true);
+});
+
+describe("composeMessage", () => {
+  test("marks breaking subjects and replaces model footers", () => {
+    const message = composeMessage(
+      "refactor(api): drop oldApi\n\nNot used anymore.\n\nRefs: #999\nCloses: #1",
+      {
+        breaking: true,
+        footers: ["BREAKING CHANGE: gone", "Refs: #12"],
+      }
+    );
+
+    expect(message).toBe(
+      "refactor(api)!: drop oldApi\n\nNot used anymore.\n\nCloses: #1\n\nBREAKING CHANGE: gone\nRefs: #12"
+    );
+  });
+
+  test("keeps a subject-only message as-is", () => {
+    expect(composeMessage("fix: handle null user")).toBe(
+      "fix: handle null user"
+    );
+  });
+});
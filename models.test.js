@@ -0,0 +1,163 @@
+const http = require("http");
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  MODEL_CACHE_TTL,
+  buildCatalog,
+  checkModel,
+  isAvailableModel,
+  loadModelCatalog,
+  modelTokenLimit,
+  suggestReplacement,
+} = require("./src/models.js");
+
+let dir;
+let path;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "git-helper-models-"));
+  path = join(dir, "models.json");
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("buildCatalog marks bundled models the provider stopped serving", () => {
+  const catalog = buildCatalog("groq", [
+    { id: "llama-3.3-70b-versatile" },
+    { id: "brand-new-model", tokenLimit: 65536 },
+    { id: "llama-3.1-8b-instant", active: false },
+  ]);
+
+  expect(catalog["llama-3.3-70b-versatile"]).toMatchObject({
+    deprecated: false,
+    tokenLimit: 8192,
+  });
+  expect(catalog["brand-new-model"]).toEqual({
+    description: "",
+    tokenLimit: 65536,
+    deprecated: false,
+    replacement: null,
+  });
+  expect(catalog["llama-3.1-8b-instant"].deprecated).toBe(true);
+  expect(catalog["llama3-70b-8192"].deprecated).toBe(true);
+
+  const local = buildCatalog("ollama", [{ id: "phi3" }]);
+  expect(Object.keys(local)).toEqual(["phi3"]);
+  expect(buildCatalog("ollama")["llama3.1"].deprecated).toBe(false);
+});
+
+test("checkModel suggests a replacement for deprecated and unknown models", () => {
+  const catalog = {
+    models: buildCatalog("groq", [
+      { id: "llama-3.3-70b-versatile" },
+      { id: "llama-3.1-8b-instant" },
+    ]),
+    source: "live",
+  };
+
+  expect(checkModel("groq", "llama-3.3-70b-versatile", catalog)).toBeNull();
+  expect(checkModel("groq", "llama3-70b-8192", catalog)).toEqual({
+    reason: "deprecated",
+    replacement: "llama-3.3-70b-versatile",
+  });
+  expect(checkModel("groq", "mystery-8b-instant", catalog)).toEqual({
+    reason: "unavailable",
+    replacement: "llama-3.1-8b-instant",
+  });
+  expect(
+    checkModel("groq", "mystery", { models: {}, source: "bundled" })
+  ).toBeNull();
+  expect(
+    suggestReplacement("gemma-7b-it", ["llama-3.1-8b-instant", "gemma2-9b-it"])
+  ).toBe("gemma2-9b-it");
+});
+
+test("loadModelCatalog uses a fresh cache without fetching", async () => {
+  const now = Date.now();
+  writeFileSync(
+    path,
+    JSON.stringify({
+      groq: {
+        baseUrl: "https://api.groq.com",
+        fetchedAt: now - 1000,
+        models: [{ id: "cached-model", tokenLimit: 4096 }],
+      },
+    })
+  );
+
+  const catalog = await loadModelCatalog(
+    { provider: "groq", apiKey: "gsk_test" },
+    { path, now }
+  );
+  expect(catalog.source).toBe("cache");
+  expect(catalog.fetchedAt).toBe(now - 1000);
+  expect(catalog.models["cached-model"].tokenLimit).toBe(4096);
+  expect(isAvailableModel("groq", "cached-model", { path })).toBe(true);
+  expect(isAvailableModel("groq", "other-model", { path })).toBe(false);
+  expect(modelTokenLimit("groq", "cached-model", { path })).toBe(4096);
+
+  const offline = await loadModelCatalog({ provider: "offline" }, { path });
+  expect(offline).toMatchObject({ source: "bundled", error: null });
+});
+
+describe("fetching the model list", () => {
+  let server;
+  let fail;
+
+  beforeEach(async () => {
+    fail = false;
+    server = await new Promise((resolve) => {
+      const started = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        if (fail) {
+          res.statusCode = 500;
+          res.end(JSON.stringify({ error: { message: "Down" } }));
+          return;
+        }
+        res.end(
+          JSON.stringify({
+            data: [{ id: "served-model", context_length: 32768 }],
+          })
+        );
+      });
+      started.listen(0, "127.0.0.1", () => resolve(started));
+    });
+  });
+
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  test("fetches, caches and falls back to the stale cache", async () => {
+    const settings = {
+      provider: "openai",
+      apiKey: "sk-test",
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    };
+
+    const live = await loadModelCatalog(settings, { path, now: 1000 });
+    expect(live.source).toBe("live");
+    expect(live.models["served-model"].tokenLimit).toBe(32768);
+    expect(JSON.parse(readFileSync(path, "utf8")).openai).toMatchObject({
+      baseUrl: settings.baseUrl,
+      fetchedAt: 1000,
+    });
+
+    fail = true;
+    const stale = await loadModelCatalog(settings, {
+      path,
+      now: 1000 + MODEL_CACHE_TTL,
+    });
+    expect(stale.source).toBe("cache");
+    expect(stale.error).toBeTruthy();
+    expect(Object.keys(stale.models)).toEqual(["served-model"]);
+
+    const elsewhere = await loadModelCatalog(
+      { ...settings, baseUrl: "http://127.0.0.1:1/v1" },
+      { path }
+    );
+    expect(elsewhere.source).toBe("bundled");
+    expect(elsewhere.error).toBeTruthy();
+  });
+});
@@ -0,0 +1,39 @@
+const {
+  EXIT_CODES,
+  errorCategory,
+  exitCode,
+  formatResult,
+} = require("./src/output.js");
+
+test("every category has its own exit code", () => {
+  const codes = Object.values(EXIT_CODES);
+  expect(new Set(codes).size).toBe(codes.length);
+  expect(exitCode("ok")).toBe(0);
+  expect(exitCode("provider")).toBe(5);
+  expect(exitCode("nope")).toBe(1);
+});
+
+test("errorCategory only trusts known categories", () => {
+  const error = (category) => Object.assign(new Error("x"), { category });
+  expect(errorCategory(error("no_changes"))).toBe("no_changes");
+  expect(errorCategory(error("bug"))).toBe("error");
+  expect(errorCategory(new Error("x"))).toBe("error");
+  expect(errorCategory(undefined)).toBe("error");
+});
+
+test("formatResult adds the exit code to errors", () => {
+  expect(JSON.parse(formatResult("push", { message: "feat: x" }))).toEqual({
+    ok: true,
+    command: "push",
+    message: "feat: x",
+  });
+  expect(
+    JSON.parse(
+      formatResult("commit-msg", {}, { category: "provider", message: "401" })
+    )
+  ).toEqual({
+    ok: false,
+    command: "commit-msg",
+    error: { category: "provider", message: "401", exitCode: 5 },
+  });
+});
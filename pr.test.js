@@ -0,0 +1,110 @@
+const { execSync } = require("child_process");
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  collectBranchChanges,
+  detectBaseBranch,
+  findPrTemplate,
+  formatPrDescription,
+  generatePrDescription,
+  parsePrDescription,
+} = require("./src/pr.js");
+
+test.each([
+  ["Title: feat: add x\n\n## Summary\nAdds x.", "feat: add x"],
+  ['**Title:** "feat: add x"\n\n## Summary\nAdds x.', "feat: add x"],
+  [
+    "```markdown\nTitle: feat: add x\n\n## Summary\nAdds x.\n```",
+    "feat: add x",
+  ],
+])("parsePrDescription(%j)", (content, title) => {
+  expect(parsePrDescription(content)).toEqual({
+    title,
+    body: "## Summary\nAdds x.",
+  });
+});
+
+test("parsePrDescription keeps a body without title", () => {
+  expect(parsePrDescription("## Summary\nAdds x.")).toEqual({
+    title: "",
+    body: "## Summary\nAdds x.",
+  });
+});
+
+test("formatPrDescription puts the title on top", () => {
+  expect(formatPrDescription({ title: "feat: x", body: "## Summary\n" })).toBe(
+    "# feat: x\n\n## Summary\n"
+  );
+});
+
+describe("in a repository", () => {
+  let repo;
+  const run = (command) => execSync(command, { cwd: repo, encoding: "utf8" });
+  const commit = (file, message) => {
+    writeFileSync(join(repo, file), `${message}\n`);
+    run(
+      `git add . && git -c user.name=t -c user.email=t@t commit -qm "${message}"`
+    );
+  };
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "git-helper-pr-"));
+    run("git init -q -b main");
+    commit("a.js", "init");
+    run("git checkout -q -b feature/x");
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test("collects the commits and diff of the branch", () => {
+    commit("b.js", "feat: add b");
+    commit("c.md", "docs: document b");
+
+    expect(detectBaseBranch(repo)).toBe("main");
+    const changes = collectBranchChanges("main", repo);
+    expect(changes.commits.map((c) => c.subject)).toEqual([
+      "feat: add b",
+      "docs: document b",
+    ]);
+    expect(changes.status).toBe("A\tb.js\nA\tc.md\n");
+    expect(changes.diff).toContain("+feat: add b");
+  });
+
+  test("rejects a missing base and an empty branch", () => {
+    expect(() => collectBranchChanges("nope", repo)).toThrow(
+      "Base branch not found: nope"
+    );
+    expect(() => collectBranchChanges("main", repo)).toThrow(
+      "No commits on this branch that are not in main"
+    );
+  });
+
+  test("finds the repository's template", () => {
+    expect(findPrTemplate(repo)).toBeNull();
+    mkdirSync(join(repo, ".github"));
+    writeFileSync(
+      join(repo, ".github", "pull_request_template.md"),
+      "## Why\n"
+    );
+    expect(findPrTemplate(repo)).toEqual({
+      path: ".github/pull_request_template.md",
+      content: "## Why\n",
+    });
+  });
+
+  test("describes the branch offline", async () => {
+    commit("b.js", "feat: add b");
+    const changes = collectBranchChanges("main", repo);
+
+    const { title, body } = await generatePrDescription(
+      { provider: "offline" },
+      changes
+    );
+    expect(title).toBe("feat: add b");
+    expect(body).toContain("1 commit changing 1 file.");
+    expect(body).toContain("- feat: add b");
+  });
+});
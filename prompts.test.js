@@ -0,0 +1,170 @@
+// reviewCommitMessage runs in a child process: chalk and ora do not load in
+// jest, and the prompt needs stdin to itself. Answers are written one at a
+// time as the prompts appear, since readline drops lines nobody asked for.
+const { spawn } = require("child_process");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { pathToFileURL } = require("url");
+
+jest.setTimeout(30000);
+
+const PROMPTS = pathToFileURL(join(__dirname, "src", "prompts.js")).href;
+
+// Pretends to be a terminal unless TTY is unset, reviews "feat: original"
+// with a generator that counts its calls, and prints the outcome last.
+// PREFIX marks what goes through the `write` option.
+const DRIVER = `
+import { reviewCommitMessage } from ${JSON.stringify(PROMPTS)};
+process.stdin.isTTY = Boolean(process.env.TTY);
+const calls = [];
+const result = await reviewCommitMessage("feat: original", {
+  candidates: 2,
+  generate: async (options) => {
+    calls.push(options);
+    return \`feat: candidate \${calls.length}\`;
+  },
+  check: (message) => (message.length > 30 ? ["header is too long"] : []),
+  write: process.env.PREFIX
+    ? (text) => console.log(process.env.PREFIX + text)
+    : undefined,
+});
+console.log("\\nRESULT " + JSON.stringify({ result, calls }));
+process.exit(0);
+`;
+
+let dir;
+let editor;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "git-helper-review-"));
+  // Replaces the message file with $EDITED
+  editor = join(dir, "editor.sh");
+  writeFileSync(editor, '#!/bin/sh\nprintf "%s\\n" "$EDITED" > "$1"\n', {
+    mode: 0o755,
+  });
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Run the review answering each prompt with the next of `answers`; stdin
+// is closed when they run out. Resolves to { result, calls, output, prompts }.
+function review(answers, { tty = true, edited = "", prefix } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(
+      process.execPath,
+      ["--input-type=module", "-e", DRIVER],
+      {
+        cwd: dir,
+        env: {
+          PATH: process.env.PATH,
+          HOME: dir,
+          GIT_CONFIG_NOSYSTEM: "1",
+          GIT_EDITOR: editor,
+          EDITED: edited,
+          ...(tty && { TTY: "1" }),
+          ...(prefix && { PREFIX: prefix }),
+        },
+      }
+    );
+    const queue = [...answers];
+    let output = "";
+    let pending = "";
+    let prompts = 0;
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      pending += chunk;
+      // Prompts are the only output that does not end a line
+      if (pending.endsWith(": ")) {
+        pending = "";
+        prompts++;
+        if (queue.length) {
+          child.stdin.write(`${queue.shift()}\n`);
+        } else {
+          child.stdin.end();
+        }
+      }
+    });
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("error", reject);
+    child.on("close", () => {
+      const line = output.split("\n").find((text) => text.startsWith("RESULT"));
+      if (!line) {
+        reject(new Error(`No result:\n${output}`));
+        return;
+      }
+      resolve({ ...JSON.parse(line.slice(7)), output, prompts });
+    });
+  });
+}
+
+test("passes the message through without a terminal", async () => {
+  const { result, calls, prompts } = await review(["q"], { tty: false });
+
+  expect(result).toBe("feat: original");
+  expect(calls).toEqual([]);
+  expect(prompts).toBe(0);
+});
+
+test("accepts the message with Enter or a", async () => {
+  expect((await review([""])).result).toBe("feat: original");
+  expect((await review(["a"])).result).toBe("feat: original");
+});
+
+test("edits the message and checks the edited one", async () => {
+  const { result, output } = await review(["e", "a"], {
+    edited: "fix: a subject written by hand that runs long",
+  });
+
+  expect(result).toBe("fix: a subject written by hand that runs long");
+  expect(output).toContain("⚠️  header is too long");
+});
+
+test("keeps the previous message when the edit is empty", async () => {
+  const { result, output } = await review(["e", "a"], { edited: "# only" });
+
+  expect(result).toBe("feat: original");
+  expect(output).toContain("Empty message, keeping the previous one");
+});
+
+test("regenerates with a hint and keeps the hint for later tries", async () => {
+  const { result, calls } = await review(["h", "mention the tests", "r", "a"]);
+
+  expect(result).toBe("feat: candidate 2");
+  expect(calls).toEqual([
+    { temperature: 0.7, hint: "mention the tests" },
+    { temperature: 0.7, hint: "mention the tests" },
+  ]);
+});
+
+test("picks an alternative and keeps the message on an invalid choice", async () => {
+  const { result, calls, output } = await review(["p", "9", "p", "3", "a"]);
+
+  expect(output).toContain("Invalid choice: 9");
+  expect(output).toContain("1) feat: original (current)");
+  // Two candidates per pick, the current message is offered too
+  expect(calls).toHaveLength(4);
+  expect(result).toBe("feat: candidate 4");
+});
+
+test("reports unknown choices and asks again", async () => {
+  const { result, output, prompts } = await review(["x", "a"]);
+
+  expect(output).toContain("Unknown choice: x");
+  expect(prompts).toBe(2);
+  expect(result).toBe("feat: original");
+});
+
+test("aborts on quit and at the end of input", async () => {
+  expect((await review(["q"])).result).toBeNull();
+  expect((await review([])).result).toBeNull();
+});
+
+test("prints through the writer it is given", async () => {
+  const { output } = await review(["x", "a"], { prefix: "> " });
+
+  expect(output).toMatch(/^> 📝 Proposed commit message:$/m);
+  expect(output).toContain("> ⚠️  Unknown choice: x");
+});
@@ -0,0 +1,294 @@
+const http = require("http");
+const {
+  createClient,
+  getTokenLimit,
+  isKnownModel,
+  retryAfter,
+  retryDelay,
+} = require("./src/providers.js");
+const { describeProviderError } = require("./src/generate.js");
+const { generateOfflineMessage } = require("./src/offline.js");
+
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => handler(req, res, body ? JSON.parse(body) : null));
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+describe("OpenAI-compatible provider", () => {
+  let server;
+  let requests;
+
+  beforeEach(async () => {
+    requests = [];
+    server = await startServer((req, res, body) => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.setHeader("Content-Type", "application/json");
+      if (body.model === "slow") {
+        setTimeout(() => res.end("{}"), 500);
+        return;
+      }
+      if (body.model === "retired") {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: { message: "Model not found" } }));
+        return;
+      }
+      if (
+        body.model === "flaky" &&
+        requests.filter((request) => request.body.model === "flaky").length < 3
+      ) {
+        res.statusCode = 503;
+        res.end(JSON.stringify({ error: { message: "Overloaded" } }));
+        return;
+      }
+      if (body.model === "invalid") {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: { message: "max_tokens too large" } }));
+        return;
+      }
+      if (body.model === "limited") {
+        res.statusCode = 429;
+        res.setHeader("Retry-After", "3");
+        res.end(JSON.stringify({ error: { message: "Slow down" } }));
+        return;
+      }
+      res.end(
+        JSON.stringify({
+          model: body.model,
+          choices: [{ message: { content: "  feat(api): add endpoint \n" } }],
+          usage: { total_tokens: 42 },
+        })
+      );
+    });
+  });
+
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  const baseUrl = () => `http://127.0.0.1:${server.address().port}/v1/`;
+
+  test("posts chat completions and trims the reply", async () => {
+    const client = createClient({
+      provider: "openai",
+      apiKey: "sk-test",
+      baseUrl: baseUrl(),
+    });
+
+    const result = await client.complete({
+      model: "local-model",
+      messages: [{ role: "user", content: "diff" }],
+      maxTokens: 150,
+    });
+
+    expect(result).toEqual({
+      content: "feat(api): add endpoint",
+      model: "local-model",
+      usage: { total_tokens: 42 },
+    });
+    expect(requests[0].url).toBe("/v1/chat/completions");
+    expect(requests[0].headers.authorization).toBe("Bearer sk-test");
+    expect(requests[0].body.max_tokens).toBe(150);
+  });
+
+  test("redacts secrets before sending messages", async () => {
+    const client = createClient({ provider: "openai", baseUrl: baseUrl() });
+    const diff = '+const key = "gsk_abcdefghijklmnopqrstuvwxyz0123";';
+
+    await client.complete({
+      model: "local-model",
+      messages: [{ role: "user", content: diff }],
+    });
+    await client.complete({
+      model: "local-model",
+      messages: [{ role: "user", content: diff }],
+    });
+
+    expect(requests[0].body.messages[0].content).toBe(
+      '+const key = "[REDACTED groq-api-key]";'
+    );
+    expect(client.redacted.size).toBe(1);
+  });
+
+  test("omits the authorization header without a key", async () => {
+    const client = createClient({ provider: "ollama", baseUrl: baseUrl() });
+    await client.complete({ model: "llama3.1", messages: [] });
+
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test("normalizes HTTP errors", async () => {
+    const client = createClient({
+      provider: "openai",
+      baseUrl: baseUrl(),
+      retries: 0,
+    });
+
+    await expect(
+      client.complete({ model: "limited", messages: [] })
+    ).rejects.toMatchObject({
+      status: 429,
+      headers: expect.objectContaining({ "retry-after": "3" }),
+      error: { type: "rate_limit_error", message: "Slow down" },
+    });
+  });
+
+  test("reports rejected requests as invalid requests", async () => {
+    const client = createClient({ provider: "openai", baseUrl: baseUrl() });
+
+    const error = await client
+      .complete({ model: "invalid", messages: [] })
+      .catch((error) => error);
+
+    expect(error).toMatchObject({
+      status: 400,
+      error: { type: "invalid_request_error", message: "max_tokens too large" },
+    });
+    expect(requests).toHaveLength(1);
+    expect(describeProviderError(error, "openai")).toMatchObject({
+      message: "Invalid request: max_tokens too large",
+      category: "provider",
+      type: "invalid_request_error",
+    });
+  });
+
+  test("reports unreachable servers as connection errors", async () => {
+    const client = createClient({
+      provider: "openai",
+      baseUrl: "http://127.0.0.1:1/v1",
+      retries: 0,
+    });
+
+    await expect(
+      client.complete({ model: "any", messages: [] })
+    ).rejects.toMatchObject({ error: { type: "connection_error" } });
+  });
+
+  test("retries with backoff and honours retry-after", async () => {
+    const sleep = jest.fn(async () => {});
+    const onRetry = jest.fn();
+    const client = createClient({
+      provider: "openai",
+      baseUrl: baseUrl(),
+      sleep,
+      onRetry,
+    });
+
+    const result = await client.complete({ model: "flaky", messages: [] });
+    expect(result.model).toBe("flaky");
+    expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ model: "flaky", delay: 2000, attempt: 2 })
+    );
+
+    sleep.mockClear();
+    await expect(
+      client.complete({ model: "limited", messages: [] })
+    ).rejects.toMatchObject({ status: 429 });
+    expect(sleep.mock.calls).toEqual([[3000], [3000]]);
+  });
+
+  test("falls back to the next model", async () => {
+    const onFallback = jest.fn();
+    const client = createClient({
+      provider: "openai",
+      baseUrl: baseUrl(),
+      fallbackModels: ["retired", "backup"],
+      onFallback,
+    });
+
+    const result = await client.complete({ model: "retired", messages: [] });
+    expect(result.model).toBe("backup");
+    expect(onFallback).toHaveBeenCalledWith(
+      expect.objectContaining({ model: "retired", fallback: "backup" })
+    );
+
+    // Models that failed are not asked again
+    await client.complete({ model: "retired", messages: [] });
+    expect(requests.map((request) => request.body.model)).toEqual([
+      "retired",
+      "backup",
+      "backup",
+    ]);
+  });
+
+  test("gives up on slow responses after the timeout", async () => {
+    const client = createClient({
+      provider: "openai",
+      baseUrl: baseUrl(),
+      timeout: 100,
+      retries: 0,
+    });
+
+    await expect(
+      client.complete({ model: "slow", messages: [] })
+    ).rejects.toMatchObject({ error: { type: "timeout_error" } });
+  });
+});
+
+describe("retry delays", () => {
+  const error = (status, headers = {}) => ({
+    status,
+    headers,
+    error: { type: status === 429 ? "rate_limit_error" : "api_error" },
+  });
+
+  test("doubles the wait unless the provider names one", () => {
+    expect(retryDelay(error(500), 1)).toBe(1000);
+    expect(retryDelay(error(503), 3)).toBe(4000);
+    expect(retryDelay(error(429, { "retry-after": "7" }), 1)).toBe(7000);
+    expect(retryDelay(error(429, { "retry-after-ms": "250" }), 1)).toBe(250);
+    expect(retryDelay(error(429, { "retry-after": "600" }), 1)).toBeNull();
+    expect(retryDelay(error(401), 1)).toBeNull();
+    expect(retryDelay(error(400), 1)).toBeNull();
+  });
+
+  test("reads retry-after dates", () => {
+    const now = Date.parse("2025-01-01T00:00:00Z");
+    expect(
+      retryAfter({ "retry-after": "Wed, 01 Jan 2025 00:00:05 GMT" }, now)
+    ).toBe(5000);
+    expect(retryAfter({}, now)).toBeNull();
+  });
+});
+
+describe("model catalogs", () => {
+  test("only custom-model providers accept unknown models", () => {
+    expect(isKnownModel("groq", "llama-3.3-70b-versatile")).toBe(true);
+    expect(isKnownModel("groq", "made-up-model")).toBe(false);
+    expect(isKnownModel("ollama", "made-up-model")).toBe(true);
+  });
+
+  test("falls back to a default token limit for unknown models", () => {
+    expect(getTokenLimit("groq", "mixtral-8x7b-32768")).toBe(32768);
+    expect(getTokenLimit("ollama", "made-up-model")).toBe(8192);
+  });
+});
+
+describe("offline provider", () => {
+  test("builds the message from the file status", async () => {
+    const client = createClient({ provider: "offline" });
+    const result = await client.complete({
+      model: "heuristic",
+      context: { status: "A\tsrc/auth/login.js\n" },
+    });
+
+    expect(result.content).toBe("feat(auth): add login.js");
+  });
+
+  test.each([
+    ["M\tREADME.md\nM\tdocs/setup.md", "docs: update 2 files"],
+    ["M\tsrc/utils/a.test.js", "test(utils): update a.test.js"],
+    ["A\tdocs/guide.md\nM\tdocs/setup.md", "docs: update 2 files"],
+    ["M\ttests/a.test.js\nM\ttests/b.test.js", "test: update 2 files"],
+    ["M\tpackage.json\nM\tpackage-lock.json", "chore: update 2 files"],
+    ["D\tlib/old.js\nD\tlib/older.js", "refactor: remove 2 files"],
+    ["R100\tsrc/a.js\tsrc/b.js", "refactor(b): rename b.js"],
+    ["", "chore: update files"],
+  ])("%j -> %s", (status, expected) => {
+    expect(generateOfflineMessage(status)).toBe(expected);
+  });
+});
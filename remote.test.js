@@ -0,0 +1,136 @@
+const { execSync } = require("child_process");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  aheadBehind,
+  fetchBranch,
+  getUpstream,
+  integrate,
+  isProtectedBranch,
+  pushArgs,
+  pushBranch,
+  refSha,
+  trackingRef,
+} = require("./src/remote.js");
+
+test.each([
+  ["main", ["main", "release/*"], true],
+  ["release/1.2", ["main", "release/*"], true],
+  ["mainline", ["main"], false],
+  ["feature/x", [], false],
+  ["a.b", ["a*b"], true],
+])("isProtectedBranch(%s, %j)", (branch, patterns, expected) => {
+  expect(isProtectedBranch(branch, patterns)).toBe(expected);
+});
+
+test("pushArgs sets the upstream and the lease", () => {
+  expect(
+    pushArgs({ remote: "fork", branch: "x", setUpstream: true, lease: "abc" })
+  ).toEqual([
+    "push",
+    "--set-upstream",
+    "--force-with-lease=refs/heads/x:abc",
+    "fork",
+    "refs/heads/x:refs/heads/x",
+  ]);
+  expect(pushArgs({ remote: "origin", branch: "x", lease: "" })).toContain(
+    "--force-with-lease=refs/heads/x:"
+  );
+  expect(
+    pushArgs({
+      remote: "origin",
+      branch: "x",
+      remoteBranch: "feat/x",
+      lease: "",
+    })
+  ).toEqual([
+    "push",
+    "--force-with-lease=refs/heads/feat/x:",
+    "origin",
+    "refs/heads/x:refs/heads/feat/x",
+  ]);
+});
+
+describe("with a remote", () => {
+  let dir;
+  let a;
+  let b;
+  const run = (command, cwd) =>
+    execSync(command, { cwd, encoding: "utf8", stdio: "pipe" });
+  const commit = (cwd, file, content) => {
+    writeFileSync(join(cwd, file), content);
+    run(`git add . && git commit -qm "${file}"`, cwd);
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "git-helper-remote-"));
+    a = join(dir, "a");
+    b = join(dir, "b");
+    run("git init -q --bare -b main remote.git", dir);
+    run("git clone -q remote.git a", dir);
+    run("git config user.name t && git config user.email t@t", a);
+    commit(a, "init.txt", "init\n");
+    run("git push -q origin main", a);
+    run("git clone -q remote.git b", dir);
+    run("git config user.name t && git config user.email t@t", b);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("pushes a new branch and sets its upstream", () => {
+    run("git switch -qc feature", a);
+    expect(getUpstream("feature", a)).toBeNull();
+    expect(fetchBranch("origin", "feature", a)).toBe(false);
+
+    expect(
+      pushBranch({ remote: "origin", branch: "feature", setUpstream: true }, a)
+    ).toMatchObject({ ok: true, code: 0 });
+    expect(getUpstream("feature", a)).toEqual({
+      remote: "origin",
+      branch: "feature",
+    });
+  });
+
+  test("counts, rebases and pushes diverged branches", () => {
+    commit(b, "b.txt", "b\n");
+    run("git push -q origin main", b);
+    commit(a, "a.txt", "a\n");
+
+    expect(pushBranch({ remote: "origin", branch: "main" }, a)).toMatchObject({
+      ok: false,
+      rejected: true,
+    });
+    expect(fetchBranch("origin", "main", a)).toBe(true);
+    const tracking = trackingRef("origin", "main");
+    expect(aheadBehind("refs/heads/main", tracking, a)).toEqual({
+      ahead: 1,
+      behind: 1,
+    });
+
+    expect(integrate("rebase", tracking, a)).toEqual([]);
+    expect(aheadBehind("refs/heads/main", tracking, a)).toEqual({
+      ahead: 1,
+      behind: 0,
+    });
+    expect(pushBranch({ remote: "origin", branch: "main" }, a).ok).toBe(true);
+  });
+
+  test("reports conflicts and respects the lease", () => {
+    const fetched = refSha(trackingRef("origin", "main"), a);
+    commit(b, "init.txt", "b\n");
+    run("git push -q origin main", b);
+    commit(a, "init.txt", "a\n");
+
+    expect(
+      pushBranch({ remote: "origin", branch: "main", lease: fetched }, a)
+    ).toMatchObject({ ok: false, rejected: true });
+
+    fetchBranch("origin", "main", a);
+    expect(integrate("merge", trackingRef("origin", "main"), a)).toEqual([
+      "init.txt",
+    ]);
+  });
+});
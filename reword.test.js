@@ -0,0 +1,148 @@
+const { execSync } = require("child_process");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { DEFAULT_RULES } = require("./src/lint.js");
+const {
+  findPoorCommits,
+  findSharedRefs,
+  readRangeCommits,
+  replaceSubject,
+  resolveRewordRange,
+  rewriteHistory,
+  undoReword,
+} = require("./src/reword.js");
+
+let repo;
+
+const run = (command) =>
+  execSync(command, { cwd: repo, encoding: "utf8" }).trim();
+const commit = (file, message) => {
+  writeFileSync(join(repo, file), `${file}\n`);
+  run(`git add -A && git commit -q ${message}`);
+};
+
+beforeEach(() => {
+  repo = mkdtempSync(join(tmpdir(), "git-helper-reword-"));
+  run("git init -q -b main");
+  run("git config user.name t && git config user.email t@t");
+  commit("a.js", '-m "chore: init"');
+  run("git checkout -q -b feature");
+  commit("b.js", '-m "stuff" -m "Keeps this body." -m "Refs: #12"');
+  commit("c.js", '-m "fix: handle c"');
+  commit("d.js", '-m "WIP" --date "2020-02-03T04:05:06Z"');
+});
+
+afterEach(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+test("finds the commits whose subjects break the rules", () => {
+  const range = resolveRewordRange(undefined, repo);
+  expect(range).toMatchObject({ from: "main", branch: "feature" });
+
+  const commits = readRangeCommits(range.from, repo);
+  expect(commits.map((entry) => entry.subject)).toEqual([
+    "stuff",
+    "fix: handle c",
+    "WIP",
+  ]);
+  expect(commits[0].message).toBe("stuff\n\nKeeps this body.\n\nRefs: #12\n");
+
+  const poor = findPoorCommits(commits, DEFAULT_RULES);
+  expect(poor.map((entry) => entry.subject)).toEqual(["stuff", "WIP"]);
+  expect(poor[0].errors.map((error) => error.rule)).toContain("type-empty");
+});
+
+test("resolveRewordRange only accepts ranges ending at HEAD", () => {
+  expect(resolveRewordRange("HEAD~2", repo).from).toBe("HEAD~2");
+  expect(() => resolveRewordRange("main..HEAD~1", repo)).toThrow(
+    "does not end at HEAD"
+  );
+  expect(() => resolveRewordRange("main...HEAD", repo)).toThrow(
+    "two-dot range"
+  );
+  expect(() => resolveRewordRange("--all", repo)).toThrow(
+    "Unknown revision: --all"
+  );
+
+  run("git checkout -q --detach");
+  expect(() => resolveRewordRange("main", repo)).toThrow("HEAD is detached");
+});
+
+test("replaceSubject keeps the body and trailers", () => {
+  expect(replaceSubject("stuff\n\nBody.\n\nRefs: #1\n", "feat: add b")).toBe(
+    "feat: add b\n\nBody.\n\nRefs: #1\n"
+  );
+  expect(replaceSubject("stuff", "feat: add b")).toBe("feat: add b\n");
+});
+
+test("rewriteHistory rewords commits and keeps trees and authors", () => {
+  const range = resolveRewordRange("main", repo);
+  const [stuff, , wip] = readRangeCommits("main", repo);
+  const tree = run("git rev-parse HEAD^{tree}");
+
+  const result = rewriteHistory(
+    range,
+    new Map([
+      [stuff.sha, replaceSubject(stuff.message, "feat: add b")],
+      [wip.sha, "feat: add d\n"],
+    ]),
+    repo
+  );
+
+  expect(result).toMatchObject({ backup: range.head, rewritten: 3 });
+  expect(run("git rev-parse HEAD")).toBe(result.head);
+  expect(run("git rev-parse HEAD^{tree}")).toBe(tree);
+  expect(run("git log --format=%s main..")).toBe(
+    "feat: add d\nfix: handle c\nfeat: add b"
+  );
+  expect(run("git log -1 --format=%b HEAD~2")).toBe(
+    "Keeps this body.\n\nRefs: #12"
+  );
+  expect(run("git log -1 --format=%an/%aI")).toBe(
+    "t/2020-02-03T04:05:06+00:00"
+  );
+  expect(run("git status --porcelain")).toBe("");
+
+  expect(undoReword({}, repo)).toEqual({ branch: "feature", head: range.head });
+  expect(run("git rev-parse HEAD")).toBe(range.head);
+  expect(() => undoReword({}, repo)).toThrow("Nothing to undo");
+});
+
+test("undoReword refuses once the branch moved on", () => {
+  const range = resolveRewordRange("main", repo);
+  const [stuff] = readRangeCommits("main", repo);
+  rewriteHistory(range, new Map([[stuff.sha, "feat: add b\n"]]), repo);
+  commit("e.js", '-m "feat: add e"');
+
+  expect(() => undoReword({}, repo)).toThrow("git reset --keep");
+});
+
+test("undoReword refuses once the reworded commits were pushed", () => {
+  const range = resolveRewordRange("main", repo);
+  const [stuff] = readRangeCommits("main", repo);
+  rewriteHistory(range, new Map([[stuff.sha, "feat: add b\n"]]), repo);
+  run("git branch published");
+
+  expect(() => undoReword({}, repo)).toThrow(
+    "already on published, undoing the reword would rewrite shared history"
+  );
+  expect(undoReword({ force: true }, repo)).toEqual({
+    branch: "feature",
+    head: range.head,
+  });
+});
+
+test("findSharedRefs lists other branches with the commits", () => {
+  const [stuff, , wip] = readRangeCommits("main", repo);
+  expect(findSharedRefs([stuff.sha], "feature", repo)).toEqual([]);
+
+  run(`git update-ref refs/remotes/origin/feature ${stuff.sha}`);
+  run("git branch other HEAD~1");
+  expect(findSharedRefs([stuff.sha], "feature", repo)).toEqual([
+    "other",
+    "origin/feature",
+  ]);
+  expect(findSharedRefs([wip.sha], "feature", repo)).toEqual([]);
+});
@@ -0,0 +1,134 @@
+const { execSync } = require("child_process");
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  applySplitPlan,
+  collectUnits,
+  formatPlan,
+  heuristicPlan,
+  parsePlanJson,
+  parsePlanText,
+  undoSplit,
+} = require("./src/split.js");
+
+const units = [
+  { id: 1, path: "README.md", status: "M", hunk: null, stat: "README.md" },
+  { id: 2, path: "src/auth/a.js", status: "M", hunk: 0, stat: "a.js 1/2" },
+  { id: 3, path: "src/auth/a.js", status: "M", hunk: 1, stat: "a.js 2/2" },
+  { id: 4, path: "src/auth/b.js", status: "A", hunk: null, stat: "b.js" },
+];
+
+test("parsePlanJson drops unknown and repeated ids", () => {
+  expect(
+    parsePlanJson(
+      'Here you go:\n```json\n{"commits": [{"message": "fix: a", "changes": [2, 9]}, {"message": "feat: b", "changes": [2, "4"]}]}\n```',
+      units
+    )
+  ).toEqual({
+    groups: [
+      { message: "fix: a", units: [2] },
+      { message: "feat: b", units: [4] },
+    ],
+    missing: [1, 3],
+  });
+
+  expect(() => parsePlanJson("no plan", units)).toThrow("valid commit plan");
+});
+
+test("heuristicPlan groups by kind of change and directory", () => {
+  expect(heuristicPlan(units)).toEqual([
+    { message: "docs(readme): update README.md", units: [1] },
+    { message: "refactor(auth): update a.js", units: [2, 3] },
+    { message: "feat(auth): add b.js", units: [4] },
+  ]);
+});
+
+describe("plan text", () => {
+  const plan = [
+    { message: "fix(auth): a", units: [2, 3] },
+    { message: "docs: readme", units: [1] },
+  ];
+
+  test("round-trips", () => {
+    expect(parsePlanText(formatPlan(plan, units), units)).toEqual({
+      plan,
+      errors: [],
+      missing: [4],
+    });
+  });
+
+  test("reports mistakes", () => {
+    expect(
+      parsePlanText("1 README\ncommit\n  2 x\n  2 x\n  7 y\nfoo", units).errors
+    ).toEqual([
+      'Change 1 is not below a "commit" line',
+      '"commit" line without a message',
+      "Change 2 is listed twice",
+      "Unknown change 7",
+      "Unrecognized line: foo",
+    ]);
+  });
+});
+
+describe("in a repository", () => {
+  let repo;
+  const git = (command) =>
+    execSync(`git ${command}`, { cwd: repo, encoding: "utf8" }).trim();
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "git-helper-split-"));
+    git("init -q");
+    git("config user.name t");
+    git("config user.email t@t");
+    mkdirSync(join(repo, "src"));
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    writeFileSync(join(repo, "src", "a.js"), `${lines.join("\n")}\n`);
+    git("add .");
+    git("commit -qm init");
+
+    lines[1] = "changed 2";
+    lines[27] = "changed 28";
+    writeFileSync(join(repo, "src", "a.js"), `${lines.join("\n")}\n`);
+    writeFileSync(join(repo, "notes.md"), "notes\n");
+    writeFileSync(join(repo, ".env"), "TOKEN=x\n");
+    git("add notes.md");
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test("commits hunks separately and undoes the series", () => {
+    const { units, skipped } = collectUnits(repo);
+    expect(units.map((unit) => unit.stat)).toEqual([
+      "notes.md (+1 -0)",
+      "src/a.js hunk 1/2 (+1 -1)",
+      "src/a.js hunk 2/2 (+1 -1)",
+    ]);
+    expect(skipped.map((file) => file.path)).toEqual([".env"]);
+
+    const { commits } = applySplitPlan(
+      [
+        { message: "fix: change line 28", units: [3] },
+        { message: "docs: add notes\n\nWith a body.", units: [1, 2] },
+      ],
+      units,
+      { root: repo }
+    );
+
+    expect(commits.map((commit) => commit.message)).toEqual([
+      "fix: change line 28",
+      "docs: add notes\n\nWith a body.",
+    ]);
+    expect(git("show --format= --stat HEAD~1")).toContain("src/a.js");
+    expect(git("show HEAD~1")).toContain("+changed 28");
+    expect(git("show HEAD~1")).not.toContain("+changed 2\n");
+    expect(git("status --porcelain")).toBe("?? .env");
+
+    expect(undoSplit(repo).count).toBe(2);
+    expect(git("log --format=%s")).toBe("init");
+    expect(git("status --porcelain")).toBe("A  notes.md\n M src/a.js\n?? .env");
+    expect(() => undoSplit(repo)).toThrow("Nothing to undo");
+  });
+});
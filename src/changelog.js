@@ -0,0 +1,347 @@
+// Changelogs from conventional commits: collecting the commits of a range,
+// grouping them by type and scope, suggesting the next version and
+// optionally letting the AI turn subjects into user-facing release notes
+import { existsSync, readFileSync } from "fs";
+import { resolve } from "path";
+import { createClient, getProvider } from "./providers.js";
+import { addUsage, describeProviderError } from "./generate.js";
+import { git, refExists, tryGit } from "./git.js";
+import { parseCommitMessage } from "./lint.js";
+
+// Changelog sections in the order they are printed
+const SECTIONS = [
+  { type: "feat", title: "Features" },
+  { type: "fix", title: "Bug Fixes" },
+  { type: "perf", title: "Performance" },
+  { type: "revert", title: "Reverts" },
+  { type: "refactor", title: "Refactoring" },
+  { type: "docs", title: "Documentation" },
+  { type: "style", title: "Styles", hidden: true },
+  { type: "test", title: "Tests", hidden: true },
+  { type: "build", title: "Build System", hidden: true },
+  { type: "ci", title: "Continuous Integration", hidden: true },
+  { type: "chore", title: "Chores", hidden: true },
+];
+
+// Commits that do not follow the conventional format
+const OTHER_SECTION = "Other Changes";
+const BREAKING_SECTION = "⚠ BREAKING CHANGES";
+
+const SEMVER = /^v?(\d+)\.(\d+)\.(\d+)(?:-[\w.-]+)?(?:\+[\w.-]+)?$/;
+const BREAKING_NOTE =
+  /^BREAKING[ -]CHANGE:\s*([\s\S]*?)(?=\n[\w-]+(?:: | #)|\n\n|(?![\s\S]))/gm;
+
+// Entries sent to the AI per request
+const REWRITE_BATCH = 40;
+
+const REWRITE_PROMPT = `You turn commit subjects into release notes for the users of a project.
+
+RULES:
+1. Rewrite every entry as one short sentence a user understands: what changed for them, not how it was implemented
+2. Keep the meaning of each entry; do not merge, drop or invent entries
+3. Leave out types, scopes, commit hashes and issue numbers, they are added afterwards
+4. Start with a capital letter, no period at the end
+5. Keep names of commands, options, APIs and files as they are
+
+OUTPUT FORMAT:
+A JSON object that maps every entry number to its release note, for example:
+{"1": "Sign in with your GitHub account", "2": "Fix crash when the config file is empty"}`;
+
+// Resolve the commit range of a changelog. `from` defaults to the latest tag
+// before `to` (all history when there is none); when `to` is tagged itself,
+// that tag is the release being described.
+export function resolveRange({ from, to = "HEAD" } = {}, cwd = process.cwd()) {
+  if (!refExists(to, cwd)) {
+    throw new Error(`Unknown revision: ${to}`);
+  }
+  if (from && !refExists(from, cwd)) {
+    throw new Error(`Unknown revision: ${from}`);
+  }
+
+  const release = tryGit(["describe", "--tags", "--exact-match", to], cwd);
+  const previous = tryGit(
+    ["describe", "--tags", "--abbrev=0", release ? `${to}^` : to],
+    cwd
+  );
+
+  return {
+    from: from || previous,
+    to,
+    release,
+    date: git(["log", "-1", "--format=%cs", to], cwd).trim(),
+  };
+}
+
+// Commits in `from..to` (everything up to `to` without `from`), newest first
+export function collectCommits(from, to, cwd = process.cwd()) {
+  return git(
+    [
+      "log",
+      "--no-merges",
+      "--format=%h%x1f%B%x1e",
+      from ? `${from}..${to}` : to,
+    ],
+    cwd
+  )
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, message] = record.split("\x1f");
+      return { sha, message: message.trim() };
+    });
+}
+
+function breakingNotes(message) {
+  return [...message.matchAll(BREAKING_NOTE)]
+    .map((match) => match[1].replace(/\s*\n\s*/g, " ").trim())
+    .filter(Boolean);
+}
+
+export function parseEntry({ sha, message }) {
+  const commit = parseCommitMessage(message);
+  const notes = breakingNotes(message);
+  const known = commit.type !== null && commit.subject;
+
+  return {
+    sha,
+    type: known ? commit.type.toLowerCase() : null,
+    scope: known ? commit.scope || null : null,
+    subject: known ? commit.subject : commit.header,
+    text: known ? commit.subject : commit.header,
+    breaking: commit.breaking || notes.length > 0,
+    notes,
+  };
+}
+
+function sortByScope(entries) {
+  // Unscoped entries first, then by scope; the sort is stable so commits
+  // keep their order within a scope
+  return [...entries].sort((a, b) =>
+    (a.scope || "").localeCompare(b.scope || "")
+  );
+}
+
+// Entries that make it into the changelog: hidden types (chores, tests,
+// ...) only with `all` or when they break something
+export function notableEntries(entries, { all = false } = {}) {
+  const hidden = new Set(
+    SECTIONS.filter((section) => section.hidden).map((section) => section.type)
+  );
+  return entries.filter(
+    (entry) => all || entry.breaking || !hidden.has(entry.type)
+  );
+}
+
+// Group parsed entries into changelog sections
+export function groupEntries(entries) {
+  const sections = [];
+  const breaking = entries.filter((entry) => entry.breaking);
+  if (breaking.length) {
+    sections.push({
+      title: BREAKING_SECTION,
+      breaking: true,
+      entries: breaking,
+    });
+  }
+
+  for (const section of SECTIONS) {
+    const matching = entries.filter((entry) => entry.type === section.type);
+    if (matching.length) {
+      sections.push({ title: section.title, entries: sortByScope(matching) });
+    }
+  }
+
+  const known = new Set(SECTIONS.map((section) => section.type));
+  const other = entries.filter((entry) => !known.has(entry.type));
+  if (other.length) {
+    sections.push({ title: OTHER_SECTION, entries: sortByScope(other) });
+  }
+
+  return sections;
+}
+
+export function parseVersion(version) {
+  const match = SEMVER.exec(version || "");
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+// "major", "minor", "patch" or null when nothing would be released. Before
+// 1.0.0 breaking changes only bump the minor version.
+export function suggestBump(entries, version) {
+  if (!entries.length) {
+    return null;
+  }
+  const [major] = parseVersion(version) || [1];
+  if (entries.some((entry) => entry.breaking)) {
+    return major === 0 ? "minor" : "major";
+  }
+  return entries.some((entry) => entry.type === "feat") ? "minor" : "patch";
+}
+
+export function nextVersion(version, bump) {
+  const parsed = parseVersion(version);
+  if (!parsed || !bump) {
+    return null;
+  }
+  const [major, minor, patch] = parsed;
+  return {
+    major: `${major + 1}.0.0`,
+    minor: `${major}.${minor + 1}.0`,
+    patch: `${major}.${minor}.${patch + 1}`,
+  }[bump];
+}
+
+// The version the range starts from: its tag, or the version in package.json
+export function currentVersion(from, root) {
+  if (parseVersion(from)) {
+    return from.replace(/^v/, "");
+  }
+  try {
+    const { version } = JSON.parse(
+      readFileSync(resolve(root, "package.json"), "utf8")
+    );
+    return parseVersion(version) ? version : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatEntry(entry, breaking) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : "";
+  const text =
+    breaking && entry.notes.length ? entry.notes.join(" ") : entry.text;
+  return `- ${scope}${text} (${entry.sha})`;
+}
+
+export function formatChangelog({ version, date, sections }) {
+  const heading = `## ${version ? version.replace(/^v/, "") : "Unreleased"}${
+    date ? ` (${date})` : ""
+  }`;
+  if (!sections.length) {
+    return `${heading}\n\nNo notable changes.\n`;
+  }
+
+  return `${[
+    heading,
+    ...sections.map(
+      (section) =>
+        `### ${section.title}\n\n${section.entries
+          .map((entry) => formatEntry(entry, section.breaking))
+          .join("\n")}`
+    ),
+  ].join("\n\n")}\n`;
+}
+
+// Insert `section` above the newest entry of an existing changelog, below
+// its title and introduction
+export function prependChangelog(existing, section) {
+  if (!existing || !existing.trim()) {
+    return `# Changelog\n\n${section}`;
+  }
+
+  const heading = section.split("\n")[0].replace(/ \(.*\)$/, "");
+  const lines = existing.split("\n");
+  if (
+    heading !== "## Unreleased" &&
+    lines.some((line) => line === heading || line.startsWith(`${heading} `))
+  ) {
+    throw new Error(
+      `The changelog already has an entry for ${heading.slice(3)}`
+    );
+  }
+
+  const first = lines.findIndex((line) => /^##\s/.test(line));
+  if (first === -1) {
+    return `${existing.trimEnd()}\n\n${section}`;
+  }
+  return [...lines.slice(0, first), section, ...lines.slice(first)].join("\n");
+}
+
+export function readChangelog(path) {
+  return existsSync(path) ? readFileSync(path, "utf8") : "";
+}
+
+export function parseReleaseNotes(content, count) {
+  const json = /\{[\s\S]*\}/.exec(content || "");
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch {
+    throw new Error("The AI did not return valid release notes");
+  }
+
+  const notes = new Map();
+  for (const [key, value] of Object.entries(data)) {
+    const id = Number(key);
+    const text = typeof value === "string" ? value.trim() : "";
+    if (Number.isInteger(id) && id >= 1 && id <= count && text) {
+      notes.set(id, text.replace(/\.$/, ""));
+    }
+  }
+  return notes;
+}
+
+// Rewrite the text of every entry into a release note. Entries the AI
+// skipped keep their commit subject.
+export async function rewriteReleaseNotes(settings, entries, options = {}) {
+  if (!getProvider(settings.provider).usesPrompt || !entries.length) {
+    return { entries, usage: null };
+  }
+
+  try {
+    const client = createClient(settings);
+    const rewritten = [];
+    let usage = null;
+
+    for (let start = 0; start < entries.length; start += REWRITE_BATCH) {
+      const batch = entries.slice(start, start + REWRITE_BATCH);
+      options.onProgress?.(
+        entries.length > REWRITE_BATCH
+          ? `Writing release notes (${start + 1}-${start + batch.length} of ${
+              entries.length
+            })...`
+          : "Writing release notes..."
+      );
+
+      const completion = await client.complete({
+        messages: [
+          { role: "system", content: REWRITE_PROMPT },
+          {
+            role: "user",
+            content: `ENTRIES:
+${batch
+  .map(
+    (entry, i) =>
+      `${i + 1}. ${
+        entry.type
+          ? `${entry.type}${entry.scope ? `(${entry.scope})` : ""}: `
+          : ""
+      }${entry.subject}`
+  )
+  .join("\n")}
+${
+  options.hint
+    ? `\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${options.hint}\n`
+    : ""
+}
+Return the JSON object now:`,
+          },
+        ],
+        model: settings.model,
+        maxTokens: 2000,
+        temperature: options.temperature ?? 0.3,
+      });
+
+      usage = addUsage(usage, completion.usage);
+      const notes = parseReleaseNotes(completion.content, batch.length);
+      batch.forEach((entry, i) =>
+        rewritten.push({ ...entry, text: notes.get(i + 1) || entry.text })
+      );
+    }
+
+    return { entries: rewritten, usage };
+  } catch (error) {
+    throw error.error ? describeProviderError(error, settings.provider) : error;
+  }
+}
@@ -0,0 +1,186 @@
+// The changes a commit message is generated for. A source is one of
+//   { type: "auto" }      staged changes, else the working tree
+//   { type: "staged" }    the index, what `git commit` would record
+//   { type: "worktree", untracked }
+//                         all uncommitted changes to tracked files, and with
+//                         `untracked` new files as well
+//   { type: "commit", rev }  what an existing commit changed (for --amend
+//                         and rewording older commits)
+//   { type: "range", rev }   everything a range like main..feature changed
+import { getRepoRoot, git, refExists, runGit, tryGit } from "./git.js";
+
+export const SOURCE_TYPES = ["auto", "staged", "worktree", "commit", "range"];
+
+const RANGE_PATTERN = /^(.*?)(\.{2,3})(.*)$/;
+
+function hasHead(cwd) {
+  return refExists("HEAD", cwd);
+}
+
+// Untracked files of the whole repository, relative to its root
+function untrackedFiles(root) {
+  return git(["ls-files", "--others", "--exclude-standard", "-z"], root)
+    .split("\0")
+    .filter(Boolean);
+}
+
+// Untracked files as the diff and status of newly added files
+function untrackedChanges(cwd) {
+  const root = getRepoRoot(cwd);
+  const paths = untrackedFiles(root);
+  // --no-index exits with 1 when the files differ, which they always do
+  const addedFile = (path) =>
+    runGit(["diff", "--no-index", "--no-color", "--", "/dev/null", path], {
+      cwd: root,
+    }).stdout;
+  return {
+    diff: paths.map(addedFile).join(""),
+    status: paths.map((path) => `A\t${path}\n`).join(""),
+  };
+}
+
+// The diff of `args` along with its `--name-status` listing
+function diffWithStatus(args, cwd) {
+  return {
+    diff: git(["diff", "--no-color", ...args], cwd),
+    status: git(["diff", "--name-status", ...args], cwd),
+  };
+}
+
+function worktreeChanges(untracked, cwd) {
+  let changes;
+  if (hasHead(cwd)) {
+    changes = diffWithStatus(["HEAD"], cwd);
+  } else {
+    // Nothing committed yet: what is staged plus what is not
+    const staged = diffWithStatus(["--cached"], cwd);
+    const unstaged = diffWithStatus([], cwd);
+    changes = {
+      diff: staged.diff + unstaged.diff,
+      status: staged.status + unstaged.status,
+    };
+  }
+  if (untracked) {
+    const added = untrackedChanges(cwd);
+    changes = {
+      diff: changes.diff + added.diff,
+      status: changes.status + added.status,
+    };
+  }
+  return changes;
+}
+
+function commitChanges(rev, cwd) {
+  // The first parent's view of merges, everything for a root commit
+  const args = ["--no-commit-id", "-r", "--root", "-m", "--first-parent"];
+  return {
+    diff: git(["diff-tree", "-p", "--no-color", ...args, rev], cwd),
+    status: git(["diff-tree", "--name-status", ...args, rev], cwd),
+  };
+}
+
+// The ends of a range as { from, to, dots }, e.g. from "main" and to "HEAD"
+// for "main..", or null
+export function parseRange(range) {
+  const match = RANGE_PATTERN.exec(String(range));
+  return match
+    ? { from: match[1] || "HEAD", to: match[3] || "HEAD", dots: match[2] }
+    : null;
+}
+
+// What is wrong with `source`, e.g. an unknown revision, or null
+export function checkSource(source = { type: "auto" }, cwd = process.cwd()) {
+  if (!SOURCE_TYPES.includes(source.type)) {
+    return `Unknown change source: ${source.type}`;
+  }
+  if (source.type === "commit" && !refExists(source.rev || "", cwd)) {
+    return `Unknown commit: ${source.rev}`;
+  }
+  if (source.type === "range") {
+    const range = parseRange(source.rev);
+    if (!range) {
+      return `Not a range: ${source.rev} (expected <from>..<to>)`;
+    }
+    const unknown = [range.from, range.to].find((rev) => !refExists(rev, cwd));
+    if (unknown) {
+      return `Unknown revision: ${unknown}`;
+    }
+  }
+  return null;
+}
+
+// Resolve `source` to { diff, status, source } with the `--name-status`
+// listing in `status` and the source that was used in `source` (auto turns
+// into staged or worktree). Throws when there is nothing to describe, with
+// the category "no_changes".
+export function getChanges(source = { type: "auto" }, cwd = process.cwd()) {
+  const problem = checkSource(source, cwd);
+  if (problem) {
+    throw Object.assign(new Error(problem), { category: "usage" });
+  }
+
+  let used = source;
+  let changes;
+  if (source.type === "auto") {
+    if (!tryGit(["status", "--porcelain"], cwd)) {
+      throw Object.assign(new Error("No changes found in repository"), {
+        category: "no_changes",
+      });
+    }
+    changes = diffWithStatus(["--cached"], cwd);
+    used = { type: "staged" };
+    if (!changes.diff.trim()) {
+      used = { type: "worktree", untracked: true };
+      changes = worktreeChanges(true, cwd);
+    }
+  } else if (source.type === "staged") {
+    changes = diffWithStatus(["--cached"], cwd);
+  } else if (source.type === "worktree") {
+    changes = worktreeChanges(source.untracked, cwd);
+  } else if (source.type === "commit") {
+    changes = commitChanges(source.rev, cwd);
+  } else {
+    const { from, to, dots } = parseRange(source.rev);
+    changes = diffWithStatus([`${from}${dots}${to}`], cwd);
+  }
+
+  if (!changes.diff.trim() && !changes.status.trim()) {
+    throw Object.assign(new Error(emptyMessage(used, cwd)), {
+      category: "no_changes",
+    });
+  }
+  return { ...changes, source: used };
+}
+
+function emptyMessage(source, cwd) {
+  switch (source.type) {
+    case "staged":
+      return "No staged changes found. Stage them with 'git add' or use --worktree";
+    case "worktree":
+      return !source.untracked && untrackedFiles(getRepoRoot(cwd)).length
+        ? "Only untracked files changed. Use --untracked to include them"
+        : "No changes found to analyze";
+    case "commit":
+      return `Commit ${source.rev} changes no files`;
+    default:
+      return `No changes in ${source.rev}`;
+  }
+}
+
+// Short description of `source` for messages, e.g. "staged changes"
+export function describeSource(source = { type: "auto" }) {
+  switch (source.type) {
+    case "staged":
+      return "staged changes";
+    case "worktree":
+      return source.untracked
+        ? "working tree changes and untracked files"
+        : "working tree changes";
+    case "commit":
+      return `commit ${source.rev}`;
+    case "range":
+      return `range ${source.rev}`;
+    default:
+      return "changes";
+  }
+}
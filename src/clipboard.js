@@ -0,0 +1,27 @@
+import { spawnSync } from "child_process";
+
+// Clipboard commands per platform, tried in order
+const COMMANDS = {
+  darwin: [["pbcopy"]],
+  win32: [["clip"]],
+  default: [
+    ["wl-copy"],
+    ["xclip", "-selection", "clipboard"],
+    ["xsel", "--clipboard", "--input"],
+  ],
+};
+
+export function copyToClipboard(text, platform = process.platform) {
+  for (const [command, ...args] of COMMANDS[platform] || COMMANDS.default) {
+    const result = spawnSync(command, args, {
+      input: text,
+      stdio: ["pipe", "ignore", "ignore"],
+    });
+    if (!result.error && result.status === 0) {
+      return command;
+    }
+  }
+  throw new Error(
+    "No clipboard command found (install wl-clipboard, xclip or xsel)"
+  );
+}
@@ -0,0 +1,380 @@
+// Reviewing staged changes: the AI (or a heuristic offline) looks for likely
+// bugs, leftover debug code, missing tests and security smells and reports
+// them as findings on file lines, printable as text, JSON or SARIF
+import { createClient, getProvider } from "./providers.js";
+import { prepareDiff, splitDiff } from "./diff.js";
+import { git } from "./git.js";
+import { addUsage, chunkBudget, describeProviderError } from "./generate.js";
+
+// From least to most severe
+export const SEVERITIES = ["info", "low", "medium", "high", "critical"];
+
+export const CATEGORIES = {
+  bug: "Likely bug",
+  security: "Security smell",
+  debug: "Leftover debug code",
+  tests: "Missing tests",
+  other: "Other issue",
+};
+
+// Severity from which findings block a push unless configured otherwise
+export const DEFAULT_FAIL_ON = "high";
+
+// Parts of a large diff that are reviewed; anything beyond is reported
+const MAX_CHUNKS = 8;
+
+const MAX_FINDINGS = 50;
+
+const REVIEW_PROMPT = `You review staged git changes before they are committed. Lines of the diff are prefixed with their line number in the new file; removed lines have no number.
+
+LOOK FOR:
+- bug: likely bugs, e.g. wrong conditions, off-by-one errors, unhandled errors, null access, race conditions
+- security: security smells, e.g. injection, hard-coded credentials, disabled certificate checks, unsafe eval
+- debug: leftover debug code, e.g. console.log, print, debugger statements, commented-out code
+- tests: changed behaviour without matching test changes
+- other: anything else a careful reviewer would flag
+
+RULES:
+1. Only report issues in added or changed lines, with the line number shown in front of them
+2. Severity is one of: ${SEVERITIES.join(", ")}
+3. Be specific and brief: one sentence per message, one optional sentence with a suggested fix
+4. Do not report style or formatting issues
+5. Report nothing rather than guessing; an empty list is a fine answer
+
+OUTPUT: Return ONLY JSON in this form, nothing else:
+{"findings": [{"file": "src/app.js", "line": 12, "severity": "medium", "category": "bug", "message": "...", "suggestion": "..."}]}`;
+
+// Debug statements and security smells the offline review looks for in
+// added lines
+const OFFLINE_RULES = [
+  {
+    pattern: /\bconsole\.(log|debug|trace|dir)\(/,
+    category: "debug",
+    severity: "low",
+    message: "Console output left in the code",
+  },
+  {
+    pattern: /^\s*debugger;?\s*$/,
+    category: "debug",
+    severity: "medium",
+    message: "Debugger statement left in the code",
+  },
+  {
+    pattern: /\b(pdb|ipdb)\.set_trace\(|^\s*breakpoint\(\)|\bbinding\.pry\b/,
+    category: "debug",
+    severity: "medium",
+    message: "Breakpoint left in the code",
+  },
+  {
+    pattern: /\b(var_dump|print_r)\(/,
+    category: "debug",
+    severity: "low",
+    message: "Debug output left in the code",
+  },
+  {
+    pattern: /^(<{7}|={7}|>{7})( |$)/,
+    category: "bug",
+    severity: "critical",
+    message: "Conflict marker left in the file",
+  },
+  {
+    pattern: /\beval\(/,
+    category: "security",
+    severity: "medium",
+    message: "eval() runs arbitrary code",
+  },
+  {
+    pattern:
+      /rejectUnauthorized:\s*false|verify\s*=\s*False|InsecureSkipVerify:\s*true/,
+    category: "security",
+    severity: "high",
+    message: "TLS certificate verification is disabled",
+  },
+  {
+    pattern: /\b(TODO|FIXME|XXX)\b/,
+    category: "other",
+    severity: "info",
+    message: "Unfinished work marked in the code",
+  },
+];
+
+const SOURCE_FILE =
+  /\.(c|cc|cpp|cs|go|java|js|jsx|kt|mjs|cjs|php|py|rb|rs|swift|ts|tsx)$/;
+const TEST_FILE =
+  /(^|\/)(tests?|__tests__|spec)\/|[._-](test|spec)\.\w+$|_test\.go$|(^|\/)test_[^/]+\.py$/;
+
+export function parseSeverity(value) {
+  const severity = String(value || "")
+    .trim()
+    .toLowerCase();
+  return SEVERITIES.includes(severity) ? severity : null;
+}
+
+export function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+// Findings at or above `failOn`
+export function blockingFindings(findings, failOn = DEFAULT_FAIL_ON) {
+  return findings.filter(
+    (finding) => severityRank(finding.severity) >= severityRank(failOn)
+  );
+}
+
+export function getStagedDiff(cwd = process.cwd()) {
+  return git(["diff", "--cached", "--no-color", "--no-ext-diff"], cwd);
+}
+
+// Prefix the lines of a diff with their line number in the new file
+export function numberDiffLines(diff) {
+  let line = 0;
+  return diff
+    .split("\n")
+    .map((text) => {
+      const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(text);
+      if (hunk) {
+        line = Number(hunk[1]);
+        return text;
+      }
+      if (!line || /^(\+\+\+|---) /.test(text)) {
+        return text;
+      }
+      if (text.startsWith("-")) {
+        return `      ${text}`;
+      }
+      if (text.startsWith("+") || text.startsWith(" ")) {
+        return `${String(line++).padStart(5)} ${text}`;
+      }
+      if (text.startsWith("diff --git ")) {
+        line = 0;
+      }
+      return text;
+    })
+    .join("\n");
+}
+
+// Added lines of every file as { path, lines: [{ line, text }] }
+export function addedLines(diff) {
+  return splitDiff(diff).map((file) => {
+    const lines = [];
+    for (const hunk of file.hunks) {
+      const [header, ...rest] = hunk.split("\n");
+      let line = Number(/\+(\d+)/.exec(header)?.[1] || 1);
+      for (const text of rest) {
+        if (text.startsWith("+")) {
+          lines.push({ line: line++, text: text.slice(1) });
+        } else if (text.startsWith(" ")) {
+          line++;
+        }
+      }
+    }
+    return { path: file.path, lines };
+  });
+}
+
+function compareFindings(a, b) {
+  return (
+    severityRank(b.severity) - severityRank(a.severity) ||
+    (a.file || "").localeCompare(b.file || "") ||
+    (a.line || 0) - (b.line || 0)
+  );
+}
+
+// Findings without the AI: debug statements, conflict markers and a few
+// security smells in added lines, and source changes without test changes
+export function offlineReview(diff) {
+  const files = addedLines(diff);
+  const findings = [];
+
+  for (const { path, lines } of files) {
+    for (const { line, text } of lines) {
+      const rule = OFFLINE_RULES.find(({ pattern }) => pattern.test(text));
+      if (rule) {
+        findings.push({
+          file: path,
+          line,
+          severity: rule.severity,
+          category: rule.category,
+          message: rule.message,
+          suggestion: null,
+        });
+      }
+    }
+  }
+
+  const sources = files.filter(
+    ({ path, lines }) =>
+      lines.length && SOURCE_FILE.test(path) && !TEST_FILE.test(path)
+  );
+  if (sources.length && !files.some(({ path }) => TEST_FILE.test(path))) {
+    findings.push(
+      ...sources.map(({ path }) => ({
+        file: path,
+        line: null,
+        severity: "low",
+        category: "tests",
+        message: "Source changed without test changes",
+        suggestion: null,
+      }))
+    );
+  }
+
+  return findings.sort(compareFindings);
+}
+
+// Findings from the model's answer. Findings on files that are not part of
+// the diff are dropped, unknown severities and categories are normalized.
+export function parseFindings(content, paths) {
+  const json = /\{[\s\S]*\}/.exec(content || "");
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch {
+    throw new Error("The AI did not return a valid review");
+  }
+
+  return (Array.isArray(data.findings) ? data.findings : []).flatMap(
+    (finding) => {
+      const file = String(finding?.file || "").replace(/^[ab]\//, "");
+      const line = Number(finding?.line);
+      if (
+        !String(finding?.message || "").trim() ||
+        (file && !paths.includes(file))
+      ) {
+        return [];
+      }
+      return {
+        file: file || null,
+        line: file && Number.isInteger(line) && line > 0 ? line : null,
+        severity: parseSeverity(finding.severity) || "medium",
+        category: CATEGORIES[finding.category] ? finding.category : "other",
+        message: String(finding.message).trim(),
+        suggestion: String(finding.suggestion || "").trim() || null,
+      };
+    }
+  );
+}
+
+// Review `diff` and resolve to { findings, usage, prepared }. Diffs too large
+// for one request are reviewed in parts; lockfiles, generated and binary files
+// are skipped.
+export async function reviewChanges(settings, diff, options = {}) {
+  const prepared = prepareDiff(diff, {
+    maxChars: chunkBudget(settings.tokenLimit),
+    maxChunks: MAX_CHUNKS,
+  });
+  if (!getProvider(settings.provider).usesPrompt) {
+    return { findings: offlineReview(diff), usage: null, prepared };
+  }
+
+  const paths = splitDiff(diff).map((file) => file.path);
+  let findings = [];
+  let usage = null;
+
+  try {
+    const client = createClient(settings);
+    for (const [index, chunk] of prepared.chunks.entries()) {
+      options.onProgress?.(
+        prepared.chunks.length > 1
+          ? `Reviewing part ${index + 1} of ${prepared.chunks.length}...`
+          : "Reviewing changes..."
+      );
+      const completion = await client.complete({
+        messages: [
+          { role: "system", content: REVIEW_PROMPT },
+          {
+            role: "user",
+            content: `Review this diff${
+              prepared.chunks.length > 1
+                ? ` (part ${index + 1} of ${prepared.chunks.length})`
+                : ""
+            }:
+
+${numberDiffLines(chunk)}
+${
+  options.hint
+    ? `\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${options.hint}\n`
+    : ""
+}
+Return the JSON now:`,
+          },
+        ],
+        model: settings.model,
+        maxTokens: 2000,
+        temperature: options.temperature ?? 0.1,
+      });
+      usage = addUsage(usage, completion.usage);
+      findings.push(...parseFindings(completion.content, paths));
+    }
+  } catch (error) {
+    throw error.error ? describeProviderError(error, settings.provider) : error;
+  }
+
+  findings = findings.sort(compareFindings).slice(0, MAX_FINDINGS);
+  return { findings, usage, prepared };
+}
+
+export function formatReviewJson(findings, failOn = DEFAULT_FAIL_ON) {
+  return `${JSON.stringify(
+    {
+      findings,
+      failOn,
+      blocking: blockingFindings(findings, failOn).length,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+// SARIF levels are error, warning and note
+function sarifLevel(severity) {
+  if (severityRank(severity) >= severityRank("high")) return "error";
+  return severity === "medium" ? "warning" : "note";
+}
+
+// SARIF 2.1.0 log, e.g. for GitHub code scanning. Each category is a rule.
+export function formatReviewSarif(findings, { version } = {}) {
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "git-helper",
+            ...(version ? { version } : {}),
+            rules: Object.entries(CATEGORIES).map(([id, text]) => ({
+              id,
+              shortDescription: { text },
+            })),
+          },
+        },
+        results: findings.map((finding) => ({
+          ruleId: finding.category,
+          level: sarifLevel(finding.severity),
+          message: {
+            text: finding.suggestion
+              ? `${finding.message} ${finding.suggestion}`
+              : finding.message,
+          },
+          properties: { severity: finding.severity },
+          ...(finding.file
+            ? {
+                locations: [
+                  {
+                    physicalLocation: {
+                      artifactLocation: { uri: finding.file },
+                      ...(finding.line
+                        ? { region: { startLine: finding.line } }
+                        : {}),
+                    },
+                  },
+                ],
+              }
+            : {}),
+        })),
+      },
+    ],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
@@ -0,0 +1,568 @@
+// Layered configuration. A setting comes from the first of these layers that
+// has a valid value for it, highest precedence first:
+//   1. `-c key=value` on the command line
+//   2. environment variables (GIT_HELPER_PROVIDER, GROQ_API_KEY, ...)
+//   3. the project config (.git-helper-config.json at the repository root)
+//   4. the global config (~/.git-helper-global.json)
+//   5. built-in defaults
+// List settings marked `merge` combine the values of all layers instead.
+// API keys saved with a credential store (see credentials.js) are looked up
+// after the config file of their layer.
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { dirname, resolve } from "path";
+import { DEFAULT_PROVIDER, PROVIDERS, getProvider } from "./providers.js";
+import { isAvailableModel } from "./models.js";
+import { DEFAULT_FAIL_ON, SEVERITIES } from "./code-review.js";
+import { tryGit } from "./git.js";
+import { STORES, credentialAccount } from "./credentials.js";
+
+export const PROJECT_CONFIG_FILE = ".git-helper-config.json";
+export const GLOBAL_CONFIG_FILE = ".git-helper-global.json";
+
+// Highest precedence first
+export const LAYERS = ["cli", "env", "project", "global", "default"];
+
+function checkUrl(value) {
+  try {
+    new URL(value);
+    return null;
+  } catch {
+    return "must be a URL";
+  }
+}
+
+function checkRules(rules) {
+  const invalid = rules.find(
+    (rule) =>
+      !rule || typeof rule !== "object" || typeof rule.pattern !== "string"
+  );
+  return invalid === undefined
+    ? null
+    : 'every rule needs a "pattern", e.g. {"id": "...", "pattern": "..."}';
+}
+
+function checkModels(models, provider) {
+  const unknown = models.find((model) => !isAvailableModel(provider, model));
+  return unknown === undefined
+    ? null
+    : `unknown ${getProvider(provider).label} model: ${unknown}`;
+}
+
+// Every setting with its type ("string", "number", "boolean", "list" of
+// strings or "rules"),
+// environment variable and default. `*` in a key stands for a provider name;
+// functions get that name. Settings marked `globalOnly` are not read from the
+// project config: it comes with the repository, and like git's credential
+// helpers they must not be chosen by whoever wrote the repository.
+export const SETTINGS = {
+  provider: {
+    type: "string",
+    description: "AI provider",
+    values: Object.keys(PROVIDERS),
+    env: "GIT_HELPER_PROVIDER",
+    default: DEFAULT_PROVIDER,
+  },
+  "providers.*.apiKey": {
+    type: "string",
+    description: "API key",
+    secret: true,
+    env: (provider) => getProvider(provider).apiKeyEnv,
+  },
+  "providers.*.model": {
+    type: "string",
+    description: "AI model",
+    default: (provider) => getProvider(provider).defaultModel,
+    validate: (value, provider) =>
+      isAvailableModel(provider, value)
+        ? null
+        : `unknown ${getProvider(provider).label} model`,
+  },
+  "providers.*.fallbackModels": {
+    type: "list",
+    description: "Models tried in order when the selected one fails",
+    default: [],
+    validate: checkModels,
+  },
+  "providers.*.baseUrl": {
+    type: "string",
+    description: "API base URL",
+    env: (provider) => getProvider(provider).baseUrlEnv,
+    default: (provider) => getProvider(provider).defaultBaseUrl,
+    validate: checkUrl,
+    // The API key is sent there, so a project config may only point the
+    // provider elsewhere when the key comes from the project too
+    sendsKey: true,
+  },
+  "ai.timeout": {
+    type: "number",
+    description: "Seconds to wait for an AI response before retrying",
+    env: "GIT_HELPER_TIMEOUT",
+    default: 30,
+    validate: (value) => (value > 0 ? null : "must be more than 0"),
+  },
+  "ai.retries": {
+    type: "number",
+    description: "Retries of a failed AI request before the next model",
+    env: "GIT_HELPER_RETRIES",
+    default: 2,
+    validate: (value) =>
+      Number.isInteger(value) ? null : "must be a whole number",
+  },
+  "ai.offlineFallback": {
+    type: "boolean",
+    description: "Build the message from the file names when every model fails",
+    env: "GIT_HELPER_OFFLINE_FALLBACK",
+    default: true,
+  },
+  learnStyle: {
+    type: "boolean",
+    description: "Follow the style of the repository's recent commits",
+    env: "GIT_HELPER_LEARN_STYLE",
+    default: true,
+  },
+  remote: {
+    type: "string",
+    description: "Remote push and pull use",
+    env: "GIT_HELPER_REMOTE",
+  },
+  protectedBranches: {
+    type: "list",
+    description: 'Branches push refuses to push to, e.g. "main,release/*"',
+    env: "GIT_HELPER_PROTECTED_BRANCHES",
+    default: [],
+  },
+  reviewFailOn: {
+    type: "string",
+    description: "Severity from which review findings block a push",
+    values: SEVERITIES,
+    env: "GIT_HELPER_REVIEW_FAIL_ON",
+    default: DEFAULT_FAIL_ON,
+  },
+  "credentials.store": {
+    type: "string",
+    description:
+      "Where API keys are saved: keychain, file (encrypted), helper, config (plain text) or auto",
+    values: STORES,
+    env: "GIT_HELPER_CREDENTIAL_STORE",
+    default: "auto",
+    globalOnly: true,
+  },
+  "credentials.helper": {
+    type: "string",
+    description: 'git credential helper for the "helper" store, e.g. store',
+    // Runs as a command
+    globalOnly: true,
+  },
+  "secrets.rules": {
+    type: "rules",
+    description: "Custom secret rules",
+    merge: true,
+    default: [],
+    validate: checkRules,
+  },
+  "secrets.allowlist": {
+    type: "list",
+    description: "Patterns of values that are not secrets",
+    merge: true,
+    default: [],
+  },
+  "secrets.allowPaths": {
+    type: "list",
+    description: "Files the secret scanner skips",
+    merge: true,
+    default: [],
+  },
+};
+
+// Where Groq settings were kept before there were several providers
+const LEGACY_KEYS = {
+  "providers.groq.apiKey": "groqApiKey",
+  "providers.groq.model": "model",
+};
+
+export function projectConfigPath(cwd = process.cwd()) {
+  return resolve(
+    tryGit(["rev-parse", "--show-toplevel"], cwd) || cwd,
+    PROJECT_CONFIG_FILE
+  );
+}
+
+export function globalConfigPath(home = homedir()) {
+  return resolve(home, GLOBAL_CONFIG_FILE);
+}
+
+// The definition of `key` and the provider its `*` stands for, or null
+export function findSetting(key) {
+  const parts = String(key).split(".");
+  if (parts[0] === "providers" && parts.length === 3) {
+    const setting = SETTINGS[`providers.*.${parts[2]}`];
+    return setting && PROVIDERS[parts[1]]
+      ? { setting, provider: parts[1] }
+      : null;
+  }
+  return SETTINGS[key] && !key.includes("*")
+    ? { setting: SETTINGS[key], provider: null }
+    : null;
+}
+
+// All setting keys, with `*` replaced by every provider
+export function settingKeys() {
+  return Object.keys(SETTINGS).flatMap((key) =>
+    key.includes("*")
+      ? Object.keys(PROVIDERS).map((name) => key.replace("*", name))
+      : [key]
+  );
+}
+
+function valueFor(option, provider) {
+  return typeof option === "function" ? option(provider) : option;
+}
+
+export function getPath(data, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      data
+    );
+}
+
+// Copy of `data` with `key` set to `value`
+export function setPath(data, key, value) {
+  const [part, ...rest] = key.split(".");
+  const current =
+    data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  return {
+    ...current,
+    [part]: rest.length ? setPath(current[part], rest.join("."), value) : value,
+  };
+}
+
+// Copy of `data` without `key`; objects left empty are removed too
+export function unsetPath(data, key) {
+  const [part, ...rest] = key.split(".");
+  if (!data || typeof data !== "object" || !(part in data)) {
+    return data;
+  }
+  const { [part]: value, ...others } = data;
+  if (!rest.length) {
+    return others;
+  }
+  const child = unsetPath(value, rest.join("."));
+  return child && typeof child === "object" && !Object.keys(child).length
+    ? others
+    : { ...others, [part]: child };
+}
+
+function isSet(value) {
+  return (
+    value !== undefined &&
+    value !== null &&
+    value !== "" &&
+    !(Array.isArray(value) && !value.length)
+  );
+}
+
+// What is wrong with `value` for `key`, or null
+export function checkValue(key, value) {
+  const found = findSetting(key);
+  if (!found) {
+    return "unknown setting";
+  }
+  const { setting, provider } = found;
+
+  if (setting.type === "string" && typeof value !== "string") {
+    return "must be a string";
+  }
+  if (setting.type === "number" && !(Number.isFinite(value) && value >= 0)) {
+    return "must be a number of at least 0";
+  }
+  if (setting.type === "boolean" && typeof value !== "boolean") {
+    return "must be true or false";
+  }
+  if (
+    setting.type === "list" &&
+    !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+  ) {
+    return "must be a list of strings";
+  }
+  if (setting.type === "rules" && !Array.isArray(value)) {
+    return "must be a list of rules";
+  }
+  if (setting.values && !setting.values.includes(value)) {
+    return `must be one of ${setting.values.join(", ")}`;
+  }
+  return setting.validate?.(value, provider) || null;
+}
+
+const BOOLEANS = {
+  true: true,
+  yes: true,
+  on: true,
+  1: true,
+  false: false,
+  no: false,
+  off: false,
+  0: false,
+};
+
+// Turn the text given on the command line or in an environment variable
+// into a value for `key`. Lists are JSON arrays or comma-separated, booleans
+// true/false, yes/no, on/off or 1/0. Throws when the value is invalid.
+export function parseValue(key, text) {
+  const found = findSetting(key);
+  if (!found) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  let value = text;
+  const trimmed = String(text).trim();
+  if (found.setting.type === "number") {
+    value = trimmed === "" ? NaN : Number(trimmed);
+  } else if (found.setting.type === "boolean") {
+    value = BOOLEANS[trimmed.toLowerCase()] ?? trimmed;
+  } else if (found.setting.type !== "string") {
+    if (trimmed.startsWith("[")) {
+      try {
+        value = JSON.parse(trimmed);
+      } catch {
+        throw new Error(`Invalid value for ${key}: not a valid JSON list`);
+      }
+    } else if (found.setting.type === "list") {
+      value = trimmed
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else {
+      throw new Error(`Invalid value for ${key}: must be a JSON list`);
+    }
+  }
+
+  const problem = checkValue(key, value);
+  if (problem) {
+    throw new Error(`Invalid value for ${key}: ${problem}`);
+  }
+  return value;
+}
+
+function leafKeys(data, prefix = "") {
+  return Object.entries(data || {}).flatMap(([part, value]) => {
+    const key = prefix ? `${prefix}.${part}` : part;
+    return value && typeof value === "object" && !Array.isArray(value)
+      ? leafKeys(value, key)
+      : [key];
+  });
+}
+
+// [key, value] pairs of the settings in the content of a config file, with
+// legacy keys under their current name
+export function configEntries(data) {
+  const renamed = Object.fromEntries(
+    Object.entries(LEGACY_KEYS).map(([key, legacy]) => [legacy, key])
+  );
+  return leafKeys(data)
+    .filter((key) => !renamed[key] || getPath(data, renamed[key]) === undefined)
+    .map((key) => [renamed[key] || key, getPath(data, key)]);
+}
+
+// Problems in the content of a config file as [{ key, message }]
+export function validateConfig(data) {
+  const legacy = Object.values(LEGACY_KEYS);
+  return leafKeys(data)
+    .filter((key) => !legacy.includes(key))
+    .map((key) => ({ key, message: checkValue(key, getPath(data, key)) }))
+    .filter(({ message }) => message);
+}
+
+// Read a config file. A missing file is empty; `error` is set when it cannot
+// be read or is not valid JSON.
+export function readConfigFile(path) {
+  try {
+    if (existsSync(path)) {
+      return {
+        path,
+        data: JSON.parse(readFileSync(path, "utf8")),
+        error: null,
+      };
+    }
+  } catch (error) {
+    return { path, data: {}, error: error.message };
+  }
+  return { path, data: {}, error: null };
+}
+
+export function writeConfigFile(path, data) {
+  writeFileSync(path, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// The value of `key` in the content of a config file
+export function getConfigValue(data, key) {
+  const value = getPath(data, key);
+  return isSet(value) || !LEGACY_KEYS[key]
+    ? value
+    : getPath(data, LEGACY_KEYS[key]);
+}
+
+// `data` with `key` set, dropping the legacy location of the setting
+export function setConfigValue(data, key, value) {
+  const updated = setPath(data, key, value);
+  return LEGACY_KEYS[key] ? unsetPath(updated, LEGACY_KEYS[key]) : updated;
+}
+
+export function unsetConfigValue(data, key) {
+  const updated = unsetPath(data, key);
+  return LEGACY_KEYS[key] ? unsetPath(updated, LEGACY_KEYS[key]) : updated;
+}
+
+// Settings given as ["key=value", ...] on the command line
+export function parseOverrides(pairs = []) {
+  return pairs.reduce((data, pair) => {
+    const index = pair.indexOf("=");
+    if (index < 1) {
+      throw new Error(`Expected key=value, got: ${pair}`);
+    }
+    const key = pair.slice(0, index).trim();
+    return setPath(data, key, parseValue(key, pair.slice(index + 1)));
+  }, {});
+}
+
+// Load all layers. `resolve(key)` returns { value, source, rejected } where
+// `source` is the layer the value came from ("project+global" for merged
+// lists) and `rejected` lists invalid values that were skipped as
+// [{ source, value, message }]; `get(key)` returns the value alone.
+// `secretStore()` opens the credential store API keys are looked up in after
+// each config file, or returns null.
+export function loadConfig({
+  cwd = process.cwd(),
+  env = process.env,
+  home = homedir(),
+  overrides = {},
+  secretStore = () => null,
+} = {}) {
+  const files = {
+    project: readConfigFile(projectConfigPath(cwd)),
+    global: readConfigFile(globalConfigPath(home)),
+  };
+  let store;
+
+  // Why a project config may not set `setting`, or null
+  const refusedInProject = (setting, provider) => {
+    if (setting.globalOnly) {
+      return "only read from the global config, the environment or -c";
+    }
+    const key = setting.sendsKey && resolveKey(`providers.${provider}.apiKey`);
+    return key && key.source && !key.source.startsWith("project")
+      ? `not used with the API key from ${key.source}, set the key for this project too`
+      : null;
+  };
+
+  const candidates = (key) => {
+    const { setting, provider } = findSetting(key);
+    const envName = valueFor(setting.env, provider);
+    return [
+      { source: "cli", read: () => getPath(overrides, key) },
+      {
+        source: envName ? `env ${envName}` : "env",
+        read: () => (envName ? env[envName] : undefined),
+        raw: true,
+      },
+      ...["project", "global"].flatMap((layer) => [
+        {
+          source: layer,
+          read: () => getConfigValue(files[layer].data, key),
+          refused: () =>
+            layer === "project" && refusedInProject(setting, provider),
+        },
+        ...(setting.secret
+          ? [
+              {
+                source: layer,
+                stored: true,
+                read: () =>
+                  store.get(
+                    credentialAccount(
+                      provider,
+                      layer === "project" ? dirname(files.project.path) : null
+                    )
+                  ),
+              },
+            ]
+          : []),
+      ]),
+    ];
+  };
+
+  const resolveKey = (key) => {
+    const found = findSetting(key);
+    if (!found) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    const { setting, provider } = found;
+    const accepted = [];
+    const rejected = [];
+
+    for (const candidate of candidates(key)) {
+      if (accepted.length && !setting.merge) {
+        break;
+      }
+      let { source } = candidate;
+      let value;
+      let message = null;
+      try {
+        if (candidate.stored) {
+          if (store === undefined) {
+            store = null;
+            store = secretStore();
+          }
+          if (!store) {
+            continue;
+          }
+          source = `${source} ${store.name}`;
+        }
+        value = candidate.read();
+        if (!isSet(value)) {
+          continue;
+        }
+        value = candidate.raw ? parseValue(key, value) : value;
+        message =
+          candidate.refused?.() ||
+          (candidate.raw ? null : checkValue(key, value));
+      } catch (error) {
+        message = error.message.replace(/^Invalid value for [^:]+: /, "");
+        // A store that cannot be read, e.g. for a wrong passphrase, is not
+        // asked again
+        store = candidate.stored ? null : store;
+      }
+      if (message) {
+        rejected.push({ source, value, message });
+      } else {
+        accepted.push({ source, value });
+      }
+    }
+
+    if (setting.merge && accepted.length) {
+      return {
+        value: [...new Set(accepted.flatMap(({ value }) => value))],
+        source: accepted.map(({ source }) => source).join("+"),
+        rejected,
+      };
+    }
+    if (accepted.length) {
+      return { ...accepted[0], rejected };
+    }
+    const fallback = valueFor(setting.default, provider);
+    return {
+      value: fallback,
+      source: fallback === undefined ? null : "default",
+      rejected,
+    };
+  };
+
+  return {
+    files,
+    resolve: resolveKey,
+    get: (key) => resolveKey(key).value,
+  };
+}
@@ -0,0 +1,275 @@
+// Conflicts left by a merge or rebase: reading the conflict markers of a
+// file, resolving its hunks one by one and continuing the operation once
+// everything is resolved. The AI can explain hunks and suggest resolutions.
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { createClient, getProvider } from "./providers.js";
+import { describeProviderError } from "./generate.js";
+import { git, runGit } from "./git.js";
+
+const OURS_MARKER = /^<{7}(?: |\r?$)/;
+const BASE_MARKER = /^\|{7}(?: |\r?$)/;
+const SPLIT_MARKER = /^={7}\r?$/;
+const THEIRS_MARKER = /^>{7}(?: |\r?$)/;
+
+// Lines around a hunk shown to the AI
+const CONTEXT_LINES = 5;
+
+// Hunks with more lines per side are only explained, not resolved, by the AI
+const MAX_AI_LINES = 200;
+
+const CONFLICT_PROMPT = `You help resolve git merge conflicts. Each conflict hunk has a numbered id and shows OURS and THEIRS (and BASE, the common ancestor, when available) with a few lines of context.
+
+RULES:
+1. Explanation: one or two sentences on what each side changed and why they conflict
+2. Resolution: the code that should replace the whole hunk, combining both sides when both changes are wanted
+3. Never include conflict markers (<<<<<<<, =======, >>>>>>>) or the context lines in a resolution
+4. Keep the indentation and style of the file
+5. If you cannot tell how to combine the sides, set resolution to null and say why in the explanation
+
+OUTPUT: Return ONLY JSON in this form, nothing else:
+{"hunks": [{"id": 1, "explanation": "...", "resolution": "line 1\\nline 2"}]}`;
+
+// "rebase" or "merge" while one of them stopped on conflicts, else null
+export function getConflictState(cwd = process.cwd()) {
+  const exists = (path) =>
+    existsSync(
+      resolve(cwd, git(["rev-parse", "--git-path", path], cwd).trim())
+    );
+
+  if (exists("rebase-merge") || exists("rebase-apply")) {
+    return "rebase";
+  }
+  return exists("MERGE_HEAD") ? "merge" : null;
+}
+
+// Which side is which: during a rebase "ours" is the branch being rebased
+// onto and "theirs" the commit being replayed
+export function conflictSides(state) {
+  return state === "rebase"
+    ? { ours: "upstream", theirs: "your commit" }
+    : { ours: "your branch", theirs: "incoming" };
+}
+
+// Split file content into text and conflict segments. Conflicts carry the
+// lines of both sides, the base lines of diff3-style markers (or null) and
+// their raw lines so an unresolved hunk can be written back unchanged.
+export function parseConflicts(text) {
+  const segments = [];
+  let plain = [];
+  let hunk = null;
+  let part = null;
+
+  for (const line of text.split("\n")) {
+    if (!hunk && OURS_MARKER.test(line)) {
+      segments.push({ type: "text", lines: plain });
+      plain = [];
+      hunk = { type: "conflict", ours: [], base: null, theirs: [], raw: [] };
+      part = "ours";
+    } else if (hunk && part === "ours" && BASE_MARKER.test(line)) {
+      hunk.base = [];
+      part = "base";
+    } else if (hunk && part !== "theirs" && SPLIT_MARKER.test(line)) {
+      part = "theirs";
+    } else if (hunk && part === "theirs" && THEIRS_MARKER.test(line)) {
+      hunk.raw.push(line);
+      segments.push(hunk);
+      hunk = null;
+      continue;
+    } else if (hunk) {
+      hunk[part].push(line);
+    } else {
+      plain.push(line);
+    }
+
+    if (hunk) {
+      hunk.raw.push(line);
+    }
+  }
+
+  // An unterminated conflict is not a conflict, keep it as text
+  segments.push({
+    type: "text",
+    lines: hunk ? [...plain, ...hunk.raw] : plain,
+  });
+  return segments.filter(
+    (segment) => segment.type === "conflict" || segment.lines.length
+  );
+}
+
+export function getHunks(segments) {
+  return segments.filter((segment) => segment.type === "conflict");
+}
+
+// Lines each side contributes, e.g. for "ours: 3 lines, theirs: 5 lines"
+export function summarizeHunks(hunks) {
+  return hunks.reduce(
+    (summary, hunk) => ({
+      ours: summary.ours + hunk.ours.length,
+      theirs: summary.theirs + hunk.theirs.length,
+    }),
+    { ours: 0, theirs: 0 }
+  );
+}
+
+// Lines replacing `hunk` for a choice of "ours", "theirs" or "both"
+export function resolveHunk(hunk, choice) {
+  return {
+    ours: hunk.ours,
+    theirs: hunk.theirs,
+    both: [...hunk.ours, ...hunk.theirs],
+  }[choice];
+}
+
+// File content with every hunk replaced by its resolution (an array of
+// lines); hunks without one keep their conflict markers
+export function applyResolutions(segments, resolutions) {
+  let index = 0;
+  return segments
+    .flatMap((segment) => {
+      if (segment.type === "text") {
+        return segment.lines;
+      }
+      return resolutions[index++] || segment.raw;
+    })
+    .join("\n");
+}
+
+export function hasConflictMarkers(text) {
+  return getHunks(parseConflicts(text)).length > 0;
+}
+
+// Conflicted hunk as text with markers, e.g. for editing it
+export function formatHunk(hunk, sides) {
+  return [
+    `<<<<<<< ours (${sides.ours})`,
+    ...hunk.ours,
+    ...(hunk.base ? ["||||||| base", ...hunk.base] : []),
+    "=======",
+    ...hunk.theirs,
+    `>>>>>>> theirs (${sides.theirs})`,
+  ].join("\n");
+}
+
+export function toLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split("\n");
+  return lines.length > 1 && lines[lines.length - 1] === ""
+    ? lines.slice(0, -1)
+    : lines;
+}
+
+function contextOf(segments, index) {
+  const before = segments[index - 1];
+  const after = segments[index + 1];
+  return {
+    before: before?.type === "text" ? before.lines.slice(-CONTEXT_LINES) : [],
+    after: after?.type === "text" ? after.lines.slice(0, CONTEXT_LINES) : [],
+  };
+}
+
+export function parseConflictAdvice(content, count) {
+  const json = /\{[\s\S]*\}/.exec(content || "");
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch {
+    throw new Error("The AI did not return valid conflict advice");
+  }
+
+  const advice = Array(count).fill(null);
+  for (const hunk of Array.isArray(data.hunks) ? data.hunks : []) {
+    const index = Number(hunk.id) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= count) {
+      continue;
+    }
+    const resolution =
+      typeof hunk.resolution === "string" &&
+      !hasConflictMarkers(hunk.resolution)
+        ? toLines(hunk.resolution)
+        : null;
+    advice[index] = {
+      explanation: String(hunk.explanation || "").trim(),
+      resolution,
+    };
+  }
+  return advice;
+}
+
+// Ask the AI to explain every hunk of `path` and suggest a resolution.
+// Resolves to { advice, usage } with one { explanation, resolution } (or
+// null) per hunk; resolutions are arrays of lines or null.
+export async function explainConflicts(settings, path, segments, options = {}) {
+  const hunks = getHunks(segments);
+  if (!getProvider(settings.provider).usesPrompt || !hunks.length) {
+    return { advice: hunks.map(() => null), usage: null };
+  }
+
+  const sides = options.sides || conflictSides("merge");
+  const describe = (hunk, id) => {
+    const { before, after } = contextOf(segments, segments.indexOf(hunk));
+    const block = (title, lines) =>
+      `${title}:\n${lines.slice(0, MAX_AI_LINES).join("\n")}${
+        lines.length > MAX_AI_LINES
+          ? `\n[${lines.length - MAX_AI_LINES} more lines not shown]`
+          : ""
+      }`;
+    return [
+      `### Hunk ${id}`,
+      block("CONTEXT BEFORE", before),
+      block(`OURS (${sides.ours})`, hunk.ours),
+      ...(hunk.base ? [block("BASE", hunk.base)] : []),
+      block(`THEIRS (${sides.theirs})`, hunk.theirs),
+      block("CONTEXT AFTER", after),
+    ].join("\n\n");
+  };
+
+  try {
+    const client = createClient(settings);
+    options.onProgress?.(`Explaining conflicts in ${path}...`);
+    const completion = await client.complete({
+      messages: [
+        { role: "system", content: CONFLICT_PROMPT },
+        {
+          role: "user",
+          content: `FILE: ${path}
+
+${hunks.map((hunk, index) => describe(hunk, index + 1)).join("\n\n")}
+
+Return the JSON now:`,
+        },
+      ],
+      model: settings.model,
+      maxTokens: 3000,
+      temperature: options.temperature ?? 0.2,
+    });
+
+    const advice = parseConflictAdvice(completion.content, hunks.length).map(
+      (item, index) => {
+        const hunk = hunks[index];
+        const truncated =
+          hunk.ours.length > MAX_AI_LINES || hunk.theirs.length > MAX_AI_LINES;
+        return item && truncated ? { ...item, resolution: null } : item;
+      }
+    );
+    return { advice, usage: completion.usage || null };
+  } catch (error) {
+    throw error.error ? describeProviderError(error, settings.provider) : error;
+  }
+}
+
+// Stage a resolved file (or its deletion)
+export function markResolved(path, cwd = process.cwd()) {
+  git(["add", "-A", "--", path], cwd);
+}
+
+// Run `git rebase --continue` or `git merge --continue` without opening an
+// editor. Returns the runner result.
+export function continueOperation(state, cwd = process.cwd()) {
+  return runGit([state, "--continue"], {
+    cwd,
+    env: { GIT_EDITOR: "true" },
+  });
+}
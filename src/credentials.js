@@ -0,0 +1,354 @@
+// Storing API keys outside the config files: in the OS keychain (macOS
+// `security` or libsecret's `secret-tool`), in a file encrypted with a
+// passphrase, or with a git credential helper
+import { spawnSync } from "child_process";
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "crypto";
+import {
+  closeSync,
+  existsSync,
+  openSync,
+  readFileSync,
+  readSync,
+  writeFileSync,
+  writeSync,
+} from "fs";
+import { homedir } from "os";
+import { resolve } from "path";
+
+export const SERVICE = "git-helper";
+export const CREDENTIALS_FILE = ".git-helper-credentials";
+export const PASSPHRASE_ENV = "GIT_HELPER_PASSPHRASE";
+
+// `auto` is the keychain when there is one and the config file otherwise;
+// `config` keeps keys in plain text in the config files
+export const STORES = ["auto", "keychain", "file", "helper", "config"];
+
+const CIPHER = "aes-256-gcm";
+
+function run(command, args, input) {
+  const result = spawnSync(command, args, {
+    input,
+    encoding: "utf8",
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+  return {
+    ok: result.status === 0,
+    missing: result.error?.code === "ENOENT",
+    stdout: result.stdout || "",
+    stderr: (result.stderr || result.error?.message || "").trim(),
+  };
+}
+
+function commandExists(command) {
+  return !run(command, ["--help"]).missing;
+}
+
+// The account a key is stored under: the provider for the global config,
+// the provider and repository for the project one
+export function credentialAccount(provider, root = null) {
+  return root ? `${provider}@${root}` : provider;
+}
+
+// Quote an argument for `security -i`, which reads commands from stdin so
+// the key never shows up in the process list
+function quoteSecurityArg(value) {
+  return `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+}
+
+function macKeychain() {
+  const find = (account) =>
+    run("security", [
+      "find-generic-password",
+      "-s",
+      SERVICE,
+      "-a",
+      account,
+      "-w",
+    ]);
+  return {
+    name: "keychain",
+    get(account) {
+      const result = find(account);
+      return (result.ok && result.stdout.replace(/\n$/, "")) || undefined;
+    },
+    set(account, secret) {
+      const command = [
+        "add-generic-password",
+        "-U",
+        "-s",
+        SERVICE,
+        "-a",
+        account,
+        "-w",
+        secret,
+      ]
+        .map(quoteSecurityArg)
+        .join(" ");
+      const result = run("security", ["-i"], `${command}\n`);
+      if (!result.ok || !find(account).ok) {
+        throw new Error(`Could not save to the keychain: ${result.stderr}`);
+      }
+    },
+    delete(account) {
+      return run("security", [
+        "delete-generic-password",
+        "-s",
+        SERVICE,
+        "-a",
+        account,
+      ]).ok;
+    },
+  };
+}
+
+function secretTool() {
+  const attributes = (account) => ["service", SERVICE, "account", account];
+  return {
+    name: "keychain",
+    get(account) {
+      const result = run("secret-tool", ["lookup", ...attributes(account)]);
+      return (result.ok && result.stdout.replace(/\n$/, "")) || undefined;
+    },
+    set(account, secret) {
+      const result = run(
+        "secret-tool",
+        ["store", "--label", `${SERVICE} ${account}`, ...attributes(account)],
+        secret
+      );
+      if (!result.ok) {
+        throw new Error(`Could not save to the keychain: ${result.stderr}`);
+      }
+    },
+    delete(account) {
+      return run("secret-tool", ["clear", ...attributes(account)]).ok;
+    },
+  };
+}
+
+// The keychain CLI of this system, or null
+export function keychainStore(platform = process.platform) {
+  if (platform === "darwin" && commandExists("security")) {
+    return macKeychain();
+  }
+  if (platform !== "win32" && commandExists("secret-tool")) {
+    return secretTool();
+  }
+  return null;
+}
+
+export function encrypt(text, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return {
+    version: 1,
+    cipher: CIPHER,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+export function decrypt(payload, passphrase) {
+  try {
+    const decipher = createDecipheriv(
+      CIPHER,
+      scryptSync(passphrase, Buffer.from(payload.salt, "base64"), 32),
+      Buffer.from(payload.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    throw new Error("Wrong passphrase, or the credentials file is damaged");
+  }
+}
+
+// Keys in a file encrypted with a passphrase. `passphrase(isNew)` is asked
+// once, when the file is first read or created.
+export function fileStore({
+  path = resolve(homedir(), CREDENTIALS_FILE),
+  passphrase,
+}) {
+  let secret;
+  const getPassphrase = (isNew) => {
+    if (secret === undefined) {
+      secret = passphrase(isNew);
+      if (!secret) {
+        throw new Error("A passphrase is needed for the credentials file");
+      }
+    }
+    return secret;
+  };
+  const read = () =>
+    existsSync(path)
+      ? JSON.parse(
+          decrypt(JSON.parse(readFileSync(path, "utf8")), getPassphrase(false))
+        )
+      : {};
+  const write = (entries) =>
+    writeFileSync(
+      path,
+      `${JSON.stringify(
+        encrypt(JSON.stringify(entries), getPassphrase(!existsSync(path))),
+        null,
+        2
+      )}\n`,
+      { mode: 0o600 }
+    );
+
+  return {
+    name: "file",
+    path,
+    get: (account) => read()[account],
+    set(account, value) {
+      write({ ...read(), [account]: value });
+    },
+    delete(account) {
+      const { [account]: removed, ...others } = read();
+      if (removed !== undefined) {
+        write(others);
+      }
+      return removed !== undefined;
+    },
+  };
+}
+
+// The shell command git runs for a credential helper: "store --file x" means
+// `git credential-store --file x`, absolute paths run as they are and "!..."
+// is a shell snippet
+export function helperCommand(helper) {
+  if (helper.startsWith("!")) {
+    return helper.slice(1);
+  }
+  return helper.startsWith("/") ? helper : `git credential-${helper}`;
+}
+
+function formatCredential(fields) {
+  return `${Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n")}\n\n`;
+}
+
+export function parseCredential(text) {
+  return Object.fromEntries(
+    text
+      .split("\n")
+      .filter((line) => line.includes("="))
+      .map((line) => [
+        line.slice(0, line.indexOf("=")),
+        line.slice(line.indexOf("=") + 1),
+      ])
+  );
+}
+
+// Keys kept by a git credential helper, speaking its get/store/erase
+// protocol with `https://git-helper` as the URL and the account as username
+export function helperStore(helper) {
+  const call = (action, account, password) =>
+    run(
+      "sh",
+      ["-c", `${helperCommand(helper)} "$@"`, "sh", action],
+      formatCredential({
+        protocol: "https",
+        host: SERVICE,
+        username: account,
+        password,
+      })
+    );
+  return {
+    name: "helper",
+    get(account) {
+      const result = call("get", account);
+      return (
+        (result.ok && parseCredential(result.stdout).password) || undefined
+      );
+    },
+    set(account, secret) {
+      const result = call("store", account, secret);
+      if (!result.ok) {
+        throw new Error(
+          `Credential helper "${helper}" failed: ${result.stderr}`
+        );
+      }
+    },
+    delete(account) {
+      return call("erase", account).ok;
+    },
+  };
+}
+
+// The store `name` asks for, or null when keys stay in the config files
+export function openCredentialStore({
+  name = "auto",
+  helper,
+  file,
+  passphrase,
+}) {
+  if (name === "config") {
+    return null;
+  }
+  if (name === "file") {
+    return fileStore({ path: file, passphrase });
+  }
+  if (name === "helper") {
+    if (!helper) {
+      throw new Error(
+        "Set credentials.helper to use a git credential helper, e.g. store"
+      );
+    }
+    return helperStore(helper);
+  }
+  const keychain = keychainStore();
+  if (!keychain && name === "keychain") {
+    throw new Error(
+      "No keychain found: install secret-tool (libsecret) or use another credentials.store"
+    );
+  }
+  return keychain;
+}
+
+// Read up to the next newline from `fd`, byte by byte so nothing after it is
+// consumed. The bytes are decoded together: characters outside ASCII take
+// several of them.
+export function readLine(fd) {
+  const buffer = Buffer.alloc(1);
+  const bytes = [];
+  while (readSync(fd, buffer, 0, 1) === 1 && buffer[0] !== 10) {
+    bytes.push(buffer[0]);
+  }
+  return Buffer.from(bytes).toString("utf8").replace(/\r$/, "");
+}
+
+// Ask for a passphrase on the terminal without echoing it
+export function readPassphrase(prompt) {
+  let fd;
+  try {
+    fd = openSync("/dev/tty", "r+");
+  } catch {
+    throw new Error(
+      `No terminal to ask for the passphrase; set ${PASSPHRASE_ENV}`
+    );
+  }
+  const stty = (mode) =>
+    spawnSync("stty", [mode], { stdio: [fd, "ignore", "ignore"] });
+  try {
+    writeSync(fd, prompt);
+    stty("-echo");
+    return readLine(fd);
+  } finally {
+    stty("echo");
+    writeSync(fd, "\n");
+    closeSync(fd);
+  }
+}
@@ -0,0 +1,191 @@
+// Helpers for splitting `git diff` output per file and hunk and fitting it
+// into a model's context window
+
+const LOCKFILES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "Cargo.lock",
+  "Gemfile.lock",
+  "composer.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "go.sum",
+  "flake.lock",
+];
+
+const GENERATED_PATHS = [
+  /(^|\/)(dist|build|out|coverage|vendor|node_modules|__generated__)\//,
+  /\.min\.(js|css)$/,
+  /\.(js|css)\.map$/,
+  /\.snap$/,
+  /\.(pb|generated|g)\.\w+$/,
+];
+
+// Markers tools put at the top of files they generate
+const GENERATED_MARKERS = /@generated|DO NOT EDIT|auto-generated/i;
+
+// Split a unified diff into one entry per file
+export function splitDiff(diff) {
+  const files = [];
+  let current = null;
+
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const match = /^diff --git a\/(.*) b\/(.*)$/.exec(line);
+      current = {
+        path: match ? match[2] : line.slice("diff --git ".length),
+        header: `${line}\n`,
+        hunks: [],
+        binary: false,
+        additions: 0,
+        deletions: 0,
+      };
+      files.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    if (line.startsWith("@@")) {
+      current.hunks.push(`${line}\n`);
+    } else if (current.hunks.length) {
+      current.hunks[current.hunks.length - 1] += `${line}\n`;
+      if (line.startsWith("+")) current.additions++;
+      if (line.startsWith("-")) current.deletions++;
+    } else {
+      current.header += `${line}\n`;
+      if (line.startsWith("+++ b/")) {
+        current.path = line.slice("+++ b/".length);
+      }
+      if (line.startsWith("Binary files ") || line === "GIT binary patch") {
+        current.binary = true;
+      }
+    }
+  }
+
+  return files;
+}
+
+// A `git diff --name-status` listing of the files in `diff`
+export function diffStatus(diff) {
+  return splitDiff(diff)
+    .map((file) => {
+      const status = /^new file mode/m.test(file.header)
+        ? "A"
+        : /^deleted file mode/m.test(file.header)
+        ? "D"
+        : "M";
+      return `${status}\t${file.path}\n`;
+    })
+    .join("");
+}
+
+export function fileText(file) {
+  return file.header + file.hunks.join("");
+}
+
+export function fileStat(file) {
+  return file.binary
+    ? `${file.path} | binary`
+    : `${file.path} | +${file.additions} -${file.deletions}`;
+}
+
+export function isLockfile(path) {
+  return LOCKFILES.includes(path.split("/").pop());
+}
+
+// Why a file should be reduced to its stat line, or null to keep its diff
+export function collapseReason(file) {
+  if (file.binary) return "binary";
+  if (isLockfile(file.path)) return "lockfile";
+  if (GENERATED_PATHS.some((pattern) => pattern.test(file.path))) {
+    return "generated";
+  }
+  if (GENERATED_MARKERS.test((file.hunks[0] || "").slice(0, 500))) {
+    return "generated";
+  }
+  return null;
+}
+
+// Pack file diffs into chunks of at most `maxChars`. A file that does not fit
+// on its own is split at hunk boundaries (repeating its header), and a hunk
+// that still does not fit is cut, marking the file as truncated.
+export function chunkFiles(files, maxChars) {
+  const chunks = [];
+  const truncated = new Set();
+  let current = null;
+
+  const add = (path, text) => {
+    if (current && current.text.length + text.length > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { text: "", paths: new Set() };
+    }
+    current.text += text;
+    current.paths.add(path);
+  };
+
+  for (const file of files) {
+    const text = fileText(file);
+    if (text.length <= maxChars || !file.hunks.length) {
+      add(file.path, text.slice(0, maxChars));
+      continue;
+    }
+
+    for (const hunk of file.hunks) {
+      let piece = file.header + hunk;
+      if (piece.length > maxChars) {
+        piece = `${piece.slice(0, maxChars - 20)}\n[HUNK TRUNCATED]\n`;
+        truncated.add(file.path);
+      }
+      add(file.path, piece);
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return { chunks, truncated: [...truncated] };
+}
+
+// Turn a diff into at most `maxChunks` chunks of `maxChars`, with lockfiles,
+// generated and binary files collapsed to stat lines. Files that did not make
+// it into any chunk are listed in `omitted`.
+export function prepareDiff(diff, { maxChars, maxChunks }) {
+  const files = splitDiff(diff);
+  const collapsed = [];
+  const included = [];
+
+  for (const file of files) {
+    const reason = collapseReason(file);
+    if (reason) {
+      collapsed.push({ path: file.path, reason, stat: fileStat(file) });
+    } else {
+      included.push(file);
+    }
+  }
+
+  const { chunks, truncated } = chunkFiles(included, maxChars);
+  const kept = chunks.slice(0, maxChunks);
+  const seen = new Set(kept.flatMap((chunk) => [...chunk.paths]));
+  const omitted = included
+    .map((file) => file.path)
+    .filter((path) => !seen.has(path));
+  const partial = chunks
+    .slice(maxChunks)
+    .flatMap((chunk) => [...chunk.paths])
+    .filter((path) => seen.has(path));
+
+  return {
+    chunks: kept.map((chunk) => chunk.text),
+    collapsed,
+    omitted,
+    truncated: [...new Set([...truncated, ...partial])],
+  };
+}
@@ -0,0 +1,558 @@
+import {
+  DEFAULT_RETRIES,
+  canFallBack,
+  createClient,
+  getProvider,
+} from "./providers.js";
+import { diffStatus, prepareDiff } from "./diff.js";
+import { tryGit } from "./git.js";
+import { getChanges } from "./changes.js";
+import {
+  buildFooters,
+  composeMessage,
+  detectBreakingChanges,
+  issueRefsFromBranch,
+} from "./message.js";
+import {
+  describeRules,
+  extractCommitMessage,
+  lintCommitMessage,
+  loadLintConfig,
+  repairCommitMessage,
+} from "./lint.js";
+import {
+  describeFormat,
+  describeStyle,
+  detectCommitStyle,
+  readCommitSubjects,
+  styleRules,
+} from "./style.js";
+
+const CHARS_PER_TOKEN = 4; // Approx. 4 characters per token
+
+// Tokens kept free for the prompt around the diff and for the reply
+const PROMPT_RESERVE_TOKENS = 1500;
+
+// Bounds for the diff sent in a single request. The upper bound applies even
+// to huge context windows to stay within per-minute token quotas.
+const MIN_CHUNK_CHARS = 2000;
+const MAX_CHUNK_CHARS = 12000;
+
+// Most parts a large diff is summarized in; anything beyond is reported
+const MAX_CHUNKS = 8;
+
+const MAX_STATUS_LINES = 200;
+
+// How often the model is asked to fix a message that breaks the lint rules
+// before the remaining problems are repaired without it
+const MAX_LINT_RETRIES = 2;
+
+// Provider that builds the message when the configured one keeps failing
+const OFFLINE_PROVIDER = "offline";
+
+const SYSTEM_PROMPT = `You are a Git commit message generator. Your task is to create ONE conventional commit message from the provided git diff and file status.
+
+STRICT OUTPUT FORMAT:
+<type>(<scope>): <description>
+
+RULES:
+1. MANDATORY: Use exactly one of these types:
+   - feat: new feature
+   - fix: bug fix
+   - docs: documentation changes
+   - style: formatting, missing semicolons (no code change)
+   - refactor: code change that neither fixes bug nor adds feature
+   - test: adding/correcting tests
+   - chore: updating build tasks, package manager configs
+   - perf: performance improvements
+   - ci: continuous integration changes
+   - build: build system or external dependencies
+
+2. SCOPE: Use the main affected component/module/file (optional but recommended)
+
+3. DESCRIPTION: 
+   - Start with lowercase verb (add, fix, update, remove, etc.)
+   - Max 50 characters total for first line
+   - Be specific about WHAT changed
+   - No period at end
+
+4. ANALYSIS PRIORITY:
+   - New files/functions = feat
+   - Bug fixes/error handling = fix
+   - Changed existing functionality = refactor
+   - Documentation only = docs
+   - Tests only = test
+   - Config/build files = chore
+
+EXAMPLES:
+feat(auth): add OAuth2 login system
+fix(api): handle null user in getUserById
+docs(readme): add Docker setup instructions
+refactor(utils): extract validation functions
+test(user): add edge cases for signup
+chore(deps): update React to v18.2.0
+
+OUTPUT: Return ONLY the commit message, nothing else.`;
+
+// First line of the output formats, replaced by the learned style
+const CONVENTIONAL_FORMAT = "<type>(<scope>): <description>";
+
+const SUBJECT_FORMAT = `STRICT OUTPUT FORMAT:
+<type>(<scope>): <description>`;
+
+// Output format replacing SUBJECT_FORMAT when a body is requested (--body)
+const BODY_FORMAT = `STRICT OUTPUT FORMAT:
+<type>(<scope>): <description>
+
+<body>
+
+BODY RULES:
+- Separate the body from the first line with one blank line
+- Explain WHY the change was made and what it affects, not line by line what changed
+- Use 1-3 short paragraphs or a short "- " bullet list
+- Do NOT write footers (BREAKING CHANGE, Refs, Co-authored-by), they are added automatically`;
+
+const SUMMARY_PROMPT = `You summarize one part of a large git diff. The summaries of all parts are later combined into a single commit message.
+
+RULES:
+- Reply with at most 3 short bullet points
+- Say WHAT changed and, if visible, WHY
+- Name the affected files, functions or modules
+- No introduction, no conclusion
+
+OUTPUT: Return ONLY the bullet points, nothing else.`;
+
+function getCurrentBranch(cwd) {
+  return tryGit(["branch", "--show-current"], cwd) || "";
+}
+
+function getRepoRoot(cwd) {
+  return tryGit(["rev-parse", "--show-toplevel"], cwd) || cwd;
+}
+
+// The changes to describe: `options.diff` as it is, or what
+// `options.source` names in the repository at `cwd`
+function readChanges(options, cwd) {
+  if (options.diff === undefined) {
+    return getChanges(options.source, cwd);
+  }
+  if (!options.diff.trim()) {
+    throw Object.assign(new Error("The diff is empty"), {
+      category: "no_changes",
+    });
+  }
+  return {
+    diff: options.diff,
+    status: diffStatus(options.diff),
+    source: { type: "diff" },
+  };
+}
+
+function lintFeedback(errors) {
+  return `That commit message breaks these rules:
+${errors.map((error) => `- ${error.message}`).join("\n")}
+
+Return ONLY the corrected commit message.`;
+}
+
+// Characters of diff that fit in one request for the given context window
+export function chunkBudget(tokenLimit) {
+  const available = (tokenLimit - PROMPT_RESERVE_TOKENS) * CHARS_PER_TOKEN;
+  return Math.max(MIN_CHUNK_CHARS, Math.min(MAX_CHUNK_CHARS, available));
+}
+
+// Turn a provider failure (normalized by providers.js) into a user-facing
+// error with the category "provider" and the failure's `type`
+export function describeProviderError(error, providerName) {
+  return Object.assign(new Error(providerErrorMessage(error, providerName)), {
+    category: "provider",
+    type: error.error?.type || null,
+  });
+}
+
+function providerErrorMessage(error, providerName) {
+  const { label } = getProvider(providerName);
+  if (error.error?.type === "invalid_request_error") {
+    return `Invalid request: ${error.error.message}`;
+  } else if (error.error?.type === "authentication_error") {
+    return `Authentication failed: Check your API key`;
+  } else if (error.error?.type === "rate_limit_error") {
+    return `Rate limit exceeded: Please try again later`;
+  } else if (error.error?.type === "api_error") {
+    return `${label} API error: ${error.error.message}`;
+  } else if (error.error?.type === "connection_error") {
+    return `${label} unreachable: ${error.error.message}`;
+  } else if (error.error?.type === "timeout_error") {
+    return `${label} timed out: ${error.error.message}`;
+  }
+  return `AI generation failed: ${error.message}`;
+}
+
+// Send the smallest possible request to check the API key and endpoint of
+// `settings`. Resolves to the model that answered.
+export async function checkProvider(settings) {
+  try {
+    const completion = await createClient({
+      ...settings,
+      fallbackModels: [],
+      retries: 0,
+    }).complete({
+      messages: [{ role: "user", content: "Reply with OK." }],
+      model: settings.model,
+      maxTokens: 1,
+      temperature: 0,
+    });
+    return completion.model;
+  } catch (error) {
+    throw error.error ? describeProviderError(error, settings.provider) : error;
+  }
+}
+
+export function limitLines(text, max) {
+  const lines = text.trim().split("\n");
+  if (lines.length <= max) {
+    return lines.join("\n");
+  }
+  return `${lines.slice(0, max).join("\n")}\n[... ${
+    lines.length - max
+  } more files]`;
+}
+
+export function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens:
+      (total?.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0),
+  };
+}
+
+// Pack texts into groups of at most `maxChars`
+function groupTexts(texts, maxChars) {
+  const groups = [];
+  for (const text of texts) {
+    const last = groups[groups.length - 1];
+    if (last !== undefined && last.length + text.length + 2 <= maxChars) {
+      groups[groups.length - 1] = `${last}\n\n${text}`;
+    } else {
+      groups.push(text);
+    }
+  }
+  return groups;
+}
+
+// Map step: summarize each chunk on its own. Summaries that together are
+// still too long for one request are summarized again until they fit.
+async function summarizeChunks(client, settings, chunks, maxChars, onProgress) {
+  let usage = null;
+  let parts = chunks;
+  let summaries = [];
+
+  for (;;) {
+    summaries = [];
+    for (const [index, part] of parts.entries()) {
+      onProgress?.(`Summarizing part ${index + 1} of ${parts.length}...`);
+      const result = await client.complete({
+        messages: [
+          { role: "system", content: SUMMARY_PROMPT },
+          {
+            role: "user",
+            content: `Summarize part ${index + 1} of ${
+              parts.length
+            }:\n\n${part}`,
+          },
+        ],
+        model: settings.model,
+        maxTokens: 200,
+        temperature: 0.1,
+      });
+      usage = addUsage(usage, result.usage);
+      summaries.push(result.content);
+    }
+
+    const grouped = groupTexts(summaries, maxChars);
+    if (grouped.length === 1 || grouped.length >= parts.length) {
+      break;
+    }
+    parts = grouped;
+  }
+
+  return { summaries, usage };
+}
+
+// Describe a diff for a prompt: the diff itself when it fits in one request,
+// otherwise summaries of its parts (map-reduce), followed by the files that
+// were reduced to a stat line. Resolves to `{ changes, usage, prepared }`.
+export async function describeDiff(client, settings, diff, onProgress) {
+  const maxChars = chunkBudget(settings.tokenLimit);
+  const prepared = prepareDiff(diff, { maxChars, maxChunks: MAX_CHUNKS });
+  let usage = null;
+  let changes;
+
+  if (
+    prepared.chunks.length <= 1 ||
+    !getProvider(settings.provider).usesPrompt
+  ) {
+    changes = `GIT DIFF:\n${
+      prepared.chunks[0] || "(only the files listed below changed)"
+    }`;
+  } else {
+    const summarized = await summarizeChunks(
+      client,
+      settings,
+      prepared.chunks,
+      maxChars,
+      onProgress
+    );
+    usage = summarized.usage;
+    changes = `SUMMARIES OF THE CHANGES (the diff was too large and was summarized in parts):\n${summarized.summaries.join(
+      "\n\n"
+    )}`;
+  }
+
+  if (prepared.collapsed.length) {
+    changes += `\n\nOTHER CHANGED FILES (diff not shown):\n${prepared.collapsed
+      .map((file) =>
+        file.reason === "binary" ? file.stat : `${file.stat} (${file.reason})`
+      )
+      .join("\n")}`;
+  }
+  if (prepared.omitted.length) {
+    changes += `\n\n[${prepared.omitted.length} more changed files not shown]`;
+  }
+
+  return { changes, usage, prepared };
+}
+
+// AI commit message generation function. `options.source` says which changes
+// to describe (see changes.js), by default the staged ones or else the working
+// tree, of the repository at `options.cwd`; `options.diff` describes a diff
+// given as text instead. Resolves to the message along with what the model
+// saw: diffs too large for one request are summarized in parts first
+// (map-reduce) and lockfiles, generated and binary files are reduced to a
+// stat line. With `options.body` the message also gets a wrapped body and
+// footers derived from the diff and the branch name. The message is checked
+// against the project's commitlint rules and the model is asked to fix it
+// when it breaks them. Unless `options.learnStyle` is false, the format,
+// scopes and casing of the repository's recent commits are learned and
+// followed, with some of them as examples.
+//
+// Failed requests are retried and fall back to `settings.fallbackModels`
+// (see createClient). When the provider is still rate limited, down, too slow
+// or without the model, the message is built by the offline generator from
+// the changed files instead, unless `settings.offlineFallback` is false;
+// `fallback` in the result then holds the reason. Rejected keys and requests
+// are thrown, they fail the same way every time. `fallbackModel` is the last
+// fallback model that was tried.
+export async function generateAICommitMessage(settings, options = {}) {
+  try {
+    const cwd = options.cwd || process.cwd();
+    const { diff, status, source } = readChanges(options, cwd);
+    const root = getRepoRoot(cwd);
+    const lintConfig = await loadLintConfig(root);
+    const style =
+      options.learnStyle === false
+        ? null
+        : detectCommitStyle(readCommitSubjects(root));
+    // Without a commitlint config, the history decides what a valid message
+    // looks like
+    if (!lintConfig.path) {
+      lintConfig.rules = styleRules(lintConfig.rules, style);
+    }
+    const { model: selectedModel } = settings;
+    const breaking = options.body ? detectBreakingChanges(diff) : [];
+
+    // Initialize the configured provider's client
+    let fallbackModel = null;
+    const client = createClient({
+      ...settings,
+      onRetry: ({ error, delay, attempt }) =>
+        options.onProgress?.(
+          `${
+            describeProviderError(error, settings.provider).message
+          } - retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${
+            settings.retries ?? DEFAULT_RETRIES
+          })...`
+        ),
+      onFallback: ({ model, fallback }) => {
+        fallbackModel = fallback;
+        options.onProgress?.(`${model} failed, trying ${fallback}...`);
+      },
+    });
+    const described = await describeDiff(
+      client,
+      settings,
+      diff,
+      options.onProgress
+    );
+    const { prepared } = described;
+    let { changes, usage } = described;
+
+    if (breaking.length) {
+      changes += `\n\nBREAKING CHANGES (mention them in the body):\n${breaking
+        .map(({ path, name }) => `- ${name} is no longer exported from ${path}`)
+        .join("\n")}`;
+    }
+
+    let systemPrompt = options.body
+      ? SYSTEM_PROMPT.replace(SUBJECT_FORMAT, BODY_FORMAT)
+      : SYSTEM_PROMPT;
+    if (style) {
+      systemPrompt = `${systemPrompt.replace(
+        CONVENTIONAL_FORMAT,
+        describeFormat(style)
+      )}\n\nREPOSITORY STYLE (learned from its recent commits, follow it where it differs from the rules above):\n${describeStyle(
+        style,
+        {
+          tickets: issueRefsFromBranch(getCurrentBranch(cwd)).filter(
+            (ref) => !ref.startsWith("#")
+          ),
+        }
+      )}`;
+    }
+    const projectRules = lintConfig.path && describeRules(lintConfig.rules);
+    if (projectRules) {
+      systemPrompt += `\n\nPROJECT RULES (these take precedence over the rules above):\n${projectRules}`;
+    }
+
+    options.onProgress?.("Generating commit message...");
+    const request = {
+      messages: [
+        { role: "system", content: systemPrompt },
+        {
+          role: "user",
+          content: `Analyze this git change and generate ONE commit message:
+
+FILE STATUS:
+${limitLines(status, MAX_STATUS_LINES)}
+
+${changes}
+${
+  options.hint
+    ? `\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${options.hint}\n`
+    : ""
+}
+Generate the commit message now:`,
+        },
+      ],
+      model: selectedModel,
+      maxTokens: options.body ? 400 : 150,
+      temperature: options.temperature ?? 0.1,
+      topP: 0.9,
+      frequencyPenalty: 0.1,
+      presencePenalty: 0.1,
+      stop: options.body ? ["```", "---"] : ["\n\n", "```", "---"],
+      // Raw inputs for providers that do not use the prompt (offline)
+      context: { status, diff },
+    };
+    let completion = await client.complete(request);
+    usage = addUsage(usage, completion.usage);
+
+    const footers = options.body
+      ? buildFooters({
+          breaking,
+          refs: issueRefsFromBranch(getCurrentBranch(cwd)),
+          coAuthors: options.coAuthors,
+        })
+      : [];
+    // An answer that is nothing but a preamble ends up empty and is retried
+    // like any other invalid message
+    const finish = (content) => {
+      const message = extractCommitMessage(content, { body: options.body });
+      return message && options.body
+        ? composeMessage(message, { breaking: breaking.length > 0, footers })
+        : message;
+    };
+
+    let message = finish(completion.content);
+    let lint = lintCommitMessage(message, lintConfig.rules);
+    let retries = 0;
+
+    // Hand the violations back to the model. Providers that ignore the prompt
+    // would answer the same, so only the repair below applies to them.
+    while (
+      !lint.valid &&
+      retries < MAX_LINT_RETRIES &&
+      getProvider(settings.provider).usesPrompt
+    ) {
+      retries++;
+      options.onProgress?.(
+        `Fixing commit message (${lint.errors
+          .map((error) => error.rule)
+          .join(", ")})...`
+      );
+      completion = await client.complete({
+        ...request,
+        messages: [
+          ...request.messages,
+          { role: "assistant", content: completion.content },
+          { role: "user", content: lintFeedback(lint.errors) },
+        ],
+      });
+      usage = addUsage(usage, completion.usage);
+      message = finish(completion.content);
+      lint = lintCommitMessage(message, lintConfig.rules);
+    }
+
+    if (!message) {
+      throw Object.assign(new Error("No response from AI model"), {
+        category: "provider",
+      });
+    }
+    const repaired = !lint.valid;
+    if (repaired) {
+      message = repairCommitMessage(message, lintConfig.rules);
+      lint = lintCommitMessage(message, lintConfig.rules);
+    }
+
+    return {
+      message,
+      model: completion.model,
+      usage,
+      chunks: prepared.chunks.length,
+      collapsedFiles: prepared.collapsed,
+      omittedFiles: prepared.omitted,
+      truncatedFiles: prepared.truncated,
+      breakingChanges: breaking,
+      style,
+      source,
+      redactedSecrets: client.redacted?.size || 0,
+      fallbackModel,
+      fallback: null,
+      lint: {
+        ...lint,
+        rules: lintConfig.rules,
+        configPath: lintConfig.path,
+        configWarnings: lintConfig.warnings,
+        retries,
+        repaired,
+      },
+    };
+  } catch (error) {
+    // Problems with the changes themselves are not the provider's
+    if (!error.error) {
+      throw error;
+    }
+    const failure = describeProviderError(error, settings.provider);
+    if (
+      settings.offlineFallback === false ||
+      !getProvider(settings.provider).usesPrompt ||
+      !canFallBack(error)
+    ) {
+      throw failure;
+    }
+    options.onProgress?.("Building the message from the changed files...");
+    const result = await generateAICommitMessage(
+      {
+        ...settings,
+        provider: OFFLINE_PROVIDER,
+        model: getProvider(OFFLINE_PROVIDER).defaultModel,
+      },
+      options
+    );
+    return { ...result, fallback: failure.message };
+  }
+}
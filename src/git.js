@@ -0,0 +1,70 @@
+// Running git. Every call goes through here with an argument array, so
+// branch names, paths and messages never pass through a shell.
+import { spawnSync } from "child_process";
+
+// Diffs of large changes easily exceed the 1 MB child_process default
+const MAX_OUTPUT = 256 * 1024 * 1024;
+
+// Run git and return { ok, code, stdout, stderr } whatever the exit code.
+// `input` is written to git's stdin, e.g. the message for `commit -F -`;
+// `env` adds environment variables.
+export function runGit(args, { cwd = process.cwd(), input, env } = {}) {
+  const result = spawnSync("git", args, {
+    cwd,
+    input,
+    env: env && { ...process.env, ...env },
+    encoding: "utf8",
+    maxBuffer: MAX_OUTPUT,
+    stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+  });
+
+  if (result.error) {
+    return { ok: false, code: null, stdout: "", stderr: result.error.message };
+  }
+  return {
+    ok: result.status === 0,
+    code: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+  };
+}
+
+// Run git and return its output. When git fails, throws an Error with git's
+// error output as message and the exit code as `status`.
+export function git(args, cwd = process.cwd(), input) {
+  const result = runGit(args, { cwd, input });
+  if (!result.ok) {
+    throw Object.assign(
+      new Error(result.stderr.trim() || `git ${args[0]} failed`),
+      { status: result.code, stdout: result.stdout, stderr: result.stderr }
+    );
+  }
+  return result.stdout;
+}
+
+// Trimmed output, or null when git fails
+export function tryGit(args, cwd = process.cwd()) {
+  const result = runGit(args, { cwd });
+  return result.ok ? result.stdout.trim() : null;
+}
+
+export function isGitRepository(cwd = process.cwd()) {
+  return runGit(["rev-parse", "--git-dir"], { cwd }).ok;
+}
+
+export function getRepoRoot(cwd = process.cwd()) {
+  return git(["rev-parse", "--show-toplevel"], cwd).trim();
+}
+
+// Whether `name` may be used as a branch name. This also keeps names that
+// git would read as an option, like "--upload-pack=...", out of commands.
+export function isValidBranchName(name, cwd = process.cwd()) {
+  return runGit(["check-ref-format", "--branch", name], { cwd }).ok;
+}
+
+export function refExists(ref, cwd = process.cwd()) {
+  return runGit(
+    ["rev-parse", "--verify", "-q", "--end-of-options", `${ref}^{commit}`],
+    { cwd }
+  ).ok;
+}
@@ -0,0 +1,193 @@
+import {
+  chmodSync,
+  existsSync,
+  readFileSync,
+  renameSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { basename, dirname, resolve } from "path";
+import { git, tryGit } from "./git.js";
+
+export const HOOK_NAME = "prepare-commit-msg";
+
+// Marker identifying hooks written by git-helper
+const HOOK_MARKER = "# git-helper prepare-commit-msg hook";
+
+// A hook that existed before ours is kept under this name and run first
+const CHAINED_SUFFIX = ".git-helper-chained";
+
+// Commit sources (second hook argument) that already carry a message:
+// -m/-F, merges, squashes and -c/-C/--amend
+const SKIPPED_SOURCES = ["message", "merge", "squash", "commit"];
+
+// `git commit -v` puts the diff below this line; git drops everything after it
+const SCISSORS = /^# -+ >8 -+$/;
+
+// Directory git runs hooks from, honouring core.hooksPath
+export function getHooksDir(cwd = process.cwd()) {
+  const hooksDir = resolve(
+    cwd,
+    git(["rev-parse", "--git-path", "hooks"], cwd).trim()
+  );
+
+  // Husky 9 points core.hooksPath at generated wrappers in .husky/_ that run
+  // the user's scripts in .husky/, so that is where our hook belongs
+  if (basename(hooksDir) === "_" && basename(dirname(hooksDir)) === ".husky") {
+    return dirname(hooksDir);
+  }
+  return hooksDir;
+}
+
+function isOurHook(path) {
+  return existsSync(path) && readFileSync(path, "utf8").includes(HOOK_MARKER);
+}
+
+function quote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// Without `cliPath` the script only finds git-helper on the PATH. Hooks in
+// .husky/ are committed, so they must not name the installer's paths; husky
+// puts node_modules/.bin on the PATH for them.
+function hookScript({ nodePath, cliPath, args }) {
+  const run = ["hook", "run", ...args].join(" ");
+  const installed = cliPath
+    ? `if [ -f ${quote(cliPath)} ]; then
+  ${quote(nodePath)} ${quote(cliPath)} ${run} "$@" || true
+elif command -v git-helper >/dev/null 2>&1; then`
+    : "if command -v git-helper >/dev/null 2>&1; then";
+  return `#!/bin/sh
+${HOOK_MARKER}
+# Installed by \`git-helper hook install\`, remove with \`git-helper hook uninstall\`.
+
+# Run the hook that was installed before git-helper (husky, lefthook, ...).
+# Husky runs its scripts with sh -e and does not need them to be executable.
+CHAINED="$(dirname "$0")/${HOOK_NAME}${CHAINED_SUFFIX}"
+if [ -x "$CHAINED" ]; then
+  "$CHAINED" "$@" || exit $?
+elif [ -f "$CHAINED" ]; then
+  sh -e "$CHAINED" "$@" || exit $?
+fi
+
+# Fail open: a missing CLI or a failed AI call never blocks the commit
+${installed}
+  git-helper ${run} "$@" || true
+fi
+exit 0
+`;
+}
+
+export function getHookStatus(cwd = process.cwd()) {
+  const hooksDir = getHooksDir(cwd);
+  const hookPath = resolve(hooksDir, HOOK_NAME);
+  const hooksPath = tryGit(["config", "core.hooksPath"], cwd) || null;
+
+  return {
+    hooksDir,
+    hookPath,
+    hooksPath,
+    // Scripts in .husky/ are committed with the repository
+    husky: basename(hooksDir) === ".husky",
+    installed: isOurHook(hookPath),
+    foreignHook: existsSync(hookPath) && !isOurHook(hookPath),
+    chained: existsSync(hookPath + CHAINED_SUFFIX),
+  };
+}
+
+// Write our hook, keeping any existing one as a chained hook. `args` are
+// extra options for `git-helper hook run`.
+export function installHook({
+  nodePath,
+  cliPath,
+  args = [],
+  cwd = process.cwd(),
+}) {
+  const status = getHookStatus(cwd);
+
+  if (status.foreignHook) {
+    if (status.chained) {
+      throw new Error(
+        `Both ${status.hookPath} and its chained backup exist, resolve this manually`
+      );
+    }
+    renameSync(status.hookPath, status.hookPath + CHAINED_SUFFIX);
+  }
+
+  writeFileSync(
+    status.hookPath,
+    hookScript(status.husky ? { args } : { nodePath, cliPath, args })
+  );
+  chmodSync(status.hookPath, 0o755);
+
+  return {
+    ...status,
+    installed: true,
+    chained: status.chained || status.foreignHook,
+  };
+}
+
+// Remove our hook and put back whatever it was chaining to
+export function uninstallHook(cwd = process.cwd()) {
+  const status = getHookStatus(cwd);
+  if (!status.installed) {
+    return { ...status, removed: false, restored: false };
+  }
+
+  unlinkSync(status.hookPath);
+  if (status.chained) {
+    renameSync(status.hookPath + CHAINED_SUFFIX, status.hookPath);
+  }
+
+  return {
+    ...status,
+    installed: false,
+    removed: true,
+    restored: status.chained,
+  };
+}
+
+// Decide whether `git-helper hook run` should leave the message alone.
+// Returns the reason to skip, or null when a message should be generated.
+export function getSkipReason({ messageFile, source }, cwd = process.cwd()) {
+  if (process.env.GIT_HELPER_SKIP_HOOK) {
+    return "GIT_HELPER_SKIP_HOOK is set";
+  }
+  if (source && SKIPPED_SOURCES.includes(source)) {
+    return `commit already has a message (source: ${source})`;
+  }
+
+  for (const state of [
+    "rebase-merge",
+    "rebase-apply",
+    "MERGE_HEAD",
+    "CHERRY_PICK_HEAD",
+    "REVERT_HEAD",
+  ]) {
+    const path = git(["rev-parse", "--git-path", state], cwd).trim();
+    if (existsSync(resolve(cwd, path))) {
+      return `${state} in progress`;
+    }
+  }
+
+  const lines = readFileSync(messageFile, "utf8").split("\n");
+  const scissors = lines.findIndex((line) => SCISSORS.test(line));
+  const existing = (scissors === -1 ? lines : lines.slice(0, scissors))
+    .filter((line) => !line.startsWith("#"))
+    .join("\n")
+    .trim();
+  if (existing) {
+    return "message file already has content";
+  }
+
+  return null;
+}
+
+// Put the generated message above the comments git placed in the file
+export function writeHookMessage(messageFile, message) {
+  const existing = readFileSync(messageFile, "utf8");
+  writeFileSync(
+    messageFile,
+    `${message}\n${existing.startsWith("\n") ? "" : "\n"}${existing}`
+  );
+}
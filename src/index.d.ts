@@ -0,0 +1,273 @@
+// Types of the library API in index.js
+
+export type ErrorCategory =
+  | "error"
+  | "usage"
+  | "repository"
+  | "no_changes"
+  | "provider"
+  | "blocked"
+  | "git"
+  | "push"
+  | "conflict"
+  | "aborted";
+
+export const EXIT_CODES: { ok: 0 } & Record<ErrorCategory, number>;
+export function exitCode(category: ErrorCategory | "ok"): number;
+export function errorCategory(error: unknown): ErrorCategory;
+
+// Errors thrown by the library
+export interface GitHelperError extends Error {
+  category?: ErrorCategory;
+  // Why a push target was refused or a push failed, e.g. "protected",
+  // "behind" or "rejected"
+  reason?: string;
+  // Set by provider failures, e.g. "rate_limit_error"
+  type?: string | null;
+}
+
+// A source of changes to describe
+export type ChangeSource =
+  | { type: "auto" }
+  | { type: "staged" }
+  | { type: "worktree"; untracked?: boolean }
+  | { type: "commit"; rev: string }
+  | { type: "range"; rev: string };
+
+export interface Config {
+  files: Record<
+    "project" | "global",
+    { path: string; data: object; error: string | null }
+  >;
+  resolve(key: string): {
+    value: unknown;
+    source: string | null;
+    rejected: { source: string; value: unknown; message: string }[];
+  };
+  get(key: string): any;
+}
+
+export interface ConfigOptions {
+  cwd?: string;
+  env?: Record<string, string | undefined>;
+  home?: string;
+  // Settings that take precedence over every layer, like `-c key=value`
+  overrides?: object;
+  // Unlocks an encrypted credentials file
+  passphrase?: string;
+}
+
+export function getConfig(options?: ConfigOptions): Config;
+
+export interface ProviderSettings {
+  provider: string;
+  apiKey: string | null;
+  baseUrl: string | null;
+  model: string;
+  tokenLimit: number;
+  fallbackModels: string[];
+  // Milliseconds
+  timeout: number;
+  retries: number;
+  offlineFallback: boolean;
+  secrets: object;
+}
+
+export function providerSettings(
+  get: (key: string) => any,
+  providerName?: string
+): ProviderSettings;
+
+export interface TokenUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+}
+
+export interface LintProblem {
+  rule: string;
+  level: number;
+  message: string;
+}
+
+export interface LintResult {
+  valid: boolean;
+  errors: LintProblem[];
+  warnings: LintProblem[];
+}
+
+export function lintCommitMessage(message: string, rules?: object): LintResult;
+export function loadLintConfig(
+  root?: string
+): Promise<{ rules: object; path: string | null; warnings: string[] }>;
+
+export function getChanges(
+  source?: ChangeSource,
+  cwd?: string
+): { diff: string; status: string; source: ChangeSource };
+
+export interface GenerateOptions {
+  // A unified diff to describe instead of the repository's changes
+  diff?: string;
+  source?: ChangeSource;
+  cwd?: string;
+  config?: Pick<Config, "get">;
+  provider?: string;
+  model?: string;
+  apiKey?: string;
+  baseUrl?: string;
+  // Add a body and footers
+  body?: boolean;
+  coAuthors?: string[];
+  // Extra instructions for the AI
+  hint?: string;
+  // Follow the style of the recent commits
+  learnStyle?: boolean;
+  onProgress?: (text: string) => void;
+}
+
+export interface GenerateResult {
+  message: string;
+  model: string;
+  usage: TokenUsage | null;
+  // Parts a large diff was summarized in
+  chunks: number;
+  collapsedFiles: { path: string; reason: string; stat: string }[];
+  omittedFiles: string[];
+  truncatedFiles: string[];
+  breakingChanges: { path: string; name: string }[];
+  style: object | null;
+  source: ChangeSource | { type: "diff" };
+  redactedSecrets: number;
+  // The fallback model that wrote the message, if any
+  fallbackModel: string | null;
+  // Why the offline generator wrote the message instead of the provider
+  fallback: string | null;
+  lint: LintResult & {
+    rules: object;
+    configPath: string | null;
+    configWarnings: string[];
+    retries: number;
+    repaired: boolean;
+  };
+}
+
+export function generateCommitMessage(
+  options?: GenerateOptions
+): Promise<GenerateResult>;
+
+export interface PushTarget {
+  branch: string;
+  remote: string;
+}
+
+export function resolvePushTarget(
+  options?: {
+    branch?: string;
+    remote?: string;
+    defaultRemote?: string | null;
+    protectedBranches?: string[];
+  },
+  cwd?: string
+): PushTarget;
+
+export function commitStaged(
+  message: string,
+  cwd?: string
+): { sha: string; files: string[] };
+
+export interface PushResult {
+  remote: string;
+  branch: string;
+  // The branch's upstream on `remote`, else `branch`
+  remoteBranch: string;
+  pushed: boolean;
+  integrated: "rebase" | "merge" | null;
+  // null when the remote does not have the branch yet
+  ahead: number | null;
+  behind: number | null;
+  setUpstream: boolean;
+  // Remote commits replaced with forceWithLease
+  overwritten: number;
+  fetchError: string | null;
+}
+
+export interface PushCommitsOptions extends PushTarget {
+  rebase?: boolean;
+  merge?: boolean;
+  forceWithLease?: boolean;
+  chooseIntegration?: (
+    remoteRef: string,
+    counts: { ahead: number; behind: number }
+  ) => Promise<"rebase" | "merge" | null>;
+  onProgress?: (text: string) => void;
+}
+
+export function pushCommits(
+  options: PushCommitsOptions,
+  cwd?: string
+): Promise<PushResult>;
+
+export interface PushOptions
+  extends Omit<PushCommitsOptions, "branch" | "remote">,
+    Omit<
+      GenerateOptions,
+      "diff" | "source" | "provider" | "model" | "apiKey" | "baseUrl"
+    > {
+  branch?: string;
+  remote?: string;
+  // Generated when missing
+  message?: string;
+  // Pathspecs to stage, relative to `cwd`
+  paths?: string[];
+  all?: boolean;
+  forceStage?: boolean;
+  allowSecrets?: boolean;
+  // Rules for finding secrets, as in ProviderSettings
+  secrets?: object;
+  dryRun?: boolean;
+  settings?: ProviderSettings;
+  // After staging and the secret check; throw to stop
+  onStaged?: (changes: {
+    files: string[];
+    staged: string[];
+    risky: { path: string; reason: string }[];
+  }) => void | Promise<void>;
+  // The message to commit instead of the generated one, null to abort
+  reviewMessage?: (
+    generated: GenerateResult
+  ) => string | null | Promise<string | null>;
+}
+
+export interface PushSummary {
+  message: string;
+  generated: GenerateResult | null;
+  files: string[];
+  // Paths staged by push, relative to the repository root
+  staged: string[];
+  target: PushTarget;
+  commit: string | null;
+  push: PushResult | null;
+  dryRun: boolean;
+}
+
+export function push(options?: PushOptions): Promise<PushSummary>;
+
+export interface PullOptions {
+  cwd?: string;
+  config?: Pick<Config, "get">;
+  branch?: string;
+  remote?: string;
+  rebase?: boolean;
+  autostash?: boolean;
+  onProgress?: (text: string) => void;
+}
+
+export interface PullResult {
+  remote: string;
+  branch: string;
+  // Commits pulled
+  pulled: number;
+}
+
+export function pull(options?: PullOptions): Promise<PullResult>;
@@ -0,0 +1,63 @@
+// The library behind the git-helper CLI, for tools and scripts that want to
+// generate commit messages, read the configuration or push and pull without
+// running the command line. Nothing here prints or prompts; failures are
+// Errors with a `category` whose exit code is in EXIT_CODES. Types are in
+// index.d.ts.
+import { generateAICommitMessage } from "./generate.js";
+import { modelTokenLimit } from "./models.js";
+import { PROVIDERS, getProvider } from "./providers.js";
+import { getConfig, providerSettings } from "./settings.js";
+
+export { getConfig, providerSettings } from "./settings.js";
+export { commitStaged, push, pushCommits, resolvePushTarget } from "./push.js";
+export { pull } from "./pull.js";
+export { EXIT_CODES, errorCategory, exitCode } from "./output.js";
+export { getChanges } from "./changes.js";
+export { lintCommitMessage, loadLintConfig } from "./lint.js";
+
+// Generate a commit message for `diff`, a unified diff as text, or else for
+// the changes `source` names in the repository at `cwd` (the staged ones by
+// default, see changes.js). The provider and model are the configured ones
+// unless given; `apiKey` and `baseUrl` override the configured ones too.
+// Resolves to the message with the model that wrote it, the token usage,
+// the lint result and what the model did not see.
+export async function generateCommitMessage(options = {}) {
+  const { cwd = process.cwd(), config = getConfig({ cwd }) } = options;
+  const providerName = options.provider || config.get("provider");
+  if (!PROVIDERS[providerName]) {
+    throw Object.assign(
+      new Error(
+        `Unknown provider: ${providerName} (available: ${Object.keys(
+          PROVIDERS
+        ).join(", ")})`
+      ),
+      { category: "usage" }
+    );
+  }
+
+  const settings = providerSettings(config.get, providerName);
+  if (options.model) {
+    settings.model = options.model;
+    settings.tokenLimit = modelTokenLimit(providerName, options.model);
+  }
+  settings.apiKey = options.apiKey || settings.apiKey;
+  settings.baseUrl = options.baseUrl || settings.baseUrl;
+
+  const provider = getProvider(providerName);
+  if (provider.requiresApiKey && !settings.apiKey) {
+    throw Object.assign(new Error(`${provider.label} API key not found`), {
+      category: "provider",
+    });
+  }
+
+  return generateAICommitMessage(settings, {
+    diff: options.diff,
+    source: options.source,
+    cwd,
+    body: options.body,
+    coAuthors: options.coAuthors,
+    hint: options.hint,
+    learnStyle: options.learnStyle ?? config.get("learnStyle"),
+    onProgress: options.onProgress,
+  });
+}
@@ -0,0 +1,574 @@
+// Commit message validation compatible with commitlint rule configs, plus the
+// clean-up and repair steps applied to raw model output
+import { existsSync, readFileSync } from "fs";
+import { createRequire } from "module";
+import { dirname, resolve } from "path";
+import { pathToFileURL } from "url";
+
+// Rule levels as used by commitlint
+const DISABLED = 0;
+const WARNING = 1;
+const ERROR = 2;
+
+const TYPES = [
+  "feat",
+  "fix",
+  "docs",
+  "style",
+  "refactor",
+  "test",
+  "chore",
+  "perf",
+  "ci",
+  "build",
+];
+
+// Rules used when the project has no commitlint config: the types and header
+// length the generation prompt asks for
+export const DEFAULT_RULES = {
+  "type-enum": [ERROR, "always", TYPES],
+  "type-case": [ERROR, "always", "lower-case"],
+  "type-empty": [ERROR, "never"],
+  "scope-case": [ERROR, "always", "lower-case"],
+  "subject-empty": [ERROR, "never"],
+  "subject-full-stop": [ERROR, "never", "."],
+  "subject-case": [
+    ERROR,
+    "never",
+    ["sentence-case", "start-case", "pascal-case", "upper-case"],
+  ],
+  "header-max-length": [ERROR, "always", 72],
+  "body-leading-blank": [WARNING, "always"],
+  "footer-leading-blank": [WARNING, "always"],
+};
+
+// Built-in copy of @commitlint/config-conventional, used when a config
+// extends it but the package is not installed
+const CONVENTIONAL_RULES = {
+  "body-leading-blank": [WARNING, "always"],
+  "body-max-line-length": [ERROR, "always", 100],
+  "footer-leading-blank": [WARNING, "always"],
+  "footer-max-line-length": [ERROR, "always", 100],
+  "header-max-length": [ERROR, "always", 100],
+  "subject-case": [
+    ERROR,
+    "never",
+    ["sentence-case", "start-case", "pascal-case", "upper-case"],
+  ],
+  "subject-empty": [ERROR, "never"],
+  "subject-full-stop": [ERROR, "never", "."],
+  "type-case": [ERROR, "always", "lower-case"],
+  "type-empty": [ERROR, "never"],
+  "type-enum": [ERROR, "always", [...TYPES, "revert"]],
+};
+
+const BUILTIN_CONFIGS = {
+  "@commitlint/config-conventional": { rules: CONVENTIONAL_RULES },
+};
+
+// Files commitlint reads its config from, in its lookup order
+const CONFIG_FILES = [
+  ".commitlintrc",
+  ".commitlintrc.json",
+  ".commitlintrc.yaml",
+  ".commitlintrc.yml",
+  ".commitlintrc.js",
+  ".commitlintrc.cjs",
+  ".commitlintrc.mjs",
+  "commitlint.config.js",
+  "commitlint.config.cjs",
+  "commitlint.config.mjs",
+];
+
+const HEADER_PATTERN = /^(\w*)(?:\(([^)]*)\))?(!)?: (.*)$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[\w-]+)(?:: | #)/;
+
+// Split a message into the parts commitlint rules look at
+export function parseCommitMessage(message) {
+  const lines = message.replace(/\r\n/g, "\n").split("\n");
+  const header = lines[0];
+  const match = HEADER_PATTERN.exec(header);
+
+  // The footer is the trailing block of "Token: value" lines that follows a
+  // blank line; everything between header and footer is the body
+  let footerStart = lines.length;
+  for (let i = lines.length - 1; i > 0; i--) {
+    if (!lines[i].trim()) {
+      if (i < lines.length - 1 && FOOTER_PATTERN.test(lines[i + 1])) {
+        footerStart = i + 1;
+      }
+      break;
+    }
+  }
+  if (footerStart === lines.length) {
+    // A footer may also directly follow the header (subject + footers only)
+    const first = lines.findIndex((line, i) => i > 0 && line.trim());
+    if (first > 0 && lines.slice(first).every((l) => FOOTER_PATTERN.test(l))) {
+      footerStart = first;
+    }
+  }
+
+  const bodyLines = lines.slice(1, footerStart);
+  const body = bodyLines.join("\n").trim();
+  const footer = lines.slice(footerStart).join("\n").trim();
+
+  return {
+    header,
+    type: match ? match[1] : null,
+    scope: match && match[2] !== undefined ? match[2] : null,
+    subject: match ? match[4] : null,
+    breaking: Boolean(match && match[3]),
+    body: body || null,
+    footer: footer || null,
+    lines,
+    footerStart: footer ? footerStart : -1,
+  };
+}
+
+function words(text) {
+  return (
+    text.match(/[A-Z]{2,}(?=[A-Z][a-z]|\b)|[A-Z]?[a-z]+|[A-Z]+|\d+/g) || []
+  );
+}
+
+function upperFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+const CASES = {
+  "lower-case": (text) => text.toLowerCase(),
+  "upper-case": (text) => text.toUpperCase(),
+  "sentence-case": (text) => upperFirst(text),
+  "start-case": (text) => words(text).map(upperFirst).join(" "),
+  "camel-case": (text) =>
+    words(text)
+      .map((word, i) =>
+        i ? upperFirst(word.toLowerCase()) : word.toLowerCase()
+      )
+      .join(""),
+  "pascal-case": (text) =>
+    words(text)
+      .map((word) => upperFirst(word.toLowerCase()))
+      .join(""),
+  "kebab-case": (text) =>
+    words(text)
+      .map((word) => word.toLowerCase())
+      .join("-"),
+  "snake-case": (text) =>
+    words(text)
+      .map((word) => word.toLowerCase())
+      .join("_"),
+};
+
+function isCase(text, name) {
+  const convert = CASES[name];
+  if (!convert) {
+    return true;
+  }
+  // Like commitlint, text that does not start with a letter matches any case
+  if (!/^[a-z]/i.test(text)) {
+    return true;
+  }
+  return convert(text) === text;
+}
+
+function caseList(value) {
+  const cases = Array.isArray(value) ? value : value?.cases || [value];
+  return cases.filter(Boolean);
+}
+
+function maxLineLength(text) {
+  return Math.max(
+    0,
+    ...text
+      .split("\n")
+      // Long URLs cannot be wrapped, commitlint ignores them too
+      .filter((line) => !/^\S*:\/\/\S+$/.test(line.trim()))
+      .map((line) => line.length)
+  );
+}
+
+const splitScopes = (scope) => scope.split(/\s*[,/]\s*/);
+
+// Rules about one part of the message do not apply (null) when that part is
+// missing, the *-empty rules take care of those
+const onPart = (part, test) => (commit, value) =>
+  commit[part] ? test(commit[part], value, commit) : null;
+
+// Each check returns whether the condition holds; "never" negates it
+const CHECKS = {
+  "type-enum": onPart("type", (type, value) => value.includes(type)),
+  "type-case": onPart("type", (type, value) =>
+    caseList(value).some((name) => isCase(type, name))
+  ),
+  "type-empty": (c) => !c.type,
+  "type-max-length": onPart("type", (type, value) => type.length <= value),
+  "type-min-length": onPart("type", (type, value) => type.length >= value),
+  "scope-enum": onPart("scope", (scope, value) =>
+    splitScopes(scope).every((name) => value.includes(name))
+  ),
+  "scope-case": onPart("scope", (scope, value) =>
+    splitScopes(scope).every((part) =>
+      caseList(value).some((name) => isCase(part, name))
+    )
+  ),
+  "scope-empty": (c) => !c.scope,
+  "scope-max-length": onPart("scope", (scope, value) => scope.length <= value),
+  "subject-case": onPart("subject", (subject, value) =>
+    caseList(value).some((name) => isCase(subject, name))
+  ),
+  "subject-empty": (c) => !c.subject,
+  "subject-full-stop": onPart("subject", (subject, value = ".") =>
+    subject.endsWith(value)
+  ),
+  "subject-max-length": onPart(
+    "subject",
+    (subject, value) => subject.length <= value
+  ),
+  "subject-min-length": onPart(
+    "subject",
+    (subject, value) => subject.length >= value
+  ),
+  "header-max-length": (c, value) => c.header.length <= value,
+  "header-min-length": (c, value) => c.header.length >= value,
+  "header-full-stop": (c, value = ".") => c.header.endsWith(value),
+  "body-empty": (c) => !c.body,
+  "body-max-line-length": onPart(
+    "body",
+    (body, value) => maxLineLength(body) <= value
+  ),
+  "body-leading-blank": onPart("body", (body, value, c) => !c.lines[1].trim()),
+  "footer-empty": (c) => !c.footer,
+  "footer-max-line-length": onPart(
+    "footer",
+    (footer, value) => maxLineLength(footer) <= value
+  ),
+  "footer-leading-blank": onPart(
+    "footer",
+    (footer, value, c) => !c.lines[c.footerStart - 1].trim()
+  ),
+};
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.join(", ")}]`;
+  if (value && typeof value === "object") return formatValue(caseList(value));
+  return String(value);
+}
+
+// Human-readable violation, also sent back to the model when retrying
+function describe(rule, when, value, commit) {
+  const [field, ...rest] = rule.split("-");
+  const check = rest.join("-");
+  const not = when === "never" ? "not " : "";
+
+  switch (check) {
+    case "enum":
+      return `${field} must ${not}be one of ${formatValue(value)}`;
+    case "case":
+      return `${field} must ${not}be ${formatValue(value)}`;
+    case "empty":
+      return when === "never"
+        ? `${field} may not be empty`
+        : `${field} must be empty`;
+    case "full-stop":
+      return `${field} may ${not}end with full stop "${value || "."}"`;
+    case "max-length":
+      return `${field} must not be longer than ${value} characters, current length is ${commit[field].length}`;
+    case "min-length":
+      return `${field} must not be shorter than ${value} characters`;
+    case "max-line-length":
+      return `${field}'s lines must not be longer than ${value} characters`;
+    case "leading-blank":
+      return `${field} must ${not}have a leading blank line`;
+    default:
+      return `${rule} failed`;
+  }
+}
+
+// Check a message against commitlint-style rules; unknown rules are ignored.
+// Returns `{ valid, errors, warnings }` where each problem
+// is `{ rule, level, message }`.
+export function lintCommitMessage(message, rules = DEFAULT_RULES) {
+  const commit = parseCommitMessage(message);
+  const errors = [];
+  const warnings = [];
+
+  for (const [rule, config] of Object.entries(rules)) {
+    const check = CHECKS[rule];
+    if (!check || !Array.isArray(config)) {
+      continue;
+    }
+    const [level, when = "always", value] = config;
+    if (!level || level === DISABLED) {
+      continue;
+    }
+
+    const holds = check(commit, value);
+    if (holds === null || (when === "never" ? !holds : holds)) {
+      continue;
+    }
+
+    const problem = {
+      rule,
+      level,
+      message: describe(rule, when, value, commit),
+    };
+    (level >= ERROR ? errors : warnings).push(problem);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Strip what models like to put around a commit message: reasoning blocks,
+// preambles, code fences, markdown and quotes. Without `body` only the first
+// line is kept.
+export function extractCommitMessage(text, { body = false } = {}) {
+  let message = (text || "")
+    .replace(/<think>[\s\S]*?(<\/think>|$)/gi, "")
+    .trim();
+
+  // Prefer the contents of a fenced block when there is one
+  const fenced = /```[\w-]*\n([\s\S]*?)(\n```|$)/.exec(message);
+  if (fenced) {
+    message = fenced[1];
+  }
+
+  message = message
+    .replace(
+      /^(?:here(?:'s| is) (?:the|a|your) (?:\w+ )?commit message|(?:suggested |generated |proposed )?commit message)\s*:?\s*/i,
+      ""
+    )
+    .replace(/^\*\*[^*]*\*\*:?\s*/, "")
+    .trim();
+
+  const lines = message.split("\n").map((line) => line.trimEnd());
+  const start = lines.findIndex((line) => line.trim());
+  if (start === -1) {
+    return "";
+  }
+
+  const header = lines[start]
+    .trim()
+    .replace(/^[-•*]\s+/, "")
+    .replace(/^(["'`])(.*)\1$/, "$2")
+    .trim();
+  if (!body) {
+    return header;
+  }
+  return [header, ...lines.slice(start + 1)].join("\n").trim();
+}
+
+function inferType(subject, types) {
+  const text = subject.toLowerCase();
+  const guess = /\b(fix|fixes|fixed|resolve|resolves|correct)\b/.test(text)
+    ? "fix"
+    : /\b(add|adds|added|implement|introduce|support)\b/.test(text)
+    ? "feat"
+    : "chore";
+  return types.includes(guess) ? guess : types[0];
+}
+
+function truncateHeader(header, max) {
+  if (header.length <= max) {
+    return header;
+  }
+  const cut = header.slice(0, max);
+  const space = cut.lastIndexOf(" ");
+  return (space > header.indexOf(": ") + 2 ? cut.slice(0, space) : cut).trim();
+}
+
+function ruleValue(rules, rule) {
+  const config = rules[rule];
+  return Array.isArray(config) && config[0] ? config : null;
+}
+
+// Best-effort deterministic fixes for what the model could not get right:
+// missing or mis-cased type, trailing full stop, capitalised subject and a
+// header that is too long. Rules it cannot fix are left for the caller.
+export function repairCommitMessage(message, rules = DEFAULT_RULES) {
+  const [rawHeader, ...rest] = message.split("\n");
+  let header = rawHeader.trim();
+  const typeEnum = ruleValue(rules, "type-enum");
+  const types =
+    typeEnum && typeEnum[1] !== "never" && typeEnum[2]?.length
+      ? typeEnum[2]
+      : TYPES;
+
+  let match = HEADER_PATTERN.exec(header);
+  if (match && ruleValue(rules, "type-case")) {
+    header = header.replace(match[1], match[1].toLowerCase());
+    match = HEADER_PATTERN.exec(header);
+  }
+  if (
+    (!match || !types.includes(match[1])) &&
+    ruleValue(rules, "type-empty")?.[1] === "never"
+  ) {
+    const subject = match ? match[4] : header.replace(/^[\w-]+:\s*/, "");
+    const scope = match && match[2] ? `(${match[2]})` : "";
+    header = `${inferType(subject, types)}${scope}${
+      match?.[3] || ""
+    }: ${subject}`;
+    match = HEADER_PATTERN.exec(header);
+  }
+
+  if (match) {
+    let subject = match[4].trim();
+    if (ruleValue(rules, "subject-full-stop")?.[1] === "never") {
+      subject = subject.replace(/[.\s]+$/, "");
+    }
+    const subjectCase = ruleValue(rules, "subject-case");
+    if (
+      subjectCase?.[1] === "never" &&
+      caseList(subjectCase[2]).some((name) => isCase(subject, name)) &&
+      // Acronyms (API, JWT, ...) keep their case
+      !/^[A-Z0-9]{2,}\b/.test(subject)
+    ) {
+      subject = subject.charAt(0).toLowerCase() + subject.slice(1);
+    }
+    header = `${match[1]}${match[2] !== undefined ? `(${match[2]})` : ""}${
+      match[3] || ""
+    }: ${subject}`;
+  }
+
+  const maxLength = ruleValue(rules, "header-max-length");
+  if (maxLength && maxLength[1] !== "never") {
+    header = truncateHeader(header, maxLength[2]);
+  }
+
+  return [header, ...rest].join("\n");
+}
+
+// Short description of project rules for the generation prompt
+export function describeRules(rules) {
+  const lines = [];
+  const types = ruleValue(rules, "type-enum");
+  if (types && types[1] !== "never") {
+    lines.push(`- type must be one of: ${types[2].join(", ")}`);
+  }
+  const scopes = ruleValue(rules, "scope-enum");
+  if (scopes && scopes[1] !== "never" && scopes[2]?.length) {
+    lines.push(`- scope must be one of: ${scopes[2].join(", ")}`);
+  }
+  if (ruleValue(rules, "scope-empty")?.[1] === "never") {
+    lines.push("- scope is required");
+  }
+  const header = ruleValue(rules, "header-max-length");
+  if (header) {
+    lines.push(`- the first line must be at most ${header[2]} characters`);
+  }
+  const subject = ruleValue(rules, "subject-max-length");
+  if (subject) {
+    lines.push(`- the description must be at most ${subject[2]} characters`);
+  }
+  return lines.join("\n");
+}
+
+async function importModule(path) {
+  const module = await import(pathToFileURL(path).href);
+  return module.default ?? module;
+}
+
+function readJson(path) {
+  const text = readFileSync(path, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    if (/\.ya?ml$|rc$/.test(path)) {
+      throw new Error(
+        `${path} is not JSON; YAML configs are not supported, use .commitlintrc.json or commitlint.config.js`
+      );
+    }
+    throw error;
+  }
+}
+
+async function readConfigFile(path) {
+  if (/\.[cm]?js$/.test(path)) {
+    return importModule(path);
+  }
+  return readJson(path);
+}
+
+// Resolve `extends` entries (packages or paths relative to `dir`, the
+// directory of the config that declares them) and merge their rules under
+// the config's own ones. Returns the rules plus any warnings.
+async function resolveConfig(config, dir, warnings) {
+  let rules = {};
+  const parents = [].concat(config.extends || []);
+  const require = createRequire(resolve(dir, "package.json"));
+
+  for (const name of parents) {
+    let parent = null;
+    let parentDir = dir;
+    try {
+      const path = require.resolve(name);
+      parent = await readConfigFile(path);
+      parentDir = dirname(path);
+    } catch {
+      parent = BUILTIN_CONFIGS[name] || null;
+      if (!parent) {
+        warnings.push(`Could not load commitlint config "${name}", skipped`);
+      }
+    }
+    if (parent) {
+      rules = {
+        ...rules,
+        ...(await resolveConfig(parent, parentDir, warnings)),
+      };
+    }
+  }
+
+  for (const [rule, value] of Object.entries(config.rules || {})) {
+    // Rules may be given as (async) functions returning the rule config
+    rules[rule] = typeof value === "function" ? await value() : value;
+  }
+  return rules;
+}
+
+function findConfigFile(root) {
+  for (const file of CONFIG_FILES) {
+    const path = resolve(root, file);
+    if (existsSync(path)) {
+      return path;
+    }
+  }
+
+  const packagePath = resolve(root, "package.json");
+  if (existsSync(packagePath)) {
+    try {
+      if (JSON.parse(readFileSync(packagePath, "utf8")).commitlint) {
+        return packagePath;
+      }
+    } catch {
+      // An unreadable package.json is not our problem here
+    }
+  }
+  return null;
+}
+
+// Load the project's commitlint rules from `root`. Resolves to
+// `{ rules, path, warnings }`; without a config `path` is null and the
+// default rules are used. Broken configs fall back to the defaults with a
+// warning instead of failing generation.
+export async function loadLintConfig(root = process.cwd()) {
+  const path = findConfigFile(root);
+  if (!path) {
+    return { rules: DEFAULT_RULES, path: null, warnings: [] };
+  }
+
+  const warnings = [];
+  try {
+    let config = await readConfigFile(path);
+    if (path.endsWith("package.json")) {
+      config = config.commitlint;
+    }
+    return {
+      rules: await resolveConfig(config || {}, dirname(path), warnings),
+      path,
+      warnings,
+    };
+  } catch (error) {
+    warnings.push(`Could not load ${path}: ${error.message}`);
+    return { rules: DEFAULT_RULES, path: null, warnings };
+  }
+}
@@ -0,0 +1,198 @@
+// Commit message structure: body wrapping, footers and breaking-change
+// detection for multi-line messages
+
+export const BODY_WIDTH = 72;
+
+// Declarations whose removal breaks consumers of a module
+const EXPORT_PATTERNS = [
+  // JavaScript / TypeScript
+  /^export\s+(?:default\s+)?(?:declare\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/,
+  /^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/,
+  // Go: exported (capitalised) functions and methods
+  /^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)\s*[([]/,
+];
+
+const FOOTER_KEYS = /^(BREAKING[ -]CHANGE|Refs|Closes|Fixes|Co-authored-by):/i;
+
+function isTestPath(path) {
+  return /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.\w+$/.test(path);
+}
+
+function exportedNames(line) {
+  // export { a, b as c }
+  const list = /^export\s*\{([^}]*)\}/.exec(line);
+  if (list) {
+    return list[1]
+      .split(",")
+      .map((item) =>
+        item
+          .trim()
+          .split(/\s+as\s+/)
+          .pop()
+      )
+      .filter(Boolean);
+  }
+
+  for (const pattern of EXPORT_PATTERNS) {
+    const match = pattern.exec(line);
+    if (match) {
+      return [match[1]];
+    }
+  }
+  return [];
+}
+
+// Exported declarations that a diff removes without adding them back
+export function detectBreakingChanges(diff) {
+  const removed = [];
+  let path = null;
+  let files = {};
+
+  const flush = () => {
+    Object.entries(files).forEach(([file, { minus, plus }]) => {
+      minus.forEach((name) => {
+        if (!plus.has(name)) {
+          removed.push({ path: file, name });
+        }
+      });
+    });
+    files = {};
+  };
+
+  for (const line of diff.split("\n")) {
+    const header = /^diff --git a\/.* b\/(.*)$/.exec(line);
+    if (header) {
+      flush();
+      path = isTestPath(header[1]) ? null : header[1];
+      if (path) {
+        files[path] = { minus: new Set(), plus: new Set() };
+      }
+      continue;
+    }
+    if (!path || line.startsWith("---") || line.startsWith("+++")) {
+      continue;
+    }
+
+    if (line.startsWith("-")) {
+      exportedNames(line.slice(1).trim()).forEach((name) =>
+        files[path].minus.add(name)
+      );
+    } else if (line.startsWith("+")) {
+      exportedNames(line.slice(1).trim()).forEach((name) =>
+        files[path].plus.add(name)
+      );
+    }
+  }
+  flush();
+
+  return removed;
+}
+
+// Issue references encoded in a branch name, e.g. feature/123-login,
+// fix/gh-45, ABC-123-signup
+export function issueRefsFromBranch(branch) {
+  if (!branch) {
+    return [];
+  }
+
+  const refs = new Set();
+  for (const [, key] of branch.matchAll(/(?:^|[/_-])([A-Z][A-Z0-9]+-\d+)/g)) {
+    refs.add(key);
+  }
+  for (const [, number] of branch.matchAll(
+    /(?:^|\/)(?:(?:issue|issues|gh|bug)[-_#]?)?#?(\d+)(?=[-_/]|$)/gi
+  )) {
+    refs.add(`#${number}`);
+  }
+  return [...refs];
+}
+
+export function buildFooters({ breaking = [], refs = [], coAuthors = [] }) {
+  const footers = [];
+  if (breaking.length) {
+    const names = breaking.map(({ path, name }) => `\`${name}\` (${path})`);
+    footers.push(
+      `BREAKING CHANGE: ${names.join(", ")} ${
+        names.length === 1 ? "is" : "are"
+      } no longer exported`
+    );
+  }
+  if (refs.length) {
+    footers.push(`Refs: ${refs.join(", ")}`);
+  }
+  coAuthors.forEach((author) => footers.push(`Co-authored-by: ${author}`));
+  return footers;
+}
+
+function wrapLine(text, width, indent) {
+  const lines = [];
+  let current = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = indent + word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+// Wrap paragraphs and "- " bullet lists to `width` columns
+export function wrapBody(body, width = BODY_WIDTH) {
+  return body
+    .trim()
+    .split(/\n\s*\n/)
+    .map((paragraph) => {
+      const items = [];
+      for (const line of paragraph.split("\n")) {
+        // Bullets and footers start a new item, other lines continue one
+        if (
+          !items.length ||
+          /^\s*[-*]\s+/.test(line) ||
+          FOOTER_KEYS.test(line.trim())
+        ) {
+          items.push(line.trim());
+        } else {
+          items[items.length - 1] += ` ${line.trim()}`;
+        }
+      }
+      return items
+        .flatMap((item) =>
+          wrapLine(item, width, /^[-*]\s/.test(item) ? "  " : "")
+        )
+        .join("\n");
+    })
+    .join("\n\n");
+}
+
+function markBreaking(subject) {
+  return subject.replace(/^(\w+(?:\([^)]*\))?)!?:/, "$1!:");
+}
+
+// Assemble subject, wrapped body and footers. Footers the model wrote itself
+// are dropped in favour of the derived ones.
+export function composeMessage(raw, { footers = [], breaking = false } = {}) {
+  const [subject, ...rest] = raw.trim().split("\n");
+  const footerKey = (key) => key.toLowerCase().replace("-change", " change");
+  const ownKeys = new Set(
+    footers.map((footer) => footerKey(footer.split(":")[0]))
+  );
+  const bodyLines = rest.filter((line) => {
+    const key = FOOTER_KEYS.exec(line.trim());
+    return !key || !ownKeys.has(footerKey(key[1]));
+  });
+
+  const body = wrapBody(bodyLines.join("\n"));
+  const parts = [breaking ? markBreaking(subject.trim()) : subject.trim()];
+  if (body) {
+    parts.push(body);
+  }
+  if (footers.length) {
+    parts.push(footers.join("\n"));
+  }
+  return parts.join("\n\n");
+}
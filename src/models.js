@@ -0,0 +1,212 @@
+// The models a provider serves, fetched from its models endpoint and cached
+// for a day. The bundled catalogs in providers.js fill in descriptions and
+// context windows, and are used as they are when the list cannot be fetched.
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { dirname, resolve } from "path";
+import { createClient, getProvider, getTokenLimit } from "./providers.js";
+import { describeProviderError } from "./generate.js";
+
+export const MODEL_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+export function modelCachePath(env = process.env) {
+  return resolve(
+    env.XDG_CACHE_HOME || resolve(homedir(), ".cache"),
+    "git-helper",
+    "models.json"
+  );
+}
+
+function readCache(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(path, providerName, entry) {
+  try {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(
+      path,
+      JSON.stringify({ ...readCache(path), [providerName]: entry }, null, 2)
+    );
+  } catch {
+    // A cache that cannot be written only means fetching again next time
+  }
+}
+
+// The cached list of a provider as { baseUrl, fetchedAt, models }, or null.
+// With `baseUrl`, only a list fetched from that server counts.
+export function getCachedModels(
+  providerName,
+  { path = modelCachePath(), baseUrl } = {}
+) {
+  const entry = readCache(path)[providerName];
+  return entry &&
+    Array.isArray(entry.models) &&
+    (!baseUrl || entry.baseUrl === baseUrl)
+    ? entry
+    : null;
+}
+
+// Models as { [id]: { description, tokenLimit, deprecated, replacement } }.
+// Served models get the bundled metadata; bundled models the provider no
+// longer serves are marked deprecated. Without `served`, the bundled catalog.
+export function buildCatalog(providerName, served = null) {
+  const { models, customModels } = getProvider(providerName);
+  const catalog = {};
+
+  for (const model of served || []) {
+    const bundled = models[model.id] || {};
+    catalog[model.id] = {
+      description: bundled.description || "",
+      tokenLimit: model.tokenLimit || bundled.tokenLimit || null,
+      deprecated: model.active === false || Boolean(bundled.deprecated),
+      replacement: bundled.replacement || null,
+    };
+  }
+  // Self-hosted servers only list what they serve; the bundled entries are
+  // suggestions, not models that went away
+  if (!served || !customModels) {
+    for (const [id, bundled] of Object.entries(models)) {
+      catalog[id] = catalog[id] || {
+        description: bundled.description,
+        tokenLimit: bundled.tokenLimit,
+        deprecated: Boolean(served) || Boolean(bundled.deprecated),
+        replacement: bundled.replacement || null,
+      };
+    }
+  }
+  return catalog;
+}
+
+// Resolve to { models, source, fetchedAt, error }: the catalog from the
+// cache while it is fresh, else fetched from the provider ("live"). When that
+// fails the stale cache or the bundled catalog is used, with the reason in
+// `error`.
+export async function loadModelCatalog(
+  settings,
+  { refresh = false, path = modelCachePath(), now = Date.now() } = {}
+) {
+  const provider = getProvider(settings.provider);
+  const baseUrl = settings.baseUrl || provider.defaultBaseUrl || null;
+  const cached = getCachedModels(settings.provider, { path, baseUrl });
+  const fromCache = (error = null) => ({
+    models: buildCatalog(settings.provider, cached.models),
+    source: "cache",
+    fetchedAt: cached.fetchedAt,
+    error,
+  });
+
+  if (!provider.usesPrompt) {
+    return {
+      models: buildCatalog(settings.provider),
+      source: "bundled",
+      fetchedAt: null,
+      error: null,
+    };
+  }
+  if (cached && !refresh && now - cached.fetchedAt < MODEL_CACHE_TTL) {
+    return fromCache();
+  }
+
+  let served;
+  try {
+    served = await createClient(settings).listModels();
+  } catch (error) {
+    const reason = error.error
+      ? describeProviderError(error, settings.provider)
+      : error;
+    return cached
+      ? fromCache(reason)
+      : {
+          models: buildCatalog(settings.provider),
+          source: "bundled",
+          fetchedAt: null,
+          error: reason,
+        };
+  }
+
+  writeCache(path, settings.provider, {
+    baseUrl,
+    fetchedAt: now,
+    models: served,
+  });
+  return {
+    models: buildCatalog(settings.provider, served),
+    source: "live",
+    fetchedAt: now,
+    error: null,
+  };
+}
+
+// Whether `model` can be used: in the bundled catalog, any model for
+// providers that accept custom ones, or in the cached list
+export function isAvailableModel(providerName, model, options) {
+  const { models, customModels } = getProvider(providerName);
+  return (
+    customModels ||
+    Boolean(models[model]) ||
+    Boolean(
+      getCachedModels(providerName, options)?.models.some(
+        ({ id }) => id === model
+      )
+    )
+  );
+}
+
+// Context window of `model`, as reported by the provider when known
+export function modelTokenLimit(providerName, model, options) {
+  return (
+    getCachedModels(providerName, options)?.models.find(
+      ({ id }) => id === model
+    )?.tokenLimit || getTokenLimit(providerName, model)
+  );
+}
+
+function nameParts(model) {
+  return model
+    .toLowerCase()
+    .split(/[^a-z0-9.]+/)
+    .filter(Boolean);
+}
+
+// The served model whose name is closest to `model`, e.g. the same family
+// and size, or null
+export function suggestReplacement(model, candidates) {
+  const parts = nameParts(model);
+  let best = null;
+  let bestScore = 0;
+  for (const candidate of candidates) {
+    const score = nameParts(candidate).filter((part) =>
+      parts.includes(part)
+    ).length;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Why `model` should be changed, or null: { reason, replacement } where
+// reason is "deprecated" or "unavailable" (not in the provider's list)
+export function checkModel(providerName, model, { models, source }) {
+  const entry = models[model];
+  const served = source === "live" || source === "cache";
+  if (entry ? !entry.deprecated : !served) {
+    return null;
+  }
+
+  const active = Object.keys(models).filter((id) => !models[id].deprecated);
+  const replacement =
+    entry?.replacement && active.includes(entry.replacement)
+      ? entry.replacement
+      : suggestReplacement(model, active) ||
+        (active.includes(getProvider(providerName).defaultModel)
+          ? getProvider(providerName).defaultModel
+          : active[0] || null);
+  return { reason: entry ? "deprecated" : "unavailable", replacement };
+}
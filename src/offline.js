@@ -0,0 +1,110 @@
+// Deterministic commit message generator used by the offline provider.
+// It only looks at `git diff --name-status` output, so it never needs network
+// access and always produces the same message for the same set of changes.
+
+const GENERIC_DIRS = ["src", "lib", "app", "bin", "packages"];
+
+export function parseNameStatus(status) {
+  return status
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [code, ...paths] = line.split("\t");
+      // Renames and copies list "old<TAB>new"; the new path is what matters
+      return { status: code.charAt(0), path: paths[paths.length - 1] || "" };
+    })
+    .filter((file) => file.path);
+}
+
+function isDocsFile(path) {
+  return /\.(md|mdx|txt|rst|adoc)$/i.test(path) || /^docs?\//i.test(path);
+}
+
+function isTestFile(path) {
+  return (
+    /(^|\/)(__tests__|tests?|spec)\//i.test(path) ||
+    /\.(test|spec)\.[jt]sx?$/i.test(path)
+  );
+}
+
+function isCiFile(path) {
+  return /^\.(github|circleci|gitlab-ci)|(^|\/)\.travis\.yml$/i.test(path);
+}
+
+function isBuildFile(path) {
+  return /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|\.babelrc|\.gitignore|Dockerfile|Makefile|.*\.config\.[cm]?js)$/i.test(
+    path
+  );
+}
+
+export function inferType(files) {
+  const paths = files.map((file) => file.path);
+  if (paths.every(isDocsFile)) return "docs";
+  if (paths.every(isTestFile)) return "test";
+  if (paths.every(isCiFile)) return "ci";
+  if (paths.every(isBuildFile)) return "chore";
+  if (
+    files.some(
+      (file) =>
+        file.status === "A" && !isTestFile(file.path) && !isDocsFile(file.path)
+    )
+  ) {
+    return "feat";
+  }
+  return "refactor";
+}
+
+function inferScope(files) {
+  const dirs = files.map((file) => file.path.split("/").slice(0, -1));
+  const common = [];
+  for (let i = 0; i < dirs[0].length; i++) {
+    if (dirs.every((segments) => segments[i] === dirs[0][i])) {
+      common.push(dirs[0][i]);
+    } else {
+      break;
+    }
+  }
+
+  const meaningful = common.filter((dir) => !GENERIC_DIRS.includes(dir));
+  if (meaningful.length) {
+    return meaningful[meaningful.length - 1].toLowerCase();
+  }
+
+  if (files.length === 1) {
+    const name = files[0].path.split("/").pop();
+    return name.replace(/^\./, "").split(".")[0].toLowerCase() || null;
+  }
+
+  return null;
+}
+
+function describeChanges(files) {
+  const statuses = new Set(files.map((file) => file.status));
+  let verb = "update";
+  if (statuses.size === 1 && statuses.has("A")) verb = "add";
+  if (statuses.size === 1 && statuses.has("D")) verb = "remove";
+  if (statuses.size === 1 && statuses.has("R")) verb = "rename";
+
+  if (files.length === 1) {
+    return `${verb} ${files[0].path.split("/").pop()}`;
+  }
+  return `${verb} ${files.length} files`;
+}
+
+export function generateOfflineMessage(status) {
+  const files = parseNameStatus(status || "");
+  if (!files.length) {
+    return "chore: update files";
+  }
+
+  const type = inferType(files);
+  const scope = inferScope(files);
+  // "docs(docs)" or "test(tests)" says nothing the type does not
+  const header = `${type}${
+    scope && ![type, `${type}s`].includes(scope) ? `(${scope})` : ""
+  }: ${describeChanges(files)}`;
+
+  // Keep the subject within git's conventional 72 character limit
+  return header.length > 72 ? header.slice(0, 72).trimEnd() : header;
+}
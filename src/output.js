@@ -0,0 +1,57 @@
+// Exit codes and the --json result. Every failure has a category and every
+// category its own exit code, so scripts can tell a missing API key from a
+// rejected push without parsing messages.
+
+export const EXIT_CODES = {
+  ok: 0,
+  // Anything not covered below
+  error: 1,
+  // Unknown options, invalid arguments or settings
+  usage: 2,
+  // Not a git repository, or one in a state the command cannot work in
+  repository: 3,
+  // Nothing to commit, describe or reword
+  no_changes: 4,
+  // The AI provider failed: no or a rejected API key, rate limits, timeouts
+  provider: 5,
+  // A check stopped the command: secrets, review findings, unsafe files,
+  // protected branches, shared history
+  blocked: 6,
+  // A git command failed, e.g. staging, committing or rewriting commits
+  git: 7,
+  // Fetching or pushing failed; the commit is kept locally
+  push: 8,
+  // A merge or rebase stopped with conflicts
+  conflict: 9,
+  // The user quit at a prompt
+  aborted: 10,
+};
+
+export function exitCode(category) {
+  return EXIT_CODES[category] ?? EXIT_CODES.error;
+}
+
+// The category of an error thrown by the library: errors that are not the
+// caller's or git's fault carry a `category`, e.g. "provider"
+export function errorCategory(error) {
+  return error?.category && error.category in EXIT_CODES
+    ? error.category
+    : "error";
+}
+
+// The --json document of `command`: `result` holds what the command did,
+// `error` ({ category, message, ... }) why it failed
+export function formatResult(command, result = {}, error = null) {
+  return JSON.stringify(
+    {
+      ok: !error,
+      command,
+      ...result,
+      ...(error && {
+        error: { ...error, exitCode: exitCode(error.category) },
+      }),
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,275 @@
+// Pull request descriptions: finding the base branch, collecting what the
+// branch adds on top of it and turning that into a title and Markdown body
+import { existsSync, readFileSync } from "fs";
+import { resolve } from "path";
+import { createClient, getProvider } from "./providers.js";
+import {
+  addUsage,
+  describeDiff,
+  describeProviderError,
+  limitLines,
+} from "./generate.js";
+import { git, refExists, tryGit } from "./git.js";
+import { generateOfflineMessage } from "./offline.js";
+
+// Where GitHub looks for a pull request template, in its lookup order
+const TEMPLATE_PATHS = [
+  ".github/pull_request_template.md",
+  ".github/PULL_REQUEST_TEMPLATE.md",
+  "pull_request_template.md",
+  "PULL_REQUEST_TEMPLATE.md",
+  "docs/pull_request_template.md",
+  "docs/PULL_REQUEST_TEMPLATE.md",
+];
+
+// Used when the repository has no template of its own
+export const DEFAULT_TEMPLATE = `## Summary
+
+## Changes
+
+## Testing
+`;
+
+const MAX_COMMITS = 100;
+
+const PR_PROMPT = `You write pull request descriptions from the commits and the diff of a branch.
+
+RULES:
+1. Title: one line, max 72 characters, describes the whole branch. Use a conventional commit style title (<type>(<scope>): <description>) if the commits use that style
+2. Fill in every section of the template, keep its headings and their order
+3. Summary: 1-3 sentences on WHAT the branch changes and WHY
+4. Changes: a "- " bullet list of the notable changes, grouped by area; do not list every commit
+5. Testing: how the changes were or can be tested, based on the tests in the diff; say so if there are none
+6. Keep checklists from the template, only check items the diff clearly satisfies
+7. Remove HTML comments (<!-- -->) from the template
+8. Do not invent issue numbers, links or screenshots
+
+OUTPUT FORMAT:
+Title: <title>
+
+<the filled-in template in Markdown>`;
+
+// The branch a pull request from the current branch would target: the
+// upstream when it is a different branch, the remote's default branch, or
+// main/master
+export function detectBaseBranch(cwd = process.cwd()) {
+  // Empty on a detached HEAD
+  const current = tryGit(["branch", "--show-current"], cwd) || "";
+
+  const upstream = tryGit(
+    ["rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{upstream}"],
+    cwd
+  );
+  if (upstream && upstream.split("/").slice(1).join("/") !== current) {
+    return upstream;
+  }
+
+  // origin/HEAD is only set for cloned repositories
+  const remoteHead = tryGit(
+    ["symbolic-ref", "--short", "refs/remotes/origin/HEAD"],
+    cwd
+  );
+  if (remoteHead && remoteHead !== `origin/${current}`) {
+    return remoteHead;
+  }
+
+  const candidate = ["origin/main", "origin/master", "main", "master"].find(
+    (ref) => ref.split("/").pop() !== current && refExists(ref, cwd)
+  );
+  if (!candidate) {
+    throw new Error(
+      "Could not detect the base branch, pass it with --base <branch>"
+    );
+  }
+  return candidate;
+}
+
+// Commits and diff the current branch adds on top of `base`
+export function collectBranchChanges(base, cwd = process.cwd()) {
+  if (!refExists(base, cwd)) {
+    throw Object.assign(new Error(`Base branch not found: ${base}`), {
+      category: "usage",
+    });
+  }
+
+  let mergeBase;
+  try {
+    mergeBase = git(["merge-base", base, "HEAD"], cwd).trim();
+  } catch {
+    throw new Error(`HEAD has no common history with ${base}`);
+  }
+
+  const commits = git(
+    [
+      "log",
+      "--no-merges",
+      "--reverse",
+      "--format=%h%x1f%s%x1f%b%x1e",
+      `${mergeBase}..HEAD`,
+    ],
+    cwd
+  )
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, subject, body] = record.split("\x1f");
+      return { sha, subject, body: (body || "").trim() };
+    });
+
+  if (!commits.length) {
+    throw Object.assign(
+      new Error(`No commits on this branch that are not in ${base}`),
+      { category: "no_changes" }
+    );
+  }
+
+  const range = [mergeBase, "HEAD"];
+  return {
+    base,
+    mergeBase,
+    commits,
+    diff: git(["diff", "--no-color", "--no-ext-diff", ...range], cwd),
+    status: git(["diff", "--name-status", ...range], cwd),
+  };
+}
+
+export function findPrTemplate(root) {
+  for (const path of TEMPLATE_PATHS) {
+    const full = resolve(root, path);
+    if (existsSync(full)) {
+      return { path, content: readFileSync(full, "utf8") };
+    }
+  }
+  return null;
+}
+
+function stripFence(text) {
+  const fenced = /^```(?:markdown|md)?\n([\s\S]*?)\n```$/.exec(text.trim());
+  return fenced ? fenced[1] : text;
+}
+
+// Split the model's answer into title and body
+export function parsePrDescription(content) {
+  const text = stripFence((content || "").trim());
+  const title = /^\s*(?:\*\*)?title(?::\*\*|\*\*:|:)\s*(.+)$/im.exec(text);
+  if (!title) {
+    return { title: "", body: text.trim() };
+  }
+
+  return {
+    title: title[1]
+      .trim()
+      .replace(/^(["'`])(.*)\1$/, "$2")
+      .trim(),
+    body: stripFence(text.slice(title.index + title[0].length).trim()).trim(),
+  };
+}
+
+function commitList(commits) {
+  return commits.map((commit) => `- ${commit.subject}`).join("\n");
+}
+
+// Title and body without the AI: the commit subjects and a stat of the files
+function offlineDescription({ commits, status }) {
+  const title =
+    commits.length === 1 ? commits[0].subject : generateOfflineMessage(status);
+  const files = status.trim().split("\n").filter(Boolean).length;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+  return {
+    title,
+    body: [
+      "## Summary",
+      `${plural(commits.length, "commit")} changing ${plural(files, "file")}.`,
+      "## Changes",
+      commitList(commits),
+      "## Testing",
+      "- [ ] Describe how these changes were tested",
+    ].join("\n\n"),
+  };
+}
+
+// Generate a pull request title and Markdown body for `changes` (from
+// collectBranchChanges). The body fills in `options.template` or the
+// default Summary/Changes/Testing sections.
+export async function generatePrDescription(settings, changes, options = {}) {
+  if (!getProvider(settings.provider).usesPrompt) {
+    return { ...offlineDescription(changes), usage: null };
+  }
+
+  try {
+    const client = createClient(settings);
+    const described = await describeDiff(
+      client,
+      settings,
+      changes.diff,
+      options.onProgress
+    );
+    const commits = changes.commits.slice(-MAX_COMMITS);
+
+    options.onProgress?.("Writing pull request description...");
+    const completion = await client.complete({
+      messages: [
+        { role: "system", content: PR_PROMPT },
+        {
+          role: "user",
+          content: `Write the pull request for this branch (base: ${
+            changes.base
+          }).
+
+COMMITS (oldest first):
+${commits
+  .map(
+    (commit) =>
+      `- ${commit.subject}${
+        commit.body ? `\n  ${commit.body.replace(/\n/g, "\n  ")}` : ""
+      }`
+  )
+  .join("\n")}${
+            changes.commits.length > commits.length
+              ? `\n[${
+                  changes.commits.length - commits.length
+                } older commits not shown]`
+              : ""
+          }
+
+FILE STATUS:
+${limitLines(changes.status, 200)}
+
+${described.changes}
+
+TEMPLATE:
+${options.template || DEFAULT_TEMPLATE}
+${
+  options.hint
+    ? `\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${options.hint}\n`
+    : ""
+}
+Write the pull request now:`,
+        },
+      ],
+      model: settings.model,
+      maxTokens: 1200,
+      temperature: options.temperature ?? 0.2,
+    });
+
+    const { title, body } = parsePrDescription(completion.content);
+    if (!body) {
+      throw Object.assign(new Error("No response from AI model"), {
+        category: "provider",
+      });
+    }
+    return {
+      title: title || offlineDescription(changes).title,
+      body,
+      usage: addUsage(described.usage, completion.usage),
+    };
+  } catch (error) {
+    throw error.error ? describeProviderError(error, settings.provider) : error;
+  }
+}
+
+export function formatPrDescription({ title, body }) {
+  return `# ${title}\n\n${body.trim()}\n`;
+}
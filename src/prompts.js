@@ -0,0 +1,644 @@
+// Prompts on the terminal and the plans and findings shown with them. Text
+// goes through `write` (console.log by default), so the CLI can pass its own
+// writer and --quiet and --json apply to it.
+import { spawnSync } from "child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { basename, join } from "path";
+import { createInterface } from "readline/promises";
+import chalk from "chalk";
+import ora from "ora";
+import {
+  formatHunk,
+  hasConflictMarkers,
+  resolveHunk,
+  toLines,
+} from "./conflicts.js";
+import { tryGit } from "./git.js";
+import { parseSelection } from "./staging.js";
+import { PLAN_HELP, formatPlan, parsePlanText } from "./split.js";
+
+// Temperature used when asking for a different message than the last one
+const REGENERATE_TEMPERATURE = 0.7;
+
+const MESSAGE_HELP =
+  "# Edit the commit message above. Lines starting with '#' are ignored.\n" +
+  "# Save an empty message to keep the previous one.\n";
+
+export function canPrompt() {
+  return Boolean(process.stdin.isTTY);
+}
+
+// One readline interface for the whole review session. It is closed while
+// the editor runs so both do not fight over the terminal.
+function createPrompt() {
+  let rl = null;
+
+  return {
+    // Resolves to the trimmed answer, or null once stdin is closed (Ctrl+D).
+    // A question pending when the input ends is never answered, so closing
+    // settles it.
+    ask(question) {
+      if (!rl) {
+        rl = createInterface({ input: process.stdin, output: process.stdout });
+      }
+      const current = rl;
+      return new Promise((resolve) => {
+        const closed = () => resolve(null);
+        current.once("close", closed);
+        current.question(question).then(
+          (answer) => {
+            current.off("close", closed);
+            resolve(answer.trim());
+          },
+          () => resolve(null)
+        );
+      });
+    },
+    close() {
+      rl?.close();
+      rl = null;
+    },
+  };
+}
+
+function getEditor() {
+  // `git var` resolves GIT_EDITOR, core.editor, VISUAL and EDITOR like git does
+  // and falls back to the environment outside a repository
+  return (
+    tryGit(["var", "GIT_EDITOR"]) ||
+    process.env.VISUAL ||
+    process.env.EDITOR ||
+    "vi"
+  );
+}
+
+export function stripComments(text) {
+  return text
+    .split("\n")
+    .filter((line) => !line.startsWith("#"))
+    .join("\n")
+    .trim();
+}
+
+// Let the user edit `text` in their editor and return the result
+function editText(text, name) {
+  const dir = mkdtempSync(join(tmpdir(), "git-helper-"));
+  const file = join(dir, name);
+  writeFileSync(file, text);
+
+  try {
+    const result = spawnSync(`${getEditor()} "${file}"`, {
+      shell: true,
+      stdio: "inherit",
+    });
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with code ${result.status}`);
+    }
+    return readFileSync(file, "utf8");
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+export function editInEditor(message, help = MESSAGE_HELP) {
+  return stripComments(editText(`${message}\n\n${help}`, "COMMIT_EDITMSG"));
+}
+
+function spinner(text) {
+  // Keep ora away from stdin, the prompt owns it
+  return ora({ text, discardStdin: false }).start();
+}
+
+async function regenerate(
+  generate,
+  options,
+  text = "Regenerating commit message..."
+) {
+  const progress = spinner(text);
+  try {
+    const message = await generate({
+      temperature: REGENERATE_TEMPERATURE,
+      ...options,
+    });
+    progress.stop();
+    return message;
+  } catch (error) {
+    progress.fail(chalk.red(`❌ Failed to regenerate: ${error.message}`));
+    return null;
+  }
+}
+
+async function pickAlternative(
+  prompt,
+  current,
+  generate,
+  { count, hint, write }
+) {
+  const progress = spinner(`Generating ${count} alternatives...`);
+  const choices = [current];
+  try {
+    for (let i = 0; i < count; i++) {
+      const candidate = await generate({
+        temperature: REGENERATE_TEMPERATURE,
+        hint,
+      });
+      if (!choices.includes(candidate)) {
+        choices.push(candidate);
+      }
+    }
+    progress.stop();
+  } catch (error) {
+    progress.fail(chalk.red(`❌ Failed to generate: ${error.message}`));
+    if (choices.length === 1) {
+      return null;
+    }
+  }
+
+  write("");
+  choices.forEach((choice, index) => {
+    const [subject, ...rest] = choice.split("\n");
+    const label = index === 0 ? chalk.gray(" (current)") : "";
+    write(`  ${chalk.cyan(`${index + 1})`)} ${subject}${label}`);
+    rest.forEach((line) => write(`     ${chalk.gray(line)}`));
+  });
+  write("");
+
+  const answer = await prompt.ask(chalk.gray(`Pick 1-${choices.length}: `));
+  const index = Number.parseInt(answer, 10) - 1;
+  if (!(index >= 0 && index < choices.length)) {
+    write(chalk.yellow(`⚠️  Invalid choice: ${answer || "(empty)"}`));
+    return null;
+  }
+  return choices[index];
+}
+
+// Let the user accept, edit, regenerate or swap an AI message before it is
+// used. `generate({ hint, temperature })` must resolve to a new message and
+// the optional `check(message)` lists problems with an edited one. Resolves
+// to the final message, or null when the user aborts. Without a TTY on stdin
+// the message is accepted as-is.
+export async function reviewCommitMessage(
+  message,
+  { generate, candidates = 3, check, write = console.log }
+) {
+  if (!canPrompt()) {
+    return message;
+  }
+
+  const prompt = createPrompt();
+  let current = message;
+  let hint;
+
+  try {
+    for (;;) {
+      write("");
+      write(chalk.cyan("📝 Proposed commit message:"));
+      current.split("\n").forEach((line) => write(`   ${chalk.yellow(line)}`));
+      write("");
+
+      const answer = await prompt.ask(
+        chalk.gray(
+          "[a]ccept, [e]dit, [r]egenerate, regenerate with [h]int, [p]ick alternative, [q]uit: "
+        )
+      );
+
+      switch (answer === null ? "q" : answer.toLowerCase()) {
+        case "":
+        case "a":
+        case "accept":
+          return current;
+
+        case "e":
+        case "edit":
+          prompt.close();
+          try {
+            const edited = editInEditor(current);
+            if (edited) {
+              current = edited;
+              (check?.(current) || []).forEach((problem) =>
+                write(chalk.yellow(`⚠️  ${problem}`))
+              );
+            } else {
+              write(
+                chalk.yellow("⚠️  Empty message, keeping the previous one")
+              );
+            }
+          } catch (error) {
+            write(chalk.red(`❌ Failed to edit message: ${error.message}`));
+          }
+          break;
+
+        case "r":
+        case "regenerate":
+          current = (await regenerate(generate, { hint })) || current;
+          break;
+
+        case "h":
+        case "hint":
+          hint = (await prompt.ask(chalk.gray("Hint for the AI: "))) || hint;
+          current = (await regenerate(generate, { hint })) || current;
+          break;
+
+        case "p":
+        case "pick":
+          current =
+            (await pickAlternative(prompt, current, generate, {
+              count: candidates,
+              hint,
+              write,
+            })) || current;
+          break;
+
+        case "q":
+        case "quit":
+        case "abort":
+          return null;
+
+        default:
+          write(chalk.yellow(`⚠️  Unknown choice: ${answer}`));
+      }
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+// Let the user choose which changed files to stage. `entries` come from
+// `getStatus()`; resolves to the chosen entries, or null when the user quits.
+export async function pickFiles(entries, { write = console.log } = {}) {
+  const prompt = createPrompt();
+  const width = String(entries.length).length;
+
+  try {
+    write("");
+    write(chalk.cyan("📂 Changed files:"));
+    entries.forEach((entry, index) => {
+      const number = chalk.cyan(`${String(index + 1).padStart(width)})`);
+      const marker = entry.staged ? chalk.green("●") : " ";
+      const path = entry.origPath
+        ? `${entry.origPath} -> ${entry.path}`
+        : entry.path;
+      write(
+        `  ${number} ${marker} ${chalk.gray(
+          `${entry.index}${entry.worktree}`
+        )} ${path}`
+      );
+    });
+    write(chalk.gray(`  ${" ".repeat(width + 1)} ● already staged`));
+    write("");
+
+    for (;;) {
+      const answer = await prompt.ask(
+        chalk.gray(
+          "Files to stage (e.g. 1,3-5), [a]ll, Enter for none, [q]uit: "
+        )
+      );
+      if (answer === null || ["q", "quit"].includes(answer.toLowerCase())) {
+        return null;
+      }
+      const selection = parseSelection(answer, entries.length);
+      if (selection) {
+        return selection.map((index) => entries[index]);
+      }
+      write(chalk.yellow(`⚠️  Invalid selection: ${answer}`));
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+export function printSplitPlan(plan, units, { write = console.log } = {}) {
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+  const planned = new Set(plan.flatMap((group) => group.units));
+
+  write("");
+  write(chalk.cyan(`📋 Proposed commits (${plan.length}):`));
+  plan.forEach((group, index) => {
+    write(`  ${chalk.cyan(`${index + 1})`)} ${chalk.yellow(group.message)}`);
+    group.units.forEach((id) =>
+      write(chalk.gray(`       ${byId.get(id).stat}`))
+    );
+  });
+
+  const left = units.filter((unit) => !planned.has(unit.id));
+  if (left.length) {
+    write(chalk.gray("  Not committed:"));
+    left.forEach((unit) => write(chalk.gray(`       ${unit.stat}`)));
+  }
+  write("");
+}
+
+// Before/after table of the subjects `reword` proposes
+export function printRewordPlan(rewords, { write = console.log } = {}) {
+  const changed = rewords.filter((reword) => reword.reworded);
+
+  write("");
+  write(chalk.cyan(`📋 Proposed subjects (${changed.length}):`));
+  rewords.forEach((reword) => {
+    write(
+      `  ${chalk.gray(reword.sha.slice(0, 7))}  ${chalk.red(reword.subject)}`
+    );
+    write(
+      reword.reworded
+        ? `        → ${chalk.green(reword.reworded.split("\n")[0])}`
+        : chalk.gray(`        kept: ${reword.reason}`)
+    );
+  });
+  write("");
+}
+
+// Ask a yes/no question; resolves to true only for yes
+export async function confirm(question) {
+  const prompt = createPrompt();
+  try {
+    const answer = await prompt.ask(chalk.gray(`${question} [y/N] `));
+    return /^y(es)?$/i.test(answer || "");
+  } finally {
+    prompt.close();
+  }
+}
+
+// Let the user accept, edit or regenerate a split plan.
+// `generate({ hint, temperature })` must resolve to a new plan. Resolves to
+// the final plan, or null when the user aborts. Without a TTY on stdin the
+// plan is accepted as-is.
+export async function reviewSplitPlan(
+  plan,
+  { units, generate, write = console.log }
+) {
+  if (!canPrompt()) {
+    return plan;
+  }
+
+  const prompt = createPrompt();
+  let current = plan;
+  let hint;
+
+  try {
+    for (;;) {
+      printSplitPlan(current, units, { write });
+
+      const answer = await prompt.ask(
+        chalk.gray(
+          "[a]ccept, [e]dit, [r]egenerate, regenerate with [h]int, [q]uit: "
+        )
+      );
+
+      switch (answer === null ? "q" : answer.toLowerCase()) {
+        case "":
+        case "a":
+        case "accept":
+          return current;
+
+        case "e":
+        case "edit": {
+          prompt.close();
+          let parsed;
+          try {
+            parsed = parsePlanText(
+              editInEditor(formatPlan(current, units), PLAN_HELP),
+              units
+            );
+          } catch (error) {
+            write(chalk.red(`❌ Failed to edit plan: ${error.message}`));
+            break;
+          }
+          if (parsed.errors.length) {
+            parsed.errors.forEach((error) => write(chalk.red(`❌ ${error}`)));
+            write(chalk.yellow("⚠️  Keeping the previous plan"));
+          } else if (!parsed.plan.length) {
+            write(chalk.yellow("⚠️  Empty plan, keeping the previous one"));
+          } else {
+            current = parsed.plan;
+          }
+          break;
+        }
+
+        case "r":
+        case "regenerate":
+          current =
+            (await regenerate(generate, { hint }, "Regrouping changes...")) ||
+            current;
+          break;
+
+        case "h":
+        case "hint":
+          hint = (await prompt.ask(chalk.gray("Hint for the AI: "))) || hint;
+          current =
+            (await regenerate(generate, { hint }, "Regrouping changes...")) ||
+            current;
+          break;
+
+        case "q":
+        case "quit":
+        case "abort":
+          return null;
+
+        default:
+          write(chalk.yellow(`⚠️  Unknown choice: ${answer}`));
+      }
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+// Ask how to bring in the commits of `remoteRef` the branch is missing.
+// Resolves to "rebase", "merge" or null when the user quits.
+export async function chooseIntegration(
+  remoteRef,
+  { ahead, behind },
+  { write = console.log } = {}
+) {
+  const prompt = createPrompt();
+
+  try {
+    write(
+      chalk.yellow(
+        `⚠️  ${remoteRef} has ${behind} commit${
+          behind === 1 ? "" : "s"
+        } you do not have (you are ${ahead} ahead)`
+      )
+    );
+    for (;;) {
+      const answer = await prompt.ask(
+        chalk.gray(`[r]ebase onto ${remoteRef}, [m]erge it, [q]uit: `)
+      );
+      switch (answer === null ? "q" : answer.toLowerCase()) {
+        case "r":
+        case "rebase":
+          return "rebase";
+        case "m":
+        case "merge":
+          return "merge";
+        case "q":
+        case "quit":
+          return null;
+        default:
+          write(chalk.yellow(`⚠️  Unknown choice: ${answer}`));
+      }
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+// Lines of a conflict side shown per hunk
+const MAX_HUNK_LINES = 15;
+
+function printLines(lines, color, write) {
+  if (!lines.length) {
+    write(chalk.gray("    (nothing)"));
+  }
+  lines.slice(0, MAX_HUNK_LINES).forEach((line) => write(color(`    ${line}`)));
+  if (lines.length > MAX_HUNK_LINES) {
+    write(chalk.gray(`    ... ${lines.length - MAX_HUNK_LINES} more lines`));
+  }
+}
+
+// Walk through the conflict hunks of one file. `advice` holds the AI's
+// { explanation, resolution } per hunk, if any. Resolves to one array of
+// lines per hunk (null for skipped hunks), or null when the user quits.
+export async function resolveConflictHunks(
+  path,
+  hunks,
+  { sides, advice = [], write = console.log }
+) {
+  const prompt = createPrompt();
+  const resolutions = [];
+
+  try {
+    for (const [index, hunk] of hunks.entries()) {
+      const suggestion = advice[index];
+
+      write("");
+      write(chalk.cyan(`📄 ${path}: conflict ${index + 1} of ${hunks.length}`));
+      write(chalk.red(`  ours (${sides.ours}):`));
+      printLines(hunk.ours, chalk.red, write);
+      write(chalk.green(`  theirs (${sides.theirs}):`));
+      printLines(hunk.theirs, chalk.green, write);
+      if (suggestion?.explanation) {
+        write(chalk.magenta(`  🤖 ${suggestion.explanation}`));
+      }
+      if (suggestion?.resolution) {
+        write(chalk.yellow("  suggested resolution:"));
+        printLines(suggestion.resolution, chalk.yellow, write);
+      }
+
+      const choices = [
+        "[o]urs",
+        "[t]heirs",
+        "[b]oth",
+        suggestion?.resolution && "[a]ccept suggestion",
+        "[e]dit",
+        "[s]kip",
+        "[q]uit",
+      ].filter(Boolean);
+
+      let resolution;
+      while (resolution === undefined) {
+        const answer = await prompt.ask(chalk.gray(`${choices.join(", ")}: `));
+        switch (answer === null ? "q" : answer.toLowerCase()) {
+          case "o":
+          case "ours":
+            resolution = resolveHunk(hunk, "ours");
+            break;
+          case "t":
+          case "theirs":
+            resolution = resolveHunk(hunk, "theirs");
+            break;
+          case "b":
+          case "both":
+            resolution = resolveHunk(hunk, "both");
+            break;
+          case "a":
+          case "accept":
+            if (suggestion?.resolution) {
+              resolution = suggestion.resolution;
+            } else {
+              write(chalk.yellow("⚠️  No suggestion for this conflict"));
+            }
+            break;
+          case "e":
+          case "edit": {
+            prompt.close();
+            let edited;
+            try {
+              edited = editText(
+                suggestion?.resolution
+                  ? `${suggestion.resolution.join("\n")}\n`
+                  : `${formatHunk(hunk, sides)}\n`,
+                basename(path)
+              );
+            } catch (error) {
+              write(chalk.red(`❌ Failed to edit: ${error.message}`));
+              break;
+            }
+            if (hasConflictMarkers(edited)) {
+              write(chalk.yellow("⚠️  Still has conflict markers, try again"));
+            } else {
+              resolution = toLines(edited);
+            }
+            break;
+          }
+          case "s":
+          case "skip":
+            resolution = null;
+            break;
+          case "q":
+          case "quit":
+            return null;
+          default:
+            write(chalk.yellow(`⚠️  Unknown choice: ${answer}`));
+        }
+      }
+      resolutions.push(resolution);
+    }
+    return resolutions;
+  } finally {
+    prompt.close();
+  }
+}
+
+const SEVERITY_COLORS = {
+  critical: chalk.red.bold,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.cyan,
+  info: chalk.gray,
+};
+
+// Review findings grouped by file, blocking ones (see blockingFindings)
+// marked with ✖
+export function printFindings(
+  findings,
+  { blocking = [], write = console.log } = {}
+) {
+  if (!findings.length) {
+    write(chalk.green("✅ No issues found"));
+    return;
+  }
+
+  const files = [...new Set(findings.map((finding) => finding.file))];
+  files.forEach((file) => {
+    write("");
+    write(chalk.cyan(`📄 ${file || "General"}`));
+    findings
+      .filter((finding) => finding.file === file)
+      .forEach((finding) => {
+        const color = SEVERITY_COLORS[finding.severity];
+        const mark = blocking.includes(finding) ? "✖" : "•";
+        const where = finding.line ? `line ${finding.line}` : "";
+        write(
+          `  ${color(`${mark} ${finding.severity}`)} ${chalk.gray(
+            `[${finding.category}]${where ? ` ${where}` : ""}`
+          )} ${finding.message}`
+        );
+        if (finding.suggestion) {
+          write(chalk.gray(`      💡 ${finding.suggestion}`));
+        }
+      });
+  });
+  write("");
+}
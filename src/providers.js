@@ -0,0 +1,616 @@
+import Groq from "groq-sdk";
+import { generateOfflineMessage } from "./offline.js";
+import { redactSecrets } from "./secrets.js";
+
+// Bundled model catalogs, one per provider, used when the provider's list of
+// models cannot be fetched (see models.js). `deprecated` models are no longer
+// served; `replacement` names the model to switch to.
+const GROQ_MODELS = {
+  "llama-3.3-70b-versatile": {
+    description: "Llama 3.3 70B - Best overall performance (Recommended)",
+    tokenLimit: 8192,
+  },
+  "llama-3.1-8b-instant": {
+    description: "Llama 3.1 8B - Fast and efficient",
+    tokenLimit: 131072,
+  },
+  "openai/gpt-oss-120b": {
+    description: "OpenAI GPT-OSS 120B - Open-weight reasoning model",
+    tokenLimit: 131072,
+  },
+  "openai/gpt-oss-20b": {
+    description: "OpenAI GPT-OSS 20B - Lightweight reasoning model",
+    tokenLimit: 131072,
+  },
+  "qwen/qwen3-32b": {
+    description: "Qwen3 32B - Good at code and reasoning",
+    tokenLimit: 131072,
+  },
+  "llama-3.1-70b-instruct": {
+    description: "Llama 3.1 70B - Great for complex tasks",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "llama-3.3-70b-versatile",
+  },
+  "llama-3.1-8b-instruct": {
+    description: "Llama 3.1 8B - Fast and efficient",
+    tokenLimit: 4096,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+  "deepseek-r1-distill-llama-70b": {
+    description: "DeepSeek R1 70B - Advanced reasoning",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "openai/gpt-oss-120b",
+  },
+  "deepseek-r1-distill-qwen-32b": {
+    description: "DeepSeek R1 32B - Good reasoning, faster",
+    tokenLimit: 4096,
+    deprecated: true,
+    replacement: "qwen/qwen3-32b",
+  },
+  "qwen-2.5-coder-32b": {
+    description: "Qwen Coder 32B - Optimized for code understanding",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "qwen/qwen3-32b",
+  },
+  "qwen-2.5-32b": {
+    description: "Qwen 2.5 32B - Well-rounded performance",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "qwen/qwen3-32b",
+  },
+  "mixtral-8x7b-32768": {
+    description: "Mixtral 8x7B - Good balance of speed/quality",
+    tokenLimit: 32768,
+    deprecated: true,
+    replacement: "llama-3.3-70b-versatile",
+  },
+  "llama-3.2-90b-text-preview": {
+    description: "Llama 3.2 90B - Large context, preview",
+    tokenLimit: 16384,
+    deprecated: true,
+    replacement: "llama-3.3-70b-versatile",
+  },
+  "llama-3.2-11b-text-preview": {
+    description: "Llama 3.2 11B - Medium size, preview",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+  "llama-3.2-3b-preview": {
+    description: "Llama 3.2 3B - Lightweight, preview",
+    tokenLimit: 4096,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+  "llama-3.2-1b-preview": {
+    description: "Llama 3.2 1B - Ultra-fast, preview",
+    tokenLimit: 2048,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+  "gemma2-9b-it": {
+    description: "Gemma2 9B - Google model",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+  "qwen-qwq-32b": {
+    description: "Qwen QwQ 32B - Question-answering focused",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "qwen/qwen3-32b",
+  },
+  "llama3-70b-8192": {
+    description: "Llama3 70B - Legacy, reliable",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "llama-3.3-70b-versatile",
+  },
+  "llama3-8b-8192": {
+    description: "Llama3 8B - Legacy, fast",
+    tokenLimit: 8192,
+    deprecated: true,
+    replacement: "llama-3.1-8b-instant",
+  },
+
+  "gpt-oss-120b": {
+    description: "OpenAI GPT-OSS 120B – open-weight, 128 K context",
+    tokenLimit: 131072,
+    deprecated: true,
+    replacement: "openai/gpt-oss-120b",
+  },
+  "gpt-oss-20b": {
+    description: "OpenAI GPT-OSS 20B – lightweight open-weight, 128 K context",
+    tokenLimit: 131072,
+    deprecated: true,
+    replacement: "openai/gpt-oss-20b",
+  },
+};
+
+const OPENAI_MODELS = {
+  "gpt-4o-mini": {
+    description: "GPT-4o mini - Fast and cheap (Recommended)",
+    tokenLimit: 128000,
+  },
+  "gpt-4o": {
+    description: "GPT-4o - Highest quality",
+    tokenLimit: 128000,
+  },
+  "gpt-4.1-mini": {
+    description: "GPT-4.1 mini - Long context, fast",
+    tokenLimit: 1047576,
+  },
+};
+
+const OLLAMA_MODELS = {
+  "llama3.1": {
+    description: "Llama 3.1 8B - Good default for local use (Recommended)",
+    tokenLimit: 8192,
+  },
+  "qwen2.5-coder": {
+    description: "Qwen 2.5 Coder 7B - Optimized for code understanding",
+    tokenLimit: 8192,
+  },
+  mistral: {
+    description: "Mistral 7B - Lightweight general model",
+    tokenLimit: 8192,
+  },
+  "llama3.2": {
+    description: "Llama 3.2 3B - Runs on modest hardware",
+    tokenLimit: 4096,
+  },
+};
+
+const OFFLINE_MODELS = {
+  heuristic: {
+    description: "Rule-based message from the changed file list (no network)",
+    tokenLimit: 8192,
+  },
+};
+
+// Token limit assumed for models that are not in a provider's catalog
+const DEFAULT_TOKEN_LIMIT = 8192;
+
+// How long a request may take and how often a failed one is sent again. The
+// ai.timeout and ai.retries settings change them.
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_RETRIES = 2;
+
+// Wait before the first retry, doubled for every further one
+const RETRY_BASE_DELAY = 1000;
+
+// Longest wait before a retry. A provider asking for more with retry-after
+// is not retried; the next fallback model is tried instead.
+const MAX_RETRY_DELAY = 30000;
+
+export const DEFAULT_PROVIDER = "groq";
+
+// Provider registry. Providers with `customModels` accept any model name the
+// server knows about; the catalog is only a list of suggestions for them.
+// Providers without `usesPrompt` ignore the messages and only get `context`.
+export const PROVIDERS = {
+  groq: {
+    label: "Groq",
+    description: "Groq cloud inference (free API keys available)",
+    requiresApiKey: true,
+    apiKeyEnv: "GROQ_API_KEY",
+    baseUrlEnv: "GROQ_BASE_URL",
+    defaultBaseUrl: "https://api.groq.com",
+    keyUrl: "https://console.groq.com/",
+    defaultModel: "llama-3.3-70b-versatile",
+    customModels: false,
+    usesPrompt: true,
+    models: GROQ_MODELS,
+    createClient: createGroqClient,
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    description:
+      "Any OpenAI-compatible API (OpenAI, LM Studio, vLLM, llama.cpp server)",
+    requiresApiKey: false,
+    apiKeyEnv: "OPENAI_API_KEY",
+    baseUrlEnv: "OPENAI_BASE_URL",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    keyUrl: "https://platform.openai.com/api-keys",
+    defaultModel: "gpt-4o-mini",
+    customModels: true,
+    usesPrompt: true,
+    models: OPENAI_MODELS,
+    createClient: createOpenAICompatibleClient,
+  },
+  ollama: {
+    label: "Ollama",
+    description: "Self-hosted Ollama server (no API key needed)",
+    requiresApiKey: false,
+    apiKeyEnv: "OLLAMA_API_KEY",
+    baseUrlEnv: "OLLAMA_BASE_URL",
+    defaultBaseUrl: "http://localhost:11434/v1",
+    defaultModel: "llama3.1",
+    customModels: true,
+    usesPrompt: true,
+    models: OLLAMA_MODELS,
+    createClient: createOpenAICompatibleClient,
+  },
+  offline: {
+    label: "Offline",
+    description: "Deterministic offline generator for air-gapped machines",
+    requiresApiKey: false,
+    defaultModel: "heuristic",
+    customModels: false,
+    usesPrompt: false,
+    models: OFFLINE_MODELS,
+    createClient: createOfflineClient,
+  },
+};
+
+export function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown provider: ${name} (available: ${Object.keys(PROVIDERS).join(
+        ", "
+      )})`
+    );
+  }
+  return provider;
+}
+
+export function isKnownModel(providerName, model) {
+  const provider = getProvider(providerName);
+  return provider.customModels || Boolean(provider.models[model]);
+}
+
+export function getTokenLimit(providerName, model) {
+  const provider = getProvider(providerName);
+  return provider.models[model]?.tokenLimit || DEFAULT_TOKEN_LIMIT;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Create a chat client for the given provider settings. Every client exposes
+// `complete(request)`, resolving to `{ content, model, usage }`, and
+// `listModels()`, resolving to the served models as
+// `[{ id, tokenLimit, active }]`. Secrets are redacted from the messages
+// before they leave the machine, using the scanner options in `secrets`;
+// `redacted` holds the values replaced so far.
+//
+// Requests taking longer than `timeout` ms, rate limits and server errors are
+// retried up to `retries` times with exponential backoff, waiting as long as
+// the provider's retry-after header asks. When a model keeps failing or is
+// not served, the `fallbackModels` are tried in order; `model` in the result
+// is the one that answered. `onRetry({ model, error, delay, attempt })` and
+// `onFallback({ model, fallback, error })` report both.
+export function createClient({
+  provider,
+  apiKey,
+  baseUrl,
+  secrets,
+  fallbackModels = [],
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  onRetry,
+  onFallback,
+  sleep = wait,
+}) {
+  const definition = getProvider(provider);
+  const client = definition.createClient({
+    apiKey,
+    baseUrl: baseUrl || definition.defaultBaseUrl,
+    timeout,
+  });
+  if (!definition.usesPrompt) {
+    return client;
+  }
+
+  const redacted = new Set();
+  // Models that failed for good are skipped by the requests that follow
+  const failed = new Set();
+
+  async function send(request, model) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await client.complete({ ...request, model });
+      } catch (error) {
+        const delay = retryDelay(error, attempt);
+        if (attempt > retries || delay === null) {
+          throw error;
+        }
+        onRetry?.({ model, error, delay, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    redacted,
+    listModels: () => client.listModels(),
+    async complete(request) {
+      const redactedRequest = {
+        ...request,
+        messages: request.messages.map((message) => {
+          const result = redactSecrets(message.content, secrets);
+          result.secrets.forEach((value) => redacted.add(value));
+          return { ...message, content: result.text };
+        }),
+      };
+      const models = [...new Set([request.model, ...fallbackModels])];
+      const remaining = models.filter((model) => !failed.has(model));
+      const candidates = remaining.length ? remaining : models;
+
+      for (const [index, model] of candidates.entries()) {
+        try {
+          return await send(redactedRequest, model);
+        } catch (error) {
+          const fallback = candidates[index + 1];
+          if (!fallback || !canFallBack(error)) {
+            throw error;
+          }
+          failed.add(model);
+          onFallback?.({ model, fallback, error });
+        }
+      }
+    },
+  };
+}
+
+// Error handling
+function errorTypeForStatus(status) {
+  if (status === 400 || status === 404 || status === 422) {
+    return "invalid_request_error";
+  }
+  if (status === 401 || status === 403) return "authentication_error";
+  if (status === 429) return "rate_limit_error";
+  return "api_error";
+}
+
+// Normalize provider failures to an Error carrying `status` and an
+// `error: { type, message }` object, whichever backend produced them
+function providerError(status, message, headers) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers || {};
+  error.error = { type: errorTypeForStatus(status), message };
+  return error;
+}
+
+function timeoutError(baseUrl, timeout) {
+  const error = new Error(
+    `No response from ${baseUrl} within ${timeout / 1000}s`
+  );
+  error.error = { type: "timeout_error", message: error.message };
+  return error;
+}
+
+// Failures that may pass when the request is sent again
+function isRetryable(error) {
+  const type = error.error?.type;
+  if (type === "api_error") {
+    return (
+      !error.status || error.status >= 500 || [408, 409].includes(error.status)
+    );
+  }
+  return ["rate_limit_error", "connection_error", "timeout_error"].includes(
+    type
+  );
+}
+
+// Failures another model may not have: the retryable ones and models that
+// are unknown or retired
+export function canFallBack(error) {
+  return (
+    isRetryable(error) ||
+    error.status === 404 ||
+    ([400, 422].includes(error.status) && /model/i.test(error.message))
+  );
+}
+
+// Milliseconds the provider asks to wait with retry-after-ms or retry-after
+// (seconds or a date), or null
+export function retryAfter(headers = {}, now = Date.now()) {
+  const ms = Number.parseFloat(headers["retry-after-ms"]);
+  if (ms >= 0) {
+    return ms;
+  }
+  const value = headers["retry-after"];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Milliseconds to wait before retry number `attempt` of a failed request, or
+// null when it should not be retried
+export function retryDelay(error, attempt) {
+  if (!isRetryable(error)) {
+    return null;
+  }
+  const asked = retryAfter(error.headers);
+  if (asked !== null) {
+    return asked <= MAX_RETRY_DELAY ? asked : null;
+  }
+  return Math.min(MAX_RETRY_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+}
+
+function connectionError(baseUrl, cause) {
+  const error = new Error(`Could not reach ${baseUrl}: ${cause.message}`);
+  error.error = { type: "connection_error", message: error.message };
+  return error;
+}
+
+// Groq (official SDK)
+// Retries are left to createClient
+function createGroqClient({ apiKey, baseUrl, timeout }) {
+  const groq = new Groq({ apiKey, baseURL: baseUrl, timeout, maxRetries: 0 });
+
+  return {
+    async complete(request) {
+      let completion;
+      try {
+        completion = await groq.chat.completions.create({
+          messages: request.messages,
+          model: request.model,
+          max_tokens: request.maxTokens,
+          temperature: request.temperature,
+          top_p: request.topP,
+          frequency_penalty: request.frequencyPenalty,
+          presence_penalty: request.presencePenalty,
+          stop: request.stop,
+        });
+      } catch (error) {
+        throw groqError(error, baseUrl, timeout);
+      }
+
+      return {
+        content: completion.choices[0]?.message?.content?.trim() || "",
+        model: completion.model || request.model,
+        usage: completion.usage || null,
+      };
+    },
+
+    async listModels() {
+      let page;
+      try {
+        page = await groq.models.list();
+      } catch (error) {
+        throw groqError(error, baseUrl, timeout);
+      }
+      return page.data.map((model) => ({
+        id: model.id,
+        tokenLimit: model.context_window || null,
+        active: model.active !== false,
+      }));
+    },
+  };
+}
+
+function groqError(error, baseUrl, timeout) {
+  if (error instanceof Groq.APIConnectionTimeoutError) {
+    return timeoutError(baseUrl, timeout);
+  }
+  if (error instanceof Groq.APIConnectionError) {
+    return connectionError(baseUrl, error);
+  }
+  if (error instanceof Groq.APIError) {
+    return providerError(
+      error.status,
+      error.error?.error?.message || error.message,
+      error.headers
+    );
+  }
+  return error;
+}
+
+// OpenAI-compatible servers (OpenAI, Ollama, llama.cpp, vLLM, mock servers)
+function createOpenAICompatibleClient({
+  apiKey,
+  baseUrl,
+  timeout = DEFAULT_TIMEOUT,
+}) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  // Resolve to the parsed JSON body of a request to `path`
+  async function send(path, init = {}) {
+    let response;
+    let text;
+    try {
+      response = await fetch(`${root}${path}`, {
+        ...init,
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        signal: AbortSignal.timeout(timeout),
+      });
+      text = await response.text();
+    } catch (error) {
+      throw error.name === "TimeoutError"
+        ? timeoutError(baseUrl, timeout)
+        : connectionError(baseUrl, error.cause || error);
+    }
+
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Non-JSON bodies are reported as-is below
+    }
+
+    if (!response.ok) {
+      throw providerError(
+        response.status,
+        body?.error?.message || text || response.statusText,
+        Object.fromEntries(response.headers.entries())
+      );
+    }
+    return body;
+  }
+
+  return {
+    async complete(request) {
+      const body = await send("/chat/completions", {
+        method: "POST",
+        body: JSON.stringify({
+          messages: request.messages,
+          model: request.model,
+          max_tokens: request.maxTokens,
+          temperature: request.temperature,
+          top_p: request.topP,
+          frequency_penalty: request.frequencyPenalty,
+          presence_penalty: request.presencePenalty,
+          stop: request.stop,
+        }),
+      });
+
+      return {
+        content: body?.choices?.[0]?.message?.content?.trim() || "",
+        model: body?.model || request.model,
+        usage: body?.usage || null,
+      };
+    },
+
+    // Servers name the context window differently: context_window (Groq),
+    // context_length (OpenRouter, LM Studio) or max_model_len (vLLM)
+    async listModels() {
+      const body = await send("/models");
+      return (Array.isArray(body?.data) ? body.data : []).map((model) => ({
+        id: model.id,
+        tokenLimit:
+          model.context_window ||
+          model.context_length ||
+          model.max_model_len ||
+          null,
+        active: model.active !== false,
+      }));
+    },
+  };
+}
+
+// Offline stand-in: builds the message from the file status alone
+function createOfflineClient() {
+  return {
+    async complete(request) {
+      return {
+        content: generateOfflineMessage(request.context?.status),
+        model: request.model,
+        usage: null,
+      };
+    },
+
+    async listModels() {
+      return Object.entries(OFFLINE_MODELS).map(([id, { tokenLimit }]) => ({
+        id,
+        tokenLimit,
+        active: true,
+      }));
+    },
+  };
+}
@@ -0,0 +1,89 @@
+// Pulling a branch without a terminal. Conflicts are left for the caller to
+// resolve, e.g. with `git-helper pull --continue`.
+import { getConflictState } from "./conflicts.js";
+import { isGitRepository, isValidBranchName, runGit, tryGit } from "./git.js";
+import {
+  getConflictedFiles,
+  getCurrentBranch,
+  getRemotes,
+  getUpstream,
+  refSha,
+} from "./remote.js";
+import { getConfig, pushSettings } from "./settings.js";
+
+function pullError(message, category, fields = {}) {
+  return Object.assign(new Error(message), { category, ...fields });
+}
+
+// Pull `branch` (the checked out one, else main) from `remote` (its
+// upstream's, the configured one or origin). Merges unless `rebase` is set
+// or pull.rebase is configured, so git does not refuse a diverged branch;
+// `autostash` stashes local changes around it. Resolves to
+// { remote, branch, pulled } with the number of commits pulled. When the
+// pull stops on conflicts the error has the category "conflict", the
+// `state` ("merge" or "rebase") and the `conflicts`.
+export async function pull({
+  cwd = process.cwd(),
+  config = getConfig({ cwd }),
+  branch,
+  remote,
+  rebase = false,
+  autostash = false,
+  onProgress,
+} = {}) {
+  if (!isGitRepository(cwd)) {
+    throw pullError("Not a git repository", "repository");
+  }
+  const inProgress = getConflictState(cwd);
+  if (inProgress) {
+    throw pullError(`A ${inProgress} is in progress`, "repository", {
+      reason: "in-progress",
+      state: inProgress,
+    });
+  }
+
+  const name = branch || getCurrentBranch(cwd) || "main";
+  if (!isValidBranchName(name, cwd)) {
+    throw pullError(`Invalid branch name: ${name}`, "usage");
+  }
+  const source =
+    remote ||
+    getUpstream(name, cwd)?.remote ||
+    pushSettings(config.get).remote ||
+    "origin";
+  if (!getRemotes(cwd).includes(source)) {
+    throw pullError(`Remote not found: ${source}`, "usage");
+  }
+
+  const strategy = rebase
+    ? ["--rebase"]
+    : tryGit(["config", "pull.rebase"], cwd) === null
+    ? ["--no-rebase"]
+    : [];
+  const before = refSha("HEAD", cwd);
+  onProgress?.(`Pulling changes from ${source}/${name}...`);
+  const result = runGit(
+    ["pull", ...strategy, ...(autostash ? ["--autostash"] : []), source, name],
+    { cwd, env: { GIT_EDITOR: "true" } }
+  );
+
+  if (result.ok) {
+    const pulled = before
+      ? Number(tryGit(["rev-list", "--count", `${before}..HEAD`], cwd))
+      : 0;
+    return { remote: source, branch: name, pulled };
+  }
+
+  const state = getConflictState(cwd);
+  const conflicts = state ? getConflictedFiles(cwd) : [];
+  if (!conflicts.length) {
+    throw pullError(`Failed to pull: ${result.stderr.trim()}`, "git");
+  }
+  throw pullError(
+    state === "rebase"
+      ? `Conflicts while rebasing onto ${source}/${name}`
+      : `Conflicts while merging ${source}/${name}`,
+    "conflict",
+    { state, conflicts, remote: source, branch: name }
+  );
+}
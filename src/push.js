@@ -0,0 +1,410 @@
+// Committing and pushing without a terminal: where a branch is pushed to,
+// committing what is staged and bringing the branch to its remote safely.
+// The CLI puts its prompts around these steps; push() runs all of them.
+// Failures are Errors with a `category` (see output.js) and, where the
+// caller may want to explain them, a `reason`.
+import { getStagedDiff } from "./code-review.js";
+import { generateAICommitMessage } from "./generate.js";
+import {
+  getRepoRoot,
+  git,
+  isGitRepository,
+  isValidBranchName,
+  runGit,
+  tryGit,
+} from "./git.js";
+import { getProvider } from "./providers.js";
+import {
+  aheadBehind,
+  fetchBranch,
+  getCurrentBranch,
+  getRemotes,
+  getUpstream,
+  integrate,
+  isProtectedBranch,
+  pushBranch,
+  refSha,
+  trackingRef,
+} from "./remote.js";
+import { maskSecret, scanDiff } from "./secrets.js";
+import {
+  getConfig,
+  providerSettings,
+  pushSettings,
+  secretSettings,
+} from "./settings.js";
+import {
+  findRiskyFiles,
+  getStatus,
+  getUnstagedFiles,
+  stageFiles,
+} from "./staging.js";
+
+function pushError(message, category, fields = {}) {
+  return Object.assign(new Error(message), { category, ...fields });
+}
+
+// Where to push `branch` (the checked out one by default): `remote`, the
+// remote of the branch's upstream, `defaultRemote` or origin. Returns
+// { branch, remote }; refuses detached HEADs, invalid names, protected
+// branches and unknown remotes.
+export function resolvePushTarget(
+  { branch, remote, defaultRemote, protectedBranches = [] } = {},
+  cwd = process.cwd()
+) {
+  const name = branch || getCurrentBranch(cwd);
+  if (!name) {
+    throw pushError("Not on a branch (detached HEAD)", "repository", {
+      reason: "detached",
+    });
+  }
+  if (!isValidBranchName(name, cwd)) {
+    throw pushError(`Invalid branch name: ${name}`, "usage");
+  }
+  if (isProtectedBranch(name, protectedBranches)) {
+    throw pushError(
+      `${name} is a protected branch, refusing to push`,
+      "blocked",
+      {
+        reason: "protected",
+      }
+    );
+  }
+  const target =
+    remote || getUpstream(name, cwd)?.remote || defaultRemote || "origin";
+  if (!getRemotes(cwd).includes(target)) {
+    throw pushError(`Remote not found: ${target}`, "usage", {
+      reason: "unknown-remote",
+    });
+  }
+  return { branch: name, remote: target };
+}
+
+// Paths a commit changed, relative to the repository root
+export function committedFiles(rev, cwd = process.cwd()) {
+  return git(
+    ["diff-tree", "--no-commit-id", "--name-only", "-r", "--root", rev],
+    cwd
+  )
+    .split("\n")
+    .filter(Boolean);
+}
+
+// Commit the staged changes with `message` as it is (no cleanup of comment
+// lines). Returns { sha, files }.
+export function commitStaged(message, cwd = process.cwd()) {
+  const result = runGit(["commit", "-F", "-"], { cwd, input: message });
+  if (!result.ok) {
+    throw pushError(
+      `Failed to commit: ${result.stderr.trim() || result.stdout.trim()}`,
+      "git"
+    );
+  }
+  return {
+    sha: tryGit(["rev-parse", "HEAD"], cwd),
+    files: committedFiles("HEAD", cwd),
+  };
+}
+
+// Push `branch` to `remote` after checking the remote branch, which is the
+// branch's upstream when it tracks one on `remote` and else the branch of the
+// same name: when it has commits the branch lacks, they are rebased onto or
+// merged (`rebase`, `merge`, or what `chooseIntegration(remoteName,
+// { ahead, behind })` resolves to), or overwritten with `forceWithLease`.
+// Resolves to { remote, branch, remoteBranch, pushed, integrated, ahead,
+// behind, setUpstream, overwritten, fetchError }; errors carry that result so
+// far as `push`, and `conflicts` when integrating stopped on them.
+// `onProgress(text)` reports each step.
+export async function pushCommits(
+  {
+    remote,
+    branch,
+    rebase = false,
+    merge = false,
+    forceWithLease = false,
+    chooseIntegration,
+    onProgress,
+  },
+  cwd = process.cwd()
+) {
+  const upstream = getUpstream(branch, cwd);
+  const remoteBranch = upstream?.remote === remote ? upstream.branch : branch;
+  const tracking = trackingRef(remote, remoteBranch);
+  const remoteName = `${remote}/${remoteBranch}`;
+  const result = {
+    remote,
+    branch,
+    remoteBranch,
+    pushed: false,
+    integrated: null,
+    ahead: null,
+    behind: null,
+    setUpstream: false,
+    overwritten: 0,
+    fetchError: null,
+  };
+  const failed = (message, category, fields = {}) =>
+    pushError(message, category, { push: result, ...fields });
+  // What the remote had when we last looked, before fetching moves it
+  const lease = forceWithLease ? refSha(tracking, cwd) || "" : undefined;
+
+  onProgress?.(`Fetching ${remoteName}...`);
+  let exists;
+  try {
+    exists = fetchBranch(remote, remoteBranch, cwd);
+  } catch (error) {
+    result.fetchError = error.message;
+    exists = Boolean(refSha(tracking, cwd));
+  }
+
+  if (exists) {
+    const counts = aheadBehind(`refs/heads/${branch}`, tracking, cwd);
+    Object.assign(result, counts);
+
+    if (counts.behind && forceWithLease) {
+      result.overwritten = counts.behind;
+    } else if (counts.behind) {
+      const strategy = rebase
+        ? "rebase"
+        : merge
+        ? "merge"
+        : (await chooseIntegration?.(remoteName, counts)) || null;
+      if (!strategy) {
+        throw failed(`${remoteName} has commits you do not have`, "push", {
+          reason: "behind",
+        });
+      }
+      if (branch !== getCurrentBranch(cwd)) {
+        throw failed(
+          `Check out ${branch} to ${strategy} ${remoteName} into it`,
+          "push"
+        );
+      }
+
+      onProgress?.(
+        strategy === "rebase"
+          ? `Rebasing onto ${remoteName}...`
+          : `Merging ${remoteName}...`
+      );
+      let conflicts;
+      try {
+        conflicts = integrate(strategy, tracking, cwd);
+      } catch (error) {
+        throw failed(`Failed to ${strategy}: ${error.message}`, "push");
+      }
+      if (conflicts.length) {
+        throw failed(`Conflicts while trying to ${strategy}`, "conflict", {
+          conflicts,
+          strategy,
+        });
+      }
+      result.integrated = strategy;
+    }
+  }
+
+  const setUpstream = !upstream;
+  onProgress?.(`Pushing to ${remoteName}...`);
+  const pushed = pushBranch(
+    { remote, branch, remoteBranch, setUpstream, lease },
+    cwd
+  );
+  if (!pushed.ok && pushed.rejected) {
+    throw failed(
+      forceWithLease
+        ? `Push rejected: ${remoteName} changed since you last fetched it`
+        : `Push rejected: ${remoteName} has commits you do not have`,
+      "push",
+      { reason: "rejected" }
+    );
+  } else if (!pushed.ok) {
+    throw failed(`Failed to push: ${pushed.stderr.trim()}`, "push");
+  }
+
+  return Object.assign(result, { pushed: true, setUpstream });
+}
+
+// Stage, commit and push in one go; `git-helper push` is this with its
+// prompts in the callbacks. What gets committed is what is staged, plus
+// `paths` (pathspecs relative to `cwd`) or everything with `all`; files that
+// look like secrets or are very large are refused unless `forceStage` is
+// set, and so are changes with likely secrets in them unless `allowSecrets`
+// is, with the rules of `secrets`. What push staged is unstaged again then,
+// as `unstaged` on the error. Without a `message` one is generated with
+// `settings` (the configured provider by default), `body`, `coAuthors` and
+// `hint`. Settings not given come from `config`, see getConfig().
+//
+// `onStaged({ files, staged, risky })` runs once the changes are staged and
+// checked, before the message is generated; `reviewMessage(generated)` gets
+// the generated message and resolves to the one to commit, or null to abort.
+// Both may be async and stop the push by throwing. `chooseIntegration` and
+// `onProgress` are passed on to pushCommits().
+//
+// Resolves to { message, generated, files, staged, target, commit, push,
+// dryRun } where `generated` is the result of generating the message (null
+// when it was given), `staged` the paths staged here, `target` the branch
+// and remote pushed to (see resolvePushTarget()) and `push` the result of
+// pushCommits(). A dry run stages, commits and pushes nothing. Errors after
+// the commit carry it as `commit` and its `files`.
+export async function push(options = {}) {
+  const {
+    cwd = process.cwd(),
+    config = getConfig({ cwd }),
+    paths = [],
+    all = false,
+    forceStage = false,
+    allowSecrets = false,
+    dryRun = false,
+    onProgress,
+  } = options;
+  let { message } = options;
+
+  if (!isGitRepository(cwd)) {
+    throw pushError("Not a git repository", "repository");
+  }
+  if (options.rebase && options.merge) {
+    throw pushError("Use either rebase or merge", "usage");
+  }
+  const { remote: defaultRemote, protectedBranches } = pushSettings(config.get);
+  const target = resolvePushTarget(
+    {
+      branch: options.branch,
+      remote: options.remote,
+      defaultRemote,
+      protectedBranches,
+    },
+    cwd
+  );
+
+  const root = getRepoRoot(cwd);
+  const toStage = all || paths.length ? getUnstagedFiles(paths, cwd) : [];
+  const risky = findRiskyFiles(toStage, root);
+  if (risky.length && !forceStage) {
+    throw pushError(
+      `Refusing to stage files that look unsafe to commit: ${risky
+        .map((file) => `${file.path} (${file.reason})`)
+        .join(", ")}`,
+      "blocked",
+      { risky }
+    );
+  }
+  // The index as it was, to put back when the secret check blocks. Only
+  // unmerged files keep it from being saved, and those cannot be committed.
+  const index = !dryRun && toStage.length ? tryGit(["write-tree"], root) : null;
+  if (!dryRun) {
+    try {
+      stageFiles(toStage, root);
+    } catch (error) {
+      throw pushError(`Failed to stage: ${error.message}`, "git");
+    }
+  }
+  const files = [
+    ...new Set([
+      ...getStatus(root)
+        .filter((entry) => entry.staged)
+        .map((entry) => entry.path),
+      ...toStage,
+    ]),
+  ];
+  if (!files.length) {
+    throw pushError("Nothing staged to commit", "no_changes");
+  }
+
+  if (!dryRun && !allowSecrets) {
+    const secrets = scanDiff(
+      getStagedDiff(cwd),
+      options.secrets || secretSettings(config.get)
+    );
+    if (secrets.length) {
+      if (index) {
+        git(["read-tree", index], root);
+      }
+      throw pushError(
+        `Found ${secrets.length} possible secret${
+          secrets.length === 1 ? "" : "s"
+        } in the changes`,
+        "blocked",
+        // Where they are, not the secrets themselves
+        {
+          secrets: secrets.map(({ file, line, description, value }) => ({
+            file,
+            line,
+            description,
+            masked: maskSecret(value),
+          })),
+          unstaged: index ? toStage : [],
+        }
+      );
+    }
+  }
+  await options.onStaged?.({ files, staged: toStage, risky });
+
+  let generated = null;
+  if (!message) {
+    const settings = options.settings || providerSettings(config.get);
+    const provider = getProvider(settings.provider);
+    if (provider.requiresApiKey && !settings.apiKey) {
+      throw pushError(`${provider.label} API key not found`, "provider");
+    }
+    onProgress?.("Generating the commit message...");
+    try {
+      generated = await generateAICommitMessage(settings, {
+        // A dry run stages nothing, so it describes the working tree
+        source: { type: dryRun ? "auto" : "staged" },
+        body: options.body,
+        coAuthors: options.coAuthors,
+        hint: options.hint,
+        learnStyle: config.get("learnStyle"),
+        cwd,
+        onProgress,
+      });
+    } catch (error) {
+      throw Object.assign(error, { reason: "generate" });
+    }
+    message = options.reviewMessage
+      ? await options.reviewMessage(generated)
+      : generated.message;
+    if (!message) {
+      throw pushError("Commit aborted, changes stay staged", "aborted");
+    }
+  }
+
+  if (dryRun) {
+    return {
+      message,
+      generated,
+      files,
+      staged: toStage,
+      target,
+      commit: null,
+      push: null,
+      dryRun,
+    };
+  }
+
+  onProgress?.("Committing changes...");
+  const commit = commitStaged(message, cwd);
+  try {
+    return {
+      message,
+      generated,
+      files: commit.files,
+      staged: toStage,
+      target,
+      commit: commit.sha,
+      push: await pushCommits(
+        {
+          ...target,
+          rebase: options.rebase,
+          merge: options.merge,
+          forceWithLease: options.forceWithLease,
+          chooseIntegration: options.chooseIntegration,
+          onProgress,
+        },
+        cwd
+      ),
+      dryRun,
+    };
+  } catch (error) {
+    throw Object.assign(error, { commit: commit.sha, files: commit.files });
+  }
+}
@@ -0,0 +1,131 @@
+// Pushing safely: upstream tracking, ahead/behind counts against the remote,
+// bringing in remote commits and protected branches
+import { git, runGit, tryGit } from "./git.js";
+
+// Name of the checked out branch, or null on a detached HEAD
+export function getCurrentBranch(cwd = process.cwd()) {
+  return tryGit(["branch", "--show-current"], cwd) || null;
+}
+
+export function getRemotes(cwd = process.cwd()) {
+  return git(["remote"], cwd).split("\n").filter(Boolean);
+}
+
+// The remote branch `branch` tracks as { remote, branch }, or null
+export function getUpstream(branch, cwd = process.cwd()) {
+  const remote = tryGit(["config", "--get", `branch.${branch}.remote`], cwd);
+  const merge = tryGit(["config", "--get", `branch.${branch}.merge`], cwd);
+  if (!remote || !merge || remote === ".") {
+    return null;
+  }
+  return { remote, branch: merge.replace(/^refs\/heads\//, "") };
+}
+
+export function trackingRef(remote, branch) {
+  return `refs/remotes/${remote}/${branch}`;
+}
+
+export function refSha(ref, cwd = process.cwd()) {
+  return tryGit(
+    ["rev-parse", "--verify", "-q", "--end-of-options", `${ref}^{commit}`],
+    cwd
+  );
+}
+
+// Update the remote-tracking ref of `branch`. Returns false when the remote
+// does not have the branch (yet).
+export function fetchBranch(remote, branch, cwd = process.cwd()) {
+  const result = runGit(
+    [
+      "fetch",
+      "--quiet",
+      "--no-tags",
+      remote,
+      `+refs/heads/${branch}:${trackingRef(remote, branch)}`,
+    ],
+    { cwd }
+  );
+  if (!result.ok && !/couldn't find remote ref/i.test(result.stderr)) {
+    throw new Error(result.stderr.trim());
+  }
+  return result.ok;
+}
+
+// Commits only in `local` (ahead) and only in `remote` (behind)
+export function aheadBehind(local, remote, cwd = process.cwd()) {
+  const [ahead, behind] = git(
+    ["rev-list", "--left-right", "--count", `${local}...${remote}`],
+    cwd
+  )
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+  return { ahead, behind };
+}
+
+// Patterns are branch names where `*` matches any characters, e.g. "main" or
+// "release/*"
+export function isProtectedBranch(branch, patterns = []) {
+  return patterns.some((pattern) =>
+    new RegExp(
+      `^${pattern
+        .trim()
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")}$`
+    ).test(branch)
+  );
+}
+
+// Push `branch` to `remoteBranch` on `remote`, the branch of the same name
+// by default. `lease` forces the push as long as the remote branch is still
+// at that commit; an empty lease only lets the push create the branch. Leave
+// it undefined for a normal push.
+export function pushArgs({
+  remote,
+  branch,
+  remoteBranch = branch,
+  setUpstream = false,
+  lease,
+}) {
+  return [
+    "push",
+    ...(setUpstream ? ["--set-upstream"] : []),
+    ...(lease !== undefined
+      ? [`--force-with-lease=refs/heads/${remoteBranch}:${lease || ""}`]
+      : []),
+    remote,
+    `refs/heads/${branch}:refs/heads/${remoteBranch}`,
+  ];
+}
+
+// `rejected` is set when the remote has commits the push would overwrite
+export function pushBranch(options, cwd = process.cwd()) {
+  const result = runGit(pushArgs(options), { cwd });
+  return {
+    ...result,
+    rejected: !result.ok && /\[rejected\]/.test(result.stderr),
+  };
+}
+
+export function getConflictedFiles(cwd = process.cwd()) {
+  return git(["diff", "--name-only", "--diff-filter=U"], cwd)
+    .split("\n")
+    .filter(Boolean);
+}
+
+// Rebase the current branch onto `ref` or merge `ref` into it, stashing
+// local changes around it. Returns the conflicted files, which are empty
+// when it went through.
+export function integrate(strategy, ref, cwd = process.cwd()) {
+  const args =
+    strategy === "rebase"
+      ? ["rebase", "--autostash", ref]
+      : ["merge", "--autostash", "--no-edit", ref];
+  const result = runGit(args, { cwd });
+  const conflicts = result.ok ? [] : getConflictedFiles(cwd);
+  if (!result.ok && !conflicts.length) {
+    throw new Error(result.stderr.trim());
+  }
+  return conflicts;
+}
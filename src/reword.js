@@ -0,0 +1,299 @@
+// Rewording commits whose subjects break the commit rules. Each one gets a
+// new subject generated from its own diff, and the branch is rebuilt with
+// `git commit-tree` so the trees, the working tree and the index stay as
+// they are; only the messages and the commit ids change.
+import { parseRange } from "./changes.js";
+import { generateAICommitMessage } from "./generate.js";
+import { git, refExists, runGit, tryGit } from "./git.js";
+import { lintCommitMessage } from "./lint.js";
+import { detectBaseBranch } from "./pr.js";
+import { getCurrentBranch, refSha } from "./remote.js";
+
+// Where the last reword started and where it left the branch, kept for
+// `reword --undo`
+const BACKUP_REF = "refs/git-helper/reword-backup";
+const RESULT_REF = "refs/git-helper/reword-head";
+
+// Fields of `git log --format` and the separators between them and commits
+const FIELD = "\x1f";
+const RECORD = "\x1e";
+const LOG_FORMAT =
+  RECORD + ["%H", "%T", "%P", "%an", "%ae", "%ad", "%B"].join(FIELD);
+
+// The range to reword as { from, branch, head }. `range` is "<from>..HEAD",
+// "<from>.." or just "<from>"; without one the branch's base is used. Only
+// the checked out branch can be reworded, so the range has to end at HEAD.
+export function resolveRewordRange(range, cwd = process.cwd()) {
+  const branch = getCurrentBranch(cwd);
+  if (!branch) {
+    throw Object.assign(
+      new Error("HEAD is detached, check out the branch to reword"),
+      { category: "repository" }
+    );
+  }
+
+  const parsed = range
+    ? parseRange(range) || { from: range, to: "HEAD", dots: ".." }
+    : { from: detectBaseBranch(cwd), to: "HEAD", dots: ".." };
+  if (parsed.dots !== "..") {
+    throw Object.assign(
+      new Error(`Use a two-dot range like main..HEAD, not ${range}`),
+      { category: "usage" }
+    );
+  }
+  const unknown = [parsed.from, parsed.to].find((rev) => !refExists(rev, cwd));
+  if (unknown) {
+    throw Object.assign(new Error(`Unknown revision: ${unknown}`), {
+      category: "usage",
+    });
+  }
+
+  const head = refSha("HEAD", cwd);
+  if (refSha(parsed.to, cwd) !== head) {
+    throw Object.assign(
+      new Error(
+        `${range} does not end at HEAD, only the checked out branch (${branch}) can be reworded`
+      ),
+      { category: "usage" }
+    );
+  }
+  return { from: parsed.from, branch, head };
+}
+
+// The commits between `from` and HEAD, oldest first and parents before their
+// children: { sha, tree, parents, author: { name, email, date }, message,
+// subject }
+export function readRangeCommits(from, cwd = process.cwd()) {
+  const output = git(
+    [
+      "log",
+      "--reverse",
+      "--topo-order",
+      "--date=raw",
+      `--format=${LOG_FORMAT}`,
+      `${refSha(from, cwd)}..HEAD`,
+    ],
+    cwd
+  );
+
+  return output
+    .split(RECORD)
+    .slice(1)
+    .map((record) => {
+      // Every record ends with the newline that follows a log entry
+      const [sha, tree, parents, name, email, date, message] = record
+        .replace(/\n$/, "")
+        .split(FIELD);
+      return {
+        sha,
+        tree,
+        parents: parents.split(" ").filter(Boolean),
+        author: { name, email, date },
+        message,
+        subject: message.split("\n")[0],
+      };
+    });
+}
+
+// Commits whose subjects fail `rules`, each with the `errors` found. Merge
+// commits keep the subjects git gave them.
+export function findPoorCommits(commits, rules) {
+  return commits
+    .filter((commit) => commit.parents.length <= 1)
+    .map((commit) => ({
+      ...commit,
+      errors: lintCommitMessage(commit.subject, rules).errors,
+    }))
+    .filter((commit) => commit.errors.length);
+}
+
+// `message` with its first line replaced by `subject`, keeping the body and
+// trailers
+export function replaceSubject(message, subject) {
+  const newline = message.indexOf("\n");
+  return newline === -1 ? `${subject}\n` : subject + message.slice(newline);
+}
+
+// Generate a new subject for each of `commits` from the commit's own diff.
+// Resolves to the commits with `reworded` (the new message, or null when
+// the commit keeps its message) and `reason` when it does. The repository's
+// style is not learned here: it is what is being repaired.
+// `onProgress(text)` reports which commit is being worked on.
+export async function generateRewords(settings, commits, options = {}) {
+  const rewords = [];
+  for (const [index, commit] of commits.entries()) {
+    const progress = `Rewording ${index + 1} of ${
+      commits.length
+    }: ${commit.sha.slice(0, 7)}`;
+    options.onProgress?.(`${progress}...`);
+
+    let reword;
+    try {
+      const result = await generateAICommitMessage(settings, {
+        source: { type: "commit", rev: commit.sha },
+        learnStyle: false,
+        hint: options.hint,
+        onProgress: (text) => options.onProgress?.(`${progress}: ${text}`),
+      });
+      reword =
+        result.message === commit.subject
+          ? { reworded: null, reason: "the new subject is the same" }
+          : {
+              reworded: replaceSubject(commit.message, result.message),
+              fallback: result.fallback,
+            };
+    } catch (error) {
+      reword = { reworded: null, reason: error.message };
+    }
+    rewords.push({ ...commit, ...reword });
+  }
+  return rewords;
+}
+
+// Branches and remote-tracking branches other than `branch` that contain any
+// of `shas`, i.e. where rewriting them would fork history others have
+export function findSharedRefs(shas, branch, cwd = process.cwd()) {
+  if (!shas.length) {
+    return [];
+  }
+  const refs = git(
+    [
+      "for-each-ref",
+      "--format=%(refname)",
+      ...shas.flatMap((sha) => ["--contains", sha]),
+      "refs/heads",
+      "refs/remotes",
+    ],
+    cwd
+  )
+    .split("\n")
+    .filter(Boolean);
+
+  return refs
+    .filter((ref) => ref !== `refs/heads/${branch}`)
+    .map((ref) => ref.replace(/^refs\/(heads|remotes)\//, ""));
+}
+
+function commitTree(commit, parents, message, cwd) {
+  const result = runGit(
+    ["commit-tree", commit.tree, ...parents.flatMap((sha) => ["-p", sha])],
+    {
+      cwd,
+      input: message,
+      env: {
+        GIT_AUTHOR_NAME: commit.author.name,
+        GIT_AUTHOR_EMAIL: commit.author.email,
+        GIT_AUTHOR_DATE: commit.author.date,
+      },
+    }
+  );
+  if (!result.ok) {
+    throw new Error(result.stderr.trim() || "git commit-tree failed");
+  }
+  return result.stdout.trim();
+}
+
+// Rebuild the commits after `from` on `branch` with the messages in
+// `messages` (a Map of sha to message). Commits before the first reworded
+// one are kept as they are; later ones are recreated on top of the new
+// parents with their author, tree and message. The branch only moves if it
+// still points at `head`. Returns { head, backup, rewritten } with the
+// number of commits recreated.
+export function rewriteHistory(
+  { from, branch, head },
+  messages,
+  cwd = process.cwd()
+) {
+  const mapped = new Map();
+  let rewritten = 0;
+
+  for (const commit of readRangeCommits(from, cwd)) {
+    const parents = commit.parents.map((sha) => mapped.get(sha) || sha);
+    const message = messages.get(commit.sha) ?? commit.message;
+    if (
+      message === commit.message &&
+      parents.every((sha, index) => sha === commit.parents[index])
+    ) {
+      continue;
+    }
+    mapped.set(commit.sha, commitTree(commit, parents, message, cwd));
+    rewritten++;
+  }
+
+  const result = mapped.get(head) || head;
+  if (result !== head) {
+    git(["update-ref", BACKUP_REF, head], cwd);
+    git(
+      [
+        "update-ref",
+        "-m",
+        "git-helper reword",
+        `refs/heads/${branch}`,
+        result,
+        head,
+      ],
+      cwd
+    );
+    git(["update-ref", RESULT_REF, result], cwd);
+  }
+  return { head: result, backup: head, rewritten };
+}
+
+// Undo the last reword: point the branch back at the original commits.
+// Refuses once commits were added on top of the reworded ones, and unless
+// `force` is set when the reworded commits were pushed or are on other
+// branches since. Returns the branch and the commit it is back at.
+export function undoReword({ force = false } = {}, cwd = process.cwd()) {
+  const backup = tryGit(["rev-parse", "--verify", "-q", BACKUP_REF], cwd);
+  const result = tryGit(["rev-parse", "--verify", "-q", RESULT_REF], cwd);
+  if (!backup || !result) {
+    throw new Error("Nothing to undo, no reword was recorded");
+  }
+
+  const branch = getCurrentBranch(cwd);
+  if (!branch || refSha("HEAD", cwd) !== result) {
+    throw new Error(
+      `HEAD is no longer where the reword left it (${result.slice(
+        0,
+        7
+      )}), undo it manually with: git reset --keep ${backup.slice(0, 7)}`
+    );
+  }
+
+  const shared = force
+    ? []
+    : findSharedRefs(
+        git(["rev-list", `${backup}..${result}`], cwd)
+          .split("\n")
+          .filter(Boolean),
+        branch,
+        cwd
+      );
+  if (shared.length) {
+    throw Object.assign(
+      new Error(
+        `The reworded commits are already on ${shared.join(
+          ", "
+        )}, undoing the reword would rewrite shared history`
+      ),
+      { category: "blocked", shared }
+    );
+  }
+
+  // Rewording keeps every tree, so the working tree and index already match
+  git(
+    [
+      "update-ref",
+      "-m",
+      "git-helper reword --undo",
+      `refs/heads/${branch}`,
+      backup,
+      result,
+    ],
+    cwd
+  );
+  git(["update-ref", "-d", BACKUP_REF], cwd);
+  git(["update-ref", "-d", RESULT_REF], cwd);
+
+  return { branch, head: backup };
+}
@@ -0,0 +1,339 @@
+// Finding secrets in changes: API keys, private keys, passwords and other
+// high-entropy strings. Findings block commits, and everything sent to the AI
+// has them redacted first.
+import { readFileSync, statSync } from "fs";
+import { resolve } from "path";
+import { isLockfile, splitDiff } from "./diff.js";
+
+// A line containing this is never reported, e.g. for test fixtures
+export const ALLOW_COMMENT = "git-helper:allow-secret";
+
+// Files larger than this are not scanned
+const MAX_SCAN_SIZE = 1024 * 1024;
+
+// Shannon entropy (bits per character) from which a long quoted string looks
+// random enough to be a key
+const MIN_ENTROPY = 4.3;
+
+// Values of generic rules that are placeholders or references, not secrets
+const PLACEHOLDER =
+  /^(\$|<|\{|%|process\.|os\.|env\.|getenv|true$|false$|null$|none$|undefined$|changeme|example|dummy|placeholder|your[_-]|x{4,}|\*{3,}|\.{3})/i;
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/;
+
+// The value a rule reports is its `secret` group, or the whole match.
+// `generic` rules are checked against PLACEHOLDER, `entropy` rules must also
+// look random and skip lockfiles, `paths` limits where a rule reports.
+export const BUILTIN_RULES = [
+  {
+    id: "groq-api-key",
+    description: "Groq API key",
+    pattern: /\bgsk_[A-Za-z0-9]{20,}/g,
+  },
+  {
+    id: "anthropic-api-key",
+    description: "Anthropic API key",
+    pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    id: "openai-api-key",
+    description: "OpenAI API key",
+    pattern: /\bsk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    id: "aws-access-key-id",
+    description: "AWS access key ID",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "aws-secret-access-key",
+    description: "AWS secret access key",
+    pattern:
+      /aws_?secret_?(?:access_?)?key\W{0,4}[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})\b/gi,
+  },
+  {
+    id: "github-token",
+    description: "GitHub token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})/g,
+  },
+  {
+    id: "gitlab-token",
+    description: "GitLab token",
+    pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    id: "slack-token",
+    description: "Slack token",
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    id: "stripe-key",
+    description: "Stripe secret key",
+    pattern: /\b[sr]k_live_[A-Za-z0-9]{20,}/g,
+  },
+  {
+    id: "google-api-key",
+    description: "Google API key",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: "private-key",
+    description: "Private key",
+    pattern: new RegExp(PRIVATE_KEY_BEGIN.source, "g"),
+  },
+  {
+    id: "url-credentials",
+    description: "Password in a URL",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@"']+:(?<secret>[^\s/@"']{3,})@/gi,
+    generic: true,
+  },
+  {
+    id: "secret-assignment",
+    description: "Hard-coded secret",
+    pattern:
+      /[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|credential)[\w.-]*["']?\s*[:=]\s*(["'`])(?<secret>[^"'`\s]{8,})\1/gi,
+    generic: true,
+    minEntropy: 2.5,
+  },
+  {
+    id: "env-secret",
+    description: "Secret in an env file",
+    pattern:
+      /^[+\- ]?\s*(?:export\s+)?[\w.-]*(?:key|secret|token|passw(?:or)?d|pwd|credential)[\w.-]*\s*=\s*["']?(?<secret>[^\s"'#]{8,})/gi,
+    generic: true,
+    paths: [/(^|\/)\.env(\.[\w.-]+)?$/],
+  },
+  {
+    id: "high-entropy-string",
+    description: "High-entropy string",
+    pattern: /(["'`])(?<secret>[A-Za-z0-9+/=_-]{32,})\1/g,
+    generic: true,
+    entropy: true,
+  },
+];
+
+export function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// `*` matches any characters, e.g. "test/fixtures/*"
+function globToRegExp(glob) {
+  return new RegExp(
+    `^${glob
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+}
+
+// Scanner options from the `secrets` settings of the config files:
+// `rules` ({ id, pattern, description }, added to the built-in ones),
+// `allowlist` (patterns of values that are fine) and `allowPaths` (globs of
+// files that are not scanned). Invalid patterns end up in `warnings`.
+export function compileSecretOptions({
+  rules = [],
+  allowlist = [],
+  allowPaths = [],
+} = {}) {
+  const warnings = [];
+  const compile = (pattern, flags, what) => {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      warnings.push(`Ignoring ${what}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const custom = rules
+    .map((rule, index) => {
+      const id = rule?.id || `custom-${index + 1}`;
+      const pattern =
+        typeof rule?.pattern === "string" &&
+        compile(rule.pattern, "g", `secret rule ${id}`);
+      if (typeof rule?.pattern !== "string") {
+        warnings.push(`Ignoring secret rule ${id}: it has no pattern`);
+      }
+      return pattern && { id, description: rule.description || id, pattern };
+    })
+    .filter(Boolean);
+
+  return {
+    rules: [...BUILTIN_RULES, ...custom],
+    allowlist: allowlist
+      .map((pattern) => compile(pattern, "", `allowlist entry ${pattern}`))
+      .filter(Boolean),
+    allowPaths: allowPaths.map(globToRegExp),
+    warnings,
+  };
+}
+
+const DEFAULT_OPTIONS = compileSecretOptions();
+
+function isSecretValue(rule, value, path) {
+  if (rule.generic && PLACEHOLDER.test(value)) {
+    return false;
+  }
+  if (rule.minEntropy && shannonEntropy(value) < rule.minEntropy) {
+    return false;
+  }
+  if (rule.entropy) {
+    return (
+      !(path && isLockfile(path)) &&
+      !/^sha\d+-/.test(value) &&
+      /\d/.test(value) &&
+      /[A-Za-z]/.test(value) &&
+      shannonEntropy(value) >= MIN_ENTROPY
+    );
+  }
+  return true;
+}
+
+// Secrets on one line as [{ rule, description, value, index }]. Without a
+// path, rules limited to some files apply everywhere.
+function scanLine(text, options, path) {
+  if (text.includes(ALLOW_COMMENT)) {
+    return [];
+  }
+
+  const found = [];
+  for (const rule of options.rules) {
+    if (path && rule.paths && !rule.paths.some((re) => re.test(path))) {
+      continue;
+    }
+    for (const match of text.matchAll(rule.pattern)) {
+      const value = match.groups?.secret || match[0];
+      const index = match.index + match[0].lastIndexOf(value);
+      if (
+        !isSecretValue(rule, value, path) ||
+        options.allowlist.some((re) => re.test(value)) ||
+        found.some(
+          (other) =>
+            index < other.index + other.value.length &&
+            other.index < index + value.length
+        )
+      ) {
+        continue;
+      }
+      found.push({
+        rule: rule.id,
+        description: rule.description,
+        value,
+        index,
+      });
+    }
+  }
+  return found;
+}
+
+function isAllowedPath(path, options) {
+  return options.allowPaths.some((re) => re.test(path));
+}
+
+// Secrets in `text` (the content of `path`) as
+// [{ file, line, rule, description, value }]
+export function scanText(text, options = DEFAULT_OPTIONS, path = null) {
+  if (path && isAllowedPath(path, options)) {
+    return [];
+  }
+  return text.split("\n").flatMap((content, number) =>
+    scanLine(content, options, path).map(({ index, ...secret }) => ({
+      file: path,
+      line: number + 1,
+      ...secret,
+    }))
+  );
+}
+
+// Secrets in the lines a diff adds
+export function scanDiff(diff, options = DEFAULT_OPTIONS) {
+  return splitDiff(diff).flatMap((file) => {
+    if (isAllowedPath(file.path, options)) {
+      return [];
+    }
+    return file.hunks.flatMap((hunk) => {
+      const [header, ...lines] = hunk.split("\n");
+      let line = Number(/\+(\d+)/.exec(header)?.[1] || 1);
+      return lines.flatMap((text) => {
+        if (text.startsWith(" ")) {
+          line++;
+        }
+        if (!text.startsWith("+")) {
+          return [];
+        }
+        const at = line++;
+        return scanLine(text.slice(1), options, file.path).map(
+          ({ index, ...secret }) => ({ file: file.path, line: at, ...secret })
+        );
+      });
+    });
+  });
+}
+
+// Secrets in whole files, e.g. untracked ones. Paths are relative to `root`;
+// binary, large and unreadable files are skipped.
+export function scanFiles(paths, root, options = DEFAULT_OPTIONS) {
+  return paths.flatMap((path) => {
+    let content;
+    try {
+      const full = resolve(root, path);
+      if (statSync(full).size > MAX_SCAN_SIZE) {
+        return [];
+      }
+      content = readFileSync(full, "utf8");
+    } catch {
+      return [];
+    }
+    return content.includes("\0") ? [] : scanText(content, options, path);
+  });
+}
+
+// Replace every secret in `text` with a [REDACTED <rule>] marker, and whole
+// private key blocks. In diffs the file headers tell which file a line
+// belongs to. Returns { text, secrets } with the values replaced.
+export function redactSecrets(text, options = DEFAULT_OPTIONS) {
+  const secrets = [];
+  let inKey = false;
+  let path = null;
+
+  const lines = text.split("\n").map((line) => {
+    if (inKey) {
+      inKey = !PRIVATE_KEY_END.test(line);
+      return inKey ? "[REDACTED private-key]" : line;
+    }
+    const header = /^(?:diff --git a\/.* b|\+\+\+ b)\/(.+)$/.exec(line);
+    if (header) {
+      path = header[1];
+      return line;
+    }
+    const found = scanLine(line, options, path).sort(
+      (a, b) => b.index - a.index
+    );
+    let redacted = line;
+    for (const { rule, value, index } of found) {
+      secrets.push(value);
+      redacted = `${redacted.slice(0, index)}[REDACTED ${rule}]${redacted.slice(
+        index + value.length
+      )}`;
+      inKey = inKey || (rule === "private-key" && !PRIVATE_KEY_END.test(line));
+    }
+    return redacted;
+  });
+
+  return { text: lines.join("\n"), secrets };
+}
+
+// A secret as shown to the user: its start and length only
+export function maskSecret(value) {
+  return `${value.slice(0, Math.min(4, Math.floor(value.length / 4)))}… (${
+    value.length
+  } chars)`;
+}
@@ -0,0 +1,83 @@
+// What the commands need from the configuration: the settings of a provider,
+// the secret scanner and pushing. Each function takes `get(key)`, the value
+// of a setting, so the CLI can pass its own getter that reports invalid
+// values while the library uses the config's.
+import { resolve } from "path";
+import { loadConfig } from "./config.js";
+import {
+  CREDENTIALS_FILE,
+  PASSPHRASE_ENV,
+  openCredentialStore,
+} from "./credentials.js";
+import { modelTokenLimit } from "./models.js";
+import { compileSecretOptions } from "./secrets.js";
+
+// Load the configuration of the repository at `cwd` with API keys from the
+// configured credential store. An encrypted file store is unlocked with
+// `passphrase` or GIT_HELPER_PASSPHRASE; nothing is asked on the terminal.
+export function getConfig({
+  cwd = process.cwd(),
+  env = process.env,
+  home,
+  overrides = {},
+  passphrase,
+} = {}) {
+  const config = loadConfig({
+    cwd,
+    env,
+    home,
+    overrides,
+    secretStore: () =>
+      openCredentialStore({
+        name: config.get("credentials.store"),
+        helper: config.get("credentials.helper"),
+        file: home && resolve(home, CREDENTIALS_FILE),
+        passphrase: () => {
+          const value = passphrase ?? env[PASSPHRASE_ENV];
+          if (!value) {
+            throw new Error(`Set ${PASSPHRASE_ENV} to read the stored keys`);
+          }
+          return value;
+        },
+      }),
+  });
+  return config;
+}
+
+// Secret scanner options: custom rules, allowlist and allowed paths of all
+// layers together, with `warnings` about rules that do not compile
+export function secretSettings(get) {
+  return compileSecretOptions({
+    rules: get("secrets.rules"),
+    allowlist: get("secrets.allowlist"),
+    allowPaths: get("secrets.allowPaths"),
+  });
+}
+
+// Everything needed to talk to a provider, the active one by default
+export function providerSettings(
+  get,
+  providerName = get("provider"),
+  secrets = secretSettings(get)
+) {
+  const model = get(`providers.${providerName}.model`);
+  return {
+    provider: providerName,
+    apiKey: get(`providers.${providerName}.apiKey`) || null,
+    baseUrl: get(`providers.${providerName}.baseUrl`) || null,
+    model,
+    tokenLimit: modelTokenLimit(providerName, model),
+    fallbackModels: get(`providers.${providerName}.fallbackModels`),
+    timeout: Math.round(get("ai.timeout") * 1000),
+    retries: get("ai.retries"),
+    offlineFallback: get("ai.offlineFallback"),
+    secrets,
+  };
+}
+
+export function pushSettings(get) {
+  return {
+    remote: get("remote") || null,
+    protectedBranches: get("protectedBranches"),
+  };
+}
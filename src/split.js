@@ -0,0 +1,442 @@
+// Splitting uncommitted changes into several commits. The changes are cut into
+// units (whole files, or single hunks of files with several hunks), grouped
+// by the AI or a heuristic and committed one group at a time.
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { createClient, getProvider } from "./providers.js";
+import { fileText, splitDiff } from "./diff.js";
+import { getRepoRoot, git } from "./git.js";
+import { chunkBudget, describeProviderError } from "./generate.js";
+import {
+  extractCommitMessage,
+  lintCommitMessage,
+  loadLintConfig,
+  repairCommitMessage,
+} from "./lint.js";
+import { generateOfflineMessage, inferType } from "./offline.js";
+import { scanDiff, scanFiles } from "./secrets.js";
+import { findRiskyFiles, hasStagedChanges, stageFiles } from "./staging.js";
+
+// Where the last split started, kept for `split --undo`: the commit HEAD
+// pointed at and the tree of the index at the time
+const BACKUP_REF = "refs/git-helper/split-head";
+const INDEX_REF = "refs/git-helper/split-index";
+
+// Diff text shown to the AI per unit; larger units are cut
+const MAX_UNIT_CHARS = 1500;
+
+const MAX_COMMITS = 10;
+
+// Directories that say nothing about what a change belongs to
+const GENERIC_DIRS = ["src", "lib", "app", "bin", "packages"];
+
+const SPLIT_PROMPT = `You split a set of uncommitted changes into small, logical commits. Each change has a numeric id.
+
+RULES:
+1. Put changes that belong together in the same commit: a function and its callers, code and its tests, a rename and its uses
+2. Unrelated changes go in separate commits, but do not create more than ${MAX_COMMITS} commits
+3. Use every change id exactly once
+4. Order the commits so that each one builds on the previous ones
+5. Give every commit a conventional commit message: <type>(<scope>): <description>
+   - type is one of feat, fix, docs, style, refactor, test, chore, perf, ci, build
+   - description starts with a lowercase verb, max 50 characters, no period
+
+OUTPUT: Return ONLY JSON in this form, nothing else:
+{"commits": [{"message": "feat(auth): add token refresh", "changes": [1, 3]}]}`;
+
+// Shown above the plan when it is edited
+export const PLAN_HELP = `# Each "commit <message>" line starts a commit, the numbered lines below it
+# are the changes it contains. Reword messages, move changes between commits
+# or reorder commits. Changes you delete stay uncommitted.
+`;
+
+function countLines(text, prefix) {
+  return text.split("\n").filter((line) => line.startsWith(prefix)).length;
+}
+
+function fileStatus(header) {
+  if (/^new file mode/m.test(header)) return "A";
+  if (/^deleted file mode/m.test(header)) return "D";
+  return "M";
+}
+
+// Cut all uncommitted changes (staged, unstaged and untracked) into units.
+// Untracked files that look like secrets or are very large are left out
+// unless `forceStage` is set and returned in `skipped`.
+export function collectUnits(
+  root = getRepoRoot(),
+  { forceStage = false } = {}
+) {
+  const units = [];
+  const add = (unit) => units.push({ id: units.length + 1, ...unit });
+
+  const diff = git(
+    ["diff", "HEAD", "--no-color", "--no-ext-diff", "--no-renames"],
+    root
+  );
+  for (const file of splitDiff(diff)) {
+    const status = fileStatus(file.header);
+    if (file.binary || status !== "M" || file.hunks.length <= 1) {
+      add({
+        path: file.path,
+        status,
+        hunk: null,
+        text: fileText(file),
+        stat: file.binary
+          ? `${file.path} (binary)`
+          : `${file.path} (+${file.additions} -${file.deletions})`,
+      });
+      continue;
+    }
+
+    file.hunks.forEach((hunk, index) => {
+      add({
+        path: file.path,
+        status,
+        hunk: index,
+        hunks: file.hunks.length,
+        header: file.header,
+        text: file.header + hunk,
+        stat: `${file.path} hunk ${index + 1}/${
+          file.hunks.length
+        } (+${countLines(hunk, "+")} -${countLines(hunk, "-")})`,
+      });
+    });
+  }
+
+  const untracked = git(
+    ["ls-files", "-z", "--others", "--exclude-standard"],
+    root
+  )
+    .split("\0")
+    .filter(Boolean);
+  const skipped = forceStage ? [] : findRiskyFiles(untracked, root);
+
+  for (const path of untracked) {
+    if (skipped.some((file) => file.path === path)) {
+      continue;
+    }
+    let content = readFileSync(resolve(root, path), "utf8").slice(
+      0,
+      MAX_UNIT_CHARS
+    );
+    if (content.includes("\0")) {
+      content = "(binary)";
+    }
+    add({
+      path,
+      status: "A",
+      hunk: null,
+      text: `new file ${path}\n${content}`,
+      stat: `${path} (new file)`,
+      untracked: true,
+    });
+  }
+
+  return { units, skipped };
+}
+
+// Secrets in the changes of `units`. The text of untracked files is cut
+// short for the AI, so they are scanned whole.
+export function findUnitSecrets(units, root = getRepoRoot(), options) {
+  return units.flatMap((unit) =>
+    unit.untracked
+      ? scanFiles([unit.path], root, options)
+      : scanDiff(unit.text, options)
+  );
+}
+
+function unitsPrompt(units, maxChars) {
+  let budget = maxChars;
+  return units
+    .map((unit) => {
+      const text = unit.text.slice(
+        0,
+        Math.max(0, Math.min(MAX_UNIT_CHARS, budget))
+      );
+      budget -= text.length;
+      // Once the budget is used up the AI only sees the stat line
+      return text
+        ? `[${unit.id}] ${unit.stat}\n${text}`
+        : `[${unit.id}] ${unit.stat}`;
+    })
+    .join("\n\n");
+}
+
+// Read the AI's JSON plan. Unknown and repeated ids are dropped; ids the AI
+// left out are returned in `missing`.
+export function parsePlanJson(content, units) {
+  const json = /\{[\s\S]*\}/.exec(content || "");
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch {
+    throw new Error("The AI did not return a valid commit plan");
+  }
+
+  const known = new Set(units.map((unit) => unit.id));
+  const used = new Set();
+  const groups = [];
+
+  for (const commit of Array.isArray(data.commits) ? data.commits : []) {
+    const ids = (Array.isArray(commit.changes) ? commit.changes : [])
+      .map(Number)
+      .filter((id) => known.has(id) && !used.has(id));
+    ids.forEach((id) => used.add(id));
+    if (ids.length) {
+      groups.push({ message: String(commit.message || ""), units: ids });
+    }
+  }
+
+  return {
+    groups,
+    missing: units.filter((unit) => !used.has(unit.id)).map((unit) => unit.id),
+  };
+}
+
+function statusLines(units) {
+  const seen = new Map(units.map((unit) => [unit.path, unit.status]));
+  return [...seen].map(([path, status]) => `${status}\t${path}`).join("\n");
+}
+
+// Group units without the AI: by kind of change (docs, tests, ...) and by
+// the first directory that says something about the code
+export function heuristicPlan(units) {
+  const groups = new Map();
+
+  for (const unit of units) {
+    const type = inferType([{ path: unit.path, status: unit.status }]);
+    const dir =
+      unit.path
+        .split("/")
+        .slice(0, -1)
+        .find((segment) => !GENERIC_DIRS.includes(segment)) || "";
+    const key = `${type}:${dir}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(unit);
+  }
+
+  return [...groups.values()].map((members) => ({
+    message: generateOfflineMessage(statusLines(members)),
+    units: members.map((unit) => unit.id),
+  }));
+}
+
+function finishMessage(message, members, rules) {
+  const extracted =
+    extractCommitMessage(message) ||
+    generateOfflineMessage(statusLines(members));
+  return lintCommitMessage(extracted, rules).valid
+    ? extracted
+    : repairCommitMessage(extracted, rules);
+}
+
+// Propose commits for `units`. Resolves to `[{ message, units: [ids] }]`.
+// Providers that ignore the prompt get the heuristic grouping, and changes
+// the AI forgot end up in heuristic commits after the AI's ones.
+export async function generateSplitPlan(settings, units, options = {}) {
+  const lintConfig = await loadLintConfig(options.root || getRepoRoot());
+  let groups = [];
+  let missing = units.map((unit) => unit.id);
+
+  if (getProvider(settings.provider).usesPrompt) {
+    options.onProgress?.(`Grouping ${units.length} changes...`);
+    let completion;
+    try {
+      completion = await createClient(settings).complete({
+        messages: [
+          { role: "system", content: SPLIT_PROMPT },
+          {
+            role: "user",
+            content: `Group these changes into commits:\n\n${unitsPrompt(
+              units,
+              chunkBudget(settings.tokenLimit)
+            )}${
+              options.hint
+                ? `\n\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${options.hint}`
+                : ""
+            }`,
+          },
+        ],
+        model: settings.model,
+        maxTokens: 1500,
+        temperature: options.temperature ?? 0.1,
+      });
+    } catch (error) {
+      throw describeProviderError(error, settings.provider);
+    }
+    ({ groups, missing } = parsePlanJson(completion.content, units));
+  }
+
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+  return [...groups, ...heuristicPlan(missing.map((id) => byId.get(id)))].map(
+    (group) => ({
+      message: finishMessage(
+        group.message,
+        group.units.map((id) => byId.get(id)),
+        lintConfig.rules
+      ),
+      units: group.units,
+    })
+  );
+}
+
+// Plan as editable text, see PLAN_HELP
+export function formatPlan(plan, units) {
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+  return plan
+    .map((group) =>
+      [
+        `commit ${group.message}`,
+        ...group.units.map((id) => `  ${id}  ${byId.get(id).stat}`),
+      ].join("\n")
+    )
+    .join("\n\n");
+}
+
+// Parse an edited plan. Returns `{ plan, errors, missing }`; units that are
+// no longer listed are reported in `missing` and stay uncommitted.
+export function parsePlanText(text, units) {
+  const known = new Set(units.map((unit) => unit.id));
+  const used = new Set();
+  const plan = [];
+  const errors = [];
+
+  for (const line of text.split("\n").map((l) => l.trim())) {
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+    const commit = /^commit\b\s*(.*)$/.exec(line);
+    if (commit) {
+      if (!commit[1]) {
+        errors.push('"commit" line without a message');
+      }
+      plan.push({ message: commit[1], units: [] });
+      continue;
+    }
+
+    const id = Number(/^(\d+)\b/.exec(line)?.[1]);
+    if (!id) {
+      errors.push(`Unrecognized line: ${line}`);
+    } else if (!known.has(id)) {
+      errors.push(`Unknown change ${id}`);
+    } else if (used.has(id)) {
+      errors.push(`Change ${id} is listed twice`);
+    } else if (!plan.length) {
+      errors.push(`Change ${id} is not below a "commit" line`);
+    } else {
+      used.add(id);
+      plan[plan.length - 1].units.push(id);
+    }
+  }
+
+  return {
+    plan: plan.filter((group) => group.units.length),
+    errors,
+    missing: units.filter((unit) => !used.has(unit.id)).map((unit) => unit.id),
+  };
+}
+
+// Patch text for some hunks of one file, in file order
+function hunkPatch(members) {
+  const sorted = [...members].sort((a, b) => a.hunk - b.hunk);
+  return (
+    sorted[0].header +
+    sorted.map((unit) => unit.text.slice(unit.header.length)).join("")
+  );
+}
+
+function stageGroup(group, byId, root) {
+  const byPath = new Map();
+  for (const id of group.units) {
+    const unit = byId.get(id);
+    byPath.set(unit.path, [...(byPath.get(unit.path) || []), unit]);
+  }
+
+  const whole = [];
+  const patches = [];
+  for (const [path, members] of byPath) {
+    if (members[0].hunk === null || members.length === members[0].hunks) {
+      whole.push(path);
+    } else {
+      patches.push(hunkPatch(members));
+    }
+  }
+
+  stageFiles(whole, root);
+  if (patches.length) {
+    git(["apply", "--cached", "--whitespace=nowarn"], root, patches.join(""));
+  }
+}
+
+// Create one commit per group, in order. Only the index is touched, the
+// working tree keeps every change. `onCommit(commit, index)` is called after
+// each commit. Errors stop the series; commits made so far stay and can be
+// undone with `undoSplit()`.
+export function applySplitPlan(
+  plan,
+  units,
+  { root = getRepoRoot(), onCommit } = {}
+) {
+  const byId = new Map(units.map((unit) => [unit.id, unit]));
+  const head = git(["rev-parse", "HEAD"], root).trim();
+  const index = git(["write-tree"], root).trim();
+  git(["update-ref", BACKUP_REF, head], root);
+  git(["update-ref", INDEX_REF, index], root);
+
+  // Start from an index that matches HEAD
+  git(["reset", "-q"], root);
+
+  const commits = [];
+  for (const group of plan) {
+    stageGroup(group, byId, root);
+    if (!hasStagedChanges(root)) {
+      continue;
+    }
+    git(["commit", "-q", "-F", "-"], root, group.message);
+    const commit = {
+      sha: git(["rev-parse", "--short", "HEAD"], root).trim(),
+      message: group.message,
+    };
+    commits.push(commit);
+    onCommit?.(commit, commits.length - 1);
+  }
+
+  return { commits, backup: head };
+}
+
+// Undo the last split: move HEAD back to where it started and restore the
+// index, keeping all changes in the working tree. Returns the number of
+// commits undone and the commit HEAD is back at.
+export function undoSplit(root = getRepoRoot()) {
+  let backup;
+  try {
+    backup = git(["rev-parse", "--verify", "-q", BACKUP_REF], root).trim();
+  } catch {
+    throw new Error("Nothing to undo, no split was recorded");
+  }
+
+  const head = git(["rev-parse", "HEAD"], root).trim();
+  try {
+    git(["merge-base", "--is-ancestor", backup, head], root);
+  } catch {
+    throw new Error(
+      `HEAD no longer builds on the split (started at ${backup.slice(
+        0,
+        7
+      )}), undo it manually with git reset`
+    );
+  }
+
+  const count = Number(
+    git(["rev-list", "--count", `${backup}..${head}`], root).trim()
+  );
+  git(["reset", "-q", "--soft", backup], root);
+  git(["read-tree", INDEX_REF], root);
+  git(["update-ref", "-d", BACKUP_REF], root);
+  git(["update-ref", "-d", INDEX_REF], root);
+
+  return { count, head: backup };
+}
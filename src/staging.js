@@ -0,0 +1,171 @@
+// Deciding what `push` stages: parsing `git status`, finding unstaged files
+// for pathspecs and refusing files that should never end up in a commit
+import { statSync } from "fs";
+import { resolve } from "path";
+import { git } from "./git.js";
+
+// Files larger than this are only staged with --force-stage
+export const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// File names that usually hold credentials
+const SECRET_PATHS = [
+  /(^|\/)\.env(\.[\w.-]+)?$/,
+  /\.(pem|key|p12|pfx|jks|keystore|kdbx|ppk)$/i,
+  /(^|\/)id_(rsa|dsa|ecdsa|ed25519)$/,
+  /(^|\/)\.(netrc|pypirc|htpasswd|pgpass)$/,
+  /(^|\/)credentials(\.json)?$/i,
+  /(^|\/)service-account[\w.-]*\.json$/i,
+  /(^|\/)[\w.-]*\.tfstate(\.backup)?$/,
+];
+
+// Templates of the files above are fine to commit
+const SECRET_TEMPLATES = /\.(example|sample|template|dist|defaults?)$/i;
+
+// Parse `git status --porcelain -z`. Paths are relative to the repository
+// root; renames and copies also carry the path they came from.
+export function parseStatus(output) {
+  const entries = [];
+  const fields = output.split("\0");
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (!field) {
+      continue;
+    }
+
+    const [index, worktree] = field;
+    const entry = {
+      path: field.slice(3),
+      index,
+      worktree,
+      staged: !" ?!".includes(index),
+      unstaged: worktree !== " ",
+      untracked: index === "?",
+    };
+    if (index === "R" || index === "C") {
+      entry.origPath = fields[++i];
+    }
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+export function getStatus(cwd = process.cwd()) {
+  return parseStatus(
+    git(["status", "--porcelain", "-z", "--untracked-files=all"], cwd)
+  );
+}
+
+export function hasStagedChanges(cwd = process.cwd()) {
+  try {
+    git(["diff", "--cached", "--quiet"], cwd);
+    return false;
+  } catch (error) {
+    if (error.status === 1) {
+      return true;
+    }
+    throw error;
+  }
+}
+
+// Modified, deleted and untracked (but not ignored) files matching
+// `pathspecs` that are not staged yet, relative to the repository root
+export function getUnstagedFiles(pathspecs = [], cwd = process.cwd()) {
+  const output = git(
+    [
+      "ls-files",
+      "-z",
+      "--full-name",
+      "--modified",
+      "--others",
+      "--exclude-standard",
+      "--",
+      ...pathspecs,
+    ],
+    cwd
+  );
+  return [...new Set(output.split("\0").filter(Boolean))];
+}
+
+export function isSecretPath(path) {
+  return (
+    !SECRET_TEMPLATES.test(path) &&
+    SECRET_PATHS.some((pattern) => pattern.test(path))
+  );
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Why a file should not be staged without --force-stage, or null if it is
+// fine. `path` is relative to `root`.
+export function riskReason(path, root, maxSize = MAX_FILE_SIZE) {
+  if (isSecretPath(path)) {
+    return "looks like a secret";
+  }
+
+  let size;
+  try {
+    size = statSync(resolve(root, path)).size;
+  } catch {
+    // Deleted files are safe to stage
+    return null;
+  }
+  return size > maxSize ? `large file (${formatSize(size)})` : null;
+}
+
+export function findRiskyFiles(paths, root, maxSize = MAX_FILE_SIZE) {
+  return paths
+    .map((path) => ({ path, reason: riskReason(path, root, maxSize) }))
+    .filter((file) => file.reason);
+}
+
+// Stage exactly these paths (relative to `root`), including deletions.
+// Paths are passed literally through stdin, so names like `[id].js` are not
+// taken for globs and long lists do not hit the argument limit.
+export function stageFiles(paths, root) {
+  if (!paths.length) {
+    return;
+  }
+  git(
+    [
+      "--literal-pathspecs",
+      "add",
+      "-A",
+      "--pathspec-from-file=-",
+      "--pathspec-file-nul",
+    ],
+    root,
+    paths.join("\0")
+  );
+}
+
+// Parse a picker answer like "1,3-5 7" into zero-based indexes below
+// `count`. "a"/"all" selects everything; returns null for invalid input.
+export function parseSelection(answer, count) {
+  const text = answer.trim().toLowerCase();
+  if (text === "a" || text === "all") {
+    return [...Array(count).keys()];
+  }
+
+  const selected = new Set();
+  for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(token);
+    if (!match) {
+      return null;
+    }
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    if (from < 1 || to > count || from > to) {
+      return null;
+    }
+    for (let i = from; i <= to; i++) {
+      selected.add(i - 1);
+    }
+  }
+  return [...selected].sort((a, b) => a - b);
+}
@@ -0,0 +1,238 @@
+// Commit style learned from the repository's history: whether recent
+// subjects use conventional commits, gitmoji or ticket prefixes, which types
+// and scopes they use, their casing and language, and a few of them as
+// examples for the generation prompt
+import { tryGit } from "./git.js";
+
+// Subjects sampled from `git log`
+export const HISTORY_SIZE = 100;
+
+// Fewer commits than this say nothing about a style
+const MIN_SUBJECTS = 5;
+
+const MAX_EXAMPLES = 8;
+const MAX_SCOPES = 20;
+const MAX_EMOJIS = 10;
+
+// Share of the subjects a trait needs to be part of the style
+const DOMINANT_SHARE = 0.5;
+
+// Subjects git or the user wrote in a fixed form
+const SKIPPED = /^(Merge |Revert "|Initial commit|fixup! |squash! |amend! )/i;
+
+// "ABC-123:", "ABC-123" or a tag in brackets like "[ABC-123]" or "[api]"
+const TICKET_PATTERN = /^(?:\[[^\]\s]+\]|[A-Z][A-Z0-9]+-\d+):?\s+/;
+const EMOJI_PATTERN = /^(?::[a-z0-9_+-]+:|\p{Extended_Pictographic}️?)\s*/u;
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\(([^)]*)\))?!?: (?=\S)/;
+
+// Words that give the language of a subject away
+const LANGUAGE_WORDS = {
+  English: ["add", "fix", "update", "remove", "the", "to", "for", "and", "in"],
+  German: ["und", "der", "die", "das", "für", "mit", "nicht", "hinzufügen"],
+  French: ["le", "la", "les", "des", "pour", "avec", "ajout", "et", "du"],
+  Spanish: ["el", "los", "las", "para", "con", "añadir", "agregar", "y"],
+  Portuguese: ["os", "para", "com", "adiciona", "não", "em", "do", "da"],
+};
+
+// Languages told apart by their script alone; kana before Han, which
+// Japanese uses too
+const LANGUAGE_SCRIPTS = [
+  ["Japanese", /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ["Chinese", /\p{Script=Han}/u],
+  ["Korean", /\p{Script=Hangul}/u],
+  ["Russian", /\p{Script=Cyrillic}/u],
+];
+
+// The recent commit subjects of the repository at `cwd`, newest first
+export function readCommitSubjects(cwd = process.cwd(), limit = HISTORY_SIZE) {
+  const log = tryGit(["log", "--no-merges", `-n${limit}`, "--format=%s"], cwd);
+  return log ? log.split("\n").filter(Boolean) : [];
+}
+
+// The parts of a subject: `ticket` ("ABC-123:"), `emoji`, `type`, `scope`
+// and the `description` that follows them
+export function parseSubject(subject) {
+  let rest = subject.trim();
+  const ticket = TICKET_PATTERN.exec(rest);
+  rest = ticket ? rest.slice(ticket[0].length) : rest;
+  const emoji = EMOJI_PATTERN.exec(rest);
+  rest = emoji ? rest.slice(emoji[0].length) : rest;
+  const conventional = CONVENTIONAL_PATTERN.exec(rest);
+
+  return {
+    subject: subject.trim(),
+    ticket: ticket ? ticket[0].trim() : null,
+    emoji: emoji ? emoji[0].trim() : null,
+    type: conventional ? conventional[1] : null,
+    scope: conventional?.[2] || null,
+    description: conventional ? rest.slice(conventional[0].length) : rest,
+  };
+}
+
+// Values by how often they occur, most common first
+function byFrequency(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+}
+
+export function detectLanguage(texts) {
+  const scores = new Map();
+  const score = (language) =>
+    scores.set(language, (scores.get(language) || 0) + 1);
+
+  for (const text of texts) {
+    const script = LANGUAGE_SCRIPTS.find(([, pattern]) => pattern.test(text));
+    if (script) {
+      score(script[0]);
+      continue;
+    }
+    const words = text.toLowerCase().split(/[^\p{L}]+/u);
+    for (const [language, known] of Object.entries(LANGUAGE_WORDS)) {
+      words
+        .filter((word) => known.includes(word))
+        .forEach(() => score(language));
+    }
+  }
+  const [best] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+}
+
+// The style of `subjects`, or null when there are too few to tell:
+// { conventional, emoji, ticket, types, scopes, emojis, casing, language,
+// examples }. `ticket` is the prefix of the newest subject with one, e.g.
+// "[ABC-123]"; `examples` are recent subjects written in the style.
+export function detectCommitStyle(subjects) {
+  const parsed = subjects
+    .filter((subject) => subject.trim() && !SKIPPED.test(subject))
+    .map(parseSubject);
+  if (parsed.length < MIN_SUBJECTS) {
+    return null;
+  }
+
+  const dominant = (key) =>
+    parsed.filter((commit) => commit[key]).length / parsed.length >=
+    DOMINANT_SHARE;
+  const conventional = dominant("type");
+  const emoji = dominant("emoji");
+  const ticket = dominant("ticket")
+    ? parsed.find((commit) => commit.ticket).ticket
+    : null;
+  const startsWith = (pattern) =>
+    parsed.filter((commit) => pattern.test(commit.description)).length;
+
+  const examples = parsed
+    .filter(
+      (commit) =>
+        Boolean(commit.type) === conventional &&
+        Boolean(commit.emoji) === emoji &&
+        Boolean(commit.ticket) === Boolean(ticket) &&
+        commit.subject.length <= 100
+    )
+    .map((commit) => commit.subject);
+
+  return {
+    conventional,
+    emoji,
+    ticket,
+    types: conventional
+      ? byFrequency(parsed.map((commit) => commit.type).filter(Boolean))
+      : [],
+    scopes: byFrequency(
+      parsed.flatMap((commit) =>
+        commit.scope ? commit.scope.split(/\s*[,/]\s*/) : []
+      )
+    ).slice(0, MAX_SCOPES),
+    emojis: emoji
+      ? byFrequency(parsed.map((commit) => commit.emoji).filter(Boolean)).slice(
+          0,
+          MAX_EMOJIS
+        )
+      : [],
+    casing:
+      startsWith(/^\p{Lu}/u) > startsWith(/^\p{Ll}/u) ? "capitalized" : "lower",
+    language: detectLanguage(parsed.map((commit) => commit.description)),
+    examples: [...new Set(examples)].slice(0, MAX_EXAMPLES),
+  };
+}
+
+// The first line `style` asks for, e.g. "[ABC-123] <type>(<scope>): <description>"
+export function describeFormat(style) {
+  return [
+    style.ticket,
+    style.emoji && "<emoji>",
+    style.conventional ? "<type>(<scope>): <description>" : "<description>",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Instructions for the generation prompt. `tickets` are the ticket keys the
+// current branch names, e.g. ["ABC-123"].
+export function describeStyle(style, { tickets = [] } = {}) {
+  const lines = [`- Format the first line as: ${describeFormat(style)}`];
+  if (style.ticket) {
+    lines.push(
+      tickets.length
+        ? `- The ticket is ${tickets[0]}, written like ${style.ticket}`
+        : "- The ticket of this change is unknown: leave the ticket prefix out"
+    );
+  }
+  if (style.emojis.length) {
+    lines.push(`- Emojis in use, most common first: ${style.emojis.join(" ")}`);
+  }
+  if (style.types.length) {
+    lines.push(`- Types in use, most common first: ${style.types.join(", ")}`);
+  }
+  if (style.scopes.length) {
+    lines.push(
+      `- Scopes in use: ${style.scopes.join(
+        ", "
+      )}. Pick one of them or leave the scope out; do not invent new scopes`
+    );
+  } else if (style.conventional) {
+    lines.push("- This repository does not use scopes: leave the scope out");
+  }
+  lines.push(
+    style.casing === "capitalized"
+      ? '- Start the description with a capital letter, e.g. "Add ..."'
+      : '- Start the description with a lowercase letter, e.g. "add ..."'
+  );
+  if (style.language && style.language !== "English") {
+    lines.push(`- Write the description in ${style.language}`);
+  }
+  if (style.examples.length) {
+    lines.push("", "RECENT COMMITS IN THIS REPOSITORY:", ...style.examples);
+  }
+  return lines.join("\n");
+}
+
+// Lint rules for a repository without a commitlint config, loosened where
+// the default rules would "repair" messages out of the learned style
+export function styleRules(rules, style) {
+  if (!style) {
+    return rules;
+  }
+  const prefixed = !style.conventional || style.emoji || style.ticket;
+  return Object.fromEntries(
+    Object.entries(rules)
+      .filter(
+        ([rule]) =>
+          !(prefixed && /^(type|scope|subject)-/.test(rule)) &&
+          !(style.casing === "capitalized" && rule === "subject-case")
+      )
+      .map(([rule, config]) =>
+        // Types the repository already uses are fine
+        rule === "type-enum" && Array.isArray(config?.[2])
+          ? [
+              rule,
+              [
+                config[0],
+                config[1],
+                [...new Set([...config[2], ...style.types])],
+              ],
+            ]
+          : [rule, config]
+      )
+  );
+}
@@ -0,0 +1,117 @@
+const { execSync } = require("child_process");
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const {
+  findRiskyFiles,
+  getStatus,
+  getUnstagedFiles,
+  hasStagedChanges,
+  isSecretPath,
+  parseSelection,
+  parseStatus,
+  stageFiles,
+} = require("./src/staging.js");
+
+test("parseStatus reads porcelain -z output", () => {
+  expect(
+    parseStatus("M  src/a.js\0 M b.js\0R  new.js\0old.js\0?? notes.txt\0")
+  ).toEqual([
+    expect.objectContaining({
+      path: "src/a.js",
+      staged: true,
+      unstaged: false,
+    }),
+    expect.objectContaining({ path: "b.js", staged: false, unstaged: true }),
+    expect.objectContaining({ path: "new.js", origPath: "old.js" }),
+    expect.objectContaining({ path: "notes.txt", untracked: true }),
+  ]);
+});
+
+test.each([
+  ["1", 3, [0]],
+  ["1,3", 3, [0, 2]],
+  ["2-3 1", 3, [0, 1, 2]],
+  ["a", 2, [0, 1]],
+  ["", 2, []],
+  ["4", 3, null],
+  ["3-1", 3, null],
+  ["x", 3, null],
+])("parseSelection(%j, %d)", (answer, count, expected) => {
+  expect(parseSelection(answer, count)).toEqual(expected);
+});
+
+test.each([
+  [".env", true],
+  ["config/.env.production", true],
+  [".env.example", false],
+  ["certs/server.pem", true],
+  ["deploy/id_ed25519", true],
+  ["infra/terraform.tfstate", true],
+  ["src/env.js", false],
+  ["docs/keys.md", false],
+])("isSecretPath(%j) is %s", (path, expected) => {
+  expect(isSecretPath(path)).toBe(expected);
+});
+
+describe("in a repository", () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "git-helper-staging-"));
+    execSync("git init -q", { cwd: repo });
+    writeFileSync(join(repo, "tracked.js"), "a\n");
+    execSync(
+      "git add . && git -c user.name=t -c user.email=t@t commit -qm init",
+      { cwd: repo }
+    );
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test("lists and stages unstaged files literally", () => {
+    mkdirSync(join(repo, "pages"));
+    writeFileSync(join(repo, "pages", "[id].js"), "x\n");
+    writeFileSync(join(repo, "pages", "i.js"), "x\n");
+    writeFileSync(join(repo, "tracked.js"), "b\n");
+    writeFileSync(join(repo, ".gitignore"), "dist/\n");
+    mkdirSync(join(repo, "dist"));
+    writeFileSync(join(repo, "dist", "out.js"), "x\n");
+
+    expect(getUnstagedFiles([], repo).sort()).toEqual([
+      ".gitignore",
+      "pages/[id].js",
+      "pages/i.js",
+      "tracked.js",
+    ]);
+    expect(getUnstagedFiles(["pages"], repo).sort()).toEqual([
+      "pages/[id].js",
+      "pages/i.js",
+    ]);
+    expect(hasStagedChanges(repo)).toBe(false);
+
+    stageFiles(["pages/[id].js"], repo);
+
+    expect(hasStagedChanges(repo)).toBe(true);
+    expect(
+      getStatus(repo)
+        .filter((entry) => entry.staged)
+        .map((entry) => entry.path)
+    ).toEqual(["pages/[id].js"]);
+  });
+
+  test("flags secrets and large files", () => {
+    writeFileSync(join(repo, ".env"), "TOKEN=x\n");
+    writeFileSync(join(repo, "big.bin"), Buffer.alloc(2048));
+    writeFileSync(join(repo, "small.txt"), "ok\n");
+
+    expect(
+      findRiskyFiles([".env", "big.bin", "small.txt", "gone.js"], repo, 1024)
+    ).toEqual([
+      { path: ".env", reason: "looks like a secret" },
+      { path: "big.bin", reason: "large file (2 KB)" },
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+const { DEFAULT_RULES, lintCommitMessage } = require("./src/lint.js");
+const {
+  describeFormat,
+  describeStyle,
+  detectCommitStyle,
+  detectLanguage,
+  parseSubject,
+  styleRules,
+} = require("./src/style.js");
+
+const CONVENTIONAL = [
+  "feat(api): add token refresh",
+  "fix(cli): handle missing config",
+  "feat(api): paginate results",
+  "chore: bump dependencies",
+  "docs(readme): document flags",
+  "Merge branch 'main' into dev",
+  "refactor(db, cli): share connection pool",
+];
+
+test("parseSubject splits prefixes, type and scope", () => {
+  expect(parseSubject("[ABC-12] ✨ feat(ui): add button")).toMatchObject({
+    ticket: "[ABC-12]",
+    emoji: "✨",
+    type: "feat",
+    scope: "ui",
+    description: "add button",
+  });
+  expect(parseSubject(":bug: Fix login")).toMatchObject({
+    ticket: null,
+    emoji: ":bug:",
+    type: null,
+    description: "Fix login",
+  });
+  expect(parseSubject("ABC-7: Add tests").ticket).toBe("ABC-7:");
+});
+
+test("learns types and scopes from conventional history", () => {
+  const style = detectCommitStyle(CONVENTIONAL);
+
+  expect(style).toMatchObject({
+    conventional: true,
+    emoji: false,
+    ticket: null,
+    types: ["feat", "fix", "chore", "docs", "refactor"],
+    scopes: ["api", "cli", "readme", "db"],
+    casing: "lower",
+    language: "English",
+  });
+  expect(style.examples).not.toContain("Merge branch 'main' into dev");
+  expect(describeFormat(style)).toBe("<type>(<scope>): <description>");
+  expect(describeStyle(style)).toContain(
+    "Scopes in use: api, cli, readme, db. Pick one of them"
+  );
+  expect(detectCommitStyle(CONVENTIONAL.slice(0, 3))).toBeNull();
+});
+
+test("learns gitmoji, ticket prefixes and capitalised subjects", () => {
+  const gitmoji = detectCommitStyle([
+    "✨ Add dark mode",
+    "🐛 Fix crash on start",
+    ":memo: Update docs",
+    "✨ Support exports",
+    "Bump version",
+  ]);
+  expect(describeFormat(gitmoji)).toBe("<emoji> <description>");
+  expect(gitmoji.emojis).toEqual(["✨", "🐛", ":memo:"]);
+  expect(gitmoji.casing).toBe("capitalized");
+  expect(gitmoji.examples).not.toContain("Bump version");
+
+  const tickets = detectCommitStyle([
+    "PAY-31: Retry failed charges",
+    "PAY-30: Add refund endpoint",
+    "PAY-28: Fix rounding",
+    "PAY-27: Log webhooks",
+    "PAY-25: Remove legacy client",
+  ]);
+  expect(describeFormat(tickets)).toBe("PAY-31: <description>");
+  expect(describeStyle(tickets, { tickets: ["PAY-40"] })).toContain(
+    "The ticket is PAY-40, written like PAY-31:"
+  );
+  expect(describeStyle(tickets)).toContain("leave the ticket prefix out");
+});
+
+test("detectLanguage recognises words and scripts", () => {
+  expect(
+    detectLanguage([
+      "Fehler in der Anmeldung behoben",
+      "Tests für und mit Login",
+    ])
+  ).toBe("German");
+  expect(
+    detectLanguage(["ajout de la page", "correction pour les tests"])
+  ).toBe("French");
+  expect(detectLanguage(["ログイン画面を追加", "テストを修正"])).toBe(
+    "Japanese"
+  );
+  expect(detectLanguage(["исправить вход"])).toBe("Russian");
+  expect(detectLanguage(["xyz"])).toBeNull();
+});
+
+test("styleRules keeps default rules from undoing the learned style", () => {
+  const capitalized = detectCommitStyle([
+    "✨ Add dark mode",
+    "🐛 Fix crash on start",
+    "✨ Support exports",
+    "🔥 Remove old flag",
+    "📝 Document setup",
+  ]);
+  const rules = styleRules(DEFAULT_RULES, capitalized);
+  expect(lintCommitMessage("✨ Add search", rules).valid).toBe(true);
+  expect(lintCommitMessage("✨ Add search", DEFAULT_RULES).valid).toBe(false);
+
+  const conventional = styleRules(
+    DEFAULT_RULES,
+    detectCommitStyle([...CONVENTIONAL, "release: cut version 1.2.0"])
+  );
+  expect(
+    lintCommitMessage("release: cut version 1.3.0", conventional).valid
+  ).toBe(true);
+  expect(lintCommitMessage("fix: Capital", conventional).valid).toBe(false);
+  expect(styleRules(DEFAULT_RULES, null)).toBe(DEFAULT_RULES);
+});